@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+require("dotenv").config();
+const { main } = require("../cli");
+
+main(process.argv.slice(2)).then((code) => process.exit(code));
@@ -0,0 +1,86 @@
+const { isAddress } = require("ethers");
+const { parseSide, parseUsdc } = require("../lib/units");
+
+/** Bad invocation: reported with usage and exit code 2 */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function required(opts, name) {
+  const value = opts[name];
+  if (value === undefined || value === "") throw new UsageError(`Missing required option --${name}`);
+  return value;
+}
+
+function slugOption(opts, name = "slug") {
+  const slug = required(opts, name);
+  if (slug.trim() !== slug) throw new UsageError(`--${name} must not have leading or trailing whitespace`);
+  return slug;
+}
+
+function sideOption(opts, name = "side") {
+  try {
+    return parseSide(required(opts, name));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`--${name}: ${err.message}`);
+  }
+}
+
+function amountOption(opts, name = "amount") {
+  try {
+    return parseUsdc(required(opts, name));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`--${name}: ${err.message}`);
+  }
+}
+
+function addressOption(opts, name) {
+  const value = opts[name];
+  if (value === undefined) return undefined;
+  if (!isAddress(value)) throw new UsageError(`--${name}: not a valid address: ${value}`);
+  return value;
+}
+
+/** Non-negative integer option, e.g. --limit */
+function intOption(opts, name, fallback) {
+  const value = opts[name];
+  if (value === undefined) return fallback;
+  if (!/^\d+$/.test(value)) throw new UsageError(`--${name} must be a non-negative integer`);
+  return Number(value);
+}
+
+/** Probability option in [0, 1], e.g. --probability 0.65 */
+function probabilityOption(opts, name) {
+  const value = required(opts, name);
+  const n = Number(value);
+  if (value.trim() === "" || !Number.isFinite(n) || n < 0 || n > 1) {
+    throw new UsageError(`--${name} must be a number between 0 and 1, got "${value}"`);
+  }
+  return n;
+}
+
+/** A date given as ISO-8601 or Unix seconds, returned as Unix seconds */
+function timestampOption(opts, name) {
+  const value = required(opts, name);
+  if (/^\d+$/.test(value)) return Number(value);
+  const ms = Date.parse(value);
+  if (Number.isNaN(ms)) throw new UsageError(`--${name}: expected ISO date or Unix seconds, got "${value}"`);
+  return Math.floor(ms / 1000);
+}
+
+module.exports = {
+  UsageError,
+  required,
+  slugOption,
+  sideOption,
+  amountOption,
+  addressOption,
+  intOption,
+  probabilityOption,
+  timestampOption,
+};
@@ -0,0 +1,80 @@
+const { executePlan, planResolutions } = require("../../lib/resolver");
+const { intOption } = require("../args");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function stepLine(step) {
+  const action = step.outcome ? `${step.action} ${step.outcome.toUpperCase()}` : step.action;
+  return `  ${action.padEnd(11)} ${step.slug} — ${step.reason}`;
+}
+
+async function cycle(client, opts, ctx, out) {
+  const plan = await planResolutions(client, {
+    token: opts.token || ctx.env.CLAWDICT_TOKEN,
+    baseUrl: opts.api || ctx.env.CLAWDICT_API,
+  });
+  const actionable = plan.filter((s) => s.action !== "skip");
+  const header = `Plan: ${actionable.length} to send, ${plan.length - actionable.length} skipped`;
+
+  if (opts["dry-run"] || actionable.length === 0) {
+    const lines = plan.length === 0 ? ["No unsettled markets"] : [header, ...plan.map(stepLine)];
+    return { data: { dryRun: !!opts["dry-run"], plan, executed: [] }, lines };
+  }
+
+  // Always show the plan before sending anything
+  out.info(header);
+  for (const step of plan) out.info(stepLine(step));
+
+  const executed = await executePlan(client, plan);
+  const failed = executed.filter((r) => r.error);
+
+  return {
+    data: {
+      dryRun: false,
+      plan,
+      executed: executed.map((r) => ({
+        slug: r.slug,
+        action: r.action,
+        outcome: r.outcome,
+        hash: r.hash,
+        error: r.error ? { code: r.error.code || r.error.name, message: r.error.message } : null,
+      })),
+    },
+    lines: [
+      ...executed.map((r) => (r.error ? `  FAILED ${r.slug}: ${r.error.message}` : `  ${r.action} ${r.slug}: ${r.hash}`)),
+      `Sent ${executed.length - failed.length} transaction(s)${failed.length ? `, ${failed.length} failed` : ""}`,
+    ],
+    exitCode: failed.length ? 1 : 0,
+  };
+}
+
+module.exports = {
+  name: "auto-resolve",
+  summary: "Resolve (or vote on, in quorum mode) or cancel markets from official Clawdict outcomes (resolver; cancelling needs market admin)",
+  usage: "clawstake auto-resolve [--dry-run] [--watch [--interval <seconds>]] [--token <t>] [--api <url>]",
+  options: {
+    "dry-run": { type: "boolean" },
+    watch: { type: "boolean" },
+    interval: { type: "string" },
+    token: { type: "string" },
+    api: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const interval = intOption(opts, "interval", 300);
+    const client = opts["dry-run"] ? await ctx.client() : await ctx.signingClient();
+
+    if (!opts.watch) return cycle(client, opts, ctx, out);
+
+    // Daemon mode: one result document (or NDJSON line) per cycle
+    for (;;) {
+      try {
+        const { data, lines } = await cycle(client, opts, ctx, out);
+        out.result(this.name, { at: new Date().toISOString(), ...data }, lines);
+      } catch (err) {
+        out.error(this.name, err);
+      }
+      await sleep(interval * 1000);
+    }
+  },
+};
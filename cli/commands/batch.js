@@ -0,0 +1,72 @@
+const fs = require("fs");
+const { formatUsdc, parseSide, parseUsdc, sideName } = require("../../lib/units");
+const { UsageError } = require("../args");
+const { txView } = require("../output");
+
+/** Parse "<slug>:<yes|no>:<amount>"; the slug is everything before the last two colons */
+function parseStakeSpec(spec) {
+  const parts = spec.split(":");
+  if (parts.length < 3) throw new UsageError(`--stake "${spec}": expected <slug>:<yes|no>:<amount>`);
+  const amount = parts.pop();
+  const side = parts.pop();
+  return { slug: parts.join(":"), side, amount };
+}
+
+function validate(entry, label) {
+  if (typeof entry?.slug !== "string" || entry.slug.length === 0) {
+    throw new UsageError(`${label}: missing slug`);
+  }
+  try {
+    return { slug: entry.slug, side: parseSide(entry.side), amount: parseUsdc(String(entry.amount)) };
+  } catch (err) {
+    throw new UsageError(`${label}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: "batch",
+  summary: "Stake on several markets in one transaction",
+  usage: "clawstake batch --stake <slug>:<yes|no>:<usdc> [--stake ...] | --file <plan.json> [--permit | --infinite-approval]",
+  options: {
+    stake: { type: "string", multiple: true },
+    file: { type: "string" },
+    permit: { type: "boolean" },
+    "infinite-approval": { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts.permit && opts["infinite-approval"]) throw new UsageError("Use either --permit or --infinite-approval");
+    let entries = (opts.stake || []).map(parseStakeSpec);
+    if (opts.file) {
+      const plan = JSON.parse(fs.readFileSync(opts.file, "utf8"));
+      const list = Array.isArray(plan) ? plan : plan.stakes;
+      if (!Array.isArray(list)) throw new UsageError(`--file: expected an array of {slug, side, amount}`);
+      entries = entries.concat(list);
+    }
+    if (entries.length === 0) throw new UsageError("Provide at least one --stake or a --file");
+
+    const stakes = entries.map((e, i) => validate(e, `stake #${i + 1}`));
+    const total = stakes.reduce((sum, s) => sum + s.amount, 0n);
+    const client = await ctx.signingClient();
+
+    out.info(`Batch staking ${formatUsdc(total)} USDC across ${stakes.length} markets...`);
+    const result = await client.batchStake(stakes, {
+      permit: Boolean(opts.permit),
+      infiniteApproval: Boolean(opts["infinite-approval"]),
+    });
+
+    return {
+      data: {
+        stakes: stakes.map((s) => ({ slug: s.slug, side: s.side ? "yes" : "no", amount: formatUsdc(s.amount) })),
+        total: formatUsdc(total),
+        approval: result.approval ? txView(result.approval) : null,
+        tx: txView(result),
+      },
+      lines: [
+        ...stakes.map((s) => `  ${sideName(s.side)} ${formatUsdc(s.amount)} USDC — ${s.slug}`),
+        `Staked ${formatUsdc(total)} USDC on ${stakes.length} markets`,
+        `  tx: ${result.hash}`,
+      ],
+    };
+  },
+};
@@ -0,0 +1,21 @@
+const { slugOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "cancel",
+  summary: "Cancel a market and enable refunds (market admin only)",
+  usage: "clawstake cancel --slug <slug>",
+  options: {
+    slug: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    const slug = slugOption(opts);
+    const client = await ctx.signingClient();
+    const result = await client.cancelMarket(slug);
+    return {
+      data: { slug, tx: txView(result) },
+      lines: [`Cancelled ${slug}`, `  tx: ${result.hash}`],
+    };
+  },
+};
@@ -0,0 +1,48 @@
+const { computeFee, computePayout } = require("../../lib/market");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, slugOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "claim",
+  summary: "Claim winnings from a resolved market, or from all of them",
+  usage: "clawstake claim (--slug <slug> | --all)",
+  options: {
+    slug: { type: "string" },
+    all: { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts.all && opts.slug !== undefined) throw new UsageError("Use either --slug or --all, not both");
+
+    if (opts.all) {
+      const client = await ctx.signingClient();
+      const slugs = (await client.getPositions())
+        .filter((p) => p.claimable > 0n)
+        .map((p) => p.slug);
+      if (slugs.length === 0) {
+        return { data: { slugs, payout: "0.0", fee: "0.0", tx: null }, lines: ["Nothing to claim"] };
+      }
+
+      out.info(`Claiming ${slugs.length} market(s): ${slugs.join(", ")}`);
+      const result = await client.batchClaim(slugs);
+      return {
+        data: { slugs, payout: formatUsdc(result.payout), fee: formatUsdc(result.fee), tx: txView(result) },
+        lines: [`Claimed ${formatUsdc(result.payout)} USDC from ${slugs.length} market(s)`, `  tx: ${result.hash}`],
+      };
+    }
+
+    const slug = slugOption(opts);
+    const client = await ctx.signingClient();
+
+    const [market, position] = await Promise.all([client.getMarket(slug), client.getStake(slug)]);
+    const fee = computeFee(market, position);
+    out.info(`Expected payout: ${formatUsdc(computePayout(market, position))} USDC${fee > 0n ? ` (after ${formatUsdc(fee)} USDC fee)` : ""}`);
+
+    const result = await client.claim(slug);
+    return {
+      data: { slug, payout: formatUsdc(result.payout), fee: formatUsdc(result.fee), tx: txView(result) },
+      lines: [`Claimed ${formatUsdc(result.payout)} USDC from ${slug}`, `  tx: ${result.hash}`],
+    };
+  },
+};
@@ -0,0 +1,75 @@
+const { MAX_COMMIT_PENALTY_BPS } = require("../../lib/market");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, addressOption, amountOption, intOption, slugOption, timestampOption } = require("../args");
+const { formatBps, isoDate, txView } = require("../output");
+
+function scheduleView(schedule) {
+  return {
+    enabled: schedule.enabled,
+    phase: schedule.phase,
+    commitDeadline: isoDate(schedule.commitDeadline),
+    revealDeadline: isoDate(schedule.revealDeadline),
+    penaltyBps: schedule.penaltyBps,
+  };
+}
+
+module.exports = {
+  name: "commit-reveal",
+  summary: "Show or enable a market's commit–reveal schedule (market admin), or withdraw unrevealed-commitment penalties (treasury)",
+  usage: "clawstake commit-reveal (--slug <slug> [--commit-by <date> --reveal-by <date> [--penalty <bps>]] | --withdraw-penalties [--amount <usdc>] [--to <address>])",
+  options: {
+    slug: { type: "string" },
+    "commit-by": { type: "string" },
+    "reveal-by": { type: "string" },
+    penalty: { type: "string" },
+    "withdraw-penalties": { type: "boolean" },
+    amount: { type: "string" },
+    to: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    if (opts["withdraw-penalties"]) {
+      if (opts.slug !== undefined) throw new UsageError("--withdraw-penalties does not take --slug");
+      const amount = opts.amount === undefined ? undefined : amountOption(opts);
+      const to = addressOption(opts, "to");
+      const client = await ctx.signingClient();
+      const tx = await client.withdrawCommitPenalties({ to, amount });
+      return {
+        data: { amount: formatUsdc(tx.amount), to: tx.to, tx: txView(tx) },
+        lines: [`Withdrew ${formatUsdc(tx.amount)} USDC of commitment penalties to ${tx.to}  tx: ${tx.hash}`],
+      };
+    }
+    if (opts.amount !== undefined || opts.to !== undefined) {
+      throw new UsageError("--amount and --to require --withdraw-penalties");
+    }
+
+    const slug = slugOption(opts);
+    const enabling = opts["commit-by"] !== undefined || opts["reveal-by"] !== undefined || opts.penalty !== undefined;
+    let tx = null;
+    if (enabling) {
+      const commitDeadline = timestampOption(opts, "commit-by");
+      const revealDeadline = timestampOption(opts, "reveal-by");
+      if (revealDeadline <= commitDeadline) throw new UsageError("--reveal-by must be after --commit-by");
+      const penaltyBps = intOption(opts, "penalty", 0);
+      if (penaltyBps > MAX_COMMIT_PENALTY_BPS) throw new UsageError(`--penalty must be at most ${MAX_COMMIT_PENALTY_BPS} bps`);
+      const client = await ctx.signingClient();
+      tx = await client.enableCommitReveal(slug, { commitDeadline, revealDeadline, penaltyBps });
+    }
+
+    const client = await ctx.client();
+    const schedule = await client.getCommitSchedule(slug);
+    const lines = [];
+    if (tx) lines.push(`Enabled commit–reveal for ${slug}  tx: ${tx.hash}`);
+    if (schedule.enabled) {
+      lines.push(
+        `${slug}: commit–reveal, phase ${schedule.phase}`,
+        `  commits until ${isoDate(schedule.commitDeadline)}`,
+        `  reveals until ${isoDate(schedule.revealDeadline)}`,
+        `  unrevealed penalty: ${formatBps(schedule.penaltyBps)}`
+      );
+    } else {
+      lines.push(`${slug} does not use commit–reveal`);
+    }
+    return { data: { slug, schedule: scheduleView(schedule), tx: tx ? txView(tx) : null }, lines };
+  },
+};
@@ -0,0 +1,65 @@
+const { ClawStakeError } = require("../../lib/errors");
+const { CommitStore, defaultStorePath } = require("../../lib/commitStore");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, amountOption, sideOption, slugOption } = require("../args");
+const { isoDate, txView } = require("../output");
+
+module.exports = {
+  name: "commit",
+  summary: "Commit a hidden stake on a commit–reveal market; the salt is saved locally for `reveal`",
+  usage: "clawstake commit --slug <slug> --side <yes|no> --amount <usdc>",
+  options: {
+    slug: { type: "string" },
+    side: { type: "string" },
+    amount: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const slug = slugOption(opts);
+    const isYes = sideOption(opts);
+    const amount = amountOption(opts);
+    const client = await ctx.signingClient();
+
+    const schedule = await client.getCommitSchedule(slug);
+    if (!schedule.enabled) throw new UsageError(`${slug} does not use commit–reveal; use \`clawstake stake\``);
+
+    const store = new CommitStore(defaultStorePath(ctx.env));
+    const commitment = await client.prepareCommitment(slug, isYes, amount);
+    // Keep the salt of a commitment that is still open: it is the only way to reveal it
+    if (store.get(commitment) && (await client.getCommitment(slug, commitment.staker))) {
+      throw new UsageError(`You already have a commitment in ${slug}; reveal or refund it first`);
+    }
+
+    // Save before sending, so a crash after the tx cannot lose the salt
+    store.save(commitment);
+    out.info(`Committing ${formatUsdc(amount)} USDC to ${slug} (salt saved to ${store.file})...`);
+    let result;
+    try {
+      result = await client.commitStake(commitment);
+    } catch (err) {
+      // A decoded revert means nothing was committed
+      if (err instanceof ClawStakeError) store.remove(commitment);
+      throw err;
+    }
+
+    return {
+      data: {
+        slug,
+        side: isYes ? "yes" : "no",
+        amount: formatUsdc(amount),
+        hash: commitment.hash,
+        commitDeadline: isoDate(schedule.commitDeadline),
+        revealDeadline: isoDate(schedule.revealDeadline),
+        saltFile: store.file,
+        approval: result.approval ? txView(result.approval) : null,
+        tx: txView(result),
+      },
+      lines: [
+        `Committed ${formatUsdc(amount)} USDC to ${slug}; the side stays hidden until you reveal`,
+        `  tx:     ${result.hash}`,
+        `  reveal: after ${isoDate(schedule.commitDeadline)}, by ${isoDate(schedule.revealDeadline)} — clawstake reveal --slug ${slug}`,
+        `  salt:   saved to ${store.file}`,
+      ],
+    };
+  },
+};
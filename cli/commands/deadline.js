@@ -0,0 +1,46 @@
+const { UsageError, slugOption, timestampOption } = require("../args");
+const { isoDate, txView } = require("../output");
+
+module.exports = {
+  name: "deadline",
+  summary: "Set or clear a market deadline, or sign one for stakeWithDeadline (market admin only)",
+  usage: "clawstake deadline --slug <slug> (--at <iso-date|unix-seconds> [--sign] | --clear)",
+  options: {
+    slug: { type: "string" },
+    at: { type: "string" },
+    clear: { type: "boolean" },
+    sign: { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    const slug = slugOption(opts);
+    if (opts.clear && opts.at !== undefined) throw new UsageError("Use either --at or --clear, not both");
+    if (!opts.clear && opts.at === undefined) throw new UsageError("Missing required option --at (or --clear)");
+    if (opts.sign && opts.clear) throw new UsageError("--sign needs --at");
+    const deadline = opts.clear ? 0 : timestampOption(opts, "at");
+
+    const client = await ctx.signingClient();
+
+    if (opts.sign) {
+      // Off-chain authorization for the market's first staker; nothing is sent
+      const auth = await client.signDeadline(slug, deadline);
+      return {
+        data: { slug, deadline: isoDate(deadline), deadlineUnix: deadline, signature: auth.signature },
+        lines: [
+          `Signed deadline ${isoDate(deadline)} for ${slug}`,
+          `  signature: ${auth.signature}`,
+          `  use: clawstake stake --slug ${slug} --side <yes|no> --amount <usdc> --deadline ${deadline} --deadline-sig ${auth.signature}`,
+        ],
+      };
+    }
+
+    const result = await client.setDeadline(slug, deadline);
+    return {
+      data: { slug, deadline: isoDate(deadline), tx: txView(result) },
+      lines: [
+        deadline ? `Deadline for ${slug} set to ${isoDate(deadline)}` : `Deadline for ${slug} cleared`,
+        `  tx: ${result.hash}`,
+      ],
+    };
+  },
+};
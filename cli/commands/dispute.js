@@ -0,0 +1,78 @@
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, amountOption, intOption, slugOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "dispute",
+  summary: "Dispute a resolution during its window (stakers), return the bond of a lapsed dispute, or show/set the dispute window and bond (admin to change)",
+  usage: "clawstake dispute (--slug <slug> [--expire] | [--window <seconds>] [--bond <usdc>])",
+  options: {
+    slug: { type: "string" },
+    expire: { type: "boolean" },
+    window: { type: "string" },
+    bond: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const configuring = opts.window !== undefined || opts.bond !== undefined;
+    if (configuring && opts.slug !== undefined) {
+      throw new UsageError("Use either --slug or --window/--bond, not both");
+    }
+
+    if (opts.expire && opts.slug === undefined) throw new UsageError("--expire needs --slug");
+
+    if (opts.slug !== undefined && opts.expire) {
+      const slug = slugOption(opts);
+      const client = await ctx.signingClient();
+      const { disputer, bond } = await client.getDispute(slug);
+      const result = await client.expireDispute(slug);
+      return {
+        data: { slug, disputer, bond: formatUsdc(bond), tx: txView(result) },
+        lines: [
+          `Dispute on ${slug} lapsed; the resolution stands`,
+          `  bond: ${formatUsdc(bond)} USDC returned to ${disputer}`,
+          `  tx: ${result.hash}`,
+        ],
+      };
+    }
+
+    if (opts.slug !== undefined) {
+      const slug = slugOption(opts);
+      const client = await ctx.signingClient();
+      const { bond } = await client.disputeParams();
+      out.info(`Posting a ${formatUsdc(bond)} USDC bond to dispute ${slug}`);
+
+      const result = await client.dispute(slug);
+      return {
+        data: { slug, bond: formatUsdc(result.bond), tx: txView(result) },
+        lines: [
+          `Disputed ${slug}; claims are blocked until the resolver settles it or the dispute times out`,
+          `  bond: ${formatUsdc(result.bond)} USDC (returned if the outcome is corrected)`,
+          `  tx: ${result.hash}`,
+        ],
+      };
+    }
+
+    const lines = [];
+    let tx = null;
+    if (configuring) {
+      const client = await ctx.signingClient();
+      const current = await client.disputeParams();
+      const window = intOption(opts, "window", current.window);
+      const bond = opts.bond === undefined ? current.bond : amountOption(opts, "bond");
+      tx = await client.setDisputeParams({ window, bond });
+      lines.push(`Dispute parameters updated  tx: ${tx.hash}`);
+    }
+
+    const client = await ctx.client();
+    const params = await client.disputeParams();
+    lines.push(
+      `Dispute window: ${params.window} seconds after resolution`,
+      `Dispute bond:   ${formatUsdc(params.bond)} USDC`
+    );
+    return {
+      data: { window: params.window, bond: formatUsdc(params.bond), tx: tx ? txView(tx) : null },
+      lines,
+    };
+  },
+};
@@ -0,0 +1,66 @@
+const { MAX_EXIT_PENALTY_BPS, MAX_FEE_BPS } = require("../../lib/market");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, addressOption, amountOption, intOption } = require("../args");
+const { formatBps, txView } = require("../output");
+
+module.exports = {
+  name: "fees",
+  summary: "Show the protocol fee, exit penalty and accrued fees; set them (admin) or withdraw (treasury)",
+  usage: "clawstake fees [--set <bps>] [--exit-penalty <bps>] [--withdraw [--amount <usdc>] [--to <address>]]",
+  options: {
+    set: { type: "string" },
+    "exit-penalty": { type: "string" },
+    withdraw: { type: "boolean" },
+    amount: { type: "string" },
+    to: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    const bps = intOption(opts, "set");
+    if (bps !== undefined && bps > MAX_FEE_BPS) throw new UsageError(`--set must be at most ${MAX_FEE_BPS} bps`);
+    const penaltyBps = intOption(opts, "exit-penalty");
+    if (penaltyBps !== undefined && penaltyBps > MAX_EXIT_PENALTY_BPS) {
+      throw new UsageError(`--exit-penalty must be at most ${MAX_EXIT_PENALTY_BPS} bps`);
+    }
+    if (!opts.withdraw && (opts.amount !== undefined || opts.to !== undefined)) {
+      throw new UsageError("--amount and --to require --withdraw");
+    }
+    const amount = opts.amount === undefined ? undefined : amountOption(opts);
+    const to = addressOption(opts, "to");
+
+    const changes = [];
+    const lines = [];
+    if (bps !== undefined || penaltyBps !== undefined || opts.withdraw) {
+      const client = await ctx.signingClient();
+      if (bps !== undefined) {
+        const tx = await client.setFeeBps(bps);
+        changes.push({ change: `fee ${bps} bps`, tx: txView(tx) });
+        lines.push(`Fee for new markets set to ${formatBps(bps)}  tx: ${tx.hash}`);
+      }
+      if (penaltyBps !== undefined) {
+        const tx = await client.setExitPenaltyBps(penaltyBps);
+        changes.push({ change: `exit penalty ${penaltyBps} bps`, tx: txView(tx) });
+        lines.push(`Exit penalty set to ${formatBps(penaltyBps)}  tx: ${tx.hash}`);
+      }
+      if (opts.withdraw) {
+        const tx = await client.withdrawFees({ to, amount });
+        changes.push({ change: `withdraw ${formatUsdc(tx.amount)} to ${tx.to}`, tx: txView(tx) });
+        lines.push(`Withdrew ${formatUsdc(tx.amount)} USDC to ${tx.to}  tx: ${tx.hash}`);
+      }
+    }
+
+    const client = await ctx.client();
+    const [feeBps, exitPenaltyBps, feesAccrued] = await Promise.all([
+      client.feeBps(),
+      client.exitPenaltyBps(),
+      client.feesAccrued(),
+    ]);
+    lines.push(
+      `Fee for new markets: ${formatBps(feeBps)} of winnings (${feeBps} bps)`,
+      `Exit penalty for new markets: ${formatBps(exitPenaltyBps)} of unstaked amounts (${exitPenaltyBps} bps)`,
+      `Accrued fees: ${formatUsdc(feesAccrued)} USDC`
+    );
+
+    return { data: { feeBps, exitPenaltyBps, feesAccrued: formatUsdc(feesAccrued), changes }, lines };
+  },
+};
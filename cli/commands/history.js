@@ -0,0 +1,99 @@
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, addressOption, slugOption } = require("../args");
+const { isoDate } = require("../output");
+
+function indexedPositionView(p) {
+  return {
+    slug: p.slug,
+    staked: formatUsdc(p.staked),
+    returned: formatUsdc(p.returned),
+    penalties: formatUsdc(p.penalties),
+    claimed: formatUsdc(p.claimed),
+    fees: formatUsdc(p.fees),
+    refunded: formatUsdc(p.refunded),
+    netFlow: formatUsdc(p.netFlow),
+    amountYes: formatUsdc(p.amountYes),
+    amountNo: formatUsdc(p.amountNo),
+    amounts: p.amounts.map(formatUsdc),
+    lastActivity: isoDate(p.lastActivity),
+  };
+}
+
+/** One-line description of a market event */
+function eventLine(e) {
+  const a = e.args;
+  const at = isoDate(e.timestamp);
+  switch (e.name) {
+    case "Staked":
+      return `${at}  ${a.staker} staked ${formatUsdc(BigInt(a.amount))} on ${sideName(a.isYes)}`;
+    case "OutcomeStaked":
+      return `${at}  ${a.staker} staked ${formatUsdc(BigInt(a.amount))} on #${a.outcomeIndex}`;
+    case "Unstaked":
+      return `${at}  ${a.staker} unstaked ${formatUsdc(BigInt(a.amount))} from ${sideName(a.isYes)}`;
+    case "Claimed":
+      return `${at}  ${a.staker} claimed ${formatUsdc(BigInt(a.payout))}`;
+    case "Refunded":
+      return `${at}  ${a.staker} refunded ${formatUsdc(BigInt(a.amount))}`;
+    case "MarketResolved":
+      return `${at}  resolved ${sideName(a.outcomeYes)}`;
+    default:
+      return `${at}  ${e.name}`;
+  }
+}
+
+module.exports = {
+  name: "history",
+  summary: "Query the local event index: an account's positions, a market's history or daily volume",
+  usage: "clawstake history (--account <addr> | --slug <slug> | --volume [--slug <slug>]) [--store <file>] [--cached]",
+  options: {
+    account: { type: "string" },
+    slug: { type: "string" },
+    volume: { type: "boolean" },
+    store: { type: "string" },
+    cached: { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    const account = addressOption(opts, "account");
+    if (account && (opts.slug !== undefined || opts.volume)) {
+      throw new UsageError("Use --account on its own, or --slug and/or --volume");
+    }
+    if (!account && !opts.volume && opts.slug === undefined) {
+      throw new UsageError("Missing --account, --slug or --volume");
+    }
+    const slug = opts.slug === undefined ? undefined : slugOption(opts);
+
+    const { store, indexer } = await ctx.eventIndex({ file: opts.store });
+    // Catch up first unless asked to read the store as it is
+    if (!opts.cached) await indexer.sync();
+    const asOf = { block: store.cursor };
+
+    if (account) {
+      const positions = store.positionsOf(account);
+      return {
+        data: { ...asOf, account, positions: positions.map(indexedPositionView) },
+        lines: positions.length === 0
+          ? [`No indexed activity for ${account}`]
+          : positions.map((p) =>
+              `${p.slug}: staked ${formatUsdc(p.staked)}, received ${formatUsdc(p.claimed + p.refunded + p.returned)}, net ${formatUsdc(p.netFlow)} USDC`
+            ),
+      };
+    }
+
+    if (opts.volume) {
+      const days = store.volumeByDay({ slug });
+      return {
+        data: { ...asOf, slug: slug || null, days: days.map((d) => ({ ...d, volume: formatUsdc(d.volume) })) },
+        lines: days.length === 0
+          ? ["No stakes indexed"]
+          : days.map((d) => `${d.day}  ${formatUsdc(d.volume)} USDC  ${d.stakes} stake(s) by ${d.stakers} staker(s)`),
+      };
+    }
+
+    const events = store.marketHistory(slug);
+    return {
+      data: { ...asOf, slug, events },
+      lines: events.length === 0 ? [`No indexed events for ${slug}`] : events.map(eventLine),
+    };
+  },
+};
@@ -0,0 +1,56 @@
+const { intOption } = require("../args");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function reportLines(report, store) {
+  const lines = [];
+  if (report.reorg) {
+    lines.push(`Reorg: rolled back to block ${report.reorg.ancestor}, dropping ${report.reorg.removed} event(s)`);
+  }
+  lines.push(
+    report.toBlock >= report.fromBlock
+      ? `Indexed ${report.added} event(s) from blocks ${report.fromBlock}–${report.toBlock}`
+      : `Up to date at block ${report.toBlock}`,
+    `  ${store.events.length} event(s) in ${store.file}`
+  );
+  return lines;
+}
+
+module.exports = {
+  name: "index",
+  summary: "Index ClawStake events into a local store for `history` (follows reorgs)",
+  usage: "clawstake index [--from-block <n>] [--confirmations <n>] [--store <file>] [--watch [--interval <seconds>]]",
+  options: {
+    "from-block": { type: "string" },
+    confirmations: { type: "string" },
+    store: { type: "string" },
+    watch: { type: "boolean" },
+    interval: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const interval = intOption(opts, "interval", 15);
+    const { store, indexer } = await ctx.eventIndex({
+      file: opts.store,
+      fromBlock: intOption(opts, "from-block"),
+      confirmations: intOption(opts, "confirmations", 0),
+    });
+
+    const cycle = async () => {
+      const report = await indexer.sync();
+      return { data: { ...report, events: store.events.length, store: store.file }, lines: reportLines(report, store) };
+    };
+    if (!opts.watch) return cycle();
+
+    // Daemon mode: one result document (or NDJSON line) per cycle
+    for (;;) {
+      try {
+        const { data, lines } = await cycle();
+        out.result(this.name, { at: new Date().toISOString(), ...data }, lines);
+      } catch (err) {
+        out.error(this.name, err);
+      }
+      await sleep(interval * 1000);
+    }
+  },
+};
@@ -0,0 +1,36 @@
+/** Subcommands in the order `clawstake --help` lists them */
+module.exports = [
+  require("./markets"),
+  require("./info"),
+  require("./positions"),
+  require("./watch"),
+  require("./notify"),
+  require("./stake"),
+  require("./unstake"),
+  require("./transfer"),
+  require("./batch"),
+  require("./strategy"),
+  require("./intent"),
+  require("./commit"),
+  require("./reveal"),
+  require("./claim"),
+  require("./refund"),
+  require("./resolve"),
+  require("./dispute"),
+  require("./quorum"),
+  require("./auto-resolve"),
+  require("./relayer"),
+  require("./cancel"),
+  require("./deadline"),
+  require("./commit-reveal"),
+  require("./sync-deadlines"),
+  require("./register"),
+  require("./registry"),
+  require("./fees"),
+  require("./solvency"),
+  require("./index-events"),
+  require("./history"),
+  require("./report"),
+  require("./roles"),
+  require("./pause"),
+];
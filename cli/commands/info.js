@@ -0,0 +1,63 @@
+const { computeFee, computePayout, computeRefund, impliedOdds } = require("../../lib/market");
+const { formatUsdc } = require("../../lib/units");
+const { addressOption, slugOption } = require("../args");
+const { formatBps, isoDate, marketView, outcomeLabel, positionView } = require("../output");
+
+module.exports = {
+  name: "info",
+  summary: "Show a market's pools and status, plus your position",
+  usage: "clawstake info --slug <slug> [--account <address>]",
+  options: {
+    slug: { type: "string" },
+    account: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    const slug = slugOption(opts);
+    const explicit = addressOption(opts, "account");
+    const client = await ctx.client();
+    const market = await client.getMarket(slug);
+
+    const categorical = market.outcomeCount > 0;
+    const lines = [`Market: ${slug}`, `  status:   ${market.status}${market.outcome ? ` (${outcomeLabel(market)})` : ""}`];
+    if (categorical) {
+      const odds = impliedOdds(market).outcomes;
+      market.outcomePools.forEach((pool, i) => {
+        const pct = odds[i] === null ? "" : `  (${(odds[i] * 100).toFixed(1)}%)`;
+        lines.push(`  #${i} pool:  ${formatUsdc(pool)} USDC${pct}`);
+      });
+    } else {
+      lines.push(`  YES pool: ${formatUsdc(market.totalYes)} USDC`, `  NO pool:  ${formatUsdc(market.totalNo)} USDC`);
+    }
+    lines.push(
+      `  deadline: ${market.deadline ? new Date(market.deadline * 1000).toISOString() : "none"}`,
+      `  fee:      ${formatBps(market.feeBps)} of winnings`
+    );
+    if (market.exitPenaltyBps > 0) lines.push(`  exit:     ${formatBps(market.exitPenaltyBps)} of unstaked amounts kept in the pool`);
+    if (market.status === "finalizing") lines.push(`  claims open ${isoDate(market.finalizesAt)} unless disputed`);
+    if (market.status === "disputed") lines.push("  resolution disputed; claims wait for the resolver");
+    const data = { market: marketView(market), position: null };
+
+    const hasSigner = typeof client.runner.getAddress === "function";
+    if (explicit || hasSigner) {
+      const position = await client.getStake(slug, await ctx.account(explicit));
+      const payout = computePayout(market, position);
+      const fee = computeFee(market, position);
+      const refund = computeRefund(market, position);
+      data.position = {
+        ...positionView(position),
+        claimable: formatUsdc(payout),
+        fee: formatUsdc(fee),
+        refundable: formatUsdc(refund),
+      };
+      const stakes = categorical
+        ? position.amounts.map((a, i) => `#${i}: ${formatUsdc(a)}`).join("  ") + " USDC"
+        : `YES: ${formatUsdc(position.amountYes)} USDC  NO: ${formatUsdc(position.amountNo)} USDC`;
+      lines.push(`Position: ${position.staker}`, `  ${stakes}${position.claimed ? "  (claimed)" : ""}`);
+      if (payout > 0n) lines.push(`  claimable: ${formatUsdc(payout)} USDC${fee > 0n ? ` (after ${formatUsdc(fee)} USDC fee)` : ""}`);
+      if (refund > 0n) lines.push(`  refundable: ${formatUsdc(refund)} USDC`);
+    }
+
+    return { data, lines };
+  },
+};
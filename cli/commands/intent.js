@@ -0,0 +1,74 @@
+const { intentToJSON } = require("../../lib/intents");
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, amountOption, intOption, sideOption, slugOption, timestampOption } = require("../args");
+
+const TYPES = ["stake", "claim", "refund"];
+
+/** POST a signed intent to a relayer; returns its queue record */
+async function postIntent(relayerUrl, intent) {
+  let res;
+  try {
+    res = await fetch(new URL("/intents", relayerUrl), {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(intentToJSON(intent)),
+    });
+  } catch (err) {
+    throw new Error(`Relayer unreachable at ${relayerUrl}: ${err.message}`);
+  }
+  const body = await res.json().catch(() => null);
+  if (!body?.ok) {
+    const error = new Error(`Relayer rejected the intent: ${body?.error?.message || `HTTP ${res.status}`}`);
+    error.code = body?.error?.code || "RelayerError";
+    throw error;
+  }
+  return body.result;
+}
+
+module.exports = {
+  name: "intent",
+  summary: "Sign a stake, claim or refund intent and send it to a relayer (no ETH needed)",
+  usage: "clawstake intent --type <stake|claim|refund> --slug <slug> [--side <yes|no> --amount <usdc> [--permit]] [--expiry <unix-seconds|ISO>] [--nonce <n>] [--relayer <url>]",
+  options: {
+    type: { type: "string" },
+    slug: { type: "string" },
+    side: { type: "string" },
+    amount: { type: "string" },
+    permit: { type: "boolean" },
+    expiry: { type: "string" },
+    nonce: { type: "string" },
+    relayer: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const type = opts.type;
+    if (!TYPES.includes(type)) throw new UsageError(`--type must be one of ${TYPES.join(", ")}`);
+    const slug = slugOption(opts);
+    const fields = { slug };
+    if (type === "stake") {
+      fields.side = sideOption(opts);
+      fields.amount = amountOption(opts);
+    } else if (opts.side !== undefined || opts.amount !== undefined || opts.permit) {
+      throw new UsageError("--side, --amount and --permit apply to stake intents only");
+    }
+    const expiry = opts.expiry === undefined ? undefined : timestampOption(opts, "expiry");
+    const nonce = intOption(opts, "nonce");
+    const client = await ctx.signingClient();
+
+    const intent = await client.signIntent(type, fields, { expiry, nonce, permit: Boolean(opts.permit) });
+    const what = type === "stake"
+      ? `stake ${sideName(intent.isYes)} ${formatUsdc(intent.amount)} USDC`
+      : type;
+    const lines = [`Signed ${what} intent — ${slug} (nonce ${intent.nonce}, expires ${new Date(intent.expiry * 1000).toISOString()})`];
+
+    if (!opts.relayer) {
+      lines.push(JSON.stringify(intentToJSON(intent)));
+      return { data: { intent: intentToJSON(intent), relayed: null }, lines };
+    }
+
+    out.info(`Sending to ${opts.relayer}...`);
+    const record = await postIntent(opts.relayer, intent);
+    lines.push(`  queued at the relayer as ${record.id}`);
+    return { data: { intent: intentToJSON(intent), relayed: record }, lines };
+  },
+};
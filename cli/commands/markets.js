@@ -0,0 +1,28 @@
+const { intOption } = require("../args");
+
+module.exports = {
+  name: "markets",
+  summary: "List top Clawdict markets",
+  usage: "clawstake markets [--token <clawdict-token>] [--limit <n>]",
+  options: {
+    token: { type: "string" },
+    limit: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    const limit = intOption(opts, "limit", 0);
+    const markets = await ctx.clawdict({ token: opts.token }).listMarkets({ limit: limit > 0 ? limit : undefined });
+
+    const lines = markets.length === 0
+      ? ["No markets found."]
+      : markets.flatMap((m, i) => [
+          `${i + 1}. ${m.title}`,
+          `   slug: ${m.slug}`,
+          ...(m.pYes !== null ? [`   pYes: ${(m.pYes * 100).toFixed(1)}%`] : []),
+          ...(m.closeDate ? [`   closes: ${m.closeDate}`] : []),
+          ...(m.status !== "open" ? [`   status: ${m.status}${m.outcome ? ` (${m.outcome})` : ""}`] : []),
+        ]);
+
+    return { data: { markets }, lines };
+  },
+};
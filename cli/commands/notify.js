@@ -0,0 +1,97 @@
+const { isAddress } = require("ethers");
+const { DEFAULT_EVENTS, NOTIFY_EVENTS, FileSink, Notifier, ScriptSink, WebhookSink } = require("../../lib/notifier");
+const { UsageError, intOption, slugOption } = require("../args");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function eventsOption(opts) {
+  if (opts.events === undefined) return DEFAULT_EVENTS;
+  if (opts.events === "all") return NOTIFY_EVENTS;
+  const events = opts.events.split(",").map((e) => e.trim()).filter(Boolean);
+  const unknown = events.filter((e) => !NOTIFY_EVENTS.includes(e));
+  if (events.length === 0 || unknown.length > 0) {
+    throw new UsageError(`--events: expected "all" or a comma-separated list of ${NOTIFY_EVENTS.join(", ")}`);
+  }
+  return events;
+}
+
+function sinksOf(opts, env) {
+  const secret = opts.secret || env.CLAWSTAKE_WEBHOOK_SECRET;
+  const sinks = [
+    ...(opts.webhook || []).map((url) => {
+      if (!/^https?:\/\//.test(url)) throw new UsageError(`--webhook: expected an http(s) URL, got "${url}"`);
+      return new WebhookSink({ url, secret });
+    }),
+    ...(opts.script || []).map((command) => new ScriptSink({ command, env })),
+    ...(opts.log ? [new FileSink({ file: opts.log })] : []),
+  ];
+  if (sinks.length === 0) throw new UsageError("Give at least one of --webhook, --script or --log");
+  return sinks;
+}
+
+function reportLine({ notification: n, deliveries }) {
+  const who = n.account ? ` ${n.account}` : "";
+  const action = n.position?.action ? ` (${n.position.action} ${n.position[n.position.action === "claim" ? "claimable" : "refundable"]} USDC)` : "";
+  const failed = deliveries.filter((d) => !d.ok);
+  const status = failed.length === 0
+    ? `delivered to ${deliveries.length} sink(s)`
+    : failed.map((d) => `${d.sink} failed after ${d.attempts} attempt(s): ${d.error}`).join("; ");
+  return `${n.event} ${n.slug}${who}${action} — ${status}`;
+}
+
+module.exports = {
+  name: "notify",
+  summary: "Send market resolutions, cancellations, passed deadlines and open refund windows to webhooks, scripts or a log",
+  usage: "clawstake notify (--webhook <url> [--secret <s>] | --script <cmd> | --log <file>) ... [--account <addr> ...] [--events <list>|all] [--slug <slug> ...] [--closing <minutes>] [--retries <n>] [--interval <seconds>] [--count <n>]",
+  options: {
+    webhook: { type: "string", multiple: true },
+    secret: { type: "string" },
+    script: { type: "string", multiple: true },
+    log: { type: "string" },
+    account: { type: "string", multiple: true },
+    events: { type: "string" },
+    slug: { type: "string", multiple: true },
+    closing: { type: "string" },
+    retries: { type: "string" },
+    interval: { type: "string" },
+    count: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const sinks = sinksOf(opts, ctx.env);
+    const events = eventsOption(opts);
+    const accounts = (opts.account || []).map((account) => {
+      if (!isAddress(account)) throw new UsageError(`--account: not a valid address: ${account}`);
+      return account;
+    });
+    const slugs = (opts.slug || []).map((slug) => slugOption({ slug }));
+    const retries = intOption(opts, "retries", 3);
+    const interval = intOption(opts, "interval", 15);
+    if (interval < 1) throw new UsageError("--interval must be at least 1 second");
+    const count = intOption(opts, "count", 0);
+
+    const client = await ctx.client();
+    const notifier = new Notifier(client, {
+      sinks, accounts, events, slugs, retries, deadlineWarning: intOption(opts, "closing", 60) * 60,
+    });
+    const { blockNumber, markets } = await notifier.start();
+    out.info(`Watching ${markets.length} market(s) from block ${blockNumber} for ${events.join(", ")}` +
+      `${accounts.length > 0 ? ` on ${accounts.length} account(s)` : ""}; sending to ${sinks.map((s) => s.name).join(", ")}`);
+
+    // One result document (or NDJSON line) per notification; --count stops after that many
+    let sent = 0;
+    for (;;) {
+      try {
+        for (const report of await notifier.poll()) {
+          out.result(this.name, report, [reportLine(report)]);
+          if (count > 0 && ++sent >= count) {
+            return { data: { notifications: sent, blockNumber: notifier.watcher.cursor }, lines: [`Stopped after ${sent} notification(s)`] };
+          }
+        }
+      } catch (err) {
+        out.error(this.name, err);
+      }
+      await sleep(interval * 1000);
+    }
+  },
+};
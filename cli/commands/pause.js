@@ -0,0 +1,23 @@
+const { txView } = require("../output");
+
+module.exports = {
+  name: "pause",
+  summary: "Pause new stakes, or resume them with --resume (pauser only)",
+  usage: "clawstake pause [--resume]",
+  options: {
+    resume: { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    const client = await ctx.signingClient();
+    const tx = opts.resume ? await client.unpause() : await client.pause();
+    const paused = !opts.resume;
+    return {
+      data: { paused, tx: txView(tx) },
+      lines: [
+        paused ? "Staking paused; claims and refunds remain available" : "Staking resumed",
+        `  tx: ${tx.hash}`,
+      ],
+    };
+  },
+};
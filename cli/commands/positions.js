@@ -0,0 +1,92 @@
+const { summarizePortfolio } = require("../../lib/market");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, addressOption } = require("../args");
+const { isoDate, outcomeLabel } = require("../output");
+
+const STATUSES = ["open", "closed", "refundable", "resolved", "cancelled"];
+
+function pct(p) {
+  return p === null ? "-" : `${(p * 100).toFixed(1)}%`;
+}
+
+function signedUsdc(units) {
+  if (units === null) return null;
+  return units < 0n ? `-${formatUsdc(-units)}` : formatUsdc(units);
+}
+
+function entryView(e) {
+  return {
+    slug: e.slug,
+    status: e.status,
+    outcome: e.outcome,
+    yesBps: e.yesBps,
+    deadline: isoDate(e.deadline),
+    amountYes: formatUsdc(e.amountYes),
+    amountNo: formatUsdc(e.amountNo),
+    amounts: e.amounts.map(formatUsdc),
+    staked: formatUsdc(e.staked),
+    claimed: e.claimed,
+    impliedYes: e.odds.yes,
+    impliedNo: e.odds.no,
+    impliedOutcomes: e.odds.outcomes ?? null,
+    claimable: formatUsdc(e.claimable),
+    refundable: formatUsdc(e.refundable),
+    realizedPnl: signedUsdc(e.realizedPnl),
+  };
+}
+
+module.exports = {
+  name: "positions",
+  summary: "Portfolio: an account's stakes, odds, claimable amounts and PnL",
+  usage: `clawstake positions [--account <address>] [--status <${STATUSES.join("|")}>] [--actionable]`,
+  options: {
+    account: { type: "string" },
+    status: { type: "string" },
+    actionable: { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts.status !== undefined && !STATUSES.includes(opts.status)) {
+      throw new UsageError(`--status must be one of ${STATUSES.join(", ")}`);
+    }
+    const client = await ctx.client();
+    const account = await ctx.account(addressOption(opts, "account"));
+
+    out.info(`Scanning ${await client.marketCount()} markets for ${account}...`);
+    let entries = await client.getPositions(account);
+    if (opts.status) entries = entries.filter((e) => e.status === opts.status);
+    if (opts.actionable) entries = entries.filter((e) => e.claimable > 0n || e.refundable > 0n);
+
+    const totals = summarizePortfolio(entries);
+    const totalsView = {
+      staked: formatUsdc(totals.staked),
+      atRisk: formatUsdc(totals.atRisk),
+      claimable: formatUsdc(totals.claimable),
+      refundable: formatUsdc(totals.refundable),
+      realizedPnl: signedUsdc(totals.realizedPnl),
+    };
+
+    const lines = entries.length === 0
+      ? [`No positions for ${account}`]
+      : [
+          `Positions for ${account}`,
+          ...entries.flatMap((e) => {
+            const categorical = e.amounts.length > 0;
+            const rows = [
+              `${e.slug} [${e.status}${e.outcome ? ` ${outcomeLabel(e)}` : ""}]`,
+              categorical
+                ? `  ${e.amounts.map((a, i) => `#${i} ${formatUsdc(a)} (${pct(e.odds.outcomes[i])})`).join(" / ")} USDC`
+                : `  YES ${formatUsdc(e.amountYes)} / NO ${formatUsdc(e.amountNo)} USDC   odds YES ${pct(e.odds.yes)} / NO ${pct(e.odds.no)}`,
+            ];
+            if (e.claimable > 0n) rows.push(`  claimable:  ${formatUsdc(e.claimable)} USDC`);
+            if (e.refundable > 0n) rows.push(`  refundable: ${formatUsdc(e.refundable)} USDC`);
+            if (e.realizedPnl !== null) rows.push(`  PnL:        ${signedUsdc(e.realizedPnl)} USDC${e.claimed ? " (collected)" : ""}`);
+            return rows;
+          }),
+          "",
+          `Total staked ${totalsView.staked} USDC, at risk ${totalsView.atRisk}, claimable ${totalsView.claimable}, refundable ${totalsView.refundable}, realized PnL ${totalsView.realizedPnl}`,
+        ];
+
+    return { data: { account, positions: entries.map(entryView), totals: totalsView }, lines };
+  },
+};
@@ -0,0 +1,52 @@
+const { UsageError, intOption, slugOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "quorum",
+  summary: "Show a market's vote tally, or show/set the resolver quorum (admin to change)",
+  usage: "clawstake quorum (--slug <slug> | [--set <n> [--cancel-on-conflict]])",
+  options: {
+    slug: { type: "string" },
+    set: { type: "string" },
+    "cancel-on-conflict": { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    if (opts.slug !== undefined && opts.set !== undefined) {
+      throw new UsageError("Use either --slug or --set, not both");
+    }
+    if (opts["cancel-on-conflict"] && opts.set === undefined) {
+      throw new UsageError("--cancel-on-conflict requires --set");
+    }
+
+    if (opts.slug !== undefined) {
+      const slug = slugOption(opts);
+      const client = await ctx.client();
+      const tally = await client.getTally(slug);
+      const lines = [`${slug}: ${tally.yes} YES / ${tally.no} NO  (quorum ${tally.quorum || "off"})`];
+      if (tally.escalated) lines.push("  Resolvers disagree: awaiting the admin's resolve --escalated");
+      return { data: { slug, ...tally }, lines };
+    }
+
+    const lines = [];
+    let tx = null;
+    if (opts.set !== undefined) {
+      const client = await ctx.signingClient();
+      tx = await client.setResolutionQuorum({
+        quorum: intOption(opts, "set"),
+        cancelOnConflict: Boolean(opts["cancel-on-conflict"]),
+      });
+      lines.push(`Resolution quorum updated  tx: ${tx.hash}`);
+    }
+
+    const client = await ctx.client();
+    const params = await client.quorumParams();
+    lines.push(
+      params.quorum > 0
+        ? `Quorum: ${params.quorum} matching resolver votes`
+        : "Quorum: off (a single resolver calls resolve)",
+      `On conflicting votes: ${params.cancelOnConflict ? "cancel the market" : "escalate to the admin"}`
+    );
+    return { data: { ...params, tx: tx ? txView(tx) : null }, lines };
+  },
+};
@@ -0,0 +1,65 @@
+const { CommitStore, defaultStorePath } = require("../../lib/commitStore");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, slugOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "refund",
+  summary: "Refund stakes from a cancelled or expired market, or from all of them; --commitment withdraws an unrevealed commitment",
+  usage: "clawstake refund (--slug <slug> [--commitment] | --all)",
+  options: {
+    slug: { type: "string" },
+    all: { type: "boolean" },
+    commitment: { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts.all && opts.slug !== undefined) throw new UsageError("Use either --slug or --all, not both");
+    if (opts.all && opts.commitment) throw new UsageError("--commitment needs --slug");
+
+    if (opts.all) {
+      const client = await ctx.signingClient();
+      const slugs = (await client.getPositions())
+        .filter((p) => p.refundable > 0n)
+        .map((p) => p.slug);
+      if (slugs.length === 0) {
+        return { data: { slugs, amount: "0.0", tx: null }, lines: ["Nothing to refund"] };
+      }
+
+      out.info(`Refunding ${slugs.length} market(s): ${slugs.join(", ")}`);
+      const result = await client.batchRefund(slugs);
+      return {
+        data: { slugs, amount: formatUsdc(result.amount), tx: txView(result) },
+        lines: [`Refunded ${formatUsdc(result.amount)} USDC from ${slugs.length} market(s)`, `  tx: ${result.hash}`],
+      };
+    }
+
+    const slug = slugOption(opts);
+    const client = await ctx.signingClient();
+
+    if (opts.commitment) {
+      const result = await client.refundCommitment(slug);
+      const [network, module, staker] = await Promise.all([
+        client.provider.getNetwork(),
+        client.commitReveal().then((m) => m.getAddress()),
+        client.signerAddress(),
+      ]);
+      // The salt is of no use any more
+      new CommitStore(defaultStorePath(ctx.env)).remove({ chainId: network.chainId, module, slug, staker });
+      return {
+        data: { slug, amount: formatUsdc(result.amount), penalty: formatUsdc(result.penalty), tx: txView(result) },
+        lines: [
+          `Refunded ${formatUsdc(result.amount)} USDC of your commitment in ${slug}` +
+            (result.penalty > 0n ? ` (${formatUsdc(result.penalty)} USDC kept as the unrevealed penalty)` : ""),
+          `  tx: ${result.hash}`,
+        ],
+      };
+    }
+
+    const result = await client.refund(slug);
+    return {
+      data: { slug, amount: formatUsdc(result.amount), tx: txView(result) },
+      lines: [`Refunded ${formatUsdc(result.amount)} USDC from ${slug}`, `  tx: ${result.hash}`],
+    };
+  },
+};
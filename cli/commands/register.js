@@ -0,0 +1,95 @@
+const { isValidSlug } = require("../../lib/market");
+const { CLAWDICT_MARKET_URL, applyRegistrations, planRegistrations } = require("../../lib/registry");
+const { UsageError, intOption, slugOption, timestampOption } = require("../args");
+const { isoDate, txView } = require("../output");
+
+function stepLine(step) {
+  const detail = step.action === "create"
+    ? `deadline ${isoDate(step.deadline) || "none"}`
+    : step.reason;
+  return `  ${step.action.padEnd(6)} ${step.slug}: ${detail}`;
+}
+
+function stepView(step) {
+  return { slug: step.slug, action: step.action, deadline: isoDate(step.deadline), metadataURI: step.metadataURI, reason: step.reason };
+}
+
+module.exports = {
+  name: "register",
+  summary: "Register markets before staking: one slug, or the Clawdict top list (market creator or market admin)",
+  usage: "clawstake register (--slug <slug> [--at <date>] [--uri <uri>] [--outcomes <n>] | --from-clawdict [--limit <n>] [--dry-run])",
+  options: {
+    slug: { type: "string" },
+    outcomes: { type: "string" },
+    at: { type: "string" },
+    uri: { type: "string" },
+    "from-clawdict": { type: "boolean" },
+    limit: { type: "string" },
+    "dry-run": { type: "boolean" },
+    token: { type: "string" },
+    api: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts["from-clawdict"] && opts.slug !== undefined) {
+      throw new UsageError("Use either --slug or --from-clawdict, not both");
+    }
+
+    if (!opts["from-clawdict"]) {
+      const slug = slugOption(opts);
+      if (!isValidSlug(slug)) throw new UsageError(`--slug "${slug}": use lowercase a-z, 0-9 and '-', at most 128 characters`);
+      const deadline = opts.at === undefined ? 0 : timestampOption(opts, "at");
+      const metadataURI = opts.uri ?? CLAWDICT_MARKET_URL + encodeURIComponent(slug);
+
+      const outcomes = intOption(opts, "outcomes", 0);
+
+      const client = await ctx.signingClient();
+      const result = outcomes
+        ? await client.createCategoricalMarket(slug, { outcomes, deadline, metadataURI })
+        : await client.createMarket(slug, { deadline, metadataURI });
+      const kind = outcomes ? ` with ${outcomes} outcomes` : "";
+      return {
+        data: { slug, outcomes, deadline: isoDate(deadline), metadataURI, tx: txView(result) },
+        lines: [`Registered ${slug}${kind}${deadline ? ` (deadline ${isoDate(deadline)})` : ""}`, `  tx: ${result.hash}`],
+      };
+    }
+
+    const client = opts["dry-run"] ? await ctx.client() : await ctx.signingClient();
+    const plan = await planRegistrations(client, {
+      limit: intOption(opts, "limit", 0),
+      token: opts.token || ctx.env.CLAWDICT_TOKEN,
+      baseUrl: opts.api || ctx.env.CLAWDICT_API,
+    });
+    const creates = plan.filter((s) => s.action === "create");
+    const header = `Registration plan: ${creates.length} to create, ${plan.length - creates.length} skipped`;
+
+    if (opts["dry-run"] || creates.length === 0) {
+      return {
+        data: { dryRun: !!opts["dry-run"], plan: plan.map(stepView), registered: [] },
+        lines: [header, ...plan.map(stepLine)],
+      };
+    }
+
+    out.info(header);
+    for (const step of plan) out.info(stepLine(step));
+
+    const results = await applyRegistrations(client, plan);
+    const failed = results.filter((r) => r.error);
+    return {
+      data: {
+        dryRun: false,
+        plan: plan.map(stepView),
+        registered: results.map((r) => ({
+          ...stepView(r),
+          hash: r.hash,
+          error: r.error ? { code: r.error.code || r.error.name, message: r.error.message } : null,
+        })),
+      },
+      lines: [
+        ...results.map((r) => (r.error ? `  FAILED ${r.slug}: ${r.error.message}` : `  created ${r.slug}: ${r.hash}`)),
+        `Registered ${results.length - failed.length} market(s)${failed.length ? `, ${failed.length} failed` : ""}`,
+      ],
+      exitCode: failed.length ? 1 : 0,
+    };
+  },
+};
@@ -0,0 +1,56 @@
+const { UsageError, addressOption } = require("../args");
+const { txView } = require("../output");
+
+module.exports = {
+  name: "registry",
+  summary: "Show or change registry mode and market creators (market admin / admin to change)",
+  usage: "clawstake registry [--mode <on|off>] [--grant <address>] [--revoke <address>] [--check <address>]",
+  options: {
+    mode: { type: "string" },
+    grant: { type: "string" },
+    revoke: { type: "string" },
+    check: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    if (opts.mode !== undefined && !["on", "off"].includes(opts.mode)) {
+      throw new UsageError('--mode must be "on" or "off"');
+    }
+    const grant = addressOption(opts, "grant");
+    const revoke = addressOption(opts, "revoke");
+    const check = addressOption(opts, "check");
+
+    const changes = [];
+    const lines = [];
+    if (opts.mode !== undefined || grant || revoke) {
+      const client = await ctx.signingClient();
+      if (opts.mode !== undefined) {
+        const tx = await client.setRegistryMode(opts.mode === "on");
+        changes.push({ change: `mode ${opts.mode}`, tx: txView(tx) });
+        lines.push(`Registry mode ${opts.mode}  tx: ${tx.hash}`);
+      }
+      if (grant) {
+        const tx = await client.setMarketCreator(grant, true);
+        changes.push({ change: `grant ${grant}`, tx: txView(tx) });
+        lines.push(`Granted market creator to ${grant}  tx: ${tx.hash}`);
+      }
+      if (revoke) {
+        const tx = await client.setMarketCreator(revoke, false);
+        changes.push({ change: `revoke ${revoke}`, tx: txView(tx) });
+        lines.push(`Revoked market creator from ${revoke}  tx: ${tx.hash}`);
+      }
+    }
+
+    const client = await ctx.client();
+    const registryMode = await client.registryMode();
+    lines.push(`Registry mode: ${registryMode ? "on (markets must be registered)" : "off (created on first stake)"}`);
+
+    let creator = null;
+    if (check) {
+      creator = { account: check, allowed: await client.isMarketCreator(check) };
+      lines.push(`${check} ${creator.allowed ? "is" : "is not"} a market creator`);
+    }
+
+    return { data: { registryMode, creator, changes }, lines };
+  },
+};
@@ -0,0 +1,40 @@
+const { Relayer } = require("../../lib/relayer");
+const { UsageError, intOption } = require("../args");
+
+module.exports = {
+  name: "relayer",
+  summary: "Serve a local relayer that batches signed intents and submits them, paying the gas",
+  usage: "clawstake relayer [--port <port>] [--host <host>] [--interval <seconds>] [--max-batch <n>]",
+  options: {
+    port: { type: "string" },
+    host: { type: "string" },
+    interval: { type: "string" },
+    "max-batch": { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const port = intOption(opts, "port", 8547);
+    const interval = intOption(opts, "interval", 5);
+    const maxBatch = intOption(opts, "max-batch", 20);
+    if (maxBatch < 1) throw new UsageError("--max-batch must be at least 1");
+    const client = await ctx.signingClient();
+
+    // Daemon mode: one result document (or NDJSON line) per submitted batch
+    const relayer = new Relayer(client, {
+      maxBatch,
+      interval,
+      onBatch: (report) => {
+        out.result(this.name, { at: new Date().toISOString(), ...report }, [
+          report.hash ? `Submitted ${report.submitted.length} intent(s): ${report.hash}` : "Nothing submitted",
+          ...report.failed.map((f) => `  failed ${f.id}: ${f.code} — ${f.message}`),
+        ]);
+      },
+      onError: (err) => out.error(this.name, err),
+    });
+    const { host, port: bound } = await relayer.listen(port, opts.host || "127.0.0.1");
+    out.info(`Relaying intents to ${client.address} on http://${host}:${bound} (gas paid by ${await client.signerAddress()})`);
+
+    // Serve until interrupted
+    await new Promise(() => {});
+  },
+};
@@ -0,0 +1,112 @@
+const { calibrationReport, stakerLeaderboard, toCsv } = require("../../lib/calibration");
+const { PredictionLog, defaultPredictionsPath } = require("../../lib/predictions");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, addressOption, intOption } = require("../args");
+
+const MARKET_COLUMNS = ["slug", "category", "forecasts", "probability", "outcome", "brier", "logLoss", "staked", "pnl", "roi"];
+const LEADERBOARD_COLUMNS = ["rank", "account", "markets", "wins", "staked", "pnl", "roi"];
+
+const num = (x, digits = 4) => (x === null ? "—" : x.toFixed(digits));
+const pct = (x) => (x === null ? "—" : `${(x * 100).toFixed(1)}%`);
+
+/** Copy of `row` with bigint amounts as USDC strings, for JSON */
+function usdcView(row) {
+  return Object.fromEntries(Object.entries(row).map(([k, v]) => [k, typeof v === "bigint" ? formatUsdc(v) : v]));
+}
+
+async function calibration(ctx, opts) {
+  const client = await ctx.client();
+  const account = await ctx.account(addressOption(opts, "account"));
+  const { chainId } = await client.provider.getNetwork();
+  const log = new PredictionLog(opts.predictions || defaultPredictionsPath(ctx.env));
+  const predictions = log.list({ chainId, contract: client.address, account });
+  const report = calibrationReport(predictions, await client.getPositions(account));
+
+  const data = {
+    account,
+    summary: usdcView(report.summary),
+    buckets: report.buckets,
+    markets: report.markets.map(usdcView),
+    categories: report.categories.map(usdcView),
+  };
+  if (opts.csv) return { data, lines: toCsv(report.markets, MARKET_COLUMNS) };
+
+  const { summary } = report;
+  const lines = [
+    `${account}: ${summary.markets} resolved market(s), ${summary.forecasts} recorded forecast(s)`,
+    `  Brier ${num(summary.brier)}   log loss ${num(summary.logLoss)}`,
+    `  staked ${formatUsdc(summary.staked)} USDC, PnL ${formatUsdc(summary.pnl)} USDC, ROI ${pct(summary.roi)}`,
+  ];
+  if (report.buckets.length > 0) {
+    lines.push("", "Calibration (forecast → observed):");
+    for (const b of report.buckets) {
+      lines.push(`  ${pct(b.from).padStart(6)}–${pct(b.to).padEnd(6)}  ${String(b.forecasts).padStart(3)} forecast(s)  mean ${pct(b.meanProbability)} → ${pct(b.observed)}`);
+    }
+  }
+  if (report.markets.length > 0) {
+    lines.push("", "Markets:");
+    for (const m of report.markets) {
+      lines.push(`  ${m.slug} [${m.category}]  forecast ${pct(m.probability)}, outcome ${pct(m.outcome)}, Brier ${num(m.brier)}, PnL ${formatUsdc(m.pnl)} (${pct(m.roi)})`);
+    }
+    lines.push("", "Categories:");
+    for (const c of report.categories) {
+      lines.push(`  ${c.category}: ${c.markets} market(s), Brier ${num(c.brier)}, PnL ${formatUsdc(c.pnl)} USDC (${pct(c.roi)})`);
+    }
+  }
+  return { data, lines };
+}
+
+async function leaderboard(ctx, opts) {
+  const limit = intOption(opts, "limit", 20);
+  const client = await ctx.client();
+  const { store, indexer } = await ctx.eventIndex({ file: opts.store });
+  if (!opts.cached) await indexer.sync();
+  let rows = await stakerLeaderboard(client, store);
+  if (limit > 0) rows = rows.slice(0, limit);
+
+  // Clawdict's forecaster ranking is shown alongside; it may be unavailable
+  const clawdict = ((await ctx.clawdict().leaderboard().catch(() => null)) || [])
+    .slice(0, limit > 0 ? limit : undefined)
+    .map((entry, i) => ({ rank: i + 1, ...entry }));
+
+  const data = { block: store.cursor, stakers: rows.map(usdcView), clawdict };
+  if (opts.csv) return { data, lines: toCsv(rows, LEADERBOARD_COLUMNS) };
+
+  const lines = ["ClawStake stakers (realized PnL on settled markets):"];
+  if (rows.length === 0) lines.push("  No settled positions yet");
+  for (const r of rows) {
+    lines.push(`  ${r.rank}. ${r.account}  PnL ${formatUsdc(r.pnl)} USDC, ROI ${pct(r.roi)}, ${r.wins}/${r.markets} market(s) won`);
+  }
+  lines.push("", "Clawdict forecasters:");
+  if (clawdict.length === 0) lines.push("  No leaderboard data available");
+  for (const e of clawdict) lines.push(`  ${e.rank}. ${e.name} — Score: ${e.score ?? "?"}`);
+  return { data, lines };
+}
+
+module.exports = {
+  name: "report",
+  summary: "Score recorded forecasts on resolved markets (Brier, log loss, calibration, PnL), or rank all stakers",
+  usage: "clawstake report [--account <addr>] [--predictions <file>] [--csv] | clawstake report --leaderboard [--limit <n>] [--store <file>] [--cached] [--csv]",
+  options: {
+    account: { type: "string" },
+    predictions: { type: "string" },
+    leaderboard: { type: "boolean" },
+    limit: { type: "string" },
+    store: { type: "string" },
+    cached: { type: "boolean" },
+    csv: { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    if (opts.leaderboard) {
+      if (opts.account !== undefined || opts.predictions !== undefined) {
+        throw new UsageError("--leaderboard does not take --account or --predictions");
+      }
+      return leaderboard(ctx, opts);
+    }
+    if (opts.limit !== undefined || opts.store !== undefined || opts.cached) {
+      throw new UsageError("--limit, --store and --cached require --leaderboard");
+    }
+    return calibration(ctx, opts);
+  },
+};
@@ -0,0 +1,127 @@
+const { sideName } = require("../../lib/units");
+const { UsageError, intOption, sideOption, slugOption } = require("../args");
+const { formatBps, isoDate, txView } = require("../output");
+
+// Split the pool: YES stakers get yesBps / 10000 of it, NO stakers the rest
+async function resolveFractional(ctx, opts, slug) {
+  if (opts.outcome !== undefined) throw new UsageError("Use either --outcome or --yes-bps, not both");
+  if (opts.correct || opts.escalated) throw new UsageError("--yes-bps cannot be combined with --correct or --escalated");
+  const yesBps = intOption(opts, "yes-bps");
+  if (yesBps > 10_000) throw new UsageError("--yes-bps must be at most 10000");
+  const client = await ctx.signingClient();
+
+  const result = await client.resolveFractional(slug, yesBps);
+  const lines = [
+    `Resolved ${slug} fractionally: ${formatBps(yesBps)} of the pool to YES, ${formatBps(10_000 - yesBps)} to NO`,
+    `  tx: ${result.hash}`,
+  ];
+  const { finalizesAt } = await client.getDispute(slug);
+  if (finalizesAt > (await client.now())) lines.push(`  Dispute window open until ${isoDate(finalizesAt)}`);
+  return { data: { slug, yesBps, tx: txView(result) }, lines };
+}
+
+// Categorical markets: resolve or correct to an outcome index
+async function resolveOutcome(ctx, opts, slug) {
+  if (opts.outcome !== undefined) throw new UsageError("Use either --outcome or --index, not both");
+  if (opts.escalated) throw new UsageError("--escalated applies to YES/NO markets only");
+  const index = intOption(opts, "index");
+  const client = await ctx.signingClient();
+
+  const result = opts.correct ? await client.correctOutcome(slug, index) : await client.resolveOutcome(slug, index);
+  const lines = opts.correct
+    ? [`${result.changed ? "Corrected" : "Confirmed"} ${slug} as outcome #${index}; resolution is final`, `  tx: ${result.hash}`]
+    : [`Resolved ${slug} as outcome #${index}`, `  tx: ${result.hash}`];
+  if (result.autoCancelled) {
+    lines.push("  No stakes on the winning outcome: market auto-cancelled for refunds");
+  } else if (!opts.correct) {
+    const { finalizesAt } = await client.getDispute(slug);
+    if (finalizesAt > (await client.now())) lines.push(`  Dispute window open until ${isoDate(finalizesAt)}`);
+  }
+
+  const data = { slug, index, autoCancelled: result.autoCancelled, tx: txView(result) };
+  if (opts.correct) data.changed = result.changed;
+  return { data, lines };
+}
+
+module.exports = {
+  name: "resolve",
+  summary: "Resolve a market (or vote on it in quorum mode), or --correct one that is not final yet (resolver only)",
+  usage: "clawstake resolve --slug <slug> (--outcome <yes|no> | --yes-bps <0-10000> | --index <outcome>) [--correct | --escalated]",
+  options: {
+    slug: { type: "string" },
+    outcome: { type: "string" },
+    "yes-bps": { type: "string" },
+    index: { type: "string" },
+    correct: { type: "boolean" },
+    escalated: { type: "boolean" },
+  },
+
+  async run(ctx, opts) {
+    const slug = slugOption(opts);
+    if (opts.correct && opts.escalated) throw new UsageError("Use either --correct or --escalated, not both");
+    if (opts.index !== undefined) return resolveOutcome(ctx, opts, slug);
+    if (opts["yes-bps"] !== undefined) return resolveFractional(ctx, opts, slug);
+    const outcomeYes = sideOption(opts, "outcome");
+    const client = await ctx.signingClient();
+
+    if (opts.correct) {
+      const result = await client.correctResolution(slug, outcomeYes);
+      const lines = [
+        `${result.changed ? "Corrected" : "Confirmed"} ${slug} as ${sideName(outcomeYes)}; resolution is final`,
+        `  tx: ${result.hash}`,
+      ];
+      if (result.autoCancelled) lines.push("  No stakes on the winning side: market auto-cancelled for refunds");
+      return {
+        data: {
+          slug,
+          outcome: outcomeYes ? "yes" : "no",
+          changed: result.changed,
+          autoCancelled: result.autoCancelled,
+          tx: txView(result),
+        },
+        lines,
+      };
+    }
+
+    const { quorum } = await client.quorumParams();
+    if (quorum > 0 && !opts.escalated) {
+      const result = await client.voteOutcome(slug, outcomeYes);
+      const tally = await client.getTally(slug);
+      const lines = [
+        `Voted ${sideName(outcomeYes)} on ${slug}  (${tally.yes} YES / ${tally.no} NO, quorum ${quorum})`,
+        `  tx: ${result.hash}`,
+      ];
+      if (result.resolved) lines.push(`  Quorum reached: resolved as ${sideName(outcomeYes)}`);
+      if (result.escalated) lines.push("  Resolvers disagree: escalated to the admin (clawstake resolve --escalated)");
+      if (result.cancelled) lines.push("  Market cancelled for refunds");
+      return {
+        data: {
+          slug,
+          outcome: outcomeYes ? "yes" : "no",
+          tally,
+          resolved: result.resolved,
+          escalated: result.escalated,
+          cancelled: result.cancelled,
+          tx: txView(result),
+        },
+        lines,
+      };
+    }
+
+    const result = opts.escalated
+      ? await client.resolveEscalated(slug, outcomeYes)
+      : await client.resolve(slug, outcomeYes);
+    const lines = [`Resolved ${slug} as ${sideName(outcomeYes)}`, `  tx: ${result.hash}`];
+    if (result.autoCancelled) {
+      lines.push("  No stakes on the winning side: market auto-cancelled for refunds");
+    } else {
+      const { finalizesAt } = await client.getDispute(slug);
+      if (finalizesAt > (await client.now())) lines.push(`  Dispute window open until ${isoDate(finalizesAt)}`);
+    }
+
+    return {
+      data: { slug, outcome: outcomeYes ? "yes" : "no", autoCancelled: result.autoCancelled, tx: txView(result) },
+      lines,
+    };
+  },
+};
@@ -0,0 +1,105 @@
+const { CommitStore, defaultStorePath } = require("../../lib/commitStore");
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, intOption, slugOption } = require("../args");
+const { isoDate } = require("../output");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function stepLine(step) {
+  const what = `${step.slug} ${sideName(step.isYes)} ${step.amount} USDC`;
+  switch (step.action) {
+    case "revealed":
+      return `  revealed ${what}: ${step.hash}`;
+    case "waiting":
+      return `  waiting  ${what} — reveals open after ${step.revealFrom}`;
+    case "expired":
+      return `  expired  ${what} — reveal window closed; clawstake refund --commitment --slug ${step.slug}`;
+    case "gone":
+      return `  gone     ${what} — no longer open on-chain, removed from the salt file`;
+    default:
+      return `  FAILED   ${what}: ${step.error.message}`;
+  }
+}
+
+/**
+ * Reveal every stored commitment on this chain whose reveal window is open.
+ * Revealed (and no longer open) commitments are dropped from the store;
+ * ones still in their commit phase wait for the next cycle.
+ */
+async function cycle(client, store, slug) {
+  const [network, module, now] = await Promise.all([
+    client.provider.getNetwork(),
+    client.commitReveal().then((m) => m.getAddress()),
+    client.now(),
+  ]);
+  const commitments = store.list({ chainId: network.chainId, module, slug });
+
+  const steps = [];
+  for (const commitment of commitments) {
+    const step = { slug: commitment.slug, staker: commitment.staker, isYes: commitment.isYes, amount: formatUsdc(commitment.amount) };
+    try {
+      const [schedule, open] = await Promise.all([
+        client.getCommitSchedule(commitment.slug, { now }),
+        client.getCommitment(commitment.slug, commitment.staker),
+      ]);
+      if (!open || open.hash !== commitment.hash) {
+        // Revealed by someone else, refunded, or never mined
+        store.remove(commitment);
+        steps.push({ ...step, action: "gone" });
+      } else if (schedule.phase === "commit") {
+        steps.push({ ...step, action: "waiting", revealFrom: isoDate(schedule.commitDeadline) });
+      } else if (schedule.phase === "closed") {
+        steps.push({ ...step, action: "expired" });
+      } else {
+        const result = await client.revealStake(commitment);
+        store.remove(commitment);
+        steps.push({ ...step, action: "revealed", hash: result.hash });
+      }
+    } catch (err) {
+      steps.push({ ...step, action: "failed", error: { code: err.code || err.name, message: err.message } });
+    }
+  }
+
+  const revealed = steps.filter((s) => s.action === "revealed").length;
+  const failed = steps.filter((s) => s.action === "failed").length;
+  return {
+    data: { steps },
+    lines: steps.length === 0
+      ? ["No stored commitments to reveal"]
+      : [...steps.map(stepLine), `Revealed ${revealed} of ${steps.length} stored commitment(s)${failed ? `, ${failed} failed` : ""}`],
+    exitCode: failed ? 1 : 0,
+  };
+}
+
+module.exports = {
+  name: "reveal",
+  summary: "Reveal commitments saved by `commit` once their reveal window opens (any signer can reveal)",
+  usage: "clawstake reveal (--slug <slug> | --all) [--watch [--interval <seconds>]]",
+  options: {
+    slug: { type: "string" },
+    all: { type: "boolean" },
+    watch: { type: "boolean" },
+    interval: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts.all && opts.slug !== undefined) throw new UsageError("Use either --slug or --all, not both");
+    const slug = opts.all ? undefined : slugOption(opts);
+    const interval = intOption(opts, "interval", 60);
+    const client = await ctx.signingClient();
+    const store = new CommitStore(defaultStorePath(ctx.env));
+
+    if (!opts.watch) return cycle(client, store, slug);
+
+    // Daemon mode: one result document (or NDJSON line) per cycle
+    for (;;) {
+      try {
+        const { data, lines } = await cycle(client, store, slug);
+        out.result(this.name, { at: new Date().toISOString(), ...data }, lines);
+      } catch (err) {
+        out.error(this.name, err);
+      }
+      await sleep(interval * 1000);
+    }
+  },
+};
@@ -0,0 +1,49 @@
+const { ROLES, roleId, roleName } = require("../../lib/roles");
+const { UsageError, addressOption, required } = require("../args");
+const { txView } = require("../output");
+
+function roleOption(opts, name) {
+  try {
+    return roleName(roleId(required(opts, name)));
+  } catch (err) {
+    if (err instanceof UsageError) throw err;
+    throw new UsageError(`--${name}: ${err.message}`);
+  }
+}
+
+module.exports = {
+  name: "roles",
+  summary: "Show an account's roles, or grant/revoke one (admin only to change)",
+  usage: "clawstake roles [--account <address>] [--grant <role> | --revoke <role>]",
+  options: {
+    account: { type: "string" },
+    grant: { type: "string" },
+    revoke: { type: "string" },
+  },
+
+  async run(ctx, opts) {
+    if (opts.grant !== undefined && opts.revoke !== undefined) {
+      throw new UsageError("Use either --grant or --revoke, not both");
+    }
+    const explicit = addressOption(opts, "account");
+    const grant = opts.grant === undefined ? undefined : roleOption(opts, "grant");
+    const revoke = opts.revoke === undefined ? undefined : roleOption(opts, "revoke");
+    if ((grant || revoke) && !explicit) throw new UsageError("--grant and --revoke require --account");
+
+    const lines = [];
+    let change = null;
+    if (grant || revoke) {
+      const client = await ctx.signingClient();
+      const tx = grant ? await client.grantRole(grant, explicit) : await client.revokeRole(revoke, explicit);
+      change = { action: grant ? "grant" : "revoke", role: grant || revoke, tx: txView(tx) };
+      lines.push(`${grant ? "Granted" : "Revoked"} ${grant || revoke} ${grant ? "to" : "from"} ${explicit}  tx: ${tx.hash}`);
+    }
+
+    const client = await ctx.client();
+    const account = await ctx.account(explicit);
+    const roles = await client.rolesOf(account);
+    lines.push(`${account}: ${roles.length ? roles.join(", ") : "no roles"}`);
+
+    return { data: { account, roles, available: Object.keys(ROLES), change }, lines };
+  },
+};
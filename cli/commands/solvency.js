@@ -0,0 +1,30 @@
+const { formatUsdc } = require("../../lib/units");
+
+module.exports = {
+  name: "solvency",
+  summary: "Compare the contract's USDC balance with what it owes stakers",
+  usage: "clawstake solvency",
+  options: {},
+
+  async run(ctx) {
+    const client = await ctx.client();
+    const s = await client.solvency();
+    const covered = s.balance >= s.liabilities + s.fees;
+
+    return {
+      data: {
+        balance: formatUsdc(s.balance),
+        liabilities: formatUsdc(s.liabilities),
+        fees: formatUsdc(s.fees),
+        surplus: formatUsdc(s.surplus),
+        solvent: covered,
+      },
+      lines: [
+        `Balance:     ${formatUsdc(s.balance)} USDC`,
+        `Liabilities: ${formatUsdc(s.liabilities)} USDC (unclaimed stakes)`,
+        `Fees:        ${formatUsdc(s.fees)} USDC (accrued)`,
+        `Surplus:     ${formatUsdc(s.surplus)} USDC${covered ? "" : "  WARNING: balance does not cover liabilities"}`,
+      ],
+    };
+  },
+};
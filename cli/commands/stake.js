@@ -0,0 +1,113 @@
+const { PredictionLog, defaultPredictionsPath } = require("../../lib/predictions");
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, amountOption, intOption, probabilityOption, sideOption, slugOption, timestampOption } = require("../args");
+const { marketView, txView } = require("../output");
+
+async function stakeOutcome(ctx, opts, out, slug) {
+  if (opts.side !== undefined) throw new UsageError("Use either --side or --index, not both");
+  if (opts.deadline !== undefined) throw new UsageError("--deadline applies to YES/NO markets only");
+  if (opts.permit) throw new UsageError("--permit applies to YES/NO markets only");
+  if (opts.probability !== undefined) throw new UsageError("--probability applies to YES/NO markets only");
+  const index = intOption(opts, "index");
+  const amount = amountOption(opts);
+  const client = await ctx.signingClient();
+
+  out.info(`Staking ${formatUsdc(amount)} USDC on outcome #${index} for ${slug}...`);
+  const result = await client.stakeOutcome(slug, index, amount, { infiniteApproval: Boolean(opts["infinite-approval"]) });
+  const market = await client.getMarket(slug);
+
+  return {
+    data: {
+      slug,
+      index,
+      amount: formatUsdc(amount),
+      approval: result.approval ? txView(result.approval) : null,
+      tx: txView(result),
+      market: marketView(market),
+    },
+    lines: [
+      `Staked ${formatUsdc(amount)} USDC on outcome #${index} — ${slug}`,
+      `  tx:   ${result.hash}`,
+      `  pools: ${market.outcomePools.map((p, i) => `#${i} ${formatUsdc(p)}`).join(" / ")} USDC`,
+    ],
+  };
+}
+
+module.exports = {
+  name: "stake",
+  summary: "Stake USDC on YES or NO (or an outcome of a categorical market) for one market",
+  usage: "clawstake stake --slug <slug> (--side <yes|no> | --index <outcome>) --amount <usdc> [--probability <p> [--category <name>]] [--permit | --infinite-approval] [--deadline <unix-seconds> --deadline-sig <sig>]",
+  options: {
+    slug: { type: "string" },
+    side: { type: "string" },
+    index: { type: "string" },
+    amount: { type: "string" },
+    deadline: { type: "string" },
+    "deadline-sig": { type: "string" },
+    permit: { type: "boolean" },
+    "infinite-approval": { type: "boolean" },
+    probability: { type: "string" },
+    category: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const slug = slugOption(opts);
+    if (opts.index !== undefined) return stakeOutcome(ctx, opts, out, slug);
+    const isYes = sideOption(opts);
+    const amount = amountOption(opts);
+    if ((opts.deadline === undefined) !== (opts["deadline-sig"] === undefined)) {
+      throw new UsageError("--deadline and --deadline-sig must be given together");
+    }
+    if (opts.permit && opts["infinite-approval"]) throw new UsageError("Use either --permit or --infinite-approval");
+    if (opts.permit && opts.deadline !== undefined) {
+      throw new UsageError("--permit cannot be combined with --deadline");
+    }
+    if (opts.category !== undefined && opts.probability === undefined) {
+      throw new UsageError("--category requires --probability");
+    }
+    const probability = opts.probability === undefined ? null : probabilityOption(opts, "probability");
+    const deadlineAuth = opts.deadline === undefined
+      ? undefined
+      : { deadline: timestampOption(opts, "deadline"), signature: opts["deadline-sig"] };
+    const client = await ctx.signingClient();
+
+    out.info(`Staking ${formatUsdc(amount)} USDC on ${sideName(isYes)} for ${slug}...`);
+    const result = await client.stake(slug, isYes, amount, {
+      deadlineAuth,
+      permit: Boolean(opts.permit),
+      infiniteApproval: Boolean(opts["infinite-approval"]),
+    });
+    const market = await client.getMarket(slug);
+    if (probability !== null) {
+      // Kept for `clawstake report`, which scores it once the market resolves
+      const { chainId } = await client.provider.getNetwork();
+      new PredictionLog(defaultPredictionsPath(ctx.env)).record({
+        chainId,
+        contract: client.address,
+        account: await client.signerAddress(),
+        slug,
+        probability,
+        side: isYes ? "yes" : "no",
+        amount,
+        category: opts.category,
+        txHash: result.hash,
+      });
+    }
+
+    return {
+      data: {
+        slug,
+        side: isYes ? "yes" : "no",
+        amount: formatUsdc(amount),
+        approval: result.approval ? txView(result.approval) : null,
+        tx: txView(result),
+        market: marketView(market),
+      },
+      lines: [
+        `Staked ${formatUsdc(amount)} USDC on ${sideName(isYes)} — ${slug}`,
+        `  tx:   ${result.hash}`,
+        `  pool: YES ${formatUsdc(market.totalYes)} / NO ${formatUsdc(market.totalNo)} USDC`,
+      ],
+    };
+  },
+};
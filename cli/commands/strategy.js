@@ -0,0 +1,147 @@
+const fs = require("fs");
+const { PredictionLog, defaultPredictionsPath } = require("../../lib/predictions");
+const { DEFAULT_KELLY_FRACTION, gatherCandidates, planStakes, toBatchStakes } = require("../../lib/strategy");
+const { formatUsdc } = require("../../lib/units");
+const { UsageError, amountOption } = require("../args");
+const { txView } = require("../output");
+
+/** A number in (0, 1), or (0, 1] when `inclusive` */
+function fraction(value, label, { inclusive = false } = {}) {
+  const n = Number(value);
+  if (typeof value === "string" && value.trim() === "") throw new UsageError(`${label} must be a number`);
+  if (!Number.isFinite(n) || n <= 0 || n > 1 || (n === 1 && !inclusive)) {
+    throw new UsageError(`${label} must be above 0 and ${inclusive ? "at most" : "below"} 1, got ${value}`);
+  }
+  return n;
+}
+
+/** Parse "<slug>:<probability>"; the slug is everything before the last colon */
+function parseBelief(spec) {
+  const at = spec.lastIndexOf(":");
+  if (at <= 0) throw new UsageError(`--belief "${spec}": expected <slug>:<probability>`);
+  return [spec.slice(0, at), fraction(spec.slice(at + 1), `--belief "${spec}"`)];
+}
+
+/** Beliefs file: {"<slug>": 0.62, ...} or [{"slug": ..., "probability": 0.62}, ...] */
+function readBeliefs(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  const entries = Array.isArray(data) ? data.map((b) => [b?.slug, b?.probability]) : Object.entries(data);
+  return entries.map(([slug, p], i) => {
+    if (typeof slug !== "string" || slug.length === 0) throw new UsageError(`--file: belief #${i + 1} has no slug`);
+    return [slug, fraction(p, `--file: ${slug}`)];
+  });
+}
+
+const pct = (p) => (p === null ? "—" : `${(p * 100).toFixed(1)}%`);
+
+function stakeView(s) {
+  return {
+    ...s,
+    amount: formatUsdc(s.amount),
+    payout: formatUsdc(s.payout),
+    expectedValue: formatUsdc(s.expectedValue),
+  };
+}
+
+module.exports = {
+  name: "strategy",
+  summary: "Size stakes from your own probabilities with fractional Kelly and stake them in one batch",
+  usage: "clawstake strategy (--belief <slug>:<p> [--belief ...] | --file <beliefs.json>) [--bankroll <usdc>] [--kelly <fraction>] [--max-per-market <usdc>] [--min-edge <p>] [--token <clawdict-token>] [--out <plan.json>] [--dry-run | --execute [--permit]]",
+  options: {
+    belief: { type: "string", multiple: true },
+    file: { type: "string" },
+    bankroll: { type: "string" },
+    kelly: { type: "string" },
+    "max-per-market": { type: "string" },
+    "min-edge": { type: "string" },
+    token: { type: "string" },
+    out: { type: "string" },
+    "dry-run": { type: "boolean" },
+    execute: { type: "boolean" },
+    permit: { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    if (opts["dry-run"] && opts.execute) throw new UsageError("Use either --dry-run or --execute");
+    if (opts.permit && !opts.execute) throw new UsageError("--permit requires --execute");
+
+    let entries = (opts.belief || []).map(parseBelief);
+    if (opts.file) entries = entries.concat(readBeliefs(opts.file));
+    if (entries.length === 0) throw new UsageError("Provide at least one --belief or a --file");
+    const beliefs = Object.fromEntries(entries);
+
+    const kellyFraction = opts.kelly === undefined ? DEFAULT_KELLY_FRACTION : fraction(opts.kelly, "--kelly", { inclusive: true });
+    const maxPerMarket = opts["max-per-market"] === undefined ? undefined : amountOption(opts, "max-per-market");
+    let minEdge = 0;
+    if (opts["min-edge"] !== undefined) {
+      minEdge = Number(opts["min-edge"]);
+      if (!Number.isFinite(minEdge) || minEdge < 0 || minEdge >= 1) throw new UsageError("--min-edge must be at least 0 and below 1");
+    }
+
+    const client = opts.execute ? await ctx.signingClient() : await ctx.client();
+    const bankroll = opts.bankroll === undefined
+      ? await client.balanceOf(await ctx.account())
+      : amountOption(opts, "bankroll");
+
+    const candidates = await gatherCandidates(client, beliefs, {
+      token: opts.token || ctx.env.CLAWDICT_TOKEN,
+      baseUrl: ctx.env.CLAWDICT_API,
+    });
+    const plan = planStakes(candidates, { bankroll, kellyFraction, maxPerMarket, minEdge });
+    const stakes = toBatchStakes(plan);
+
+    if (opts.out) {
+      const file = { stakes: stakes.map((s) => ({ ...s, amount: formatUsdc(s.amount) })) };
+      fs.writeFileSync(opts.out, JSON.stringify(file, null, 2) + "\n");
+    }
+
+    const lines = [
+      `Bankroll ${formatUsdc(bankroll)} USDC, ${kellyFraction} Kelly`,
+      ...plan.stakes.map((s) =>
+        `  ${s.side.toUpperCase()} ${formatUsdc(s.amount)} USDC — ${s.slug}  (you ${pct(s.probability)}, break-even ${pct(s.breakEven)}, pool YES ${pct(s.impliedYes)}, Clawdict YES ${pct(s.pYes)}, EV ${formatUsdc(s.expectedValue)})`
+      ),
+      ...plan.skipped.map((s) => `  skip ${s.slug}: ${s.reason}`),
+    ];
+
+    let tx = null;
+    if (opts.execute && stakes.length > 0) {
+      out.info(`Batch staking ${formatUsdc(plan.total)} USDC across ${stakes.length} markets...`);
+      tx = await client.batchStake(stakes, { permit: Boolean(opts.permit) });
+      // Kept for `clawstake report`, which scores them once the markets resolve
+      const { chainId } = await client.provider.getNetwork();
+      const account = await client.signerAddress();
+      new PredictionLog(defaultPredictionsPath(ctx.env)).record(
+        ...plan.stakes.map((s) => ({
+          chainId,
+          contract: client.address,
+          account,
+          slug: s.slug,
+          probability: beliefs[s.slug],
+          side: s.side,
+          amount: s.amount,
+          category: s.category,
+          txHash: tx.hash,
+        }))
+      );
+      lines.push(`Staked ${formatUsdc(plan.total)} USDC on ${stakes.length} markets`, `  tx: ${tx.hash}`);
+    } else if (stakes.length === 0) {
+      lines.push("Nothing to stake");
+    } else {
+      lines.push(`Plan: ${formatUsdc(plan.total)} USDC on ${stakes.length} markets (dry run; --execute to stake)`);
+    }
+
+    return {
+      data: {
+        executed: tx !== null,
+        bankroll: formatUsdc(bankroll),
+        kellyFraction,
+        total: formatUsdc(plan.total),
+        stakes: plan.stakes.map(stakeView),
+        skipped: plan.skipped,
+        approval: tx?.approval ? txView(tx.approval) : null,
+        tx: tx ? txView(tx) : null,
+      },
+      lines,
+    };
+  },
+};
@@ -0,0 +1,72 @@
+const { applyDeadlineSync, planDeadlineSync } = require("../../lib/deadlines");
+const { intOption } = require("../args");
+const { isoDate } = require("../output");
+
+function stepView(step) {
+  return {
+    slug: step.slug,
+    action: step.action,
+    current: isoDate(step.current),
+    target: step.target === null ? null : isoDate(step.target),
+    reason: step.reason,
+  };
+}
+
+function stepLine(step) {
+  const change = step.action === "set"
+    ? `${isoDate(step.current) || "none"} -> ${isoDate(step.target)}`
+    : step.reason;
+  return `  ${step.action.padEnd(4)} ${step.slug}: ${change}`;
+}
+
+module.exports = {
+  name: "sync-deadlines",
+  summary: "Set market deadlines from Clawdict close dates (market admin only)",
+  usage: "clawstake sync-deadlines [--dry-run] [--tolerance <seconds>] [--token <t>] [--api <url>]",
+  options: {
+    "dry-run": { type: "boolean" },
+    tolerance: { type: "string" },
+    token: { type: "string" },
+    api: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const client = opts["dry-run"] ? await ctx.client() : await ctx.signingClient();
+    const plan = await planDeadlineSync(client, {
+      token: opts.token || ctx.env.CLAWDICT_TOKEN,
+      baseUrl: opts.api || ctx.env.CLAWDICT_API,
+      tolerance: intOption(opts, "tolerance", 0),
+    });
+    const changes = plan.filter((s) => s.action === "set");
+    const header = `Deadline report: ${changes.length} to update, ${plan.length - changes.length} unchanged`;
+
+    if (opts["dry-run"] || changes.length === 0) {
+      return {
+        data: { dryRun: !!opts["dry-run"], plan: plan.map(stepView), applied: [] },
+        lines: plan.length === 0 ? ["No open markets"] : [header, ...plan.map(stepLine)],
+      };
+    }
+
+    out.info(header);
+    for (const step of plan) out.info(stepLine(step));
+
+    const applied = await applyDeadlineSync(client, plan);
+    const failed = applied.filter((r) => r.error);
+    return {
+      data: {
+        dryRun: false,
+        plan: plan.map(stepView),
+        applied: applied.map((r) => ({
+          ...stepView(r),
+          hash: r.hash,
+          error: r.error ? { code: r.error.code || r.error.name, message: r.error.message } : null,
+        })),
+      },
+      lines: [
+        ...applied.map((r) => (r.error ? `  FAILED ${r.slug}: ${r.error.message}` : `  set ${r.slug}: ${r.hash}`)),
+        `Updated ${applied.length - failed.length} deadline(s)${failed.length ? `, ${failed.length} failed` : ""}`,
+      ],
+      exitCode: failed.length ? 1 : 0,
+    };
+  },
+};
@@ -0,0 +1,52 @@
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, addressOption, amountOption, intOption, required, sideOption, slugOption } = require("../args");
+const { positionView, txView } = require("../output");
+
+module.exports = {
+  name: "transfer",
+  summary: "Move position tokens to another wallet; the recipient can claim or refund them",
+  usage: "clawstake transfer --slug <slug> (--side <yes|no> | --index <outcome>) (--amount <usdc> | --all) --to <address>",
+  options: {
+    slug: { type: "string" },
+    side: { type: "string" },
+    index: { type: "string" },
+    amount: { type: "string" },
+    all: { type: "boolean" },
+    to: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const slug = slugOption(opts);
+    if (opts.side !== undefined && opts.index !== undefined) throw new UsageError("Use either --side or --index, not both");
+    const side = opts.index !== undefined ? intOption(opts, "index") : sideOption(opts);
+    if (opts.all && opts.amount !== undefined) throw new UsageError("Use either --amount or --all, not both");
+    let amount = opts.all ? undefined : amountOption(opts);
+    required(opts, "to");
+    const to = addressOption(opts, "to");
+    const client = await ctx.signingClient();
+
+    const position = await client.getStake(slug);
+    const held = typeof side === "number" ? position.amounts[side] ?? 0n : side ? position.amountYes : position.amountNo;
+    const label = typeof side === "number" ? `outcome #${side}` : sideName(side);
+    if (opts.all) amount = held;
+    if (amount === 0n || amount > held) {
+      throw new UsageError(`Only ${formatUsdc(held)} USDC of ${label} held in ${slug}`);
+    }
+
+    out.info(`Transferring ${formatUsdc(amount)} USDC of ${label} on ${slug} to ${to}...`);
+    const result = await client.transferPosition(slug, side, amount, to);
+
+    return {
+      data: {
+        slug,
+        side: typeof side === "number" ? null : side ? "yes" : "no",
+        index: typeof side === "number" ? side : null,
+        amount: formatUsdc(amount),
+        to,
+        tx: txView(result),
+        position: positionView(await client.getStake(slug)),
+      },
+      lines: [`Transferred ${formatUsdc(amount)} USDC of ${label} on ${slug} to ${to}`, `  tx: ${result.hash}`],
+    };
+  },
+};
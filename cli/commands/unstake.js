@@ -0,0 +1,51 @@
+const { formatUsdc, sideName } = require("../../lib/units");
+const { UsageError, amountOption, sideOption, slugOption } = require("../args");
+const { marketView, txView } = require("../output");
+
+module.exports = {
+  name: "unstake",
+  summary: "Withdraw stake from an open YES/NO market, less the exit penalty",
+  usage: "clawstake unstake --slug <slug> --side <yes|no> (--amount <usdc> | --all)",
+  options: {
+    slug: { type: "string" },
+    side: { type: "string" },
+    amount: { type: "string" },
+    all: { type: "boolean" },
+  },
+
+  async run(ctx, opts, out) {
+    const slug = slugOption(opts);
+    const isYes = sideOption(opts);
+    if (opts.all && opts.amount !== undefined) throw new UsageError("Use either --amount or --all, not both");
+    let amount = opts.all ? undefined : amountOption(opts);
+    const client = await ctx.signingClient();
+
+    if (opts.all) {
+      const position = await client.getStake(slug);
+      amount = isYes ? position.amountYes : position.amountNo;
+      if (amount === 0n) throw new UsageError(`No ${sideName(isYes)} stake in ${slug}`);
+    }
+
+    out.info(`Unstaking ${formatUsdc(amount)} USDC from ${sideName(isYes)} on ${slug}...`);
+    const result = await client.unstake(slug, isYes, amount);
+    const market = await client.getMarket(slug);
+
+    return {
+      data: {
+        slug,
+        side: isYes ? "yes" : "no",
+        amount: formatUsdc(amount),
+        returned: formatUsdc(result.returned),
+        penalty: formatUsdc(result.penalty),
+        tx: txView(result),
+        market: marketView(market),
+      },
+      lines: [
+        `Unstaked ${formatUsdc(amount)} USDC from ${sideName(isYes)} — ${slug}`,
+        `  returned: ${formatUsdc(result.returned)} USDC (exit penalty ${formatUsdc(result.penalty)} USDC stays in the pool)`,
+        `  tx:   ${result.hash}`,
+        `  pool: YES ${formatUsdc(market.totalYes)} / NO ${formatUsdc(market.totalNo)} USDC`,
+      ],
+    };
+  },
+};
@@ -0,0 +1,133 @@
+const { impliedOdds } = require("../../lib/market");
+const { MarketWatcher } = require("../../lib/watcher");
+const { formatUsdc, parseUsdc } = require("../../lib/units");
+const { UsageError, intOption, slugOption } = require("../args");
+const { isoDate, formatBps } = require("../output");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pct = (x) => (x === null ? "—" : `${(x * 100).toFixed(1)}%`);
+
+function duration(seconds) {
+  if (seconds >= 3600) return `${Math.floor(seconds / 3600)}h${String(Math.floor((seconds % 3600) / 60)).padStart(2, "0")}m`;
+  if (seconds >= 60) return `${Math.floor(seconds / 60)}m`;
+  return `${seconds}s`;
+}
+
+/** JSON-friendly copy: bigints as USDC strings, times as ISO dates */
+function updateView(update) {
+  const view = { ...update, at: isoDate(update.timestamp) };
+  delete view.timestamp;
+  for (const key of ["totalYes", "totalNo", "amount", "penalty"]) {
+    if (view[key] !== undefined) view[key] = formatUsdc(view[key]);
+  }
+  if (view.outcomePools !== undefined) view.outcomePools = view.outcomePools.map(formatUsdc);
+  if (view.deadline !== undefined) view.deadline = isoDate(view.deadline);
+  return view;
+}
+
+function marketView(m) {
+  return {
+    slug: m.slug,
+    status: m.status,
+    outcome: m.outcome,
+    totalYes: formatUsdc(m.totalYes),
+    totalNo: formatUsdc(m.totalNo),
+    impliedYes: m.impliedYes,
+    ...(m.categorical ? { outcomePools: m.outcomePools.map(formatUsdc) } : {}),
+    deadline: isoDate(m.deadline),
+  };
+}
+
+/** "10.0/30.0 YES 25.0%", or each outcome's pool and odds for categorical markets */
+function poolsText(m) {
+  if (!m.outcomePools || m.outcomePools.length === 0) return `${formatUsdc(m.totalYes)}/${formatUsdc(m.totalNo)} YES ${pct(m.impliedYes)}`;
+  const totalPool = m.outcomePools.reduce((a, b) => a + b, 0n);
+  const { outcomes } = impliedOdds({ outcomeCount: m.outcomePools.length, outcomePools: m.outcomePools, totalPool });
+  return m.outcomePools.map((pool, i) => `#${i} ${formatUsdc(pool)} ${pct(outcomes[i])}`).join(" ");
+}
+
+/** One compact line per update */
+function updateLine(u) {
+  const pools = `pools ${poolsText(u)}`;
+  const head = `${`#${u.blockNumber}`.padEnd(8)} ${u.type.padEnd(9)} ${u.slug}`;
+  switch (u.type) {
+    case "stake":
+      if (u.outcome !== undefined) {
+        return `${head}  #${u.outcome} +${formatUsdc(u.amount)} by ${u.staker}  ${pools}${u.large ? "  ** LARGE **" : ""}`;
+      }
+      return `${head}  ${u.side.toUpperCase()} +${formatUsdc(u.amount)} by ${u.staker}  ${pools} (was ${pct(u.previousYes)})${u.large ? "  ** LARGE **" : ""}`;
+    case "unstake":
+      return `${head}  ${u.side.toUpperCase()} -${formatUsdc(u.amount)} by ${u.staker}  ${pools} (was ${pct(u.previousYes)})`;
+    case "resolved": {
+      const outcome = u.outcome === "fractional" ? `${formatBps(u.yesBps)} YES`
+        : /^\d+$/.test(u.outcome) ? `outcome #${u.outcome}` : u.outcome.toUpperCase();
+      return `${head}  ${outcome}${u.corrected ? " (corrected)" : ""}  ${pools}`;
+    }
+    case "deadline":
+      return `${head}  deadline ${isoDate(u.deadline) ?? "none"}`;
+    case "closing":
+      return `${head}  closes in ${duration(u.secondsLeft)} (${isoDate(u.deadline)})  ${pools}`;
+    case "closed":
+      return `${head}  deadline passed (${isoDate(u.deadline)})`;
+    case "refundable":
+      return `${head}  unresolved after the grace period: refunds open`;
+    default:
+      return `${head}  ${pools}`;
+  }
+}
+
+module.exports = {
+  name: "watch",
+  summary: "Stream stakes, odds, resolutions and deadlines as they happen (compact lines, or NDJSON with --json)",
+  usage: "clawstake watch [--slug <slug> ...] [--large <usdc>] [--closing <minutes>] [--interval <seconds>] [--count <n>]",
+  options: {
+    slug: { type: "string", multiple: true },
+    large: { type: "string" },
+    closing: { type: "string" },
+    interval: { type: "string" },
+    count: { type: "string" },
+  },
+
+  async run(ctx, opts, out) {
+    const slugs = (opts.slug || []).map((slug) => slugOption({ slug }));
+    let largeStake;
+    try {
+      largeStake = parseUsdc(opts.large ?? "100");
+    } catch (err) {
+      throw new UsageError(`--large: ${err.message}`);
+    }
+    const deadlineWarning = intOption(opts, "closing", 60) * 60;
+    const interval = intOption(opts, "interval", 5);
+    if (interval < 1) throw new UsageError("--interval must be at least 1 second");
+    const count = intOption(opts, "count", 0);
+
+    const client = await ctx.client();
+    const watcher = new MarketWatcher(client, { slugs, largeStake, deadlineWarning });
+    const snapshot = await watcher.start();
+    out.result(
+      this.name,
+      { type: "snapshot", blockNumber: snapshot.blockNumber, markets: snapshot.markets.map(marketView) },
+      [
+        `Watching ${snapshot.markets.length} market(s) from block ${snapshot.blockNumber}`,
+        ...snapshot.markets.map((m) => `  ${m.slug} [${m.status}]  pools ${poolsText(m)}`),
+      ]
+    );
+
+    // One line (or NDJSON document) per update; --count stops after that many
+    let seen = 0;
+    for (;;) {
+      try {
+        for (const update of await watcher.poll()) {
+          out.result(this.name, updateView(update), [updateLine(update)]);
+          if (count > 0 && ++seen >= count) {
+            return { data: { type: "done", blockNumber: watcher.cursor, updates: seen }, lines: [`Stopped after ${seen} update(s)`] };
+          }
+        }
+      } catch (err) {
+        out.error(this.name, err);
+      }
+      await sleep(interval * 1000);
+    }
+  },
+};
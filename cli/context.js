@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { ClawStakeClient, ClawdictClient, EventStore, Indexer, defaultIndexPath, deploymentBlock } = require("../lib");
+const { UsageError } = require("./args");
+
+const DEPLOYMENT_FILE = path.join(__dirname, "..", "deployment.json");
+
+const NETWORKS = {
+  sepolia: (env) => ({
+    rpc: env.SEPOLIA_RPC || "https://ethereum-sepolia-rpc.publicnode.com",
+    deployment: "ethereum-sepolia",
+  }),
+  localhost: () => ({ rpc: "http://127.0.0.1:8545", deployment: null }),
+};
+
+function readDeployment() {
+  try {
+    return JSON.parse(fs.readFileSync(DEPLOYMENT_FILE, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve --network to an RPC endpoint. Accepts a known network name or
+ * an http(s) URL.
+ */
+function resolveNetwork(name, env) {
+  if (/^https?:\/\//.test(name)) return { name, rpc: name, deployment: null };
+  const network = NETWORKS[name];
+  if (!network) {
+    throw new UsageError(`Unknown network "${name}" (expected ${Object.keys(NETWORKS).join(", ")} or an RPC URL)`);
+  }
+  return { name, ...network(env) };
+}
+
+/**
+ * Resolve the ClawStake address: --address, then CLAWSTAKE_ADDRESS, then
+ * deployment.json when it matches the selected network.
+ */
+function resolveAddress(network, opts, env) {
+  if (opts.address) {
+    if (!ethers.isAddress(opts.address)) throw new UsageError(`--address: not a valid address: ${opts.address}`);
+    return opts.address;
+  }
+  if (env.CLAWSTAKE_ADDRESS) return env.CLAWSTAKE_ADDRESS;
+  const deployment = readDeployment();
+  if (deployment && network.deployment && deployment.network === network.deployment) {
+    return deployment.address;
+  }
+  return null;
+}
+
+/**
+ * Lazily builds the provider, signer and client a command needs, so
+ * commands like `markets` never touch the chain.
+ *
+ * `io.runner` (a signer or provider) bypasses network setup; tests use it
+ * to run commands against the in-process Hardhat network.
+ */
+function createContext(opts, io) {
+  const env = io.env;
+  const network = io.runner ? { name: "injected" } : resolveNetwork(opts.network, env);
+  let runner = io.runner || null;
+  let client = null;
+
+  async function getRunner() {
+    if (runner) return runner;
+    const provider = new ethers.JsonRpcProvider(network.rpc);
+    if (env.PRIVATE_KEY) {
+      const key = env.PRIVATE_KEY.startsWith("0x") ? env.PRIVATE_KEY : `0x${env.PRIVATE_KEY}`;
+      runner = new ethers.Wallet(key, provider);
+    } else if (network.name === "localhost") {
+      // Hardhat node exposes unlocked accounts
+      runner = await provider.getSigner(0);
+    } else {
+      runner = provider;
+    }
+    return runner;
+  }
+
+  return {
+    env,
+    network,
+
+    async client() {
+      if (client) return client;
+      const address = io.address || resolveAddress(network, opts, env);
+      if (!address) {
+        throw new UsageError("No ClawStake address: pass --address or set CLAWSTAKE_ADDRESS");
+      }
+      client = new ClawStakeClient({
+        address,
+        runner: await getRunner(),
+        usdcAddress: env.USDC_ADDRESS || undefined,
+      });
+      return client;
+    },
+
+    /** Client that must be able to send transactions */
+    async signingClient() {
+      const c = await this.client();
+      if (typeof c.runner.getAddress !== "function") {
+        throw new UsageError("This command sends a transaction: set PRIVATE_KEY in .env");
+      }
+      return c;
+    },
+
+    /**
+     * Event index of the selected contract. A new index starts at
+     * `fromBlock`, else at the deployment block from deployment.json, else 0.
+     * @param {{file?: string, fromBlock?: number, confirmations?: number}} [opts]
+     */
+    async eventIndex({ file, fromBlock, confirmations } = {}) {
+      const c = await this.client();
+      const { chainId } = await c.provider.getNetwork();
+      if (fromBlock === undefined) {
+        const deployment = readDeployment();
+        const ours = deployment && network.deployment && deployment.network === network.deployment &&
+          deployment.address.toLowerCase() === c.address.toLowerCase();
+        fromBlock = (ours && (await deploymentBlock(c.provider, deployment))) || 0;
+      }
+      const deployment = { chainId: Number(chainId), address: c.address, fromBlock };
+      const store = new EventStore(file || defaultIndexPath(deployment, env), deployment);
+      return { store, indexer: new Indexer(c, store, { confirmations }) };
+    },
+
+    /**
+     * Clawdict API client configured from CLAWDICT_API, CLAWDICT_TOKEN,
+     * CLAWDICT_CACHE_DIR and CLAWDICT_CACHE_TTL (seconds)
+     * @param {{token?: string, baseUrl?: string}} [opts]  Override the environment
+     */
+    clawdict({ token, baseUrl } = {}) {
+      const ttl = env.CLAWDICT_CACHE_TTL;
+      if (ttl !== undefined && ttl !== "" && !(Number(ttl) >= 0)) {
+        throw new UsageError(`CLAWDICT_CACHE_TTL: expected seconds, got "${ttl}"`);
+      }
+      return new ClawdictClient({
+        baseUrl: baseUrl || env.CLAWDICT_API,
+        token: token || env.CLAWDICT_TOKEN,
+        cacheDir: env.CLAWDICT_CACHE_DIR || null,
+        ...(ttl !== undefined && ttl !== "" ? { cacheTtl: Number(ttl) } : {}),
+      });
+    },
+
+    /** Address to report on: explicit option, else the signer */
+    async account(explicit) {
+      if (explicit) return explicit;
+      const c = await this.client();
+      if (typeof c.runner.getAddress !== "function") {
+        throw new UsageError("No signer available: pass --account <address> or set PRIVATE_KEY");
+      }
+      return c.signerAddress();
+    },
+  };
+}
+
+module.exports = { NETWORKS, createContext, resolveNetwork, resolveAddress, readDeployment };
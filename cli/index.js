@@ -0,0 +1,103 @@
+const { parseArgs } = require("util");
+const commands = require("./commands");
+const { UsageError } = require("./args");
+const { createContext } = require("./context");
+const { createOutput } = require("./output");
+
+const GLOBAL_OPTIONS = {
+  network: { type: "string", default: "sepolia" },
+  address: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const GLOBAL_USAGE = [
+  "Global options:",
+  "  --network <name|url>  sepolia (default), localhost, or an RPC URL",
+  "  --address <addr>      ClawStake contract (default: CLAWSTAKE_ADDRESS, then deployment.json)",
+  "  --json                Print a single JSON document instead of text",
+  "  -h, --help            Show help",
+];
+
+function helpText(command) {
+  if (command) {
+    return [`Usage: ${command.usage}`, "", command.summary, "", ...GLOBAL_USAGE].join("\n");
+  }
+  const width = Math.max(...commands.map((c) => c.name.length));
+  return [
+    "Usage: clawstake <command> [options]",
+    "",
+    "Commands:",
+    ...commands.map((c) => `  ${c.name.padEnd(width)}  ${c.summary}`),
+    "",
+    ...GLOBAL_USAGE,
+    "",
+    "Run `clawstake <command> --help` for command options.",
+  ].join("\n");
+}
+
+/**
+ * Run the CLI. Returns the exit code: 0 success, 1 failure, 2 bad usage.
+ *
+ * @param {string[]} argv  Arguments after the executable
+ * @param {Object} [io]
+ * @param {NodeJS.WritableStream} [io.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr]
+ * @param {Object} [io.env]     Defaults to process.env
+ * @param {import("ethers").ContractRunner} [io.runner]  Skip network setup and use this signer/provider
+ * @param {string} [io.address]  ClawStake address to use with `io.runner`
+ */
+async function main(argv, io = {}) {
+  io = { stdout: process.stdout, stderr: process.stderr, env: process.env, ...io };
+
+  const [name, ...rest] = argv;
+  const wantsJson = argv.includes("--json");
+  let out = createOutput({ json: wantsJson, stdout: io.stdout, stderr: io.stderr });
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    io.stdout.write(helpText() + "\n");
+    return name ? 0 : 2;
+  }
+
+  const command = commands.find((c) => c.name === name);
+  if (!command) {
+    out.error(name, new UsageError(`Unknown command "${name}". Run \`clawstake --help\`.`));
+    return 2;
+  }
+
+  let opts;
+  try {
+    ({ values: opts } = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      strict: true,
+      allowPositionals: false,
+    }));
+  } catch (err) {
+    out.error(name, new UsageError(err.message));
+    if (!wantsJson) io.stderr.write(`\nUsage: ${command.usage}\n`);
+    return 2;
+  }
+
+  if (opts.help) {
+    io.stdout.write(helpText(command) + "\n");
+    return 0;
+  }
+
+  out = createOutput({ json: opts.json, stdout: io.stdout, stderr: io.stderr });
+  try {
+    const ctx = createContext(opts, io);
+    const { data, lines, exitCode = 0 } = await command.run(ctx, opts, out);
+    out.result(name, data, lines);
+    return exitCode;
+  } catch (err) {
+    out.error(name, err);
+    if (err instanceof UsageError) {
+      if (!opts.json) io.stderr.write(`\nUsage: ${command.usage}\n`);
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = { main, commands };
@@ -0,0 +1,95 @@
+const { formatUsdc } = require("../lib/units");
+
+/** JSON-friendly views of SDK objects; amounts become USDC decimal strings */
+
+function isoDate(unixSeconds) {
+  return unixSeconds > 0 ? new Date(unixSeconds * 1000).toISOString() : null;
+}
+
+/** 250 -> "2.5%" */
+function formatBps(bps) {
+  return `${bps / 100}%`;
+}
+
+/** "YES", "#2" for a categorical outcome, "62.5% YES" for a fractional one; null if unresolved */
+function outcomeLabel({ outcome, yesBps }) {
+  if (!outcome) return null;
+  if (outcome === "fractional") return `${formatBps(yesBps)} YES`;
+  return /^\d+$/.test(outcome) ? `#${outcome}` : outcome.toUpperCase();
+}
+
+function marketView(market) {
+  return {
+    slug: market.slug,
+    status: market.status,
+    outcome: market.outcome,
+    yesBps: market.yesBps,
+    totalYes: formatUsdc(market.totalYes),
+    totalNo: formatUsdc(market.totalNo),
+    totalPool: formatUsdc(market.totalPool),
+    penaltyPool: formatUsdc(market.penaltyPool),
+    outcomePools: market.outcomePools.map(formatUsdc),
+    deadline: isoDate(market.deadline),
+    feeBps: market.feeBps,
+    exitPenaltyBps: market.exitPenaltyBps,
+    finalizesAt: isoDate(market.finalizesAt),
+    disputed: market.disputed,
+  };
+}
+
+function positionView(position) {
+  return {
+    slug: position.slug,
+    account: position.staker,
+    amountYes: formatUsdc(position.amountYes),
+    amountNo: formatUsdc(position.amountNo),
+    amounts: position.amounts.map(formatUsdc),
+    claimed: position.claimed,
+    settledStake: formatUsdc(position.settledStake),
+    settledPayout: formatUsdc(position.settledPayout),
+  };
+}
+
+function txView(result) {
+  return {
+    hash: result.hash,
+    blockNumber: result.blockNumber,
+    gasUsed: result.gasUsed.toString(),
+  };
+}
+
+/**
+ * Writes command results either as one JSON document per invocation
+ * (`--json`) or as human-readable lines.
+ */
+function createOutput({ json, stdout, stderr }) {
+  const write = (stream, text) => stream.write(text.endsWith("\n") ? text : `${text}\n`);
+
+  return {
+    json,
+
+    result(command, data, lines) {
+      if (json) {
+        write(stdout, JSON.stringify({ ok: true, command, result: data }));
+      } else {
+        write(stdout, lines.join("\n"));
+      }
+    },
+
+    error(command, err) {
+      const code = err.code || err.name || "Error";
+      if (json) {
+        write(stdout, JSON.stringify({ ok: false, command, error: { code, message: err.message } }));
+      } else {
+        write(stderr, `Error: ${err.message}`);
+      }
+    },
+
+    /** Progress messages; suppressed in JSON mode so stdout stays parseable */
+    info(text) {
+      if (!json) write(stderr, text);
+    },
+  };
+}
+
+module.exports = { createOutput, marketView, positionView, txView, isoDate, formatBps, outcomeLabel };
@@ -2,9 +2,16 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./ClawStakePositions.sol";
+import "./ClawStakeCommitReveal.sol";
+import "./ClawStakeIntents.sol";
 
 /**
  * @title ClawStake
@@ -12,16 +19,39 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * @dev Agents stake USDC on YES/NO outcomes of Clawdict prediction markets.
  *      When a market resolves, winners split the total pool proportionally.
  *      Markets support deadlines, cancellation, and refunds for trustless operation.
+ *      Positions are transferable ERC-1155 tokens (see ClawStakePositions);
+ *      whoever holds them can claim or refund.
+ *      Stakes, claims and refunds can also be signed off-chain as EIP-712
+ *      intents and submitted by a relayer (see ClawStakeIntents), so agents
+ *      without ETH for gas can take part.
+ *      Markets can opt into commit–reveal staking (see ClawStakeCommitReveal),
+ *      which hides each stake's side until the commit deadline.
+ *      Privileged functions are split across roles so an operational key
+ *      (e.g. the resolver bot) holds only what it needs.
  *
  *      Built for the USDC Hackathon on Moltbook by 0xTaro.
  *      Ethereum Sepolia testnet.
  */
-contract ClawStake is ReentrancyGuard, Ownable {
+contract ClawStake is ReentrancyGuard, AccessControl, Pausable {
     using SafeERC20 for IERC20;
 
     // --- Constants ---
     uint256 public constant MIN_STAKE = 1e6; // 1 USDC (6 decimals)
     uint256 public constant REFUND_GRACE_PERIOD = 30 days;
+    uint256 public constant MAX_SLUG_LENGTH = 128;
+    uint256 public constant MAX_FEE_BPS = 1000; // 10% of winnings
+    uint256 private constant BPS = 10_000;
+    uint256 public constant MAX_DISPUTE_WINDOW = 7 days;
+    uint256 public constant DISPUTE_TIMEOUT = 14 days; // an unsettled dispute lapses after this
+    uint256 public constant MAX_OUTCOMES = 16; // outcomes of a categorical market
+    uint256 public constant MAX_EXIT_PENALTY_BPS = 2000; // 20% of an early exit
+
+    // --- Roles (DEFAULT_ADMIN_ROLE manages all roles and the fee) ---
+    bytes32 public constant RESOLVER_ROLE = keccak256("RESOLVER_ROLE");             // resolve
+    bytes32 public constant MARKET_ADMIN_ROLE = keccak256("MARKET_ADMIN_ROLE");     // deadlines, cancel, registry
+    bytes32 public constant MARKET_CREATOR_ROLE = keccak256("MARKET_CREATOR_ROLE"); // createMarket
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");             // withdrawFees, emergencyWithdraw
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");                 // pause staking
 
     // --- State ---
     IERC20 public immutable usdc;
@@ -34,19 +64,45 @@ contract ClawStake is ReentrancyGuard, Ownable {
         bool outcomeYes;
         bool cancelled;     // If true, stakers can refund
         bool exists;
+        uint256 feeBps;     // Protocol fee snapshotted at creation
+        uint256 finalizesAt; // Resolution is final (claimable) from this time; a dispute pushes it back
     }
 
-    struct Stake {
-        uint256 amountYes;
-        uint256 amountNo;
-        bool claimed;       // True if winnings claimed or refunded
+    struct Dispute {
+        address disputer;
+        uint256 bond;
     }
 
+    struct Tally {
+        uint128 yesVotes;
+        uint128 noVotes;
+        bool escalated;     // Resolvers disagreed; only the admin can resolve
+    }
+
+    struct Fraction {
+        bool fractional;    // Resolved with resolveFractional()
+        uint256 yesBps;     // Share of the total pool paid to YES stakers
+    }
+
+    struct Settlement {
+        uint256 staked;     // Position tokens burned by claim() and refund()
+        uint256 paid;       // USDC paid for them, net of fees
+    }
+
+    // Stakes are held as ERC-1155 balances of positionId(slug, slot)
+    ClawStakePositions public immutable positions;
+
+    // Commit–reveal staking; sealed markets accept stakes only through it
+    ClawStakeCommitReveal public immutable commitReveal;
+
+    // Signed (EIP-712) stakes, claims and refunds submitted by relayers
+    ClawStakeIntents public immutable intents;
+
     // marketSlug hash => Market
     mapping(bytes32 => Market) public markets;
 
-    // marketSlug hash => staker => Stake
-    mapping(bytes32 => mapping(address => Stake)) public stakes;
+    // marketSlug hash => holder => what claims and refunds have settled
+    mapping(bytes32 => mapping(address => Settlement)) public settlements;
 
     // Track all market keys for enumeration
     bytes32[] public marketKeys;
@@ -54,6 +110,73 @@ contract ClawStake is ReentrancyGuard, Ownable {
     // Reverse lookup: hash => original slug string
     mapping(bytes32 => string) public slugOf;
 
+    // Off-chain metadata (e.g. Clawdict market page) for registered markets
+    mapping(bytes32 => string) public metadataURIOf;
+
+    // Registry mode: when true, markets must be created via createMarket before staking
+    bool public registryMode;
+
+    // Protocol fee on winnings for markets created from now on, in basis points
+    uint256 public feeBps;
+
+    // Fees taken on claim and not yet withdrawn
+    uint256 public feesAccrued;
+
+    // USDC owed to stakers: every stake until it is claimed or refunded,
+    // plus dispute bonds until they are returned or forfeited
+    uint256 public totalLiabilities;
+
+    // Challenge period after resolve() during which stakers can dispute
+    uint256 public disputeWindow;
+
+    // USDC a staker must post to dispute a resolution
+    uint256 public disputeBond;
+
+    // marketSlug hash => open dispute (disputer == 0 when none)
+    mapping(bytes32 => Dispute) public disputes;
+
+    // Quorum mode: when > 0, markets resolve once this many resolvers vote
+    // the same outcome, and resolve() is disabled
+    uint256 public resolutionQuorum;
+
+    // On conflicting votes: cancel the market (true) or escalate to the admin (false)
+    bool public cancelOnConflict;
+
+    // marketSlug hash => vote tally
+    mapping(bytes32 => Tally) public tallies;
+
+    // marketSlug hash => resolver => 0 = not voted, 1 = YES, 2 = NO
+    mapping(bytes32 => mapping(address => uint8)) public votes;
+
+    // Categorical markets: marketSlug hash => number of outcomes (0 = binary YES/NO market)
+    mapping(bytes32 => uint256) public outcomeCountOf;
+
+    // marketSlug hash => outcome index => total staked on it
+    mapping(bytes32 => mapping(uint256 => uint256)) public outcomePools;
+
+    // marketSlug hash => winning outcome index (only meaningful once resolved)
+    mapping(bytes32 => uint256) public winningOutcomeOf;
+
+    // marketSlug hash => fractional resolution of a YES/NO market
+    mapping(bytes32 => Fraction) public fractions;
+
+    // Share of an early exit (unstake) kept in markets created from now on, in basis points
+    uint256 public exitPenaltyBps;
+
+    // marketSlug hash => exit penalty snapshotted at creation, in basis points
+    mapping(bytes32 => uint256) public exitPenaltyBpsOf;
+
+    // marketSlug hash => exit penalties kept for the remaining stakers, paid
+    // out on top of totalYes + totalNo to winners (or pro rata on refund)
+    mapping(bytes32 => uint256) public penaltyPoolOf;
+
+    // marketSlug hash => commit–reveal market (stakes come from revealed commitments)
+    mapping(bytes32 => bool) public sealedMarkets;
+
+    // marketSlug hash => when a YES/NO market was resolved, for commit–reveal
+    // refunds (kept through corrections, unlike finalizesAt)
+    mapping(bytes32 => uint256) public resolvedAt;
+
     // --- Events ---
     event MarketCreated(string slug, bytes32 indexed key);
     event Staked(string slug, address indexed staker, bool isYes, uint256 amount);
@@ -63,6 +186,24 @@ contract ClawStake is ReentrancyGuard, Ownable {
     event Refunded(string slug, address indexed staker, uint256 amount);
     event DeadlineSet(string slug, bytes32 indexed key, uint256 deadline);
     event EmergencyWithdraw(address indexed token, address indexed to, uint256 amount);
+    event DisputeParamsSet(uint256 window, uint256 bond);
+    event MarketDisputed(string slug, bytes32 indexed key, address indexed disputer, uint256 bond);
+    event DisputeSettled(string slug, bytes32 indexed key, address indexed disputer, bool upheld);
+    event ResolutionCorrected(string slug, bytes32 indexed key, bool outcomeYes);
+    event ResolutionQuorumSet(uint256 quorum, bool cancelOnConflict);
+    event OutcomeVoted(string slug, bytes32 indexed key, address indexed resolver, bool outcomeYes);
+    event ResolutionEscalated(string slug, bytes32 indexed key);
+    event CategoricalMarketCreated(string slug, bytes32 indexed key, uint256 outcomeCount);
+    event OutcomeStaked(string slug, address indexed staker, uint256 outcomeIndex, uint256 amount);
+    event OutcomeResolved(string slug, bytes32 indexed key, uint256 outcomeIndex);
+    event MarketResolvedFractional(string slug, bytes32 indexed key, uint256 yesBps);
+    event Unstaked(string slug, address indexed staker, bool isYes, uint256 amount, uint256 penalty);
+    event ExitPenaltySet(uint256 exitPenaltyBps);
+    event MarketMetadataSet(string slug, bytes32 indexed key, string metadataURI);
+    event RegistryModeSet(bool enabled);
+    event FeeBpsSet(uint256 feeBps);
+    event FeeCharged(string slug, address indexed staker, uint256 fee);
+    event FeesWithdrawn(address indexed to, uint256 amount);
 
     // --- Errors ---
     error MarketAlreadyResolved();
@@ -77,9 +218,73 @@ contract ClawStake is ReentrancyGuard, Ownable {
     error RefundNotAvailable();
     error EmptySlug();
     error ArrayLengthMismatch();
+    error InvalidDeadlineSignature();
+    error InvalidSlug();
+    error MarketAlreadyExists();
+    error MarketNotRegistered();
+    error NotMarketCreator();
+    error FeeTooHigh();
+    error InsufficientFees();
+    error ExceedsSurplus();
+    error DisputeWindowTooLong();
+    error DisputeWindowClosed();
+    error AlreadyDisputed();
+    error NotDisputed();
+    error NotAStaker();
+    error ResolutionNotFinal();
+    error QuorumModeActive();
+    error QuorumModeDisabled();
+    error AlreadyVoted();
+    error VotingClosed();
+    error NotEscalated();
+    error InvalidOutcomeCount();
+    error InvalidOutcome();
+    error NotBinaryMarket();
+    error NotCategoricalMarket();
+    error InvalidYesBps();
+    error InsufficientStake();
+    error ResidualStakeTooSmall();
+    error PenaltyTooHigh();
+    error PermitFailed();
+    error MarketIsSealed();
+    error NotCommitReveal();
+    error NotModule();
+    error InvalidModule();
+
+    modifier onlyMarketCreator() {
+        if (!hasRole(MARKET_CREATOR_ROLE, msg.sender) && !hasRole(MARKET_ADMIN_ROLE, msg.sender))
+            revert NotMarketCreator();
+        _;
+    }
 
-    constructor(address _usdc) Ownable(msg.sender) {
+    /**
+     * @dev The modules are deployed first with this contract's predicted
+     *      address (see lib/deploy.js), which keeps ClawStake under the
+     *      contract size limit; each must point back here. The deployer
+     *      starts with every role; the deploy scripts hand operational roles
+     *      to dedicated accounts afterwards.
+     */
+    constructor(
+        address _usdc,
+        ClawStakePositions _positions,
+        ClawStakeCommitReveal _commitReveal,
+        ClawStakeIntents _intents
+    ) {
+        if (
+            _positions.clawStake() != address(this) ||
+            address(_commitReveal.clawStake()) != address(this) ||
+            address(_commitReveal.usdc()) != _usdc ||
+            address(_intents.clawStake()) != address(this)
+        ) revert InvalidModule();
         usdc = IERC20(_usdc);
+        positions = _positions;
+        commitReveal = _commitReveal;
+        intents = _intents;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(RESOLVER_ROLE, msg.sender);
+        _grantRole(MARKET_ADMIN_ROLE, msg.sender);
+        _grantRole(TREASURY_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
     }
 
     // --- Core Functions ---
@@ -94,39 +299,51 @@ contract ClawStake is ReentrancyGuard, Ownable {
         string calldata marketSlug,
         bool isYes,
         uint256 amount
-    ) external nonReentrant {
-        if (bytes(marketSlug).length == 0) revert EmptySlug();
+    ) external nonReentrant whenNotPaused {
         if (amount < MIN_STAKE) revert StakeTooSmall();
 
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
+        // Transfer USDC from staker to contract
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
 
-        // Create market if it doesn't exist
-        if (!markets[key].exists) {
-            markets[key].exists = true;
-            marketKeys.push(key);
-            slugOf[key] = marketSlug;
-            emit MarketCreated(marketSlug, key);
-        }
+        // Validates the market (creating it if needed) and mints the position
+        _recordStake(msg.sender, marketSlug, isYes, amount);
+    }
 
-        Market storage market = markets[key];
-        if (market.resolved) revert MarketAlreadyResolved();
-        if (market.cancelled) revert MarketIsCancelled();
-        if (market.deadline > 0 && block.timestamp > market.deadline) revert MarketExpired();
+    /**
+     * @notice Stake USDC and, if this stake creates the market, set its
+     *         deadline from a market admin signed authorization
+     * @dev Lets the first staker open a market with its real deadline instead
+     *      of deadline = 0. A MARKET_ADMIN_ROLE holder signs (EIP-191) the hash
+     *      returned by deadlineDigest(). If the market already exists the
+     *      signature is still verified but the existing deadline is kept.
+     * @param marketSlug The Clawdict market slug
+     * @param isYes True to stake on YES, false for NO
+     * @param amount Amount of USDC to stake (6 decimal places)
+     * @param deadline Unix timestamp a market admin authorized for this market
+     * @param signature Market admin signature over deadlineDigest(marketSlug, deadline)
+     */
+    function stakeWithDeadline(
+        string calldata marketSlug,
+        bool isYes,
+        uint256 amount,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant whenNotPaused {
+        if (bytes(marketSlug).length == 0) revert EmptySlug();
+        if (amount < MIN_STAKE) revert StakeTooSmall();
 
-        // Transfer USDC from staker to contract
-        usdc.safeTransferFrom(msg.sender, address(this), amount);
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(deadlineDigest(marketSlug, deadline));
+        if (!hasRole(MARKET_ADMIN_ROLE, ECDSA.recover(digest, signature))) revert InvalidDeadlineSignature();
 
-        // Record stake
-        Stake storage s = stakes[key][msg.sender];
-        if (isYes) {
-            market.totalYes += amount;
-            s.amountYes += amount;
-        } else {
-            market.totalNo += amount;
-            s.amountNo += amount;
+        bytes32 key = _key(marketSlug);
+        if (!markets[key].exists) {
+            _createMarketOnStake(marketSlug, key);
+            markets[key].deadline = deadline;
+            emit DeadlineSet(marketSlug, key, deadline);
         }
 
-        emit Staked(marketSlug, msg.sender, isYes, amount);
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
+        _recordStake(msg.sender, marketSlug, isYes, amount);
     }
 
     /**
@@ -141,286 +358,1336 @@ contract ClawStake is ReentrancyGuard, Ownable {
         string[] calldata slugs,
         bool[] calldata sides,
         uint256[] calldata amounts
-    ) external nonReentrant {
-        if (slugs.length != sides.length || sides.length != amounts.length)
-            revert ArrayLengthMismatch();
-
-        uint256 totalAmount = 0;
-        for (uint256 i = 0; i < amounts.length; i++) {
-            if (amounts[i] < MIN_STAKE) revert StakeTooSmall();
-            totalAmount += amounts[i];
-        }
-
-        // Single transfer for all stakes
-        usdc.safeTransferFrom(msg.sender, address(this), totalAmount);
-
-        for (uint256 i = 0; i < slugs.length; i++) {
-            _recordStake(slugs[i], sides[i], amounts[i]);
-        }
+    ) external nonReentrant whenNotPaused {
+        _batchStake(slugs, sides, amounts);
     }
 
     /**
-     * @notice Resolve a market with the final outcome (owner only)
-     * @dev If no one staked on the winning side, the market is auto-cancelled
-     *      to enable refunds for the losing side.
+     * @notice Approve and stake in one transaction with an EIP-2612 USDC permit
+     * @dev The permit must be for exactly `amount`, so no allowance is left
+     *      behind. If the permit was already used (e.g. front-run) but the
+     *      allowance still covers the stake, staking goes ahead.
      * @param marketSlug The Clawdict market slug
-     * @param outcomeYes True if YES won, false if NO won
+     * @param isYes True to stake on YES, false for NO
+     * @param amount Amount of USDC to stake (6 decimal places)
+     * @param permitDeadline Expiry of the permit signature
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
      */
-    function resolve(
+    function stakeWithPermit(
         string calldata marketSlug,
-        bool outcomeYes
-    ) external onlyOwner {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
-
-        if (!markets[key].exists) revert MarketDoesNotExist();
-        if (markets[key].resolved) revert MarketAlreadyResolved();
-        if (markets[key].cancelled) revert MarketIsCancelled();
-
-        uint256 winningPool = outcomeYes ? markets[key].totalYes : markets[key].totalNo;
+        bool isYes,
+        uint256 amount,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        if (amount < MIN_STAKE) revert StakeTooSmall();
+        _permit(amount, permitDeadline, v, r, s);
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
+        _recordStake(msg.sender, marketSlug, isYes, amount);
+    }
 
-        markets[key].resolved = true;
-        markets[key].outcomeYes = outcomeYes;
+    /**
+     * @notice batchStake() with an EIP-2612 permit for the exact total
+     * @param slugs Array of market slugs
+     * @param sides Array of YES/NO booleans
+     * @param amounts Array of USDC amounts
+     * @param permitDeadline Expiry of the permit signature
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     */
+    function batchStakeWithPermit(
+        string[] calldata slugs,
+        bool[] calldata sides,
+        uint256[] calldata amounts,
+        uint256 permitDeadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant whenNotPaused {
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < amounts.length; i++) totalAmount += amounts[i];
+        _permit(totalAmount, permitDeadline, v, r, s);
+        _batchStake(slugs, sides, amounts);
+    }
 
-        emit MarketResolved(marketSlug, key, outcomeYes);
+    /**
+     * @notice Register a market ahead of staking (market creator or market admin)
+     * @dev Required in registry mode; also usable in open mode to pre-set a
+     *      deadline and metadata. Slugs must be lowercase a-z, 0-9 and '-',
+     *      at most MAX_SLUG_LENGTH bytes.
+     * @param marketSlug The Clawdict market slug
+     * @param deadline Unix timestamp (0 = no deadline)
+     * @param metadataURI Off-chain metadata, e.g. the Clawdict market URL
+     */
+    function createMarket(
+        string calldata marketSlug,
+        uint256 deadline,
+        string calldata metadataURI
+    ) external onlyMarketCreator {
+        _registerMarket(marketSlug, deadline, metadataURI);
+    }
 
-        // Auto-cancel if no one bet on the winning side (enables refunds)
-        if (winningPool == 0) {
-            markets[key].cancelled = true;
-            emit MarketCancelled(marketSlug, key);
-        }
+    /**
+     * @notice Register a categorical ("which of N") market (market creator or market admin)
+     * @dev Categorical markets must be registered before staking, since the
+     *      number of outcomes cannot be inferred from a first stake. Stakers
+     *      use stakeOutcome() and the resolver resolveOutcome(); the YES/NO
+     *      functions revert with NotBinaryMarket.
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeCount Number of outcomes, 2 to MAX_OUTCOMES
+     * @param deadline Unix timestamp (0 = no deadline)
+     * @param metadataURI Off-chain metadata, e.g. the Clawdict market URL
+     */
+    function createCategoricalMarket(
+        string calldata marketSlug,
+        uint256 outcomeCount,
+        uint256 deadline,
+        string calldata metadataURI
+    ) external onlyMarketCreator {
+        if (outcomeCount < 2 || outcomeCount > MAX_OUTCOMES) revert InvalidOutcomeCount();
+
+        bytes32 key = _registerMarket(marketSlug, deadline, metadataURI);
+        outcomeCountOf[key] = outcomeCount;
+        emit CategoricalMarketCreated(marketSlug, key, outcomeCount);
     }
 
     /**
-     * @notice Claim winnings after a market is resolved
+     * @notice Stake USDC on one outcome of a categorical market
      * @param marketSlug The Clawdict market slug
+     * @param outcomeIndex Outcome to stake on, below the market's outcome count
+     * @param amount Amount of USDC to stake (6 decimal places)
      */
-    function claim(string calldata marketSlug) external nonReentrant {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
+    function stakeOutcome(
+        string calldata marketSlug,
+        uint256 outcomeIndex,
+        uint256 amount
+    ) external nonReentrant whenNotPaused {
+        if (amount < MIN_STAKE) revert StakeTooSmall();
 
+        bytes32 key = _key(marketSlug);
         Market storage market = markets[key];
         if (!market.exists) revert MarketDoesNotExist();
-        if (!market.resolved) revert MarketNotResolved();
+        if (outcomeIndex >= _outcomeCount(key)) revert InvalidOutcome();
+        if (market.resolved) revert MarketAlreadyResolved();
         if (market.cancelled) revert MarketIsCancelled();
+        if (market.deadline > 0 && block.timestamp > market.deadline) revert MarketExpired();
 
-        Stake storage s = stakes[key][msg.sender];
-        if (s.claimed) revert AlreadyClaimed();
-
-        uint256 userStake = market.outcomeYes ? s.amountYes : s.amountNo;
-        if (userStake == 0) revert NothingToClaim();
-
-        uint256 winningPool = market.outcomeYes ? market.totalYes : market.totalNo;
-        uint256 totalPool = market.totalYes + market.totalNo;
-
-        // Winner's share = (userStake / winningPool) * totalPool
-        uint256 payout = (userStake * totalPool) / winningPool;
-
-        s.claimed = true;
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
 
-        usdc.safeTransfer(msg.sender, payout);
+        totalLiabilities += amount;
+        outcomePools[key][outcomeIndex] += amount;
+        positions.mint(msg.sender, _positionId(key, outcomeIndex), amount);
 
-        emit Claimed(marketSlug, msg.sender, payout);
+        emit OutcomeStaked(marketSlug, msg.sender, outcomeIndex, amount);
     }
 
     /**
-     * @notice Refund stakes from a cancelled or expired market
-     * @dev Refund is available if:
-     *      1. Market was cancelled by owner or auto-cancelled (no winners)
-     *      2. Market deadline + grace period has passed without resolution
+     * @notice Withdraw part or all of a YES/NO stake while the market is open
+     * @dev Allowed until the deadline, even while staking is paused. The
+     *      exit penalty (the market's exitPenaltyBpsOf of amount) stays in the market's
+     *      penalty pool for the remaining stakers; the rest is returned. What
+     *      is left on that side must be zero or at least MIN_STAKE. If the
+     *      last stake leaves, the penalty pool goes to protocol fees.
      * @param marketSlug The Clawdict market slug
+     * @param isYes True to withdraw from the YES side, false for NO
+     * @param amount Amount of stake to withdraw, penalty included
      */
-    function refund(string calldata marketSlug) external nonReentrant {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
+    function unstake(
+        string calldata marketSlug,
+        bool isYes,
+        uint256 amount
+    ) external nonReentrant {
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
 
         Market storage market = markets[key];
-        if (!market.exists) revert MarketDoesNotExist();
-
-        // Check refund eligibility
-        bool isCancelled = market.cancelled;
-        bool isExpiredUnresolved = market.deadline > 0 &&
-            block.timestamp > market.deadline + REFUND_GRACE_PERIOD &&
-            !market.resolved;
-
-        if (!isCancelled && !isExpiredUnresolved) revert RefundNotAvailable();
+        if (market.deadline > 0 && block.timestamp > market.deadline) revert MarketExpired();
 
-        // Auto-cancel on first expired refund to prevent late resolution
-        if (isExpiredUnresolved && !market.cancelled) {
-            market.cancelled = true;
-            emit MarketCancelled(marketSlug, key);
+        uint256 id = _positionId(key, _slot(isYes));
+        uint256 staked = positions.balanceOf(msg.sender, id);
+        if (amount == 0 || amount > staked) revert InsufficientStake();
+        uint256 residual = staked - amount;
+        if (residual > 0 && residual < MIN_STAKE) revert ResidualStakeTooSmall();
+
+        if (isYes) market.totalYes -= amount;
+        else market.totalNo -= amount;
+        positions.burn(msg.sender, id, amount);
+
+        uint256 penalty = (amount * exitPenaltyBpsOf[key]) / BPS;
+        uint256 pool = penaltyPoolOf[key] + penalty;
+        if (market.totalYes + market.totalNo == 0 && pool > 0) {
+            // Nobody left to pay the penalties to
+            totalLiabilities -= pool;
+            feesAccrued += pool;
+            pool = 0;
         }
+        penaltyPoolOf[key] = pool;
+        totalLiabilities -= amount - penalty;
 
-        Stake storage s = stakes[key][msg.sender];
-        uint256 total = s.amountYes + s.amountNo;
-        if (total == 0 || s.claimed) revert NothingToRefund();
-
-        s.claimed = true;
+        emit Unstaked(marketSlug, msg.sender, isYes, amount, penalty);
+        usdc.safeTransfer(msg.sender, amount - penalty);
+    }
 
-        usdc.safeTransfer(msg.sender, total);
+    /**
+     * @notice Resolve a market with the final outcome (resolver only)
+     * @dev If no one staked on the winning side, the market is auto-cancelled
+     *      to enable refunds for the losing side. Otherwise claims open once
+     *      the dispute window has passed without a dispute. Disabled in
+     *      quorum mode, where resolvers use voteOutcome() instead.
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeYes True if YES won, false if NO won
+     */
+    function resolve(
+        string calldata marketSlug,
+        bool outcomeYes
+    ) external onlyRole(RESOLVER_ROLE) {
+        if (resolutionQuorum > 0) revert QuorumModeActive();
 
-        emit Refunded(marketSlug, msg.sender, total);
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
+        _resolve(marketSlug, key, outcomeYes);
     }
 
-    // --- View Functions ---
-
     /**
-     * @notice Get market info by slug
+     * @notice Resolve a YES/NO market to a fraction of YES (resolver only)
+     * @dev For N/A, "50/50" or percentage outcomes: YES stakers share yesBps
+     *      of the total pool and NO stakers the rest, each in proportion to
+     *      their stake on that side, so hedged positions get both parts. A
+     *      side nobody staked on passes its share to the other side. The fee
+     *      applies only to what a position receives above its total stake.
+     *      In quorum mode only the admin can resolve fractionally.
      * @param marketSlug The Clawdict market slug
-     * @return totalYes Total USDC staked on YES
-     * @return totalNo Total USDC staked on NO
-     * @return resolved Whether the market has been resolved
-     * @return outcomeYes The outcome (only meaningful if resolved)
-     * @return deadline Market deadline (0 = no deadline)
-     * @return cancelled Whether the market is cancelled
+     * @param yesBps Share of the pool for YES stakers, 0 to 10000
      */
-    function getMarketInfo(
-        string calldata marketSlug
-    )
-        external
-        view
-        returns (
-            uint256 totalYes,
-            uint256 totalNo,
-            bool resolved,
-            bool outcomeYes,
-            uint256 deadline,
-            bool cancelled
-        )
-    {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
+    function resolveFractional(
+        string calldata marketSlug,
+        uint256 yesBps
+    ) external onlyRole(RESOLVER_ROLE) {
+        if (resolutionQuorum > 0 && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert QuorumModeActive();
+        if (yesBps > BPS) revert InvalidYesBps();
+
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
+
         Market storage market = markets[key];
-        return (
-            market.totalYes,
-            market.totalNo,
-            market.resolved,
-            market.outcomeYes,
-            market.deadline,
-            market.cancelled
-        );
+        market.resolved = true;
+        market.outcomeYes = yesBps * 2 >= BPS; // majority side, for getMarketInfo
+        market.finalizesAt = block.timestamp + disputeWindow;
+        resolvedAt[key] = block.timestamp;
+        fractions[key] = Fraction(true, yesBps);
+
+        emit MarketResolvedFractional(marketSlug, key, yesBps);
     }
 
     /**
-     * @notice Get a staker's position in a market
+     * @notice Resolve a categorical market to its winning outcome (resolver only)
+     * @dev If no one staked on the winning outcome, the market is
+     *      auto-cancelled for refunds. In quorum mode, where binary markets
+     *      are voted on, categorical markets are resolved by the admin.
      * @param marketSlug The Clawdict market slug
-     * @param staker The staker's address
-     * @return amountYes USDC staked on YES
-     * @return amountNo USDC staked on NO
-     * @return claimed Whether winnings have been claimed
+     * @param outcomeIndex The winning outcome
      */
-    function getStake(
+    function resolveOutcome(
         string calldata marketSlug,
-        address staker
-    )
-        external
-        view
-        returns (uint256 amountYes, uint256 amountNo, bool claimed)
-    {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
-        Stake storage s = stakes[key][staker];
-        return (s.amountYes, s.amountNo, s.claimed);
+        uint256 outcomeIndex
+    ) external onlyRole(RESOLVER_ROLE) {
+        if (resolutionQuorum > 0 && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert QuorumModeActive();
+
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (outcomeIndex >= _outcomeCount(key)) revert InvalidOutcome();
+
+        Market storage market = markets[key];
+        market.resolved = true;
+        winningOutcomeOf[key] = outcomeIndex;
+        market.finalizesAt = block.timestamp + disputeWindow;
+
+        emit OutcomeResolved(marketSlug, key, outcomeIndex);
+
+        if (outcomePools[key][outcomeIndex] == 0) {
+            _cancel(marketSlug, key);
+        }
     }
 
     /**
-     * @notice Get total number of markets created
+     * @notice Vote on a market's outcome in quorum mode (resolver only)
+     * @dev The market resolves as soon as resolutionQuorum resolvers have
+     *      voted the same outcome. A vote that disagrees with an earlier one
+     *      is a conflict: the market is cancelled if cancelOnConflict is set,
+     *      otherwise voting closes and it is escalated to resolveEscalated().
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeYes True if YES won, false if NO won
      */
-    function marketCount() external view returns (uint256) {
-        return marketKeys.length;
+    function voteOutcome(
+        string calldata marketSlug,
+        bool outcomeYes
+    ) external onlyRole(RESOLVER_ROLE) {
+        if (resolutionQuorum == 0) revert QuorumModeDisabled();
+
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
+
+        Tally storage tally = tallies[key];
+        if (tally.escalated) revert VotingClosed();
+        if (votes[key][msg.sender] != 0) revert AlreadyVoted();
+
+        votes[key][msg.sender] = outcomeYes ? 1 : 2;
+        if (outcomeYes) tally.yesVotes += 1;
+        else tally.noVotes += 1;
+        emit OutcomeVoted(marketSlug, key, msg.sender, outcomeYes);
+
+        if (tally.yesVotes > 0 && tally.noVotes > 0) {
+            if (cancelOnConflict) {
+                _cancel(marketSlug, key);
+            } else {
+                tally.escalated = true;
+                emit ResolutionEscalated(marketSlug, key);
+            }
+        } else if ((outcomeYes ? tally.yesVotes : tally.noVotes) >= resolutionQuorum) {
+            _resolve(marketSlug, key, outcomeYes);
+        }
     }
 
     /**
-     * @notice Get market key and slug by index (for enumeration)
-     * @param index Index in the marketKeys array
-     * @return key The bytes32 market key
-     * @return slug The original market slug string
+     * @notice Resolve a market whose resolvers disagreed (admin only)
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeYes True if YES won, false if NO won
      */
-    function getMarketByIndex(
-        uint256 index
-    ) external view returns (bytes32 key, string memory slug) {
-        key = marketKeys[index];
-        slug = slugOf[key];
+    function resolveEscalated(
+        string calldata marketSlug,
+        bool outcomeYes
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        bytes32 key = _key(marketSlug);
+        _requireUnsettled(key);
+        if (!tallies[key].escalated) revert NotEscalated();
+        _resolve(marketSlug, key, outcomeYes);
     }
 
-    // --- Admin ---
-
     /**
-     * @notice Set or update the deadline for a market (owner only)
-     * @param marketSlug The market slug
-     * @param deadline Unix timestamp (0 to remove deadline)
+     * @dev Shared by resolve, voteOutcome and resolveEscalated
      */
-    function setDeadline(
+    function _resolve(
         string calldata marketSlug,
-        uint256 deadline
-    ) external onlyOwner {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
-        if (!markets[key].exists) revert MarketDoesNotExist();
-        if (markets[key].resolved) revert MarketAlreadyResolved();
-        if (markets[key].cancelled) revert MarketIsCancelled();
+        bytes32 key,
+        bool outcomeYes
+    ) internal {
+        uint256 winningPool = outcomeYes ? markets[key].totalYes : markets[key].totalNo;
 
-        markets[key].deadline = deadline;
-        emit DeadlineSet(marketSlug, key, deadline);
+        markets[key].resolved = true;
+        markets[key].outcomeYes = outcomeYes;
+        markets[key].finalizesAt = block.timestamp + disputeWindow;
+        resolvedAt[key] = block.timestamp;
+
+        emit MarketResolved(marketSlug, key, outcomeYes);
+
+        // Auto-cancel if no one bet on the winning side (enables refunds)
+        if (winningPool == 0) {
+            _cancel(marketSlug, key);
+        }
     }
 
     /**
-     * @notice Cancel a market and enable refunds (owner only)
-     * @param marketSlug The market slug
+     * @notice Challenge a resolution during the dispute window by posting
+     *         the dispute bond (stakers only)
+     * @dev Blocks claims until the resolver settles the dispute via
+     *      correctResolution(), a market admin cancels the market, or
+     *      DISPUTE_TIMEOUT passes; then the original resolution stands and
+     *      expireDispute() returns the bond. Only one dispute per market can
+     *      be open at a time.
+     * @param marketSlug The Clawdict market slug
      */
-    function cancelMarket(
-        string calldata marketSlug
-    ) external onlyOwner {
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
-        if (!markets[key].exists) revert MarketDoesNotExist();
-        if (markets[key].resolved) revert MarketAlreadyResolved();
+    function dispute(string calldata marketSlug) external nonReentrant {
+        bytes32 key = _key(marketSlug);
+        Market storage market = markets[key];
+        if (!market.resolved) revert MarketNotResolved();
+        if (market.cancelled) revert MarketIsCancelled();
+        if (block.timestamp >= market.finalizesAt) revert DisputeWindowClosed();
+        if (disputes[key].disputer != address(0)) revert AlreadyDisputed();
+
+        if (_stakedTotal(key, msg.sender) == 0) revert NotAStaker();
+
+        uint256 bond = disputeBond;
+        disputes[key] = Dispute(msg.sender, bond);
+        market.finalizesAt = block.timestamp + DISPUTE_TIMEOUT;
+        totalLiabilities += bond;
+        if (bond > 0) usdc.safeTransferFrom(msg.sender, address(this), bond);
+
+        emit MarketDisputed(marketSlug, key, msg.sender, bond);
+    }
+
+    /**
+     * @notice Return the bond of a dispute nobody settled within
+     *         DISPUTE_TIMEOUT to the disputer; the original resolution stands
+     * @param marketSlug The Clawdict market slug
+     */
+    function expireDispute(string calldata marketSlug) external nonReentrant {
+        bytes32 key = _key(marketSlug);
+        Dispute memory d = disputes[key];
+        if (d.disputer == address(0)) revert NotDisputed();
+        if (!_isFinal(markets[key])) revert ResolutionNotFinal();
+
+        delete disputes[key];
+        totalLiabilities -= d.bond;
+        usdc.safeTransfer(d.disputer, d.bond);
+        emit DisputeSettled(marketSlug, key, d.disputer, false);
+    }
+
+    /**
+     * @notice Confirm or change the outcome of a resolution that is not final
+     *         yet, settling any open dispute (resolver only)
+     * @dev The resolution becomes final immediately. A dispute is upheld when
+     *      the outcome changes (a fractional resolution always changes): the
+     *      bond goes back to the disputer. Otherwise
+     *      the bond is forfeited to the protocol fees. If the corrected
+     *      winning side has no stakes, the market is auto-cancelled. In
+     *      quorum mode only the admin can correct.
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeYes The correct outcome
+     */
+    function correctResolution(
+        string calldata marketSlug,
+        bool outcomeYes
+    ) external onlyRole(RESOLVER_ROLE) nonReentrant {
+        bytes32 key = _key(marketSlug);
+        Market storage market = _requireCorrectable(key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
+
+        // Correcting a fractional resolution always changes it to a full YES/NO outcome
+        bool changed = market.outcomeYes != outcomeYes || fractions[key].fractional;
+        market.outcomeYes = outcomeYes;
+        delete fractions[key];
+        if (changed) emit ResolutionCorrected(marketSlug, key, outcomeYes);
+
+        _settleCorrection(marketSlug, key, changed, outcomeYes ? market.totalYes : market.totalNo);
+    }
+
+    /**
+     * @notice Confirm or change the winning outcome of a categorical market
+     *         whose resolution is not final yet (resolver only)
+     * @dev Same dispute settlement as correctResolution()
+     * @param marketSlug The Clawdict market slug
+     * @param outcomeIndex The correct winning outcome
+     */
+    function correctOutcome(
+        string calldata marketSlug,
+        uint256 outcomeIndex
+    ) external onlyRole(RESOLVER_ROLE) nonReentrant {
+        bytes32 key = _key(marketSlug);
+        _requireCorrectable(key);
+        if (outcomeIndex >= _outcomeCount(key)) revert InvalidOutcome();
+
+        bool changed = winningOutcomeOf[key] != outcomeIndex;
+        winningOutcomeOf[key] = outcomeIndex;
+        if (changed) emit OutcomeResolved(marketSlug, key, outcomeIndex);
+
+        _settleCorrection(marketSlug, key, changed, outcomePools[key][outcomeIndex]);
+    }
+
+    /**
+     * @dev Make a corrected resolution final, settle any open dispute and
+     *      auto-cancel if the (corrected) winning pool is empty
+     */
+    function _settleCorrection(
+        string calldata marketSlug,
+        bytes32 key,
+        bool changed,
+        uint256 winningPool
+    ) internal {
+        Market storage market = markets[key];
+        market.finalizesAt = block.timestamp;
+
+        Dispute memory d = disputes[key];
+        if (d.disputer != address(0)) {
+            delete disputes[key];
+            totalLiabilities -= d.bond;
+            if (changed) {
+                usdc.safeTransfer(d.disputer, d.bond);
+            } else {
+                feesAccrued += d.bond;
+            }
+            emit DisputeSettled(marketSlug, key, d.disputer, changed);
+        }
+
+        if (winningPool == 0) {
+            _cancel(marketSlug, key);
+        }
+    }
+
+    /**
+     * @notice Claim winnings after a market is resolved
+     * @param marketSlug The Clawdict market slug
+     */
+    function claim(string calldata marketSlug) external nonReentrant {
+        uint256 payout = _recordClaim(msg.sender, marketSlug);
+        usdc.safeTransfer(msg.sender, payout);
+    }
+
+    /**
+     * @notice Claim winnings from multiple resolved markets in a single transaction
+     * @dev Records every claim first, then transfers the combined payout once.
+     *      Reverts if any market is not claimable, like claim().
+     * @param slugs Array of market slugs
+     */
+    function batchClaim(
+        string[] calldata slugs
+    ) external nonReentrant {
+        uint256 totalPayout = 0;
+        for (uint256 i = 0; i < slugs.length; i++) {
+            totalPayout += _recordClaim(msg.sender, slugs[i]);
+        }
+
+        // Single transfer for all claims
+        usdc.safeTransfer(msg.sender, totalPayout);
+    }
+
+    /**
+     * @notice Refund stakes from a cancelled or expired market
+     * @dev Refund is available if:
+     *      1. Market was cancelled by a market admin or auto-cancelled (no winners)
+     *      2. Market deadline + grace period has passed without resolution
+     * @param marketSlug The Clawdict market slug
+     */
+    function refund(string calldata marketSlug) external nonReentrant {
+        uint256 total = _recordRefund(msg.sender, marketSlug);
+        usdc.safeTransfer(msg.sender, total);
+    }
+
+    /**
+     * @notice Refund stakes from multiple cancelled or expired markets in a single transaction
+     * @dev Records every refund first, then transfers the combined amount once.
+     *      Reverts if any market is not refundable, like refund().
+     * @param slugs Array of market slugs
+     */
+    function batchRefund(
+        string[] calldata slugs
+    ) external nonReentrant {
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < slugs.length; i++) {
+            totalAmount += _recordRefund(msg.sender, slugs[i]);
+        }
+
+        // Single transfer for all refunds
+        usdc.safeTransfer(msg.sender, totalAmount);
+    }
+
+    // --- Commit–Reveal ---
+
+    /**
+     * @notice Mark a market as commit–reveal (ClawStakeCommitReveal only)
+     * @param key Market key
+     */
+    function sealMarket(bytes32 key) external {
+        if (msg.sender != address(commitReveal)) revert NotCommitReveal();
+        sealedMarkets[key] = true;
+    }
+
+    /**
+     * @notice Stake for `staker` (ClawStakeCommitReveal or ClawStakeIntents only)
+     * @dev USDC is pulled from ClawStakeCommitReveal for a revealed
+     *      commitment, or from `staker` for a signed intent. Reveals go
+     *      through while paused: the commitment was made before the pause,
+     *      and blocking its reveal would cost the staker the penalty.
+     * @param staker Account that committed or signed; receives the position
+     * @param marketSlug The Clawdict market slug
+     * @param isYes Revealed or signed side
+     * @param amount Amount of USDC to stake (6 decimal places)
+     */
+    function stakeFor(
+        address staker,
+        string calldata marketSlug,
+        bool isYes,
+        uint256 amount
+    ) external nonReentrant {
+        address payer = msg.sender;
+        if (msg.sender == address(intents)) {
+            _requireNotPaused();
+            payer = staker;
+        } else if (msg.sender != address(commitReveal)) revert NotModule();
+        if (amount < MIN_STAKE) revert StakeTooSmall();
+        usdc.safeTransferFrom(payer, address(this), amount);
+        _recordStake(staker, marketSlug, isYes, amount);
+    }
+
+    // --- Signed Intents ---
+
+    /**
+     * @notice Claim winnings for `holder` from a signed intent (ClawStakeIntents only)
+     * @param holder Account that signed the intent; receives the payout
+     * @param marketSlug The Clawdict market slug
+     */
+    function claimFor(address holder, string calldata marketSlug) external nonReentrant {
+        if (msg.sender != address(intents)) revert NotModule();
+        usdc.safeTransfer(holder, _recordClaim(holder, marketSlug));
+    }
+
+    /**
+     * @notice Refund `holder` from a signed intent (ClawStakeIntents only)
+     * @param holder Account that signed the intent; receives the refund
+     * @param marketSlug The Clawdict market slug
+     */
+    function refundFor(address holder, string calldata marketSlug) external nonReentrant {
+        if (msg.sender != address(intents)) revert NotModule();
+        usdc.safeTransfer(holder, _recordRefund(holder, marketSlug));
+    }
+
+    // --- View Functions ---
+
+    /**
+     * @notice Get market info by slug
+     * @param marketSlug The Clawdict market slug
+     * @return totalYes Total USDC staked on YES
+     * @return totalNo Total USDC staked on NO
+     * @return resolved Whether the market has been resolved
+     * @return outcomeYes The outcome (only meaningful if resolved)
+     * @return deadline Market deadline (0 = no deadline)
+     * @return cancelled Whether the market is cancelled
+     * @return marketFeeBps Protocol fee on winnings for this market
+     */
+    function getMarketInfo(
+        string calldata marketSlug
+    )
+        external
+        view
+        returns (
+            uint256 totalYes,
+            uint256 totalNo,
+            bool resolved,
+            bool outcomeYes,
+            uint256 deadline,
+            bool cancelled,
+            uint256 marketFeeBps
+        )
+    {
+        bytes32 key = _key(marketSlug);
+        Market storage market = markets[key];
+        return (
+            market.totalYes,
+            market.totalNo,
+            market.resolved,
+            market.outcomeYes,
+            market.deadline,
+            market.cancelled,
+            market.feeBps
+        );
+    }
+
+    /**
+     * @notice Get a staker's position in a market
+     * @dev A view over the staker's position token balances
+     * @param marketSlug The Clawdict market slug
+     * @param staker The staker's address
+     * @return amountYes USDC staked on YES still held
+     * @return amountNo USDC staked on NO still held
+     * @return claimed Whether the staker has claimed or refunded in this market
+     */
+    function getStake(
+        string calldata marketSlug,
+        address staker
+    )
+        external
+        view
+        returns (uint256 amountYes, uint256 amountNo, bool claimed)
+    {
+        bytes32 key = _key(marketSlug);
+        if (outcomeCountOf[key] == 0) {
+            amountYes = _balanceOf(staker, key, 1);
+            amountNo = _balanceOf(staker, key, 0);
+        }
+        claimed = settlements[key][staker].staked > 0;
+    }
+
+    /**
+     * @notice ERC-1155 token id of a market position
+     * @param marketSlug The market slug
+     * @param slot 1 for YES and 0 for NO, or the outcome index of a categorical market
+     * @return id Token id in the positions contract
+     */
+    function positionId(
+        string calldata marketSlug,
+        uint256 slot
+    ) external pure returns (uint256 id) {
+        return _positionId(_key(marketSlug), slot);
+    }
+
+    /**
+     * @notice Pools of a categorical market (empty for binary markets)
+     * @param marketSlug The market slug
+     * @return pools USDC staked on each outcome
+     * @return winningOutcome Winning outcome index (only meaningful if resolved)
+     */
+    function getOutcomePools(
+        string calldata marketSlug
+    ) external view returns (uint256[] memory pools, uint256 winningOutcome) {
+        bytes32 key = _key(marketSlug);
+        pools = new uint256[](outcomeCountOf[key]);
+        for (uint256 i = 0; i < pools.length; i++) pools[i] = outcomePools[key][i];
+        winningOutcome = winningOutcomeOf[key];
+    }
+
+    /**
+     * @notice A staker's position in a categorical market (empty for binary markets)
+     * @param marketSlug The market slug
+     * @param staker The staker's address
+     * @return amounts USDC staked on each outcome
+     */
+    function getOutcomeStakes(
+        string calldata marketSlug,
+        address staker
+    ) external view returns (uint256[] memory amounts) {
+        bytes32 key = _key(marketSlug);
+        amounts = new uint256[](outcomeCountOf[key]);
+        for (uint256 i = 0; i < amounts.length; i++) amounts[i] = _balanceOf(staker, key, i);
+    }
+
+    /**
+     * @notice Dispute state of a resolved market
+     * @param marketSlug The market slug
+     * @return finalizesAt When the resolution becomes final: the end of the
+     *         dispute window, or DISPUTE_TIMEOUT after a dispute (0 if unresolved)
+     * @return disputer Account with an open dispute (zero address if none)
+     * @return bond Bond posted by the disputer
+     * @return isFinal Whether the resolution is final and claims are open
+     */
+    function getDispute(
+        string calldata marketSlug
+    ) external view returns (uint256 finalizesAt, address disputer, uint256 bond, bool isFinal) {
+        bytes32 key = _key(marketSlug);
+        Market storage market = markets[key];
+        Dispute storage d = disputes[key];
+        return (market.finalizesAt, d.disputer, d.bond, market.resolved && !market.cancelled && _isFinal(market));
+    }
+
+    /**
+     * @notice Vote tally of a market in quorum mode
+     * @param marketSlug The market slug
+     * @return yesVotes Resolvers who voted YES
+     * @return noVotes Resolvers who voted NO
+     * @return escalated Whether conflicting votes escalated it to the admin
+     */
+    function getTally(
+        string calldata marketSlug
+    ) external view returns (uint256 yesVotes, uint256 noVotes, bool escalated) {
+        Tally storage tally = tallies[_key(marketSlug)];
+        return (tally.yesVotes, tally.noVotes, tally.escalated);
+    }
+
+    /**
+     * @notice Hash a market admin signs to authorize a deadline for stakeWithDeadline
+     * @dev Bound to this contract and chain so signatures cannot be replayed elsewhere
+     * @param marketSlug The market slug
+     * @param deadline Unix timestamp
+     */
+    function deadlineDigest(
+        string calldata marketSlug,
+        uint256 deadline
+    ) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), block.chainid, _key(marketSlug), deadline));
+    }
+
+    /**
+     * @notice Compare the contract's USDC balance with what it owes
+     * @dev Liabilities are unclaimed stakes in open, resolved and cancelled
+     *      markets. After a resolved market is fully claimed, rounding dust
+     *      stays counted as a liability.
+     * @return balance USDC held by the contract
+     * @return liabilities USDC owed to stakers
+     * @return fees Accrued protocol fees (withdrawable only via withdrawFees)
+     * @return surplus Balance above liabilities + fees, 0 if there is none
+     */
+    function solvency()
+        public
+        view
+        returns (uint256 balance, uint256 liabilities, uint256 fees, uint256 surplus)
+    {
+        balance = usdc.balanceOf(address(this));
+        liabilities = totalLiabilities;
+        fees = feesAccrued;
+        uint256 reserved = liabilities + fees;
+        surplus = balance > reserved ? balance - reserved : 0;
+    }
+
+    /**
+     * @notice Get total number of markets created
+     */
+    function marketCount() external view returns (uint256) {
+        return marketKeys.length;
+    }
+
+    /**
+     * @notice Get market key and slug by index (for enumeration)
+     * @param index Index in the marketKeys array
+     * @return key The bytes32 market key
+     * @return slug The original market slug string
+     */
+    function getMarketByIndex(
+        uint256 index
+    ) external view returns (bytes32 key, string memory slug) {
+        key = marketKeys[index];
+        slug = slugOf[key];
+    }
+
+    // --- Admin ---
+
+    /**
+     * @notice Set or update the deadline for a market (market admin only)
+     * @param marketSlug The market slug
+     * @param deadline Unix timestamp (0 to remove deadline)
+     */
+    function setDeadline(
+        string calldata marketSlug,
+        uint256 deadline
+    ) external onlyRole(MARKET_ADMIN_ROLE) {
+        bytes32 key = _key(marketSlug);
+        if (!markets[key].exists) revert MarketDoesNotExist();
+        if (markets[key].resolved) revert MarketAlreadyResolved();
         if (markets[key].cancelled) revert MarketIsCancelled();
 
-        markets[key].cancelled = true;
-        emit MarketCancelled(marketSlug, key);
+        markets[key].deadline = deadline;
+        emit DeadlineSet(marketSlug, key, deadline);
+    }
+
+    /**
+     * @notice Cancel a market and enable refunds (market admin only)
+     * @dev Also escalates a resolution that is not final yet: any open
+     *      dispute bond is returned to the disputer.
+     * @param marketSlug The market slug
+     */
+    function cancelMarket(
+        string calldata marketSlug
+    ) external onlyRole(MARKET_ADMIN_ROLE) nonReentrant {
+        bytes32 key = _key(marketSlug);
+        Market storage market = markets[key];
+        if (!market.exists) revert MarketDoesNotExist();
+        if (market.resolved && _isFinal(market)) revert MarketAlreadyResolved();
+        if (market.cancelled) revert MarketIsCancelled();
+
+        _cancel(marketSlug, key);
+
+        Dispute memory d = disputes[key];
+        if (d.disputer != address(0)) {
+            delete disputes[key];
+            totalLiabilities -= d.bond;
+            usdc.safeTransfer(d.disputer, d.bond);
+            emit DisputeSettled(marketSlug, key, d.disputer, true);
+        }
+    }
+
+    /**
+     * @notice Switch quorum resolution on or off (admin only)
+     * @dev Votes already cast keep counting towards the new quorum
+     * @param quorum Matching resolver votes needed to resolve (0 = single resolver via resolve())
+     * @param cancelOnConflict_ Cancel on conflicting votes instead of escalating
+     */
+    function setResolutionQuorum(
+        uint256 quorum,
+        bool cancelOnConflict_
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        resolutionQuorum = quorum;
+        cancelOnConflict = cancelOnConflict_;
+        emit ResolutionQuorumSet(quorum, cancelOnConflict_);
+    }
+
+    /**
+     * @notice Set the dispute window and bond for future resolutions (admin only)
+     * @param window Seconds after resolve() during which stakers can dispute (0 disables disputes)
+     * @param bond USDC a disputer must post
+     */
+    function setDisputeParams(
+        uint256 window,
+        uint256 bond
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (window > MAX_DISPUTE_WINDOW) revert DisputeWindowTooLong();
+        disputeWindow = window;
+        disputeBond = bond;
+        emit DisputeParamsSet(window, bond);
+    }
+
+    /**
+     * @notice Require markets to be registered via createMarket before staking (market admin only)
+     * @dev Existing markets are unaffected either way
+     * @param enabled True to require registration, false for permissionless creation
+     */
+    function setRegistryMode(
+        bool enabled
+    ) external onlyRole(MARKET_ADMIN_ROLE) {
+        registryMode = enabled;
+        emit RegistryModeSet(enabled);
+    }
+
+    /**
+     * @notice Stop new stakes (pauser only)
+     * @dev Claims and refunds stay available so stakers can always exit
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @notice Resume staking (pauser only)
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @notice Set the protocol fee for markets created from now on (admin only)
+     * @dev Existing markets keep the fee they were created with
+     * @param newFeeBps Fee on winnings in basis points, at most MAX_FEE_BPS
+     */
+    function setFeeBps(
+        uint256 newFeeBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newFeeBps > MAX_FEE_BPS) revert FeeTooHigh();
+        feeBps = newFeeBps;
+        emit FeeBpsSet(newFeeBps);
+    }
+
+    /**
+     * @notice Set the early exit penalty for unstake() (admin only)
+     * @dev Applies to markets created from now on; existing markets keep theirs
+     * @param newPenaltyBps Share of an unstaked amount kept in the market, at most MAX_EXIT_PENALTY_BPS
+     */
+    function setExitPenaltyBps(
+        uint256 newPenaltyBps
+    ) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        if (newPenaltyBps > MAX_EXIT_PENALTY_BPS) revert PenaltyTooHigh();
+        exitPenaltyBps = newPenaltyBps;
+        emit ExitPenaltySet(newPenaltyBps);
     }
 
     /**
-     * @notice Emergency withdraw stuck tokens (owner only)
-     * @dev Only for recovery — should never be needed in normal operation
+     * @notice Withdraw accrued protocol fees (treasury only)
+     * @param to Recipient
+     * @param amount Amount of USDC, at most feesAccrued
+     */
+    function withdrawFees(
+        address to,
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) nonReentrant {
+        if (amount > feesAccrued) revert InsufficientFees();
+        feesAccrued -= amount;
+        usdc.safeTransfer(to, amount);
+        emit FeesWithdrawn(to, amount);
+    }
+
+    /**
+     * @notice Emergency withdraw stuck tokens to the caller (treasury only)
+     * @dev Only for recovery — should never be needed in normal operation.
+     *      USDC is limited to the surplus reported by solvency(), so stakers'
+     *      funds and accrued fees can never be taken; other tokens are
+     *      fully recoverable.
      */
     function emergencyWithdraw(
         address token,
         uint256 amount
-    ) external onlyOwner {
-        IERC20(token).safeTransfer(owner(), amount);
-        emit EmergencyWithdraw(token, owner(), amount);
+    ) external onlyRole(TREASURY_ROLE) {
+        if (token == address(usdc)) {
+            (, , , uint256 surplus) = solvency();
+            if (amount > surplus) revert ExceedsSurplus();
+        }
+        IERC20(token).safeTransfer(msg.sender, amount);
+        emit EmergencyWithdraw(token, msg.sender, amount);
     }
 
     // --- Internal ---
 
     /**
-     * @dev Record a stake without transferring tokens (used by batchStake)
+     * @dev Revert unless the market exists and is neither resolved nor cancelled
+     */
+    function _requireUnsettled(bytes32 key) internal view {
+        if (!markets[key].exists) revert MarketDoesNotExist();
+        if (markets[key].resolved) revert MarketAlreadyResolved();
+        if (markets[key].cancelled) revert MarketIsCancelled();
+    }
+
+    /**
+     * @dev Market whose resolution can still be corrected: resolved, not
+     *      cancelled and not final. In quorum mode only the admin corrects.
+     */
+    function _requireCorrectable(bytes32 key) internal view returns (Market storage market) {
+        // A single resolver must not overturn a quorum-voted outcome
+        if (resolutionQuorum > 0 && !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)) revert QuorumModeActive();
+        market = markets[key];
+        if (!market.resolved) revert MarketNotResolved();
+        if (market.cancelled) revert MarketIsCancelled();
+        if (_isFinal(market)) revert MarketAlreadyResolved();
+    }
+
+    /**
+     * @dev Market key of a slug
+     */
+    function _key(string calldata marketSlug) internal pure returns (bytes32) {
+        return keccak256(abi.encodePacked(marketSlug));
+    }
+
+    /**
+     * @dev Cancel a market so its stakers can refund
+     */
+    function _cancel(
+        string calldata marketSlug,
+        bytes32 key
+    ) internal {
+        markets[key].cancelled = true;
+        emit MarketCancelled(marketSlug, key);
+    }
+
+    /**
+     * @dev Outcome count of a categorical market; reverts for binary markets
+     */
+    function _outcomeCount(bytes32 key) internal view returns (uint256 count) {
+        count = outcomeCountOf[key];
+        if (count == 0) revert NotCategoricalMarket();
+    }
+
+    /**
+     * @dev Position tokens `holder` has in slot `slot` of market `key`
+     */
+    function _balanceOf(
+        address holder,
+        bytes32 key,
+        uint256 slot
+    ) internal view returns (uint256) {
+        return positions.balanceOf(holder, _positionId(key, slot));
+    }
+
+    /**
+     * @dev Position token id of a market side (0 = NO, 1 = YES) or categorical outcome
+     */
+    function _positionId(
+        bytes32 key,
+        uint256 slot
+    ) internal pure returns (uint256) {
+        return uint256(keccak256(abi.encode(key, slot)));
+    }
+
+    function _slot(bool isYes) internal pure returns (uint256) {
+        return isYes ? 1 : 0;
+    }
+
+    /**
+     * @dev Position slots of a market: NO and YES, or its outcomes
+     */
+    function _slotCount(bytes32 key) internal view returns (uint256 count) {
+        count = outcomeCountOf[key];
+        if (count == 0) count = 2;
+    }
+
+    /**
+     * @dev Everything a staker holds in a market, across sides or outcomes
+     */
+    function _stakedTotal(
+        bytes32 key,
+        address staker
+    ) internal view returns (uint256 total) {
+        uint256 count = _slotCount(key);
+        for (uint256 i = 0; i < count; i++) total += _balanceOf(staker, key, i);
+    }
+
+    /**
+     * @dev Burn all of a holder's position tokens in a market; returns the amount burned
+     */
+    function _burnPosition(
+        bytes32 key,
+        address holder
+    ) internal returns (uint256 total) {
+        uint256 count = _slotCount(key);
+        for (uint256 i = 0; i < count; i++) {
+            uint256 id = _positionId(key, i);
+            uint256 amount = positions.balanceOf(holder, id);
+            if (amount == 0) continue;
+            positions.burn(holder, id, amount);
+            total += amount;
+        }
+    }
+
+    /**
+     * @dev A resolution is final once its dispute window has passed, or
+     *      DISPUTE_TIMEOUT after a dispute nobody settled
+     */
+    function _isFinal(
+        Market storage market
+    ) internal view returns (bool) {
+        return block.timestamp >= market.finalizesAt;
+    }
+
+    /**
+     * @dev Implicit creation on first stake; disallowed in registry mode
+     */
+    function _createMarketOnStake(
+        string calldata marketSlug,
+        bytes32 key
+    ) internal {
+        if (registryMode) revert MarketNotRegistered();
+        _createMarket(marketSlug, key);
+    }
+
+    /**
+     * @dev Enforce lowercase [a-z0-9-] slugs of at most MAX_SLUG_LENGTH bytes
+     */
+    function _validateSlug(
+        string calldata marketSlug
+    ) internal pure {
+        bytes calldata b = bytes(marketSlug);
+        if (b.length == 0) revert EmptySlug();
+        if (b.length > MAX_SLUG_LENGTH) revert InvalidSlug();
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 c = b[i];
+            bool ok = (c >= 0x61 && c <= 0x7a) || (c >= 0x30 && c <= 0x39) || c == 0x2d; // a-z 0-9 -
+            if (!ok) revert InvalidSlug();
+        }
+    }
+
+    /**
+     * @dev Validate and register a market with its optional deadline and metadata
+     */
+    function _registerMarket(
+        string calldata marketSlug,
+        uint256 deadline,
+        string calldata metadataURI
+    ) internal returns (bytes32 key) {
+        _validateSlug(marketSlug);
+
+        key = _key(marketSlug);
+        if (markets[key].exists) revert MarketAlreadyExists();
+
+        _createMarket(marketSlug, key);
+
+        if (deadline > 0) {
+            markets[key].deadline = deadline;
+            emit DeadlineSet(marketSlug, key, deadline);
+        }
+        if (bytes(metadataURI).length > 0) {
+            metadataURIOf[key] = metadataURI;
+            emit MarketMetadataSet(marketSlug, key, metadataURI);
+        }
+    }
+
+    /**
+     * @dev Register a new market and make it enumerable
+     */
+    function _createMarket(
+        string calldata marketSlug,
+        bytes32 key
+    ) internal {
+        markets[key].exists = true;
+        markets[key].feeBps = feeBps;
+        exitPenaltyBpsOf[key] = exitPenaltyBps;
+        marketKeys.push(key);
+        slugOf[key] = marketSlug;
+        emit MarketCreated(marketSlug, key);
+    }
+
+    /**
+     * @dev Apply a USDC permit from the caller to this contract. A failed
+     *      permit is ignored if the allowance already covers `amount`.
+     */
+    function _permit(
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        try IERC20Permit(address(usdc)).permit(msg.sender, address(this), amount, deadline, v, r, s) {} catch {
+            if (usdc.allowance(msg.sender, address(this)) < amount) revert PermitFailed();
+        }
+    }
+
+    /**
+     * @dev Pull the total once, then record each stake (used by the batchStake variants)
+     */
+    function _batchStake(
+        string[] calldata slugs,
+        bool[] calldata sides,
+        uint256[] calldata amounts
+    ) internal {
+        if (slugs.length != sides.length || sides.length != amounts.length)
+            revert ArrayLengthMismatch();
+
+        uint256 totalAmount = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            if (amounts[i] < MIN_STAKE) revert StakeTooSmall();
+            totalAmount += amounts[i];
+        }
+
+        // Single transfer for all stakes
+        usdc.safeTransferFrom(msg.sender, address(this), totalAmount);
+
+        for (uint256 i = 0; i < slugs.length; i++) {
+            _recordStake(msg.sender, slugs[i], sides[i], amounts[i]);
+        }
+    }
+
+    /**
+     * @dev Record a stake and mint its position without transferring USDC.
+     *      Every caller pulls the USDC first, so the stake is paid for before
+     *      the position exists.
      */
     function _recordStake(
+        address staker,
         string calldata marketSlug,
         bool isYes,
         uint256 amount
     ) internal {
         if (bytes(marketSlug).length == 0) revert EmptySlug();
 
-        bytes32 key = keccak256(abi.encodePacked(marketSlug));
+        bytes32 key = _key(marketSlug);
 
-        if (!markets[key].exists) {
-            markets[key].exists = true;
-            marketKeys.push(key);
-            slugOf[key] = marketSlug;
-            emit MarketCreated(marketSlug, key);
-        }
+        if (!markets[key].exists) _createMarketOnStake(marketSlug, key);
+        if (outcomeCountOf[key] != 0) revert NotBinaryMarket();
+        if (sealedMarkets[key] && msg.sender != address(commitReveal)) revert MarketIsSealed();
 
         Market storage market = markets[key];
         if (market.resolved) revert MarketAlreadyResolved();
         if (market.cancelled) revert MarketIsCancelled();
         if (market.deadline > 0 && block.timestamp > market.deadline) revert MarketExpired();
 
-        Stake storage s = stakes[key][msg.sender];
-        if (isYes) {
-            market.totalYes += amount;
-            s.amountYes += amount;
+        totalLiabilities += amount;
+        if (isYes) market.totalYes += amount;
+        else market.totalNo += amount;
+        positions.mint(staker, _positionId(key, _slot(isYes)), amount);
+
+        emit Staked(marketSlug, staker, isYes, amount);
+    }
+
+    /**
+     * @dev Burn the holder's winning position tokens and return their payout
+     *      without transferring USDC (used by claim, batchClaim and claimFor)
+     */
+    function _recordClaim(
+        address holder,
+        string calldata marketSlug
+    ) internal returns (uint256 payout) {
+        bytes32 key = _key(marketSlug);
+
+        Market storage market = markets[key];
+        if (!market.exists) revert MarketDoesNotExist();
+        if (!market.resolved) revert MarketNotResolved();
+        if (market.cancelled) revert MarketIsCancelled();
+        if (!_isFinal(market)) revert ResolutionNotFinal();
+
+        Settlement storage settled = settlements[key][holder];
+        uint256 userStake;
+        uint256 count = outcomeCountOf[key];
+        if (fractions[key].fractional) {
+            // Both sides pay out, so the whole position is settled
+            (payout, userStake) = _fractionalPayout(
+                market,
+                fractions[key].yesBps,
+                penaltyPoolOf[key],
+                _balanceOf(holder, key, 1),
+                _balanceOf(holder, key, 0)
+            );
+            _burnPosition(key, holder);
         } else {
-            market.totalNo += amount;
-            s.amountNo += amount;
+            uint256 winner = count == 0 ? _slot(market.outcomeYes) : winningOutcomeOf[key];
+            uint256 id = _positionId(key, winner);
+            userStake = positions.balanceOf(holder, id);
+            uint256 winningPool;
+            uint256 totalPool;
+            if (count == 0) {
+                winningPool = market.outcomeYes ? market.totalYes : market.totalNo;
+                totalPool = market.totalYes + market.totalNo + penaltyPoolOf[key];
+            } else {
+                winningPool = outcomePools[key][winner];
+                for (uint256 i = 0; i < count; i++) totalPool += outcomePools[key][i];
+            }
+            // Winner's share = (userStake / winningPool) * totalPool
+            if (userStake > 0) {
+                payout = (userStake * totalPool) / winningPool;
+                positions.burn(holder, id, userStake);
+            }
+        }
+        if (payout == 0) {
+            if (settled.staked > 0) revert AlreadyClaimed();
+            revert NothingToClaim();
+        }
+
+        // Fee comes out of the winnings (the losing pool share), never the stake
+        uint256 fee = payout > userStake ? ((payout - userStake) * market.feeBps) / BPS : 0;
+        totalLiabilities -= payout;
+        payout -= fee;
+
+        settled.staked += userStake;
+        settled.paid += payout;
+
+        emit Claimed(marketSlug, holder, payout);
+        if (fee > 0) {
+            feesAccrued += fee;
+            emit FeeCharged(marketSlug, holder, fee);
         }
+    }
+
+    /**
+     * @dev Gross payout of a position in a fractionally resolved market:
+     *      its share of the YES part of the pool plus its share of the NO
+     *      part. Also returns the position's total stake.
+     */
+    function _fractionalPayout(
+        Market storage market,
+        uint256 yesBps,
+        uint256 penaltyPool,
+        uint256 amountYes,
+        uint256 amountNo
+    ) internal view returns (uint256 gross, uint256 staked) {
+        uint256 totalPool = market.totalYes + market.totalNo + penaltyPool;
+        uint256 yesShare = (totalPool * yesBps) / BPS;
+        if (market.totalYes == 0) yesShare = 0;
+        else if (market.totalNo == 0) yesShare = totalPool;
+
+        if (amountYes > 0) gross = (amountYes * yesShare) / market.totalYes;
+        if (amountNo > 0) gross += (amountNo * (totalPool - yesShare)) / market.totalNo;
+        staked = amountYes + amountNo;
+    }
+
+    /**
+     * @dev Burn the holder's position tokens and return the refund without
+     *      transferring USDC (used by refund, batchRefund and refundFor)
+     */
+    function _recordRefund(
+        address holder,
+        string calldata marketSlug
+    ) internal returns (uint256 total) {
+        bytes32 key = _key(marketSlug);
+
+        Market storage market = markets[key];
+        if (!market.exists) revert MarketDoesNotExist();
+
+        // Check refund eligibility
+        bool isCancelled = market.cancelled;
+        bool isExpiredUnresolved = market.deadline > 0 &&
+            block.timestamp > market.deadline + REFUND_GRACE_PERIOD &&
+            !market.resolved;
+
+        if (!isCancelled && !isExpiredUnresolved) revert RefundNotAvailable();
+
+        // Auto-cancel on first expired refund to prevent late resolution
+        if (isExpiredUnresolved && !market.cancelled) {
+            _cancel(marketSlug, key);
+        }
+
+        uint256 staked = _burnPosition(key, holder);
+        if (staked == 0) revert NothingToRefund();
+
+        // Exit penalties are shared pro rata by the stakers still in the market
+        total = staked;
+        uint256 penaltyPool = penaltyPoolOf[key];
+        if (penaltyPool > 0) total += (staked * penaltyPool) / (market.totalYes + market.totalNo);
+
+        Settlement storage settled = settlements[key][holder];
+        settled.staked += staked;
+        settled.paid += total;
+        totalLiabilities -= total;
 
-        emit Staked(marketSlug, msg.sender, isYes, amount);
+        emit Refunded(marketSlug, holder, total);
     }
 }
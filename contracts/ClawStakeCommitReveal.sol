@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./ClawStake.sol";
+
+/**
+ * @title ClawStakeCommitReveal
+ * @notice Optional commit–reveal staking for ClawStake markets, so early
+ *         stakes cannot be copied before the commit deadline
+ * @dev Deployed before ClawStake with its address. A market admin enables
+ *      commit–reveal on a registered YES/NO market before anyone stakes;
+ *      ClawStake then only accepts its stakes through this contract. Stakers
+ *      commit commitHash(staker, slug, isYes, salt) with the USDC escrowed
+ *      here until the commit deadline, then reveal the side until the reveal
+ *      deadline, which stakes the escrow in ClawStake for them. Unrevealed
+ *      commitments are refundable after the reveal deadline minus the
+ *      market's penalty, which the treasury can withdraw. If the market is
+ *      cancelled (or resolved before the reveal deadline), commitments are
+ *      refunded in full.
+ */
+contract ClawStakeCommitReveal is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    uint256 public constant MAX_PENALTY_BPS = 5000; // 50% of an unrevealed commitment
+    uint256 private constant BPS = 10_000;
+
+    ClawStake public immutable clawStake;
+    IERC20 public immutable usdc;
+
+    struct Schedule {
+        uint256 commitDeadline; // Commits accepted until then; 0 = commit–reveal not enabled
+        uint256 revealDeadline; // Reveals accepted after commitDeadline until then
+        uint256 penaltyBps;     // Kept from unrevealed commitments
+    }
+
+    struct Commitment {
+        bytes32 hash;
+        uint256 amount;
+    }
+
+    // marketSlug hash => commit–reveal schedule
+    mapping(bytes32 => Schedule) public schedules;
+
+    // marketSlug hash => staker => escrowed commitment (hash == 0 when none)
+    mapping(bytes32 => mapping(address => Commitment)) public commitments;
+
+    // USDC escrowed in open commitments
+    uint256 public totalEscrowed;
+
+    // Penalties from unrevealed commitments, withdrawable by the treasury
+    uint256 public penaltiesAccrued;
+
+    event CommitRevealEnabled(string slug, bytes32 indexed key, uint256 commitDeadline, uint256 revealDeadline, uint256 penaltyBps);
+    event StakeCommitted(string slug, address indexed staker, uint256 amount);
+    event StakeRevealed(string slug, address indexed staker, bool isYes, uint256 amount);
+    event CommitmentRefunded(string slug, address indexed staker, uint256 amount, uint256 penalty);
+    event PenaltiesWithdrawn(address indexed to, uint256 amount);
+
+    error NotMarketAdmin();
+    error NotTreasury();
+    error InvalidSchedule();
+    error CommitRevealActive();
+    error MarketAlreadyStaked();
+    error CommitRevealNotEnabled();
+    error CommitClosed();
+    error RevealNotOpen();
+    error AlreadyCommitted();
+    error EmptyCommitment();
+    error NoCommitment();
+    error InvalidReveal();
+    error CommitmentLocked();
+    error StakeTooSmall();
+    error StakingPaused();
+    error CommitPenaltyTooHigh();
+    error InsufficientPenalties();
+
+    constructor(ClawStake _clawStake, IERC20 _usdc) {
+        clawStake = _clawStake;
+        usdc = _usdc;
+    }
+
+    /**
+     * @notice Enable commit–reveal on a registered YES/NO market nobody has
+     *         staked on yet (market admin only)
+     * @dev The market's ClawStake deadline must be unset or no earlier than
+     *      the reveal deadline, since reveals stake into the market.
+     * @param marketSlug The Clawdict market slug
+     * @param commitDeadline Last moment to commit
+     * @param revealDeadline Last moment to reveal, after commitDeadline
+     * @param penaltyBps Share of an unrevealed commitment kept, at most MAX_PENALTY_BPS
+     */
+    function enable(
+        string calldata marketSlug,
+        uint256 commitDeadline,
+        uint256 revealDeadline,
+        uint256 penaltyBps
+    ) external {
+        if (!clawStake.hasRole(clawStake.MARKET_ADMIN_ROLE(), msg.sender)) revert NotMarketAdmin();
+        if (penaltyBps > MAX_PENALTY_BPS) revert CommitPenaltyTooHigh();
+        if (commitDeadline <= block.timestamp || revealDeadline <= commitDeadline) revert InvalidSchedule();
+
+        bytes32 key = keccak256(bytes(marketSlug));
+        if (schedules[key].commitDeadline != 0) revert CommitRevealActive();
+        (uint256 totalYes, uint256 totalNo, uint256 deadline, bool resolved, , bool cancelled, bool exists, , ) =
+            clawStake.markets(key);
+        if (!exists) revert ClawStake.MarketDoesNotExist();
+        if (clawStake.outcomeCountOf(key) != 0) revert ClawStake.NotBinaryMarket();
+        if (resolved) revert ClawStake.MarketAlreadyResolved();
+        if (cancelled) revert ClawStake.MarketIsCancelled();
+        if (totalYes + totalNo > 0) revert MarketAlreadyStaked();
+        if (deadline != 0 && deadline < revealDeadline) revert InvalidSchedule();
+
+        schedules[key] = Schedule(commitDeadline, revealDeadline, penaltyBps);
+        clawStake.sealMarket(key);
+
+        emit CommitRevealEnabled(marketSlug, key, commitDeadline, revealDeadline, penaltyBps);
+    }
+
+    /**
+     * @notice Commit to a hidden side, escrowing `amount` USDC (one
+     *         commitment per staker and market)
+     * @param marketSlug The Clawdict market slug
+     * @param commitment commitHash(msg.sender, marketSlug, isYes, salt)
+     * @param amount USDC to stake once revealed (6 decimal places)
+     */
+    function commit(
+        string calldata marketSlug,
+        bytes32 commitment,
+        uint256 amount
+    ) external nonReentrant {
+        bytes32 key = keccak256(bytes(marketSlug));
+        uint256 commitDeadline = schedules[key].commitDeadline;
+        if (commitDeadline == 0) revert CommitRevealNotEnabled();
+        if (block.timestamp > commitDeadline) revert CommitClosed();
+        if (clawStake.paused()) revert StakingPaused();
+        if (amount < clawStake.MIN_STAKE()) revert StakeTooSmall();
+        if (commitment == bytes32(0)) revert EmptyCommitment();
+        if (commitments[key][msg.sender].hash != bytes32(0)) revert AlreadyCommitted();
+
+        commitments[key][msg.sender] = Commitment(commitment, amount);
+        totalEscrowed += amount;
+        usdc.safeTransferFrom(msg.sender, address(this), amount);
+
+        emit StakeCommitted(marketSlug, msg.sender, amount);
+    }
+
+    /**
+     * @notice Reveal a commitment, staking its escrow on the committed side
+     * @dev Anyone holding the salt can reveal for the staker (e.g. an
+     *      automated reveal service); the stake always goes to `staker`.
+     * @param staker Account that committed
+     * @param marketSlug The Clawdict market slug
+     * @param isYes Committed side
+     * @param salt Committed salt
+     */
+    function reveal(
+        address staker,
+        string calldata marketSlug,
+        bool isYes,
+        bytes32 salt
+    ) external nonReentrant {
+        bytes32 key = keccak256(bytes(marketSlug));
+        Schedule memory schedule = schedules[key];
+        if (block.timestamp <= schedule.commitDeadline || block.timestamp > schedule.revealDeadline) {
+            revert RevealNotOpen();
+        }
+        Commitment memory c = commitments[key][staker];
+        if (c.hash == bytes32(0)) revert NoCommitment();
+        if (c.hash != commitHash(staker, marketSlug, isYes, salt)) revert InvalidReveal();
+
+        delete commitments[key][staker];
+        totalEscrowed -= c.amount;
+        usdc.forceApprove(address(clawStake), c.amount);
+        clawStake.stakeFor(staker, marketSlug, isYes, c.amount);
+
+        emit StakeRevealed(marketSlug, staker, isYes, c.amount);
+    }
+
+    /**
+     * @notice Withdraw an unrevealed commitment: after the reveal deadline
+     *         minus the market's penalty, or in full once the market is
+     *         cancelled, was resolved before the reveal deadline, or its
+     *         deadline was moved before the reveal deadline and has passed
+     * @param marketSlug The Clawdict market slug
+     */
+    function refundCommitment(string calldata marketSlug) external nonReentrant {
+        bytes32 key = keccak256(bytes(marketSlug));
+        Commitment memory c = commitments[key][msg.sender];
+        if (c.hash == bytes32(0)) revert NoCommitment();
+
+        (, , uint256 deadline, bool resolved, , bool cancelled, , , ) = clawStake.markets(key);
+        uint256 revealDeadline = schedules[key].revealDeadline;
+        // setDeadline can move the market deadline before the reveal
+        // deadline; reveals then end with it (MarketExpired)
+        bool deadlineMoved = deadline != 0 && deadline < revealDeadline;
+        uint256 penalty = 0;
+        // A cancelled market, or one resolved while reveals were still open,
+        // could not take the stake, so nothing is kept; nor is anything kept
+        // when the moved deadline cut the reveals short
+        if (!cancelled && !(resolved && clawStake.resolvedAt(key) <= revealDeadline)) {
+            if (block.timestamp <= (deadlineMoved ? deadline : revealDeadline)) revert CommitmentLocked();
+            if (!deadlineMoved) penalty = (c.amount * schedules[key].penaltyBps) / BPS;
+        }
+
+        delete commitments[key][msg.sender];
+        totalEscrowed -= c.amount;
+        penaltiesAccrued += penalty;
+        usdc.safeTransfer(msg.sender, c.amount - penalty);
+
+        emit CommitmentRefunded(marketSlug, msg.sender, c.amount - penalty, penalty);
+    }
+
+    /**
+     * @notice Withdraw penalties from unrevealed commitments (ClawStake treasury role)
+     * @param to Recipient
+     * @param amount USDC to withdraw
+     */
+    function withdrawPenalties(
+        address to,
+        uint256 amount
+    ) external nonReentrant {
+        if (!clawStake.hasRole(clawStake.TREASURY_ROLE(), msg.sender)) revert NotTreasury();
+        if (amount > penaltiesAccrued) revert InsufficientPenalties();
+        penaltiesAccrued -= amount;
+        usdc.safeTransfer(to, amount);
+        emit PenaltiesWithdrawn(to, amount);
+    }
+
+    /**
+     * @notice Hash a staker commits to; bound to this contract and chain
+     * @param staker Account committing
+     * @param marketSlug The Clawdict market slug
+     * @param isYes Side to reveal later
+     * @param salt Random secret kept by the staker until the reveal
+     */
+    function commitHash(
+        address staker,
+        string calldata marketSlug,
+        bool isYes,
+        bytes32 salt
+    ) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), block.chainid, staker, keccak256(bytes(marketSlug)), isYes, salt));
+    }
+}
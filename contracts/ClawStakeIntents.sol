@@ -0,0 +1,149 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "./ClawStake.sol";
+
+/**
+ * @title ClawStakeIntents
+ * @notice EIP-712 signed stakes, claims and refunds for ClawStake markets,
+ *         so agents without ETH for gas can take part through a relayer
+ * @dev Deployed before ClawStake with its address (see lib/deploy.js) and
+ *      checked by the ClawStake constructor. Anyone (typically a relayer
+ *      paying the gas) can submit an intent, or batch several with multicall.
+ *      Each intent uses the signer's next nonce (see nonces()), so it cannot
+ *      be replayed. Stakes pull USDC from the staker, who must have approved
+ *      ClawStake (not this contract) or signed a USDC permit, which the
+ *      relayer can batch ahead of the stake with permit().
+ */
+contract ClawStakeIntents is EIP712, Nonces, Multicall {
+    // --- EIP-712 intents (domain "ClawStake", version "1") ---
+    bytes32 public constant STAKE_INTENT_TYPEHASH =
+        keccak256("StakeIntent(address staker,string marketSlug,bool isYes,uint256 amount,uint256 nonce,uint256 expiry)");
+    bytes32 public constant CLAIM_INTENT_TYPEHASH =
+        keccak256("ClaimIntent(address holder,string marketSlug,uint256 nonce,uint256 expiry)");
+    bytes32 public constant REFUND_INTENT_TYPEHASH =
+        keccak256("RefundIntent(address holder,string marketSlug,uint256 nonce,uint256 expiry)");
+
+    ClawStake public immutable clawStake;
+
+    error IntentExpired();
+    error InvalidIntentSignature();
+
+    constructor(ClawStake _clawStake) EIP712("ClawStake", "1") {
+        clawStake = _clawStake;
+    }
+
+    /**
+     * @notice Stake on behalf of `staker` with their EIP-712 StakeIntent signature
+     * @param staker Account that signed the intent and receives the position
+     * @param marketSlug The Clawdict market slug
+     * @param isYes True to stake on YES, false for NO
+     * @param amount Amount of USDC to stake (6 decimal places)
+     * @param nonce The staker's current nonce
+     * @param expiry Unix timestamp after which the intent is void
+     * @param signature Staker's EIP-712 signature
+     */
+    function stakeBySig(
+        address staker,
+        string calldata marketSlug,
+        bool isYes,
+        uint256 amount,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        _useIntent(
+            staker,
+            keccak256(abi.encode(STAKE_INTENT_TYPEHASH, staker, keccak256(bytes(marketSlug)), isYes, amount, nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        clawStake.stakeFor(staker, marketSlug, isYes, amount);
+    }
+
+    /**
+     * @notice Claim for `holder` with their EIP-712 ClaimIntent signature;
+     *         the payout goes to `holder`, not the submitter
+     * @param holder Account that signed the intent and holds the position
+     * @param marketSlug The Clawdict market slug
+     * @param nonce The holder's current nonce
+     * @param expiry Unix timestamp after which the intent is void
+     * @param signature Holder's EIP-712 signature
+     */
+    function claimBySig(
+        address holder,
+        string calldata marketSlug,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        _useIntent(
+            holder,
+            keccak256(abi.encode(CLAIM_INTENT_TYPEHASH, holder, keccak256(bytes(marketSlug)), nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        clawStake.claimFor(holder, marketSlug);
+    }
+
+    /**
+     * @notice Refund `holder` with their EIP-712 RefundIntent signature;
+     *         the refund goes to `holder`, not the submitter
+     * @param holder Account that signed the intent and holds the position
+     * @param marketSlug The Clawdict market slug
+     * @param nonce The holder's current nonce
+     * @param expiry Unix timestamp after which the intent is void
+     * @param signature Holder's EIP-712 signature
+     */
+    function refundBySig(
+        address holder,
+        string calldata marketSlug,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        _useIntent(
+            holder,
+            keccak256(abi.encode(REFUND_INTENT_TYPEHASH, holder, keccak256(bytes(marketSlug)), nonce, expiry)),
+            nonce,
+            expiry,
+            signature
+        );
+        clawStake.refundFor(holder, marketSlug);
+    }
+
+    /**
+     * @notice Apply `owner`'s EIP-2612 USDC permit for ClawStake, so a relayer
+     *         can batch it with the owner's stake intents in one multicall
+     * @dev A failed permit (e.g. already used or front-run) is ignored; a
+     *      stake that needed it then fails on the allowance by itself
+     * @param owner Account that signed the permit
+     * @param value Allowance granted to ClawStake
+     * @param deadline Expiry of the permit signature
+     */
+    function permit(address owner, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) external {
+        try IERC20Permit(address(clawStake.usdc())).permit(owner, address(clawStake), value, deadline, v, r, s) {} catch {}
+    }
+
+    /**
+     * @dev Check an intent's expiry and signature and consume its nonce
+     */
+    function _useIntent(
+        address account,
+        bytes32 structHash,
+        uint256 nonce,
+        uint256 expiry,
+        bytes calldata signature
+    ) internal {
+        if (block.timestamp > expiry) revert IntentExpired();
+        _useCheckedNonce(account, nonce);
+        if (ECDSA.recover(_hashTypedDataV4(structHash), signature) != account) revert InvalidIntentSignature();
+    }
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC1155/ERC1155.sol";
+
+/**
+ * @title ClawStakePositions
+ * @notice ERC-1155 tokens for ClawStake positions: one token id per market
+ *         side (YES/NO) or categorical outcome, 1 token = 1 USDC base unit staked
+ * @dev Deployed before ClawStake with its address; only ClawStake can mint (on
+ *      stake) and burn (on unstake, claim and refund). Holders can transfer
+ *      positions freely, and whoever holds the tokens can claim or refund.
+ *      Token ids are ClawStake.positionId(slug, slot).
+ *      Minting skips the ERC-1155 acceptance check, so contract wallets
+ *      without onERC1155Received can stake and no staker code runs in the
+ *      middle of a stake; transfers still check the recipient.
+ */
+contract ClawStakePositions is ERC1155 {
+    string public constant name = "ClawStake Positions";
+    string public constant symbol = "CLAWPOS";
+
+    address public immutable clawStake;
+
+    error NotClawStake();
+
+    modifier onlyClawStake() {
+        if (msg.sender != clawStake) revert NotClawStake();
+        _;
+    }
+
+    constructor(address _clawStake) ERC1155("") {
+        clawStake = _clawStake;
+    }
+
+    /**
+     * @notice Mint position tokens for a new stake (ClawStake only)
+     * @param to Staker
+     * @param id Position token id
+     * @param amount USDC base units staked
+     */
+    function mint(
+        address to,
+        uint256 id,
+        uint256 amount
+    ) external onlyClawStake {
+        if (to == address(0)) revert ERC1155InvalidReceiver(address(0));
+        uint256[] memory ids = new uint256[](1);
+        uint256[] memory values = new uint256[](1);
+        ids[0] = id;
+        values[0] = amount;
+        // _update, unlike _mint, does not call onERC1155Received
+        _update(address(0), to, ids, values);
+    }
+
+    /**
+     * @notice Burn position tokens that were paid out or withdrawn (ClawStake only)
+     * @param from Holder
+     * @param id Position token id
+     * @param amount USDC base units
+     */
+    function burn(
+        address from,
+        uint256 id,
+        uint256 amount
+    ) external onlyClawStake {
+        _burn(from, id, amount);
+    }
+}
@@ -2,13 +2,14 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 
 /**
  * @title MockUSDC
- * @notice Minimal mock USDC for testing ClawStake
+ * @notice Minimal mock USDC for testing ClawStake, with EIP-2612 permit like Circle's USDC
  */
-contract MockUSDC is ERC20 {
-    constructor() ERC20("USD Coin", "USDC") {}
+contract MockUSDC is ERC20, ERC20Permit {
+    constructor() ERC20("USD Coin", "USDC") ERC20Permit("USD Coin") {}
 
     function decimals() public pure override returns (uint8) {
         return 6;
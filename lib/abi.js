@@ -0,0 +1,333 @@
+/**
+ * Human-readable ABIs shared by the SDK, CLI and scripts.
+ *
+ * CLAWSTAKE_ABI, COMMIT_REVEAL_ABI and INTENTS_ABI mirror
+ * contracts/ClawStake.sol, contracts/ClawStakeCommitReveal.sol and
+ * contracts/ClawStakeIntents.sol in full; test/ClawStakeClient.test.js
+ * fails if the compiled artifacts and these lists drift apart. POSITIONS_ABI
+ * and USDC_ABI cover the parts of those tokens the SDK uses.
+ */
+
+const CLAWSTAKE_ABI = [
+  // Errors
+  "error AccessControlBadConfirmation()",
+  "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+  "error AlreadyClaimed()",
+  "error AlreadyDisputed()",
+  "error AlreadyVoted()",
+  "error ArrayLengthMismatch()",
+  "error DisputeWindowClosed()",
+  "error DisputeWindowTooLong()",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error EmptySlug()",
+  "error EnforcedPause()",
+  "error ExpectedPause()",
+  "error ExceedsSurplus()",
+  "error FeeTooHigh()",
+  "error InsufficientFees()",
+  "error InsufficientStake()",
+  "error InvalidDeadlineSignature()",
+  "error InvalidModule()",
+  "error InvalidOutcome()",
+  "error InvalidOutcomeCount()",
+  "error InvalidSlug()",
+  "error InvalidYesBps()",
+  "error MarketAlreadyExists()",
+  "error MarketAlreadyResolved()",
+  "error MarketDoesNotExist()",
+  "error MarketExpired()",
+  "error MarketIsCancelled()",
+  "error MarketIsSealed()",
+  "error MarketNotRegistered()",
+  "error MarketNotResolved()",
+  "error NotAStaker()",
+  "error NotBinaryMarket()",
+  "error NotCategoricalMarket()",
+  "error NotDisputed()",
+  "error NotCommitReveal()",
+  "error NotEscalated()",
+  "error NothingToClaim()",
+  "error NotMarketCreator()",
+  "error NotModule()",
+  "error NothingToRefund()",
+  "error PenaltyTooHigh()",
+  "error PermitFailed()",
+  "error QuorumModeActive()",
+  "error QuorumModeDisabled()",
+  "error ReentrancyGuardReentrantCall()",
+  "error RefundNotAvailable()",
+  "error ResidualStakeTooSmall()",
+  "error ResolutionNotFinal()",
+  "error SafeERC20FailedOperation(address token)",
+  "error StakeTooSmall()",
+  "error VotingClosed()",
+
+  // Events
+  "event CategoricalMarketCreated(string slug, bytes32 indexed key, uint256 outcomeCount)",
+  "event Claimed(string slug, address indexed staker, uint256 payout)",
+  "event DeadlineSet(string slug, bytes32 indexed key, uint256 deadline)",
+  "event DisputeParamsSet(uint256 window, uint256 bond)",
+  "event DisputeSettled(string slug, bytes32 indexed key, address indexed disputer, bool upheld)",
+  "event EmergencyWithdraw(address indexed token, address indexed to, uint256 amount)",
+  "event ExitPenaltySet(uint256 exitPenaltyBps)",
+  "event FeeBpsSet(uint256 feeBps)",
+  "event FeeCharged(string slug, address indexed staker, uint256 fee)",
+  "event FeesWithdrawn(address indexed to, uint256 amount)",
+  "event MarketCancelled(string slug, bytes32 indexed key)",
+  "event MarketCreated(string slug, bytes32 indexed key)",
+  "event MarketDisputed(string slug, bytes32 indexed key, address indexed disputer, uint256 bond)",
+  "event MarketMetadataSet(string slug, bytes32 indexed key, string metadataURI)",
+  "event MarketResolved(string slug, bytes32 indexed key, bool outcomeYes)",
+  "event MarketResolvedFractional(string slug, bytes32 indexed key, uint256 yesBps)",
+  "event OutcomeResolved(string slug, bytes32 indexed key, uint256 outcomeIndex)",
+  "event OutcomeStaked(string slug, address indexed staker, uint256 outcomeIndex, uint256 amount)",
+  "event OutcomeVoted(string slug, bytes32 indexed key, address indexed resolver, bool outcomeYes)",
+  "event Paused(address account)",
+  "event Refunded(string slug, address indexed staker, uint256 amount)",
+  "event RegistryModeSet(bool enabled)",
+  "event ResolutionCorrected(string slug, bytes32 indexed key, bool outcomeYes)",
+  "event ResolutionEscalated(string slug, bytes32 indexed key)",
+  "event ResolutionQuorumSet(uint256 quorum, bool cancelOnConflict)",
+  "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event Staked(string slug, address indexed staker, bool isYes, uint256 amount)",
+  "event Unpaused(address account)",
+  "event Unstaked(string slug, address indexed staker, bool isYes, uint256 amount, uint256 penalty)",
+
+  // Constants and public state
+  "function MIN_STAKE() view returns (uint256)",
+  "function REFUND_GRACE_PERIOD() view returns (uint256)",
+  "function MAX_SLUG_LENGTH() view returns (uint256)",
+  "function MAX_FEE_BPS() view returns (uint256)",
+  "function MAX_DISPUTE_WINDOW() view returns (uint256)",
+  "function DISPUTE_TIMEOUT() view returns (uint256)",
+  "function MAX_OUTCOMES() view returns (uint256)",
+  "function MAX_EXIT_PENALTY_BPS() view returns (uint256)",
+  "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+  "function RESOLVER_ROLE() view returns (bytes32)",
+  "function MARKET_ADMIN_ROLE() view returns (bytes32)",
+  "function MARKET_CREATOR_ROLE() view returns (bytes32)",
+  "function TREASURY_ROLE() view returns (bytes32)",
+  "function PAUSER_ROLE() view returns (bytes32)",
+  "function usdc() view returns (address)",
+  "function paused() view returns (bool)",
+  "function markets(bytes32) view returns (uint256 totalYes, uint256 totalNo, uint256 deadline, bool resolved, bool outcomeYes, bool cancelled, bool exists, uint256 feeBps, uint256 finalizesAt)",
+  "function positions() view returns (address)",
+  "function settlements(bytes32, address) view returns (uint256 staked, uint256 paid)",
+  "function marketKeys(uint256) view returns (bytes32)",
+  "function slugOf(bytes32) view returns (string)",
+  "function metadataURIOf(bytes32) view returns (string)",
+  "function registryMode() view returns (bool)",
+  "function feeBps() view returns (uint256)",
+  "function feesAccrued() view returns (uint256)",
+  "function totalLiabilities() view returns (uint256)",
+  "function disputeWindow() view returns (uint256)",
+  "function disputeBond() view returns (uint256)",
+  "function disputes(bytes32) view returns (address disputer, uint256 bond)",
+  "function resolutionQuorum() view returns (uint256)",
+  "function cancelOnConflict() view returns (bool)",
+  "function tallies(bytes32) view returns (uint128 yesVotes, uint128 noVotes, bool escalated)",
+  "function votes(bytes32, address) view returns (uint8)",
+  "function outcomeCountOf(bytes32) view returns (uint256)",
+  "function outcomePools(bytes32, uint256) view returns (uint256)",
+  "function winningOutcomeOf(bytes32) view returns (uint256)",
+  "function fractions(bytes32) view returns (bool fractional, uint256 yesBps)",
+  "function exitPenaltyBps() view returns (uint256)",
+  "function exitPenaltyBpsOf(bytes32) view returns (uint256)",
+  "function penaltyPoolOf(bytes32) view returns (uint256)",
+  "function commitReveal() view returns (address)",
+  "function intents() view returns (address)",
+  "function sealedMarkets(bytes32) view returns (bool)",
+  "function resolvedAt(bytes32) view returns (uint256)",
+
+  // Core
+  "function stake(string marketSlug, bool isYes, uint256 amount)",
+  "function stakeWithDeadline(string marketSlug, bool isYes, uint256 amount, uint256 deadline, bytes signature)",
+  "function batchStake(string[] slugs, bool[] sides, uint256[] amounts)",
+  "function stakeWithPermit(string marketSlug, bool isYes, uint256 amount, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function batchStakeWithPermit(string[] slugs, bool[] sides, uint256[] amounts, uint256 permitDeadline, uint8 v, bytes32 r, bytes32 s)",
+  "function stakeOutcome(string marketSlug, uint256 outcomeIndex, uint256 amount)",
+  "function unstake(string marketSlug, bool isYes, uint256 amount)",
+  "function claim(string marketSlug)",
+  "function batchClaim(string[] slugs)",
+  "function refund(string marketSlug)",
+  "function batchRefund(string[] slugs)",
+  "function dispute(string marketSlug)",
+  "function expireDispute(string marketSlug)",
+
+  // Module hooks (ClawStakeCommitReveal and ClawStakeIntents only)
+  "function sealMarket(bytes32 key)",
+  "function stakeFor(address staker, string marketSlug, bool isYes, uint256 amount)",
+  "function claimFor(address holder, string marketSlug)",
+  "function refundFor(address holder, string marketSlug)",
+
+  // Views
+  "function getMarketInfo(string marketSlug) view returns (uint256 totalYes, uint256 totalNo, bool resolved, bool outcomeYes, uint256 deadline, bool cancelled, uint256 marketFeeBps)",
+  "function getStake(string marketSlug, address staker) view returns (uint256 amountYes, uint256 amountNo, bool claimed)",
+  "function positionId(string marketSlug, uint256 slot) pure returns (uint256 id)",
+  "function marketCount() view returns (uint256)",
+  "function getMarketByIndex(uint256 index) view returns (bytes32 key, string slug)",
+  "function deadlineDigest(string marketSlug, uint256 deadline) view returns (bytes32)",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+  "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+  "function getOutcomePools(string marketSlug) view returns (uint256[] pools, uint256 winningOutcome)",
+  "function getOutcomeStakes(string marketSlug, address staker) view returns (uint256[] amounts)",
+  "function getDispute(string marketSlug) view returns (uint256 finalizesAt, address disputer, uint256 bond, bool isFinal)",
+  "function solvency() view returns (uint256 balance, uint256 liabilities, uint256 fees, uint256 surplus)",
+  "function getTally(string marketSlug) view returns (uint256 yesVotes, uint256 noVotes, bool escalated)",
+
+  // Admin
+  "function createMarket(string marketSlug, uint256 deadline, string metadataURI)",
+  "function createCategoricalMarket(string marketSlug, uint256 outcomeCount, uint256 deadline, string metadataURI)",
+  "function setRegistryMode(bool enabled)",
+  "function resolve(string marketSlug, bool outcomeYes)",
+  "function voteOutcome(string marketSlug, bool outcomeYes)",
+  "function resolveEscalated(string marketSlug, bool outcomeYes)",
+  "function setResolutionQuorum(uint256 quorum, bool cancelOnConflict_)",
+  "function resolveOutcome(string marketSlug, uint256 outcomeIndex)",
+  "function resolveFractional(string marketSlug, uint256 yesBps)",
+  "function correctResolution(string marketSlug, bool outcomeYes)",
+  "function correctOutcome(string marketSlug, uint256 outcomeIndex)",
+  "function setDisputeParams(uint256 window, uint256 bond)",
+  "function setDeadline(string marketSlug, uint256 deadline)",
+  "function cancelMarket(string marketSlug)",
+  "function setFeeBps(uint256 newFeeBps)",
+  "function setExitPenaltyBps(uint256 newPenaltyBps)",
+  "function withdrawFees(address to, uint256 amount)",
+  "function emergencyWithdraw(address token, uint256 amount)",
+  "function pause()",
+  "function unpause()",
+
+  // Role management
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+  "function renounceRole(bytes32 role, address callerConfirmation)",
+];
+
+const COMMIT_REVEAL_ABI = [
+  // Errors
+  "error AlreadyCommitted()",
+  "error CommitClosed()",
+  "error CommitPenaltyTooHigh()",
+  "error CommitRevealActive()",
+  "error CommitRevealNotEnabled()",
+  "error CommitmentLocked()",
+  "error EmptyCommitment()",
+  "error InsufficientPenalties()",
+  "error InvalidReveal()",
+  "error InvalidSchedule()",
+  "error MarketAlreadyResolved()",
+  "error MarketAlreadyStaked()",
+  "error MarketDoesNotExist()",
+  "error MarketIsCancelled()",
+  "error NoCommitment()",
+  "error NotBinaryMarket()",
+  "error NotMarketAdmin()",
+  "error NotTreasury()",
+  "error ReentrancyGuardReentrantCall()",
+  "error RevealNotOpen()",
+  "error SafeERC20FailedOperation(address token)",
+  "error StakeTooSmall()",
+  "error StakingPaused()",
+
+  // Events
+  "event CommitRevealEnabled(string slug, bytes32 indexed key, uint256 commitDeadline, uint256 revealDeadline, uint256 penaltyBps)",
+  "event CommitmentRefunded(string slug, address indexed staker, uint256 amount, uint256 penalty)",
+  "event PenaltiesWithdrawn(address indexed to, uint256 amount)",
+  "event StakeCommitted(string slug, address indexed staker, uint256 amount)",
+  "event StakeRevealed(string slug, address indexed staker, bool isYes, uint256 amount)",
+
+  // Constants and public state
+  "function MAX_PENALTY_BPS() view returns (uint256)",
+  "function clawStake() view returns (address)",
+  "function usdc() view returns (address)",
+  "function schedules(bytes32) view returns (uint256 commitDeadline, uint256 revealDeadline, uint256 penaltyBps)",
+  "function commitments(bytes32, address) view returns (bytes32 hash, uint256 amount)",
+  "function totalEscrowed() view returns (uint256)",
+  "function penaltiesAccrued() view returns (uint256)",
+
+  // Core
+  "function commit(string marketSlug, bytes32 commitment, uint256 amount)",
+  "function reveal(address staker, string marketSlug, bool isYes, bytes32 salt)",
+  "function refundCommitment(string marketSlug)",
+  "function commitHash(address staker, string marketSlug, bool isYes, bytes32 salt) view returns (bytes32)",
+
+  // Admin
+  "function enable(string marketSlug, uint256 commitDeadline, uint256 revealDeadline, uint256 penaltyBps)",
+  "function withdrawPenalties(address to, uint256 amount)",
+];
+
+const INTENTS_ABI = [
+  // Errors
+  "error AddressEmptyCode(address target)",
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+  "error FailedCall()",
+  "error IntentExpired()",
+  "error InvalidAccountNonce(address account, uint256 currentNonce)",
+  "error InvalidIntentSignature()",
+  "error InvalidShortString()",
+  "error StringTooLong(string str)",
+
+  // Events
+  "event EIP712DomainChanged()",
+
+  // Constants and public state
+  "function STAKE_INTENT_TYPEHASH() view returns (bytes32)",
+  "function CLAIM_INTENT_TYPEHASH() view returns (bytes32)",
+  "function REFUND_INTENT_TYPEHASH() view returns (bytes32)",
+  "function clawStake() view returns (address)",
+  "function nonces(address owner) view returns (uint256)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+
+  // Signed intents (submitted by a relayer, batched with multicall)
+  "function stakeBySig(address staker, string marketSlug, bool isYes, uint256 amount, uint256 nonce, uint256 expiry, bytes signature)",
+  "function claimBySig(address holder, string marketSlug, uint256 nonce, uint256 expiry, bytes signature)",
+  "function refundBySig(address holder, string marketSlug, uint256 nonce, uint256 expiry, bytes signature)",
+  "function permit(address owner, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function multicall(bytes[] data) returns (bytes[] results)",
+];
+
+const USDC_ABI = [
+  // OpenZeppelin ERC20 errors (MockUSDC); Circle's USDC reverts with strings
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC2612ExpiredSignature(uint256 deadline)",
+  "error ERC2612InvalidSigner(address signer, address owner)",
+
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+
+  // EIP-2612 permit; Circle's USDC has version() instead of EIP-5267's eip712Domain()
+  "function name() view returns (string)",
+  "function version() view returns (string)",
+  "function nonces(address owner) view returns (uint256)",
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+  "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+const POSITIONS_ABI = [
+  // OpenZeppelin ERC1155 errors, e.g. a transfer to a contract without onERC1155Received
+  "error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)",
+  "error ERC1155InvalidReceiver(address receiver)",
+  "error ERC1155MissingApprovalForAll(address operator, address owner)",
+  "error NotClawStake()",
+
+  "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+  "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)",
+
+  "function clawStake() view returns (address)",
+  "function balanceOf(address account, uint256 id) view returns (uint256)",
+  "function isApprovedForAll(address account, address operator) view returns (bool)",
+  "function setApprovalForAll(address operator, bool approved)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+];
+
+module.exports = { CLAWSTAKE_ABI, COMMIT_REVEAL_ABI, INTENTS_ABI, POSITIONS_ABI, USDC_ABI };
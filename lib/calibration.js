@@ -0,0 +1,209 @@
+/**
+ * How well an agent's stakes were forecast, and who stakes best.
+ *
+ * calibrationReport() joins the probabilities an agent recorded when staking
+ * (see ./predictions) with its resolved positions: Brier score, log loss,
+ * calibration buckets, and ROI and PnL by market and category. It is pure.
+ * stakerLeaderboard() ranks every staker found in the event index by
+ * realized PnL, reading current positions from the chain.
+ */
+
+const { formatUsdc } = require("./units");
+const { summarizePosition } = require("./market");
+
+const BUCKETS = 10;
+// Log loss of a forecast of exactly 0 or 1 that turned out wrong is infinite
+const EPSILON = 1e-6;
+
+/**
+ * @typedef {Object} ScoredMarket
+ * @property {string} slug
+ * @property {string} category     Last recorded category, else "uncategorized"
+ * @property {number} forecasts    Predictions recorded for the market
+ * @property {number|null} probability  Mean recorded YES probability
+ * @property {number} outcome      1 for YES, 0 for NO, the YES share for a fractional resolution
+ * @property {number|null} brier   Mean Brier score of its forecasts (0 is perfect)
+ * @property {number|null} logLoss
+ * @property {bigint} staked
+ * @property {bigint} pnl
+ * @property {number|null} roi     pnl / staked
+ *
+ * @typedef {Object} CalibrationBucket
+ * @property {number} from         Forecasts with from <= p < to (the last bucket includes 1)
+ * @property {number} to
+ * @property {number} forecasts
+ * @property {number} meanProbability
+ * @property {number} observed     Mean outcome of those forecasts; equals meanProbability when calibrated
+ *
+ * @typedef {Object} CalibrationReport
+ * @property {{forecasts: number, markets: number, brier: number|null, logLoss: number|null, staked: bigint, pnl: bigint, roi: number|null}} summary
+ * @property {CalibrationBucket[]} buckets  Non-empty buckets only
+ * @property {ScoredMarket[]} markets
+ * @property {{category: string, markets: number, forecasts: number, brier: number|null, staked: bigint, pnl: bigint, roi: number|null}[]} categories
+ *
+ * @typedef {Object} LeaderboardRow
+ * @property {number} rank
+ * @property {string} account
+ * @property {number} markets      Settled markets (resolved or cancelled) it staked in
+ * @property {number} wins         Markets with a positive PnL
+ * @property {bigint} staked
+ * @property {bigint} pnl
+ * @property {number|null} roi
+ */
+
+/** Outcome of a resolved YES/NO market as a number in [0, 1], else null */
+function outcomeValue(entry) {
+  if (entry.status !== "resolved") return null;
+  if (entry.outcome === "yes") return 1;
+  if (entry.outcome === "no") return 0;
+  if (entry.outcome === "fractional") return entry.yesBps / 10_000;
+  return null;
+}
+
+const brier = (p, y) => (p - y) ** 2;
+
+function logLoss(p, y) {
+  const q = Math.min(Math.max(p, EPSILON), 1 - EPSILON);
+  return -(y * Math.log(q) + (1 - y) * Math.log(1 - q));
+}
+
+const mean = (values) => (values.length === 0 ? null : values.reduce((a, b) => a + b, 0) / values.length);
+const roi = (pnl, staked) => (staked === 0n ? null : Number((pnl * 1_000_000n) / staked) / 1_000_000);
+
+/**
+ * @param {import("./predictions").Prediction[]} predictions  One account's recorded forecasts
+ * @param {import("./market").PortfolioEntry[]} portfolio     The same account's positions (getPositions)
+ * @returns {CalibrationReport}
+ */
+function calibrationReport(predictions, portfolio) {
+  const bySlug = new Map();
+  for (const p of predictions) {
+    if (!bySlug.has(p.slug)) bySlug.set(p.slug, []);
+    bySlug.get(p.slug).push(p);
+  }
+
+  const markets = [];
+  const scored = [];
+  for (const entry of portfolio) {
+    const outcome = outcomeValue(entry);
+    if (outcome === null) continue;
+    const forecasts = bySlug.get(entry.slug) || [];
+    const probs = forecasts.map((f) => f.probability);
+    for (const p of probs) scored.push({ p, y: outcome });
+    markets.push({
+      slug: entry.slug,
+      category: forecasts.reduce((c, f) => f.category || c, null) || "uncategorized",
+      forecasts: forecasts.length,
+      probability: mean(probs),
+      outcome,
+      brier: mean(probs.map((p) => brier(p, outcome))),
+      logLoss: mean(probs.map((p) => logLoss(p, outcome))),
+      staked: entry.staked,
+      pnl: entry.realizedPnl,
+      roi: roi(entry.realizedPnl, entry.staked),
+    });
+  }
+
+  const buckets = Array.from({ length: BUCKETS }, (_, i) => ({ from: i / BUCKETS, to: (i + 1) / BUCKETS, items: [] }));
+  for (const s of scored) buckets[Math.min(Math.floor(s.p * BUCKETS), BUCKETS - 1)].items.push(s);
+
+  const categories = new Map();
+  for (const m of markets) {
+    if (!categories.has(m.category)) categories.set(m.category, { category: m.category, markets: [] });
+    categories.get(m.category).markets.push(m);
+  }
+
+  const staked = markets.reduce((sum, m) => sum + m.staked, 0n);
+  const pnl = markets.reduce((sum, m) => sum + m.pnl, 0n);
+  return {
+    summary: {
+      forecasts: scored.length,
+      markets: markets.length,
+      brier: mean(scored.map((s) => brier(s.p, s.y))),
+      logLoss: mean(scored.map((s) => logLoss(s.p, s.y))),
+      staked,
+      pnl,
+      roi: roi(pnl, staked),
+    },
+    buckets: buckets
+      .filter((b) => b.items.length > 0)
+      .map(({ from, to, items }) => ({
+        from,
+        to,
+        forecasts: items.length,
+        meanProbability: mean(items.map((s) => s.p)),
+        observed: mean(items.map((s) => s.y)),
+      })),
+    markets,
+    categories: [...categories.values()].map(({ category, markets: ms }) => {
+      const catStaked = ms.reduce((sum, m) => sum + m.staked, 0n);
+      const catPnl = ms.reduce((sum, m) => sum + m.pnl, 0n);
+      const catScored = ms.flatMap((m) => (bySlug.get(m.slug) || []).map((f) => brier(f.probability, m.outcome)));
+      return {
+        category,
+        markets: ms.length,
+        forecasts: catScored.length,
+        brier: mean(catScored),
+        staked: catStaked,
+        pnl: catPnl,
+        roi: roi(catPnl, catStaked),
+      };
+    }),
+  };
+}
+
+/**
+ * Rank every account that staked or received position tokens by realized
+ * PnL over its settled markets (ties by ROI). Accounts without a settled
+ * market are left out.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {import("./eventStore").EventStore} store  A synced event index of the same contract
+ * @returns {Promise<LeaderboardRow[]>}
+ */
+async function stakerLeaderboard(client, store) {
+  const markets = new Map((await client.listMarkets()).map((m) => [m.slug, m]));
+  const accounts = new Set();
+  for (const e of store.events) {
+    if (e.args.staker) accounts.add(e.args.staker);
+    if (e.contract === "Positions" && BigInt(e.args.to) !== 0n) accounts.add(e.args.to);
+  }
+
+  const rows = [];
+  for (const account of accounts) {
+    const row = { account, markets: 0, wins: 0, staked: 0n, pnl: 0n };
+    for (const { slug } of store.positionsOf(account)) {
+      const market = markets.get(slug);
+      if (!market) continue;
+      const entry = summarizePosition(market, await client.getStake(slug, account));
+      if (entry.realizedPnl === null) continue;
+      row.markets += 1;
+      if (entry.realizedPnl > 0n) row.wins += 1;
+      row.staked += entry.staked;
+      row.pnl += entry.realizedPnl;
+    }
+    if (row.markets > 0) rows.push({ ...row, roi: roi(row.pnl, row.staked) });
+  }
+
+  rows.sort((a, b) => (a.pnl === b.pnl ? (b.roi ?? 0) - (a.roi ?? 0) : a.pnl > b.pnl ? -1 : 1));
+  return rows.map((r, i) => ({ rank: i + 1, ...r }));
+}
+
+// --- CSV ---
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "bigint" ? formatUsdc(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows as CSV lines with a header row; bigints are written as USDC amounts
+ * @param {Object[]} rows
+ * @param {string[]} columns  Property names, in order
+ */
+function toCsv(rows, columns) {
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => csvCell(row[c])).join(","))];
+}
+
+module.exports = { outcomeValue, calibrationReport, stakerLeaderboard, toCsv };
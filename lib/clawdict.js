@@ -0,0 +1,363 @@
+/**
+ * Clawdict API access shared by scripts/markets.js, the CLI and the planners.
+ *
+ * ClawdictClient sends the agent's `X-Agent-Token`, follows pagination,
+ * retries transient failures (network errors, timeouts, 429 and 502–504)
+ * with exponential backoff, waits out rate limits the API announces, and can
+ * keep responses in an on-disk cache. Everything it returns goes through
+ * normalizeMarket(), the one place that knows the API's field names.
+ *
+ * `baseUrl` defaults to CLAWDICT_API, then the public API, so tools can be
+ * pointed at the mock in ./clawdictMock.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_API_BASE = "https://www.clawdict.com/api";
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+// Guard against an API that never stops returning a next page
+const MAX_PAGES = 100;
+
+/**
+ * @typedef {Object} ClawdictMarket
+ * @property {string} slug
+ * @property {string} title
+ * @property {number|null} pYes       Clawdict's probability of YES, in [0, 1]
+ * @property {number|null} volume
+ * @property {string|null} closeDate  As the API reports it
+ * @property {number|null} closeTime  Unix seconds
+ * @property {string|null} category
+ * @property {"open"|"resolved"|"voided"} status
+ * @property {"yes"|"no"|"fractional"|null} outcome
+ * @property {number|null} yesBps     YES share of a fractional resolution, in basis points
+ *
+ * @typedef {Object} ClawdictLeaderboardEntry
+ * @property {string} name
+ * @property {number|null} score
+ */
+
+/** A failed Clawdict request. `code` is "HttpError", "RateLimited", "NetworkError" or "NotFound" */
+class ClawdictError extends Error {
+  constructor(code, message, { status = null, url = null, cause } = {}) {
+    super(message, { cause });
+    this.name = "ClawdictError";
+    this.code = code;
+    this.status = status;
+    this.url = url;
+  }
+}
+
+function apiBase(baseUrl) {
+  return (baseUrl || process.env.CLAWDICT_API || DEFAULT_API_BASE).replace(/\/$/, "");
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Milliseconds to wait from a Retry-After header (seconds or HTTP date), or null */
+function retryAfterMs(res) {
+  const value = res.headers.get("retry-after");
+  if (value === null) return null;
+  if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/** When an exhausted rate limit resets (X-RateLimit-Reset as Unix seconds or seconds from now), or null */
+function rateLimitResetAt(res) {
+  if (res.headers.get("x-ratelimit-remaining") !== "0") return null;
+  const reset = Number(res.headers.get("x-ratelimit-reset"));
+  if (!Number.isFinite(reset) || reset <= 0) return null;
+  return reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+}
+
+/** Query for the page after `page` of a list response, or null on the last page */
+function nextPage(data, page) {
+  if (Array.isArray(data)) return null;
+  const cursor = data.nextCursor ?? data.next_cursor ?? null;
+  if (cursor !== null && cursor !== "") return { cursor };
+  if (data.hasMore || data.has_more) return { page: page + 1 };
+  const total = data.totalPages ?? data.total_pages;
+  return total && page < total ? { page: page + 1 } : null;
+}
+
+const listOf = (data, key) => (Array.isArray(data) ? data : data?.[key] || data?.data || []);
+
+class ClawdictClient {
+  /**
+   * @param {Object} [opts]
+   * @param {string} [opts.baseUrl]      Defaults to CLAWDICT_API, then the public API
+   * @param {string} [opts.token]        Sent as X-Agent-Token
+   * @param {string} [opts.cacheDir]     Keep responses here (default CLAWDICT_CACHE_DIR; no cache if unset)
+   * @param {number} [opts.cacheTtl=60]  Seconds a cached response is used without asking the API
+   * @param {number} [opts.retries=3]    Retries after the first attempt
+   * @param {number} [opts.retryDelay=500]  First backoff in ms, doubled on each retry
+   * @param {number} [opts.maxRetryDelay=30000]  Upper bound on any single wait, including Retry-After
+   * @param {number} [opts.timeout=10000]   Per-request timeout in ms
+   * @param {typeof fetch} [opts.fetch]
+   */
+  constructor({
+    baseUrl,
+    token,
+    cacheDir = process.env.CLAWDICT_CACHE_DIR,
+    cacheTtl = 60,
+    retries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 30_000,
+    timeout = 10_000,
+    fetch: fetchImpl = globalThis.fetch,
+  } = {}) {
+    this.baseUrl = apiBase(baseUrl);
+    this.token = token || null;
+    this.cacheDir = cacheDir || null;
+    this.cacheTtl = cacheTtl;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.timeout = timeout;
+    this._fetch = fetchImpl;
+    this._notBefore = 0;
+  }
+
+  /**
+   * Markets from /markets/top, following pages until `limit` (default: all).
+   * @param {{limit?: number, pageSize?: number, normalize?: boolean}} [opts]  `normalize: false` returns the API objects
+   * @returns {Promise<ClawdictMarket[]>}
+   */
+  async listMarkets({ limit, pageSize, normalize = true } = {}) {
+    const markets = [];
+    let query = pageSize ? { limit: pageSize } : {};
+    for (let page = 1; page <= MAX_PAGES; page++) {
+      const data = await this.request("/markets/top", { query });
+      if (data === null) throw new ClawdictError("NotFound", "Clawdict API error: /markets/top not found", { status: 404 });
+      markets.push(...listOf(data, "markets"));
+      if (limit && markets.length >= limit) break;
+      const next = nextPage(data, page);
+      if (!next) break;
+      query = { ...query, ...next };
+    }
+    const list = limit ? markets.slice(0, limit) : markets;
+    return normalize ? list.map(normalizeMarket) : list;
+  }
+
+  /**
+   * One market by slug, or null if Clawdict does not know it
+   * @returns {Promise<ClawdictMarket|null>}
+   */
+  async getMarket(slug, { normalize = true } = {}) {
+    const data = await this.request(`/markets/${encodeURIComponent(slug)}`);
+    if (data === null) return null;
+    const market = data.market || data.data || data;
+    return normalize ? normalizeMarket(market) : market;
+  }
+
+  /** @returns {Promise<ClawdictLeaderboardEntry[]>} */
+  async leaderboard({ normalize = true } = {}) {
+    const data = await this.request("/leaderboard");
+    if (data === null) throw new ClawdictError("NotFound", "Clawdict API error: /leaderboard not found", { status: 404 });
+    const entries = listOf(data, "leaderboard");
+    return normalize ? entries.map(normalizeLeaderboardEntry) : entries;
+  }
+
+  /**
+   * GET a JSON document; null on 404. Fresh cached responses are returned
+   * without a request, and a stale one if every attempt fails.
+   * @param {string} pathname  e.g. "/markets/top"
+   * @param {{query?: Object}} [opts]
+   */
+  async request(pathname, { query = {} } = {}) {
+    const params = new URLSearchParams(Object.entries(query).filter(([, v]) => v !== undefined && v !== null));
+    const url = `${this.baseUrl}${pathname}${params.size > 0 ? `?${params}` : ""}`;
+    const cached = this._readCache(url);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl * 1000) return cached.body;
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      if (attempt > 0) await sleep(this._backoff(attempt - 1, lastError));
+      if (this._notBefore > Date.now()) await sleep(Math.min(this._notBefore - Date.now(), this.maxRetryDelay));
+
+      let res;
+      try {
+        res = await this._fetch(url, { headers: this._headers(), signal: AbortSignal.timeout(this.timeout) });
+      } catch (err) {
+        lastError = new ClawdictError("NetworkError", `Clawdict request failed: ${err.message}`, { url, cause: err });
+        continue;
+      }
+
+      const resetAt = rateLimitResetAt(res);
+      if (resetAt) this._notBefore = resetAt;
+      if (res.status === 404) return null;
+      if (res.ok) {
+        const body = await res.json();
+        this._writeCache(url, body);
+        return body;
+      }
+      const code = res.status === 429 ? "RateLimited" : "HttpError";
+      lastError = new ClawdictError(code, `Clawdict API error: ${res.status} ${res.statusText}`, { status: res.status, url });
+      lastError.retryAfter = retryAfterMs(res);
+      if (!RETRY_STATUSES.has(res.status)) break;
+    }
+
+    if (cached) return cached.body;
+    throw lastError;
+  }
+
+  _headers() {
+    const headers = { Accept: "application/json" };
+    if (this.token) headers["X-Agent-Token"] = this.token;
+    return headers;
+  }
+
+  // Retry-After when the API sent one, else exponential backoff
+  _backoff(retry, err) {
+    const delay = err?.retryAfter ?? this.retryDelay * 2 ** retry;
+    return Math.min(delay, this.maxRetryDelay);
+  }
+
+  // Responses can depend on the token, so it is part of the key (hashed, never stored)
+  _cacheFile(url) {
+    const key = crypto.createHash("sha256").update(`${url}\n${this.token || ""}`).digest("hex");
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  _readCache(url) {
+    if (!this.cacheDir) return null;
+    try {
+      return JSON.parse(fs.readFileSync(this._cacheFile(url), "utf8"));
+    } catch {
+      // Missing or unreadable entries are simply not cached
+      return null;
+    }
+  }
+
+  _writeCache(url, body) {
+    if (!this.cacheDir) return;
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    const file = this._cacheFile(url);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ url, fetchedAt: Date.now(), body }));
+    fs.renameSync(tmp, file);
+  }
+}
+
+// --- One-off calls, for callers that work with the API's own objects ---
+
+/** Every market from /markets/top, as the API returns them */
+async function fetchMarkets({ token, baseUrl, ...opts } = {}) {
+  return new ClawdictClient({ token, baseUrl, ...opts }).listMarkets({ normalize: false });
+}
+
+/** A single market by slug as the API returns it, or null if Clawdict does not know it */
+async function fetchMarket(slug, { token, baseUrl, ...opts } = {}) {
+  return new ClawdictClient({ token, baseUrl, ...opts }).getMarket(slug, { normalize: false });
+}
+
+async function fetchLeaderboard({ token, baseUrl, ...opts } = {}) {
+  return new ClawdictClient({ token, baseUrl, ...opts }).leaderboard({ normalize: false });
+}
+
+const OPEN_WORDS = ["open", "active", "trading"];
+const VOID_WORDS = ["void", "voided", "cancelled", "canceled", "n/a", "na", "invalid", "annulled"];
+
+// A fractional resolution ("0.5", 0.25 or "62.5%") as YES basis points, or null
+function fractionBps(raw) {
+  const text = String(raw).trim();
+  const pct = /^(\d+(?:\.\d+)?)%$/.exec(text);
+  const share = pct ? Number(pct[1]) / 100 : /^(0|1)?\.\d+$|^[01]$/.test(text) ? Number(text) : NaN;
+  if (!Number.isFinite(share) || share < 0 || share > 1) return null;
+  return Math.round(share * 10_000);
+}
+
+/**
+ * Where a market stands on Clawdict: "resolved" with a yes/no outcome (or
+ * "fractional" with `yesBps` for percentage outcomes), "voided" (resolved
+ * N/A or cancelled), or "open".
+ */
+function resolutionOf(market) {
+  const raw = market.resolution ?? market.outcome ?? market.result ?? null;
+  const status = String(market.status || market.state || "").toLowerCase();
+  const value = raw === null ? "" : String(raw).toLowerCase();
+
+  if (VOID_WORDS.includes(status) || VOID_WORDS.includes(value)) {
+    return { status: "voided", outcome: null };
+  }
+  if (value === "yes" || raw === true) return { status: "resolved", outcome: "yes" };
+  if (value === "no" || raw === false) return { status: "resolved", outcome: "no" };
+
+  const yesBps = raw === null || OPEN_WORDS.includes(status) ? null : fractionBps(raw);
+  if (yesBps === 10_000) return { status: "resolved", outcome: "yes" };
+  if (yesBps === 0) return { status: "resolved", outcome: "no" };
+  if (yesBps !== null) return { status: "resolved", outcome: "fractional", yesBps };
+  return { status: "open", outcome: null };
+}
+
+/** Clawdict dates arrive as ISO strings, Unix seconds or Unix milliseconds */
+function toUnixSeconds(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "number" || /^\d+$/.test(String(value))) {
+    const n = Number(value);
+    return n > 1e12 ? Math.floor(n / 1000) : n;
+  }
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+/** A probability given as a share (0.62), a percentage (62 or "62%") or a string; null if not one */
+function toProbability(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const text = String(value).trim();
+  let n = Number(text.replace(/%$/, ""));
+  if (!Number.isFinite(n)) return null;
+  if (text.endsWith("%") || n > 1) n /= 100;
+  return n >= 0 && n <= 1 ? n : null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Map the API's loosely named fields onto one shape
+ * @returns {ClawdictMarket}
+ */
+function normalizeMarket(market) {
+  const slug = market.slug || market.id || "unknown";
+  const { status, outcome, yesBps = null } = resolutionOf(market);
+  const closeDate = market.closeDate || market.close_date || market.endDate || null;
+  return {
+    slug,
+    title: market.title || market.question || slug,
+    pYes: toProbability(market.probability ?? market.pYes ?? market.p_yes),
+    volume: toNumber(market.volume ?? market.totalVolume),
+    closeDate,
+    closeTime: toUnixSeconds(closeDate),
+    category: market.category ?? market.topic ?? null,
+    status,
+    outcome,
+    yesBps,
+  };
+}
+
+/** @returns {ClawdictLeaderboardEntry} */
+function normalizeLeaderboardEntry(entry) {
+  return {
+    name: entry.name || entry.username || entry.agent || "?",
+    score: toNumber(entry.score ?? entry.brierScore ?? entry.accuracy),
+  };
+}
+
+module.exports = {
+  DEFAULT_API_BASE,
+  ClawdictClient,
+  ClawdictError,
+  fetchMarkets,
+  fetchMarket,
+  fetchLeaderboard,
+  normalizeMarket,
+  normalizeLeaderboardEntry,
+  resolutionOf,
+  toUnixSeconds,
+};
@@ -0,0 +1,93 @@
+/**
+ * A local stand-in for the Clawdict API, for tests and offline runs
+ * (scripts/mock-clawdict.js serves scripts/fixtures/clawdict.json with it).
+ *
+ * Serves GET /markets/top (paginated with ?limit and ?cursor, answering
+ * `nextCursor` while more remain), /markets/:slug and /leaderboard from
+ * in-memory fixtures keyed by slug. Fixtures may be mutated between
+ * requests; one of `{ fail: true }` answers 500. /leaderboard answers 404
+ * unless `leaderboard` is given. With `token`, requests without that
+ * X-Agent-Token get 401.
+ */
+
+const http = require("http");
+
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * @param {Object<string, Object>} [fixtures]  Markets by slug, as the API returns them
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.leaderboard]
+ * @param {string} [opts.token]     Require this X-Agent-Token
+ * @param {number} [opts.pageSize=50]  Markets per page when the request gives no ?limit
+ * @param {number} [opts.port=0]    0 picks a free port
+ * @param {string} [opts.host="127.0.0.1"]
+ * @returns {Promise<{server: http.Server, baseUrl: string, requests: {method: string, url: string, token: string|null}[],
+ *   failNext: (count: number, status?: number, opts?: {retryAfter?: number}) => void, close: () => Promise<void>}>}
+ */
+function startMockClawdict(fixtures = {}, { leaderboard, token, pageSize = DEFAULT_PAGE_SIZE, port = 0, host = "127.0.0.1" } = {}) {
+  const requests = [];
+  const failures = [];
+
+  function send(res, status, body, headers = {}) {
+    if (body === undefined) {
+      res.writeHead(status, headers).end();
+      return;
+    }
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://mock");
+    requests.push({ method: req.method, url: req.url, token: req.headers["x-agent-token"] ?? null });
+
+    const failure = failures.shift();
+    if (failure) {
+      send(res, failure.status, undefined, failure.retryAfter === undefined ? {} : { "Retry-After": String(failure.retryAfter) });
+      return;
+    }
+    if (token && req.headers["x-agent-token"] !== token) {
+      send(res, 401, { error: "missing or invalid X-Agent-Token" });
+      return;
+    }
+
+    if (url.pathname === "/leaderboard") {
+      if (leaderboard) send(res, 200, { leaderboard });
+      else send(res, 404);
+      return;
+    }
+    if (url.pathname === "/markets/top") {
+      const markets = Object.values(fixtures).filter((m) => !m.fail);
+      const limit = Number(url.searchParams.get("limit")) || pageSize;
+      const start = Number(url.searchParams.get("cursor")) || 0;
+      const end = start + limit;
+      send(res, 200, { markets: markets.slice(start, end), nextCursor: end < markets.length ? String(end) : null });
+      return;
+    }
+
+    const match = url.pathname.match(/^\/markets\/([^/]+)$/);
+    const market = match && fixtures[decodeURIComponent(match[1])];
+    if (!market) send(res, 404);
+    else if (market.fail) send(res, 500);
+    else send(res, 200, { market });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, () => {
+      resolve({
+        server,
+        baseUrl: `http://${host}:${server.address().port}`,
+        requests,
+        /** Answer the next `count` requests, whatever they are, with `status` */
+        failNext(count, status = 503, { retryAfter } = {}) {
+          for (let i = 0; i < count; i++) failures.push({ status, retryAfter });
+        },
+        close: () => new Promise((done) => server.close(() => done())),
+      });
+    });
+  });
+}
+
+module.exports = { startMockClawdict };
@@ -0,0 +1,1168 @@
+const { AbiCoder, Contract, Signature, ZeroAddress, ZeroHash, getBytes, hexlify, id, keccak256, randomBytes } = require("ethers");
+const { CLAWSTAKE_ABI, COMMIT_REVEAL_ABI, INTENTS_ABI, POSITIONS_ABI, USDC_ABI } = require("./abi");
+const { ClawStakeError, decodeError } = require("./errors");
+const { INTENT_TYPES, intentCall, intentMessage, permitCall } = require("./intents");
+const { marketStatus, stakedAmount, summarizePosition } = require("./market");
+const { ROLES, roleId } = require("./roles");
+const { parseUsdc, parseSide } = require("./units");
+
+/**
+ * @typedef {Object} Market
+ * @property {string} slug
+ * @property {string} key          keccak256 of the slug
+ * @property {bigint} totalYes     USDC base units staked on YES
+ * @property {bigint} totalNo      USDC base units staked on NO
+ * @property {bigint} totalPool
+ * @property {bigint} penaltyPool  Exit penalties kept for the remaining stakers, paid on top of totalPool
+ * @property {number} outcomeCount  Outcomes of a categorical market, 0 for YES/NO markets
+ * @property {bigint[]} outcomePools  USDC staked per outcome (categorical markets; empty otherwise)
+ * @property {number|null} winningOutcome  Winning outcome index of a resolved categorical market
+ * @property {boolean} resolved
+ * @property {"yes"|"no"|"fractional"|string|null} outcome  null until resolved; the winning index (e.g. "2") for categorical markets
+ * @property {number|null} yesBps  Share of the pool paid to YES stakers, for a fractional resolution
+ * @property {boolean} cancelled
+ * @property {number} deadline     Unix seconds, 0 = no deadline
+ * @property {number} feeBps       Protocol fee on winnings, fixed when the market was created
+ * @property {number} exitPenaltyBps  Share of an unstake kept in the market, fixed when the market was created
+ * @property {number} finalizesAt  When claims open: the end of the dispute window, or of the dispute timeout while disputed; 0 until resolved
+ * @property {boolean} disputed    A dispute is open; claims wait for the resolver or the dispute timeout
+ * @property {"open"|"closed"|"refundable"|"finalizing"|"disputed"|"resolved"|"cancelled"} status
+ *
+ * @typedef {Object} Position
+ * @property {string} slug
+ * @property {string} staker
+ * @property {bigint} amountYes    Position tokens held; 1 token = 1 USDC base unit staked
+ * @property {bigint} amountNo
+ * @property {bigint[]} amounts    USDC staked per outcome (categorical markets; empty otherwise)
+ * @property {boolean} claimed     True once the holder has claimed or refunded in this market
+ * @property {bigint} settledStake   Position tokens burned by the holder's claims and refunds
+ * @property {bigint} settledPayout  USDC those claims and refunds paid out
+ *
+ * @typedef {Object} TxResult
+ * @property {string} hash
+ * @property {number} blockNumber
+ * @property {bigint} gasUsed
+ * @property {{name: string, args: Object}[]} events  Decoded ClawStake (and commit–reveal module) events
+ *
+ * @typedef {Object} CommitSchedule
+ * @property {boolean} enabled       Whether the market uses commit–reveal staking
+ * @property {number} commitDeadline  Unix seconds, 0 when not enabled
+ * @property {number} revealDeadline
+ * @property {number} penaltyBps     Kept from commitments not revealed in time
+ * @property {"commit"|"reveal"|"closed"|null} phase  null when not enabled
+ *
+ * @typedef {Object} Commitment
+ * @property {number} chainId
+ * @property {string} module       ClawStakeCommitReveal address
+ * @property {string} slug
+ * @property {string} staker
+ * @property {boolean} isYes
+ * @property {bigint} amount       USDC base units escrowed
+ * @property {string} salt         32-byte secret; without it the commitment cannot be revealed
+ * @property {string} hash         commitHash() of the above, what goes on-chain
+ */
+
+/** EIP-2612 Permit struct signed by {@link ClawStakeClient#signPermit} */
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+function toDeadline(deadline) {
+  if (deadline instanceof Date) return Math.floor(deadline.getTime() / 1000);
+  const n = Number(deadline);
+  if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid deadline: ${deadline}`);
+  return n;
+}
+
+function sumFees(events) {
+  return events
+    .filter((e) => e.name === "FeeCharged")
+    .reduce((sum, e) => sum + e.args.fee, 0n);
+}
+
+function parseOutcomeIndex(index) {
+  const n = typeof index === "bigint" ? Number(index) : index;
+  if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid outcome index: ${index}`);
+  return n;
+}
+
+/**
+ * ERC-1155 token id of a position: `side` ("yes"/"no"/boolean) for YES/NO
+ * markets, or a numeric outcome index for categorical ones. Same as the
+ * contract's positionId(slug, slot).
+ */
+function positionId(slug, side) {
+  const slot = typeof side === "number" || typeof side === "bigint" ? parseOutcomeIndex(side) : parseSide(side) ? 1 : 0;
+  return BigInt(keccak256(AbiCoder.defaultAbiCoder().encode(["bytes32", "uint256"], [id(slug), slot])));
+}
+
+/**
+ * The hash a staker commits to; matches ClawStakeCommitReveal.commitHash()
+ * @param {Omit<Commitment, "hash" | "amount">} commitment
+ */
+function commitHash({ module, chainId, staker, slug, isYes, salt }) {
+  return keccak256(
+    AbiCoder.defaultAbiCoder().encode(
+      ["address", "uint256", "address", "bytes32", "bool", "bytes32"],
+      [module, chainId, staker, id(slug), isYes, salt]
+    )
+  );
+}
+
+function requireSlug(slug) {
+  if (typeof slug !== "string" || slug.length === 0) {
+    throw new ClawStakeError("EmptySlug", "Market slug must not be empty");
+  }
+  return slug;
+}
+
+/**
+ * Thin, typed wrapper around the ClawStake contract.
+ *
+ * Works with any ethers v6 runner: a plain `ethers.Wallet`, a provider for
+ * read-only use, or the signers returned by `hre.ethers.getSigners()`.
+ * Contract reverts are rethrown as {@link ClawStakeError}.
+ */
+class ClawStakeClient {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.address        ClawStake contract address
+   * @param {import("ethers").ContractRunner} opts.runner  Signer or provider
+   * @param {string} [opts.usdcAddress]  Defaults to the contract's usdc()
+   */
+  constructor({ address, runner, usdcAddress } = {}) {
+    if (!address) throw new TypeError("ClawStakeClient: address is required");
+    if (!runner) throw new TypeError("ClawStakeClient: runner is required");
+
+    this.address = address;
+    this.runner = runner;
+    this.contract = new Contract(address, CLAWSTAKE_ABI, runner);
+    this._usdcAddress = usdcAddress || null;
+    this._usdc = null;
+    this._positions = null;
+    this._commitReveal = null;
+    this._intents = null;
+    this._domain = null;
+  }
+
+  get provider() {
+    return this.runner.provider || this.runner;
+  }
+
+  async signerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new TypeError("ClawStakeClient: a signer is required for this operation");
+    }
+    return this.runner.getAddress();
+  }
+
+  async usdc() {
+    if (!this._usdc) {
+      const addr = this._usdcAddress || (await this._call("usdc"));
+      this._usdc = new Contract(addr, USDC_ABI, this.runner);
+    }
+    return this._usdc;
+  }
+
+  /** The ERC-1155 contract holding everyone's position tokens */
+  async positions() {
+    if (!this._positions) {
+      this._positions = new Contract(await this._call("positions"), POSITIONS_ABI, this.runner);
+    }
+    return this._positions;
+  }
+
+  /** The ClawStakeCommitReveal module ClawStake was deployed with */
+  async commitReveal() {
+    if (!this._commitReveal) {
+      this._commitReveal = new Contract(await this._call("commitReveal"), COMMIT_REVEAL_ABI, this.runner);
+    }
+    return this._commitReveal;
+  }
+
+  /** The ClawStakeIntents module that verifies and submits signed intents */
+  async intents() {
+    if (!this._intents) {
+      this._intents = new Contract(await this._call("intents"), INTENTS_ABI, this.runner);
+    }
+    return this._intents;
+  }
+
+  /** Latest block timestamp, used for deadline checks */
+  async now() {
+    const block = await this.provider.getBlock("latest");
+    return block.timestamp;
+  }
+
+  // --- Views ---
+
+  /** @returns {Promise<Market>} */
+  async getMarket(slug, { now } = {}) {
+    requireSlug(slug);
+    const [info, dispute, categorical, fraction, penaltyPool, exitPenaltyBps, ts] = await Promise.all([
+      this._call("getMarketInfo", slug),
+      this._call("getDispute", slug),
+      this._call("getOutcomePools", slug),
+      this._call("fractions", id(slug)),
+      this._call("penaltyPoolOf", id(slug)),
+      this._call("exitPenaltyBpsOf", id(slug)),
+      now ?? this.now(),
+    ]);
+    const outcomePools = [...categorical.pools];
+    const outcomeCount = outcomePools.length;
+    const winningOutcome = outcomeCount > 0 && info.resolved ? Number(categorical.winningOutcome) : null;
+    let outcome = null;
+    if (info.resolved) outcome = outcomeCount > 0 ? String(winningOutcome) : info.outcomeYes ? "yes" : "no";
+    if (fraction.fractional) outcome = "fractional";
+
+    const market = {
+      slug,
+      key: id(slug),
+      totalYes: info.totalYes,
+      totalNo: info.totalNo,
+      totalPool: outcomePools.reduce((a, b) => a + b, info.totalYes + info.totalNo),
+      penaltyPool,
+      outcomeCount,
+      outcomePools,
+      winningOutcome,
+      resolved: info.resolved,
+      outcome,
+      yesBps: fraction.fractional ? Number(fraction.yesBps) : null,
+      cancelled: info.cancelled,
+      deadline: Number(info.deadline),
+      feeBps: Number(info.marketFeeBps),
+      exitPenaltyBps: Number(exitPenaltyBps),
+      finalizesAt: Number(dispute.finalizesAt),
+      // A dispute nobody settled lapses at finalizesAt (DISPUTE_TIMEOUT)
+      disputed: dispute.disputer !== ZeroAddress && !dispute.isFinal,
+    };
+    market.status = marketStatus(market, ts);
+    return market;
+  }
+
+  /** @returns {Promise<Position>} */
+  async getStake(slug, staker) {
+    requireSlug(slug);
+    staker = staker || (await this.signerAddress());
+    const [s, amounts, settled] = await Promise.all([
+      this._call("getStake", slug, staker),
+      this._call("getOutcomeStakes", slug, staker),
+      this._call("settlements", id(slug), staker),
+    ]);
+    return {
+      slug,
+      staker,
+      amountYes: s.amountYes,
+      amountNo: s.amountNo,
+      amounts: [...amounts],
+      claimed: s.claimed,
+      settledStake: settled.staked,
+      settledPayout: settled.paid,
+    };
+  }
+
+  /** Whether the market has been created (by registration or first stake) */
+  async marketExists(slug) {
+    const m = await this._call("markets", id(requireSlug(slug)));
+    return m.exists;
+  }
+
+  async marketCount() {
+    return Number(await this._call("marketCount"));
+  }
+
+  /** Every market slug in creation order */
+  async listSlugs() {
+    const count = await this.marketCount();
+    const entries = await Promise.all(
+      Array.from({ length: count }, (_, i) => this._call("getMarketByIndex", i))
+    );
+    return entries.map((e) => e.slug);
+  }
+
+  /** @returns {Promise<Market[]>} */
+  async listMarkets() {
+    const [slugs, now] = await Promise.all([this.listSlugs(), this.now()]);
+    return Promise.all(slugs.map((slug) => this.getMarket(slug, { now })));
+  }
+
+  /**
+   * Every market `account` (default: signer) holds a stake in or has
+   * settled, with status,
+   * implied odds, claimable/refundable amounts and realized PnL.
+   * @returns {Promise<import("./market").PortfolioEntry[]>}
+   */
+  async getPositions(account) {
+    account = account || (await this.signerAddress());
+    const [slugs, now] = await Promise.all([this.listSlugs(), this.now()]);
+
+    const rows = await Promise.all(
+      slugs.map(async (slug) => {
+        const position = await this.getStake(slug, account);
+        if (stakedAmount(position) === 0n && !position.claimed) return null;
+        return summarizePosition(await this.getMarket(slug, { now }), position);
+      })
+    );
+    return rows.filter(Boolean);
+  }
+
+  async balanceOf(account) {
+    const usdc = await this.usdc();
+    return usdc.balanceOf(account || (await this.signerAddress()));
+  }
+
+  async allowance(owner) {
+    const usdc = await this.usdc();
+    return usdc.allowance(owner || (await this.signerAddress()), this.address);
+  }
+
+  // --- Transactions ---
+
+  /**
+   * Make sure ClawStake may pull `amount` USDC from the signer, approving if
+   * needed. Approves exactly `amount` unless `infinite` is set, which
+   * approves MaxUint256 so later stakes skip the approval.
+   * @returns {Promise<TxResult|null>} The approve tx, or null if none was needed
+   */
+  async ensureAllowance(amount, { infinite = false } = {}) {
+    amount = parseUsdc(amount);
+    const current = await this.allowance();
+    if (current >= amount) return null;
+
+    const usdc = await this.usdc();
+    const value = infinite ? (1n << 256n) - 1n : amount;
+    return this._send(usdc, "approve", [this.address, value]);
+  }
+
+  /**
+   * Sign an EIP-2612 permit letting ClawStake pull exactly `amount` USDC from
+   * the signer (no tx). Used by stake/batchStake with `permit: true`.
+   * @param {Object} [opts]
+   * @param {Date|number} [opts.deadline]  Defaults to one hour from the latest block
+   * @returns {Promise<{deadline: number, v: number, r: string, s: string}>}
+   */
+  async signPermit(amount, { deadline } = {}) {
+    const value = parseUsdc(amount);
+    const owner = await this.signerAddress();
+    if (typeof this.runner.signTypedData !== "function") {
+      throw new TypeError("ClawStakeClient: a signer is required for this operation");
+    }
+    const usdc = await this.usdc();
+    const [domain, nonce] = await Promise.all([this._permitDomain(usdc), usdc.nonces(owner)]);
+    deadline = deadline === undefined ? (await this.now()) + 3600 : toDeadline(deadline);
+    const message = { owner, spender: this.address, value, nonce, deadline };
+    const { v, r, s } = Signature.from(await this.runner.signTypedData(domain, PERMIT_TYPES, message));
+    return { deadline, v, r, s };
+  }
+
+  /**
+   * Stake on one market. `amount` is a USDC string/number or base-unit bigint.
+   *
+   * Pass `deadlineAuth` (from a market admin's {@link signDeadline}) to create a
+   * new market with its deadline already set.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.approve=true]  Approve exactly `amount` first if needed
+   * @param {boolean} [opts.infiniteApproval=false]  Approve unlimited USDC instead
+   * @param {boolean} [opts.permit=false]  Sign a permit for exactly `amount` instead of approving (one tx)
+   * @param {{deadline: number, signature: string}} [opts.deadlineAuth]
+   * @returns {Promise<TxResult & {approval: TxResult|null}>}
+   */
+  async stake(slug, side, amount, { approve = true, infiniteApproval = false, permit = false, deadlineAuth } = {}) {
+    requireSlug(slug);
+    const isYes = parseSide(side);
+    const units = parseUsdc(amount);
+    if (permit && deadlineAuth) throw new TypeError("stake: permit cannot be combined with deadlineAuth");
+    await this._checkBalance(units);
+    if (permit) {
+      const { deadline, v, r, s } = await this.signPermit(units);
+      const result = await this._send(this.contract, "stakeWithPermit", [slug, isYes, units, deadline, v, r, s]);
+      return { ...result, approval: null };
+    }
+    const approval = approve ? await this.ensureAllowance(units, { infinite: infiniteApproval }) : null;
+    const result = deadlineAuth
+      ? await this._send(this.contract, "stakeWithDeadline", [
+          slug, isYes, units, toDeadline(deadlineAuth.deadline), deadlineAuth.signature,
+        ])
+      : await this._send(this.contract, "stake", [slug, isYes, units]);
+    return { ...result, approval };
+  }
+
+  /**
+   * Stake on one outcome of a categorical market. Approves like {@link stake}.
+   * @returns {Promise<TxResult & {approval: TxResult|null}>}
+   */
+  async stakeOutcome(slug, outcomeIndex, amount, { approve = true, infiniteApproval = false } = {}) {
+    requireSlug(slug);
+    const index = parseOutcomeIndex(outcomeIndex);
+    const units = parseUsdc(amount);
+    await this._checkBalance(units);
+    const approval = approve ? await this.ensureAllowance(units, { infinite: infiniteApproval }) : null;
+    const result = await this._send(this.contract, "stakeOutcome", [slug, index, units]);
+    return { ...result, approval };
+  }
+
+  /**
+   * Stake on several markets with one USDC transfer. Approves exactly the
+   * total (unlimited with `infiniteApproval: true`); with `permit: true` the
+   * signer signs a permit for the exact total instead of approving.
+   * @param {{slug: string, side: string|boolean, amount: string|number|bigint}[]} stakes
+   */
+  async batchStake(stakes, { approve = true, infiniteApproval = false, permit = false } = {}) {
+    if (!Array.isArray(stakes) || stakes.length === 0) {
+      throw new TypeError("batchStake: at least one stake is required");
+    }
+    const slugs = stakes.map((s) => requireSlug(s.slug));
+    const sides = stakes.map((s) => parseSide(s.side));
+    const amounts = stakes.map((s) => parseUsdc(s.amount));
+    const total = amounts.reduce((a, b) => a + b, 0n);
+
+    await this._checkBalance(total);
+    if (permit) {
+      const { deadline, v, r, s } = await this.signPermit(total);
+      const result = await this._send(this.contract, "batchStakeWithPermit", [slugs, sides, amounts, deadline, v, r, s]);
+      return { ...result, approval: null };
+    }
+    const approval = approve ? await this.ensureAllowance(total, { infinite: infiniteApproval }) : null;
+    const result = await this._send(this.contract, "batchStake", [slugs, sides, amounts]);
+    return { ...result, approval };
+  }
+
+  /**
+   * Withdraw stake from an open YES/NO market. `amount` includes the exit
+   * penalty: the signer receives `returned` and `penalty` stays in the pool.
+   * @returns {Promise<TxResult & {returned: bigint, penalty: bigint}>}
+   */
+  async unstake(slug, side, amount) {
+    requireSlug(slug);
+    const units = parseUsdc(amount);
+    const result = await this._send(this.contract, "unstake", [slug, parseSide(side), units]);
+    const ev = result.events.find((e) => e.name === "Unstaked");
+    const penalty = ev ? ev.args.penalty : 0n;
+    return { ...result, returned: units - penalty, penalty };
+  }
+
+  /**
+   * Move position tokens to another wallet, e.g. when rotating keys or
+   * selling a position. The recipient can then claim or refund them.
+   * @param {string|boolean|number} side  "yes"/"no", or an outcome index for categorical markets
+   */
+  async transferPosition(slug, side, amount, to) {
+    requireSlug(slug);
+    const units = parseUsdc(amount);
+    const from = await this.signerAddress();
+    return this._send(await this.positions(), "safeTransferFrom", [from, to, positionId(slug, side), units, "0x"]);
+  }
+
+  /**
+   * `payout` is what the signer received; `fee` what the protocol kept.
+   * @returns {Promise<TxResult & {payout: bigint, fee: bigint}>}
+   */
+  async claim(slug) {
+    const result = await this._send(this.contract, "claim", [requireSlug(slug)]);
+    const ev = result.events.find((e) => e.name === "Claimed");
+    return { ...result, payout: ev ? ev.args.payout : 0n, fee: sumFees(result.events) };
+  }
+
+  /** @returns {Promise<TxResult & {amount: bigint}>} */
+  async refund(slug) {
+    const result = await this._send(this.contract, "refund", [requireSlug(slug)]);
+    const ev = result.events.find((e) => e.name === "Refunded");
+    return { ...result, amount: ev ? ev.args.amount : 0n };
+  }
+
+  /**
+   * Claim several resolved markets with one USDC transfer. Reverts if any
+   * slug is not claimable; see {@link collectAll} to pick slugs automatically.
+   * @returns {Promise<TxResult & {payout: bigint, fee: bigint}>}
+   */
+  async batchClaim(slugs) {
+    const result = await this._send(this.contract, "batchClaim", [this._slugList(slugs)]);
+    const payout = result.events
+      .filter((e) => e.name === "Claimed")
+      .reduce((sum, e) => sum + e.args.payout, 0n);
+    return { ...result, payout, fee: sumFees(result.events) };
+  }
+
+  /**
+   * Refund several cancelled or expired markets with one USDC transfer.
+   * @returns {Promise<TxResult & {amount: bigint}>}
+   */
+  async batchRefund(slugs) {
+    const result = await this._send(this.contract, "batchRefund", [this._slugList(slugs)]);
+    const amount = result.events
+      .filter((e) => e.name === "Refunded")
+      .reduce((sum, e) => sum + e.args.amount, 0n);
+    return { ...result, amount };
+  }
+
+  /**
+   * Collect everything the signer can: one batchClaim for claimable markets
+   * and one batchRefund for refundable ones. Either result is null when
+   * there was nothing of that kind to collect.
+   * @returns {Promise<{claim: (TxResult & {payout: bigint, slugs: string[]})|null, refund: (TxResult & {amount: bigint, slugs: string[]})|null}>}
+   */
+  async collectAll() {
+    const positions = await this.getPositions();
+    const claimable = positions.filter((p) => p.claimable > 0n).map((p) => p.slug);
+    const refundable = positions.filter((p) => p.refundable > 0n).map((p) => p.slug);
+
+    const claim = claimable.length ? { ...(await this.batchClaim(claimable)), slugs: claimable } : null;
+    const refund = refundable.length ? { ...(await this.batchRefund(refundable)), slugs: refundable } : null;
+    return { claim, refund };
+  }
+
+  /**
+   * Resolve a market (resolver only).
+   * @returns {Promise<TxResult & {autoCancelled: boolean}>}
+   */
+  async resolve(slug, outcome) {
+    const result = await this._send(this.contract, "resolve", [requireSlug(slug), parseSide(outcome)]);
+    return { ...result, autoCancelled: result.events.some((e) => e.name === "MarketCancelled") };
+  }
+
+  /**
+   * Resolve a YES/NO market fractionally: YES stakers share `yesBps` / 10000
+   * of the pool and NO stakers the rest (resolver only).
+   */
+  async resolveFractional(slug, yesBps) {
+    const bps = Number(yesBps);
+    if (!Number.isInteger(bps) || bps < 0 || bps > 10_000) throw new TypeError(`Invalid yesBps: ${yesBps}`);
+    return this._send(this.contract, "resolveFractional", [requireSlug(slug), bps]);
+  }
+
+  /**
+   * Resolve a categorical market to its winning outcome (resolver only).
+   * @returns {Promise<TxResult & {autoCancelled: boolean}>}
+   */
+  async resolveOutcome(slug, outcomeIndex) {
+    const result = await this._send(this.contract, "resolveOutcome", [requireSlug(slug), parseOutcomeIndex(outcomeIndex)]);
+    return { ...result, autoCancelled: result.events.some((e) => e.name === "MarketCancelled") };
+  }
+
+  /**
+   * Confirm or change the winning outcome of a categorical market that is not
+   * final yet, like {@link correctResolution} (resolver only).
+   * @returns {Promise<TxResult & {changed: boolean, autoCancelled: boolean}>}
+   */
+  async correctOutcome(slug, outcomeIndex) {
+    const result = await this._send(this.contract, "correctOutcome", [requireSlug(slug), parseOutcomeIndex(outcomeIndex)]);
+    return {
+      ...result,
+      changed: result.events.some((e) => e.name === "OutcomeResolved"),
+      autoCancelled: result.events.some((e) => e.name === "MarketCancelled"),
+    };
+  }
+
+  /**
+   * Confirm or change a resolution that is not final yet, settling any open
+   * dispute (resolver only). The resolution is final afterwards.
+   * @returns {Promise<TxResult & {changed: boolean, autoCancelled: boolean}>}
+   */
+  async correctResolution(slug, outcome) {
+    const result = await this._send(this.contract, "correctResolution", [requireSlug(slug), parseSide(outcome)]);
+    return {
+      ...result,
+      changed: result.events.some((e) => e.name === "ResolutionCorrected"),
+      autoCancelled: result.events.some((e) => e.name === "MarketCancelled"),
+    };
+  }
+
+  /**
+   * Vote on a market's outcome in quorum mode (resolver only). The vote that
+   * completes the quorum resolves the market; a vote that contradicts an
+   * earlier one cancels or escalates it, per the conflict policy.
+   * @returns {Promise<TxResult & {resolved: boolean, cancelled: boolean, escalated: boolean}>}
+   */
+  async voteOutcome(slug, outcome) {
+    const result = await this._send(this.contract, "voteOutcome", [requireSlug(slug), parseSide(outcome)]);
+    const has = (name) => result.events.some((e) => e.name === name);
+    return {
+      ...result,
+      resolved: has("MarketResolved"),
+      cancelled: has("MarketCancelled"),
+      escalated: has("ResolutionEscalated"),
+    };
+  }
+
+  /** Resolve a market whose resolvers disagreed (admin only) */
+  async resolveEscalated(slug, outcome) {
+    const result = await this._send(this.contract, "resolveEscalated", [requireSlug(slug), parseSide(outcome)]);
+    return { ...result, autoCancelled: result.events.some((e) => e.name === "MarketCancelled") };
+  }
+
+  /**
+   * Vote tally of a market, with the quorum it needs.
+   * @returns {Promise<{yes: number, no: number, escalated: boolean, quorum: number}>}
+   */
+  async getTally(slug) {
+    const [tally, { quorum }] = await Promise.all([this._call("getTally", requireSlug(slug)), this.quorumParams()]);
+    return { yes: Number(tally.yesVotes), no: Number(tally.noVotes), escalated: tally.escalated, quorum };
+  }
+
+  /**
+   * A resolver's vote on a market.
+   * @returns {Promise<"yes"|"no"|null>} null if it has not voted
+   */
+  async getVote(slug, resolver) {
+    resolver = resolver || (await this.signerAddress());
+    const vote = Number(await this._call("votes", id(requireSlug(slug)), resolver));
+    return vote === 0 ? null : vote === 1 ? "yes" : "no";
+  }
+
+  /** @returns {Promise<{quorum: number, cancelOnConflict: boolean}>} quorum 0 means single-resolver mode */
+  async quorumParams() {
+    const [quorum, cancelOnConflict] = await Promise.all([
+      this._call("resolutionQuorum"),
+      this._call("cancelOnConflict"),
+    ]);
+    return { quorum: Number(quorum), cancelOnConflict };
+  }
+
+  /** Set the resolver quorum (0 disables quorum mode) and conflict policy (admin only) */
+  async setResolutionQuorum({ quorum, cancelOnConflict = false }) {
+    const n = Number(quorum);
+    if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid quorum: ${quorum}`);
+    return this._send(this.contract, "setResolutionQuorum", [n, Boolean(cancelOnConflict)]);
+  }
+
+  /**
+   * Dispute a resolution during its window, posting the dispute bond
+   * (stakers only). Approves exactly the bond unless `approve` is false.
+   * @returns {Promise<TxResult & {bond: bigint, approval: TxResult|null}>}
+   */
+  async dispute(slug, { approve = true } = {}) {
+    requireSlug(slug);
+    const { bond } = await this.disputeParams();
+    let approval = null;
+    if (bond > 0n) {
+      await this._checkBalance(bond);
+      if (approve) approval = await this.ensureAllowance(bond);
+    }
+    const result = await this._send(this.contract, "dispute", [slug]);
+    return { ...result, bond, approval };
+  }
+
+  /**
+   * Return the bond of a dispute the resolver did not settle within the
+   * dispute timeout to the disputer; the original resolution stands. Anyone
+   * can send it.
+   */
+  async expireDispute(slug) {
+    return this._send(this.contract, "expireDispute", [requireSlug(slug)]);
+  }
+
+  /**
+   * Dispute state of a market.
+   * @returns {Promise<{finalizesAt: number, disputer: string|null, bond: bigint, final: boolean}>}
+   */
+  async getDispute(slug) {
+    const d = await this._call("getDispute", requireSlug(slug));
+    return {
+      finalizesAt: Number(d.finalizesAt),
+      disputer: d.disputer === ZeroAddress ? null : d.disputer,
+      bond: d.bond,
+      final: d.isFinal,
+    };
+  }
+
+  /** @returns {Promise<{window: number, bond: bigint}>} Applied to future resolutions */
+  async disputeParams() {
+    const [window, bond] = await Promise.all([this._call("disputeWindow"), this._call("disputeBond")]);
+    return { window: Number(window), bond };
+  }
+
+  /** Set the dispute window (seconds) and bond (USDC) (admin only) */
+  async setDisputeParams({ window, bond }) {
+    const seconds = Number(window);
+    if (!Number.isInteger(seconds) || seconds < 0) throw new TypeError(`Invalid dispute window: ${window}`);
+    return this._send(this.contract, "setDisputeParams", [seconds, parseUsdc(bond)]);
+  }
+
+  /** Set a market deadline (market admin only). Accepts a Date or Unix seconds; 0 clears it. */
+  async setDeadline(slug, deadline) {
+    return this._send(this.contract, "setDeadline", [requireSlug(slug), toDeadline(deadline)]);
+  }
+
+  /**
+   * Sign a deadline authorization for stakeWithDeadline (market admin only; no tx).
+   * @returns {Promise<{slug: string, deadline: number, signature: string}>}
+   */
+  async signDeadline(slug, deadline) {
+    requireSlug(slug);
+    deadline = toDeadline(deadline);
+    const digest = await this._call("deadlineDigest", slug, deadline);
+    if (typeof this.runner.signMessage !== "function") {
+      throw new TypeError("ClawStakeClient: a signer is required for this operation");
+    }
+    const signature = await this.runner.signMessage(getBytes(digest));
+    return { slug, deadline, signature };
+  }
+
+  // --- Signed intents ---
+
+  /** The intents module's EIP-712 domain, which intents are signed for */
+  async intentDomain() {
+    if (!this._domain) {
+      const d = await this._read(await this.intents(), "eip712Domain");
+      this._domain = { name: d.name, version: d.version, chainId: d.chainId, verifyingContract: d.verifyingContract };
+    }
+    return this._domain;
+  }
+
+  /** Nonce the next intent of `account` (default: the signer) must use */
+  async intentNonce(account) {
+    return this._read(await this.intents(), "nonces", account || (await this.signerAddress()));
+  }
+
+  /**
+   * Sign a stake, claim or refund intent for a relayer to submit (no tx).
+   * @param {"stake"|"claim"|"refund"} type
+   * @param {{slug: string, side?: string|boolean, amount?: string|number|bigint}} fields  side and amount for stakes
+   * @param {Object} [opts]
+   * @param {Date|number} [opts.expiry]    Defaults to one hour from the latest block
+   * @param {bigint|number} [opts.nonce]   Defaults to the signer's current nonce; pass it to sign several intents ahead
+   * @param {boolean} [opts.permit=false]  Stakes only: also sign a USDC permit for the amount, so no approval is needed
+   * @returns {Promise<import("./intents").Intent>}
+   */
+  async signIntent(type, { slug, side, amount } = {}, { expiry, nonce, permit = false } = {}) {
+    requireSlug(slug);
+    if (!(type in INTENT_TYPES)) throw new TypeError(`Unknown intent type "${type}"`);
+    if (permit && type !== "stake") throw new TypeError("Only stake intents can carry a permit");
+    const signer = await this.signerAddress();
+    if (typeof this.runner.signTypedData !== "function") {
+      throw new TypeError("ClawStakeClient: a signer is required for this operation");
+    }
+
+    const intent = {
+      type,
+      signer,
+      slug,
+      nonce: nonce === undefined ? await this.intentNonce(signer) : BigInt(nonce),
+      expiry: expiry === undefined ? (await this.now()) + 3600 : toDeadline(expiry),
+    };
+    if (type === "stake") {
+      intent.isYes = parseSide(side);
+      intent.amount = parseUsdc(amount);
+    }
+    intent.signature = await this.runner.signTypedData(await this.intentDomain(), INTENT_TYPES[type], intentMessage(intent));
+    if (permit) {
+      const { deadline, v, r, s } = await this.signPermit(intent.amount, { deadline: intent.expiry });
+      intent.permit = { value: intent.amount, deadline, v, r, s };
+    }
+    return intent;
+  }
+
+  /**
+   * Submit signed intents in one transaction (relayer side): one intent is
+   * sent directly, several are batched with multicall. A stake intent's
+   * permit goes into the batch just ahead of it. Reverts if any of them
+   * fails; {@link checkIntents} finds out first.
+   * @param {import("./intents").Intent[]} intents
+   */
+  async submitIntents(intents) {
+    const calls = this._intentCalls(intents);
+    const module = await this.intents();
+    return calls.length === 1
+      ? this._send(module, ...calls[0])
+      : this._send(module, "multicall", [calls.map(([method, args]) => module.interface.encodeFunctionData(method, args))]);
+  }
+
+  /** Simulate submitIntents(); throws the ClawStakeError the batch would revert with */
+  async checkIntents(intents) {
+    const module = await this.intents();
+    const data = this._intentCalls(intents).map(([method, args]) => module.interface.encodeFunctionData(method, args));
+    try {
+      await module.multicall.staticCall(data);
+    } catch (err) {
+      throw decodeError(err);
+    }
+  }
+
+  /**
+   * Submit the USDC permit a stake intent carries, letting ClawStake pull
+   * the stake from its signer. Anyone can send it.
+   */
+  async submitPermit(owner, { value, deadline, v, r, s }) {
+    const usdc = await this.usdc();
+    return this._send(usdc, "permit", [owner, this.address, value, deadline, v, r, s]);
+  }
+
+  // --- Commit–reveal ---
+
+  /**
+   * Commit–reveal schedule of a market.
+   * @returns {Promise<CommitSchedule>}
+   */
+  async getCommitSchedule(slug, { now } = {}) {
+    requireSlug(slug);
+    const module = await this.commitReveal();
+    const [s, ts] = await Promise.all([
+      this._read(module, "schedules", id(slug)),
+      now === undefined ? this.now() : now,
+    ]);
+    const commitDeadline = Number(s.commitDeadline);
+    const revealDeadline = Number(s.revealDeadline);
+    const enabled = commitDeadline > 0;
+    let phase = null;
+    if (enabled) phase = ts <= commitDeadline ? "commit" : ts <= revealDeadline ? "reveal" : "closed";
+    return { enabled, commitDeadline, revealDeadline, penaltyBps: Number(s.penaltyBps), phase };
+  }
+
+  /**
+   * Open commitment of `staker` (default: signer) in a market, or null.
+   * @returns {Promise<{hash: string, amount: bigint}|null>}
+   */
+  async getCommitment(slug, staker) {
+    requireSlug(slug);
+    const module = await this.commitReveal();
+    const c = await this._read(module, "commitments", id(slug), staker || (await this.signerAddress()));
+    return c.hash === ZeroHash ? null : { hash: c.hash, amount: c.amount };
+  }
+
+  /**
+   * Turn on commit–reveal staking for a registered YES/NO market nobody has
+   * staked on yet (market admin only).
+   * @param {Object} opts
+   * @param {Date|number} opts.commitDeadline
+   * @param {Date|number} opts.revealDeadline
+   * @param {number} [opts.penaltyBps=0]  Kept from commitments not revealed in time
+   */
+  async enableCommitReveal(slug, { commitDeadline, revealDeadline, penaltyBps = 0 } = {}) {
+    requireSlug(slug);
+    const n = Number(penaltyBps);
+    if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid penalty: ${penaltyBps}`);
+    const module = await this.commitReveal();
+    return this._send(module, "enable", [slug, toDeadline(commitDeadline), toDeadline(revealDeadline), n]);
+  }
+
+  /**
+   * Build a commitment with a fresh random salt (no tx). Store it somewhere
+   * safe before {@link commitStake}: the salt is needed to reveal.
+   * @param {Object} [opts]
+   * @param {string} [opts.salt]  32-byte hex salt, random by default
+   * @returns {Promise<Commitment>}
+   */
+  async prepareCommitment(slug, side, amount, { salt } = {}) {
+    requireSlug(slug);
+    const [staker, module, network] = await Promise.all([
+      this.signerAddress(),
+      this.commitReveal(),
+      this.provider.getNetwork(),
+    ]);
+    const commitment = {
+      chainId: Number(network.chainId),
+      module: await module.getAddress(),
+      slug,
+      staker,
+      isYes: parseSide(side),
+      amount: parseUsdc(amount),
+      salt: salt === undefined ? hexlify(randomBytes(32)) : hexlify(getBytes(salt)),
+    };
+    if (getBytes(commitment.salt).length !== 32) throw new TypeError("Salt must be 32 bytes");
+    commitment.hash = commitHash(commitment);
+    return commitment;
+  }
+
+  /**
+   * Commit a prepared commitment, escrowing its amount in the commit–reveal
+   * module. Only the hash goes on-chain; the side stays hidden until the
+   * reveal.
+   * @param {Commitment} commitment  From {@link prepareCommitment}
+   * @param {Object} [opts]
+   * @param {boolean} [opts.approve=true]  Approve exactly the amount for the module first if needed
+   * @returns {Promise<TxResult & {approval: TxResult|null}>}
+   */
+  async commitStake(commitment, { approve = true } = {}) {
+    const { slug, amount, hash } = commitment;
+    requireSlug(slug);
+    await this._checkBalance(amount);
+    const module = await this.commitReveal();
+    let approval = null;
+    if (approve) {
+      const usdc = await this.usdc();
+      const spender = await module.getAddress();
+      if ((await usdc.allowance(await this.signerAddress(), spender)) < amount) {
+        approval = await this._send(usdc, "approve", [spender, amount]);
+      }
+    }
+    const result = await this._send(module, "commit", [slug, hash, amount]);
+    return { ...result, approval };
+  }
+
+  /**
+   * Reveal a commitment once its commit deadline has passed, staking the
+   * escrow on the committed side. Any signer can reveal on the staker's behalf.
+   * @param {Commitment} commitment
+   */
+  async revealStake(commitment) {
+    const { staker, slug, isYes, salt } = commitment;
+    const module = await this.commitReveal();
+    return this._send(module, "reveal", [staker, requireSlug(slug), isYes, salt]);
+  }
+
+  /**
+   * Withdraw the signer's unrevealed commitment: after the reveal deadline,
+   * minus the market's penalty, or in full once the market is cancelled.
+   * @returns {Promise<TxResult & {amount: bigint, penalty: bigint}>}
+   */
+  async refundCommitment(slug) {
+    const module = await this.commitReveal();
+    const result = await this._send(module, "refundCommitment", [requireSlug(slug)]);
+    const ev = result.events.find((e) => e.name === "CommitmentRefunded");
+    return { ...result, amount: ev ? ev.args.amount : 0n, penalty: ev ? ev.args.penalty : 0n };
+  }
+
+  /** Penalties kept from unrevealed commitments and not yet withdrawn */
+  async commitPenaltiesAccrued() {
+    return this._read(await this.commitReveal(), "penaltiesAccrued");
+  }
+
+  /**
+   * Withdraw commit–reveal penalties (treasury only). Defaults to everything
+   * accrued, sent to the signer.
+   * @returns {Promise<TxResult & {amount: bigint, to: string}>}
+   */
+  async withdrawCommitPenalties({ to, amount } = {}) {
+    to = to || (await this.signerAddress());
+    amount = amount === undefined ? await this.commitPenaltiesAccrued() : parseUsdc(amount);
+    const result = await this._send(await this.commitReveal(), "withdrawPenalties", [to, amount]);
+    return { ...result, amount, to };
+  }
+
+  /**
+   * Register a market before anyone stakes (market creator or market admin).
+   * @param {Object} [opts]
+   * @param {Date|number} [opts.deadline=0]
+   * @param {string} [opts.metadataURI=""]
+   */
+  async createMarket(slug, { deadline = 0, metadataURI = "" } = {}) {
+    requireSlug(slug);
+    return this._send(this.contract, "createMarket", [slug, toDeadline(deadline), metadataURI]);
+  }
+
+  /**
+   * Register a categorical market with `outcomes` outcomes (market creator or market admin)
+   * @param {{outcomes: number, deadline?: Date|number, metadataURI?: string}} opts
+   */
+  async createCategoricalMarket(slug, { outcomes, deadline = 0, metadataURI = "" } = {}) {
+    requireSlug(slug);
+    const count = Number(outcomes);
+    if (!Number.isInteger(count) || count < 2) throw new TypeError(`Invalid outcome count: ${outcomes}`);
+    return this._send(this.contract, "createCategoricalMarket", [slug, count, toDeadline(deadline), metadataURI]);
+  }
+
+  /** Require registration before staking (market admin only) */
+  async setRegistryMode(enabled) {
+    return this._send(this.contract, "setRegistryMode", [Boolean(enabled)]);
+  }
+
+  /** Grant or revoke MARKET_CREATOR (admin only) */
+  async setMarketCreator(account, allowed) {
+    return allowed ? this.grantRole("MARKET_CREATOR", account) : this.revokeRole("MARKET_CREATOR", account);
+  }
+
+  async registryMode() {
+    return this._call("registryMode");
+  }
+
+  async isMarketCreator(account) {
+    return this.hasRole("MARKET_CREATOR", account);
+  }
+
+  // --- Roles ---
+
+  /** @param {string} role Role name ("RESOLVER", "market-admin", ...) or id */
+  async hasRole(role, account) {
+    account = account || (await this.signerAddress());
+    return this._call("hasRole", roleId(role), account);
+  }
+
+  /** Names of every ClawStake role the account holds */
+  async rolesOf(account) {
+    account = account || (await this.signerAddress());
+    const names = Object.keys(ROLES);
+    const held = await Promise.all(names.map((name) => this._call("hasRole", ROLES[name], account)));
+    return names.filter((_, i) => held[i]);
+  }
+
+  /** Grant a role (role admin only) */
+  async grantRole(role, account) {
+    return this._send(this.contract, "grantRole", [roleId(role), account]);
+  }
+
+  /** Revoke a role (role admin only) */
+  async revokeRole(role, account) {
+    return this._send(this.contract, "revokeRole", [roleId(role), account]);
+  }
+
+  /** Give up one of the signer's own roles */
+  async renounceRole(role) {
+    return this._send(this.contract, "renounceRole", [roleId(role), await this.signerAddress()]);
+  }
+
+  async paused() {
+    return this._call("paused");
+  }
+
+  /** Stop new stakes (pauser only); claims and refunds keep working */
+  async pause() {
+    return this._send(this.contract, "pause", []);
+  }
+
+  async unpause() {
+    return this._send(this.contract, "unpause", []);
+  }
+
+  async metadataURI(slug) {
+    return this._call("metadataURIOf", id(requireSlug(slug)));
+  }
+
+  /** Fee in basis points applied to markets created from now on */
+  async feeBps() {
+    return Number(await this._call("feeBps"));
+  }
+
+  /** Exit penalty in basis points applied to markets created from now on */
+  async exitPenaltyBps() {
+    return Number(await this._call("exitPenaltyBps"));
+  }
+
+  /** Protocol fees collected on claims and not yet withdrawn */
+  async feesAccrued() {
+    return this._call("feesAccrued");
+  }
+
+  /**
+   * USDC held versus owed. `surplus` is all emergencyWithdraw can take.
+   * @returns {Promise<{balance: bigint, liabilities: bigint, fees: bigint, surplus: bigint}>}
+   */
+  async solvency() {
+    const s = await this._call("solvency");
+    return { balance: s.balance, liabilities: s.liabilities, fees: s.fees, surplus: s.surplus };
+  }
+
+  /** Set the fee for new markets (admin only); existing markets keep theirs */
+  async setFeeBps(bps) {
+    const n = Number(bps);
+    if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid fee: ${bps}`);
+    return this._send(this.contract, "setFeeBps", [n]);
+  }
+
+  /** Set the early exit penalty for new markets (admin only); existing markets keep theirs */
+  async setExitPenaltyBps(bps) {
+    const n = Number(bps);
+    if (!Number.isInteger(n) || n < 0) throw new TypeError(`Invalid exit penalty: ${bps}`);
+    return this._send(this.contract, "setExitPenaltyBps", [n]);
+  }
+
+  /**
+   * Withdraw accrued fees (treasury only). Defaults to everything accrued,
+   * sent to the signer.
+   * @returns {Promise<TxResult & {amount: bigint, to: string}>}
+   */
+  async withdrawFees({ to, amount } = {}) {
+    to = to || (await this.signerAddress());
+    amount = amount === undefined ? await this.feesAccrued() : parseUsdc(amount);
+    const result = await this._send(this.contract, "withdrawFees", [to, amount]);
+    return { ...result, amount, to };
+  }
+
+  /** Cancel a market and open refunds (market admin only) */
+  async cancelMarket(slug) {
+    return this._send(this.contract, "cancelMarket", [requireSlug(slug)]);
+  }
+
+  // --- Internal ---
+
+  _intentCalls(intents) {
+    if (!Array.isArray(intents) || intents.length === 0) {
+      throw new TypeError("At least one intent is required");
+    }
+    return intents.flatMap((intent) => (intent.permit ? [permitCall(intent), intentCall(intent)] : [intentCall(intent)]));
+  }
+
+  _slugList(slugs) {
+    if (!Array.isArray(slugs) || slugs.length === 0) {
+      throw new TypeError("At least one market slug is required");
+    }
+    return slugs.map(requireSlug);
+  }
+
+  /**
+   * EIP-712 domain of the USDC token: from eip712Domain() (EIP-5267) where
+   * available, else name()/version() as on Circle's USDC.
+   */
+  async _permitDomain(usdc) {
+    const verifyingContract = await usdc.getAddress();
+    try {
+      const d = await usdc.eip712Domain();
+      return { name: d.name, version: d.version, chainId: d.chainId, verifyingContract };
+    } catch {
+      const [name, version, network] = await Promise.all([
+        usdc.name(),
+        usdc.version().catch(() => "1"),
+        this.provider.getNetwork(),
+      ]);
+      return { name, version, chainId: network.chainId, verifyingContract };
+    }
+  }
+
+  async _checkBalance(amount) {
+    const balance = await this.balanceOf();
+    if (balance < amount) {
+      throw new ClawStakeError("ERC20InsufficientBalance", "Insufficient USDC balance", {
+        args: [await this.signerAddress(), balance, amount],
+      });
+    }
+  }
+
+  async _call(method, ...args) {
+    return this._read(this.contract, method, ...args);
+  }
+
+  async _read(contract, method, ...args) {
+    try {
+      return await contract[method](...args);
+    } catch (err) {
+      throw decodeError(err);
+    }
+  }
+
+  async _send(contract, method, args) {
+    let receipt;
+    try {
+      const tx = await contract[method](...args);
+      receipt = await tx.wait();
+    } catch (err) {
+      throw decodeError(err);
+    }
+
+    // ClawStake events, plus the commit–reveal module's once it is in use
+    const sources = new Map([[this.address.toLowerCase(), this.contract.interface]]);
+    if (this._commitReveal) {
+      sources.set((await this._commitReveal.getAddress()).toLowerCase(), this._commitReveal.interface);
+    }
+    const events = [];
+    for (const log of receipt.logs) {
+      const iface = sources.get(log.address.toLowerCase());
+      if (!iface) continue;
+      const parsed = iface.parseLog(log);
+      if (parsed) events.push({ name: parsed.name, args: parsed.args.toObject() });
+    }
+
+    return {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed,
+      events,
+    };
+  }
+}
+
+module.exports = { ClawStakeClient, commitHash, positionId };
@@ -0,0 +1,101 @@
+/**
+ * Local store for commit–reveal salts.
+ *
+ * A commitment can only be revealed with its salt, and an unrevealed
+ * commitment loses its penalty share, so the CLI saves each commitment here
+ * before sending it and removes it once it is revealed or refunded. The
+ * store is one JSON file (CLAWSTAKE_SALT_FILE, default
+ * ~/.clawstake/commitments.json) readable by its owner only.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/** Path of the salt file for `env` */
+function defaultStorePath(env = process.env) {
+  return env.CLAWSTAKE_SALT_FILE || path.join(os.homedir(), ".clawstake", "commitments.json");
+}
+
+/** One commitment per chain, module, market and staker */
+function commitmentKey({ chainId, module, slug, staker }) {
+  return `${chainId}:${module.toLowerCase()}:${slug}:${staker.toLowerCase()}`;
+}
+
+function toRecord(commitment) {
+  return { ...commitment, amount: commitment.amount.toString() };
+}
+
+function fromRecord(record) {
+  return { ...record, amount: BigInt(record.amount) };
+}
+
+class CommitStore {
+  /** @param {string} [file]  Defaults to defaultStorePath() */
+  constructor(file = defaultStorePath()) {
+    this.file = file;
+  }
+
+  /**
+   * Stored commitments, optionally filtered by chain, module, staker or slug.
+   * @param {Object} [filter]
+   * @returns {import("./client").Commitment[]}
+   */
+  list({ chainId, module, staker, slug } = {}) {
+    return Object.values(this._read())
+      .filter((r) => chainId === undefined || r.chainId === Number(chainId))
+      .filter((r) => module === undefined || r.module.toLowerCase() === module.toLowerCase())
+      .filter((r) => staker === undefined || r.staker.toLowerCase() === staker.toLowerCase())
+      .filter((r) => slug === undefined || r.slug === slug)
+      .map(fromRecord);
+  }
+
+  /** @returns {import("./client").Commitment|null} */
+  get(key) {
+    const record = this._read()[commitmentKey(key)];
+    return record ? fromRecord(record) : null;
+  }
+
+  /** Save (or replace) a commitment, e.g. right before committing it */
+  save(commitment) {
+    const records = this._read();
+    records[commitmentKey(commitment)] = toRecord(commitment);
+    this._write(records);
+  }
+
+  /** Forget a commitment once it is revealed or refunded; true if it was stored */
+  remove(commitment) {
+    const records = this._read();
+    const key = commitmentKey(commitment);
+    if (!(key in records)) return false;
+    delete records[key];
+    this._write(records);
+    return true;
+  }
+
+  _read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // Never overwrite a salt file we cannot read: it may hold the only copy
+      throw new Error(`Salt file ${this.file} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  _write(records) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    // Write then rename, so a crash never leaves a half-written file
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2) + "\n", { mode: 0o600 });
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { CommitStore, commitmentKey, defaultStorePath };
@@ -0,0 +1,91 @@
+/**
+ * Keeps on-chain market deadlines in line with Clawdict close dates.
+ *
+ * Markets are created lazily with deadline = 0, so without this job they
+ * accept stakes up to (and after) the real event. Same plan/execute split
+ * as lib/resolver.js.
+ */
+
+const { fetchMarket, normalizeMarket } = require("./clawdict");
+
+/**
+ * @typedef {Object} DeadlineStep
+ * @property {string} slug
+ * @property {"set"|"skip"} action
+ * @property {number} current  On-chain deadline (Unix seconds, 0 = none)
+ * @property {number|null} target  Clawdict close time (Unix seconds)
+ * @property {string} reason
+ */
+
+/**
+ * Compare every open on-chain market's deadline with its Clawdict close date.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {Object} [opts]
+ * @param {(slug: string) => Promise<Object|null>} [opts.lookup]  Clawdict market by slug
+ * @param {string} [opts.token]
+ * @param {string} [opts.baseUrl]
+ * @param {number} [opts.tolerance=0]  Seconds of drift to accept before updating
+ * @returns {Promise<DeadlineStep[]>}
+ */
+async function planDeadlineSync(client, { lookup, token, baseUrl, tolerance = 0 } = {}) {
+  lookup = lookup || ((slug) => fetchMarket(slug, { token, baseUrl }));
+
+  const [markets, now] = await Promise.all([client.listMarkets(), client.now()]);
+  // Resolved markets still in their dispute window ("finalizing", "disputed") cannot take a deadline either
+  const pending = markets.filter((m) => !m.resolved && !m.cancelled);
+
+  const steps = [];
+  for (const market of pending) {
+    const base = { slug: market.slug, current: market.deadline, target: null };
+
+    let remote;
+    try {
+      remote = await lookup(market.slug);
+    } catch (err) {
+      steps.push({ ...base, action: "skip", reason: `Clawdict lookup failed: ${err.message}` });
+      continue;
+    }
+    if (!remote) {
+      steps.push({ ...base, action: "skip", reason: "not found on Clawdict" });
+      continue;
+    }
+
+    const target = normalizeMarket(remote).closeTime;
+    if (target === null) {
+      steps.push({ ...base, action: "skip", reason: "no close date on Clawdict" });
+      continue;
+    }
+    if (market.deadline !== 0 && Math.abs(market.deadline - target) <= tolerance) {
+      steps.push({ ...base, target, action: "skip", reason: "deadline matches" });
+      continue;
+    }
+
+    let reason = market.deadline === 0 ? "missing deadline" : "deadline differs from Clawdict close date";
+    if (target < now) reason += "; close date already passed, staking closes immediately";
+    steps.push({ ...base, target, action: "set", reason });
+  }
+  return steps;
+}
+
+/**
+ * Send setDeadline for every "set" step (market admin only). Failures are recorded
+ * per step and do not stop the rest.
+ *
+ * @returns {Promise<(DeadlineStep & {hash: string|null, error: Error|null})[]>}
+ */
+async function applyDeadlineSync(client, plan) {
+  const results = [];
+  for (const step of plan) {
+    if (step.action !== "set") continue;
+    try {
+      const tx = await client.setDeadline(step.slug, step.target);
+      results.push({ ...step, hash: tx.hash, error: null });
+    } catch (err) {
+      results.push({ ...step, hash: null, error: err });
+    }
+  }
+  return results;
+}
+
+module.exports = { planDeadlineSync, applyDeadlineSync };
@@ -0,0 +1,46 @@
+/**
+ * Deploy ClawStake with its modules.
+ *
+ * ClawStakePositions, ClawStakeCommitReveal and ClawStakeIntents are
+ * deployed first, each with the address ClawStake will get (from the
+ * deployer's nonce), and ClawStake checks they point back to it. Keeping the
+ * modules out of ClawStake's own bytecode keeps it under the EIP-170
+ * contract size limit.
+ */
+
+const { getCreateAddress } = require("ethers");
+
+const MODULES = ["ClawStakePositions", "ClawStakeCommitReveal", "ClawStakeIntents"];
+
+/**
+ * @param {(name: string) => Promise<import("ethers").ContractFactory>} getFactory
+ *   Factory for a contract name, connected to the deployer, e.g.
+ *   `(name) => hre.ethers.getContractFactory(name)`
+ * @param {string} usdcAddress
+ * @returns {Promise<{clawStake: import("ethers").Contract, positions: import("ethers").Contract,
+ *   commitReveal: import("ethers").Contract, intents: import("ethers").Contract}>}
+ */
+async function deployClawStake(getFactory, usdcAddress) {
+  const [positionsFactory, commitRevealFactory, intentsFactory, clawStakeFactory] = await Promise.all(
+    [...MODULES, "ClawStake"].map((name) => getFactory(name))
+  );
+  const deployer = clawStakeFactory.runner;
+  const nonce = await deployer.getNonce("pending");
+  const address = getCreateAddress({ from: await deployer.getAddress(), nonce: nonce + MODULES.length });
+
+  // Explicit nonces, so nothing sent in between can shift ClawStake's address
+  const positions = await positionsFactory.deploy(address, { nonce });
+  const commitReveal = await commitRevealFactory.deploy(address, usdcAddress, { nonce: nonce + 1 });
+  const intents = await intentsFactory.deploy(address, { nonce: nonce + 2 });
+  const clawStake = await clawStakeFactory.deploy(
+    usdcAddress,
+    await positions.getAddress(),
+    await commitReveal.getAddress(),
+    await intents.getAddress(),
+    { nonce: nonce + 3 }
+  );
+  await Promise.all([positions, commitReveal, intents, clawStake].map((c) => c.waitForDeployment()));
+  return { clawStake, positions, commitReveal, intents };
+}
+
+module.exports = { deployClawStake };
@@ -0,0 +1,156 @@
+const { Interface } = require("ethers");
+const { CLAWSTAKE_ABI, COMMIT_REVEAL_ABI, INTENTS_ABI, POSITIONS_ABI, USDC_ABI } = require("./abi");
+const { roleName } = require("./roles");
+
+const ERROR_MESSAGES = {
+  AlreadyClaimed: "Winnings or refund already collected for this market",
+  AlreadyCommitted: "You already have a commitment in this market; reveal or refund it first",
+  AlreadyDisputed: "This resolution is already under dispute",
+  AlreadyVoted: "This resolver has already voted on the market",
+  AccessControlBadConfirmation: "renounceRole can only be called for the caller's own account",
+  AccessControlUnauthorizedAccount: "Caller is missing the role required for this operation",
+  ArrayLengthMismatch: "Batch arrays must have the same length",
+  CommitClosed: "The commit deadline for this market has passed",
+  CommitmentLocked: "Commitment can be refunded only after the reveal deadline (or the market deadline, if earlier) or once the market is cancelled or resolved",
+  CommitPenaltyTooHigh: "Unrevealed-commitment penalty exceeds the 50% (5000 bps) maximum",
+  CommitRevealActive: "Commit–reveal is already enabled for this market",
+  CommitRevealNotEnabled: "This market does not use commit–reveal staking",
+  DisputeWindowClosed: "The dispute window for this resolution has closed",
+  DisputeWindowTooLong: "Dispute window exceeds the 7 day maximum",
+  ECDSAInvalidSignature: "Malformed signature",
+  ECDSAInvalidSignatureLength: "Malformed signature",
+  ECDSAInvalidSignatureS: "Malformed signature",
+  EmptyCommitment: "Commitment hash must not be zero",
+  EmptySlug: "Market slug must not be empty",
+  EnforcedPause: "Staking is paused; claims and refunds are still available",
+  ExpectedPause: "Contract is not paused",
+  ExceedsSurplus: "Amount exceeds USDC surplus; staker funds and accrued fees cannot be withdrawn",
+  FeeTooHigh: "Fee exceeds the 10% (1000 bps) maximum",
+  InsufficientFees: "Amount exceeds accrued protocol fees",
+  InsufficientPenalties: "Amount exceeds accrued commitment penalties",
+  InsufficientStake: "Unstake amount must be above 0 and at most the stake on that side",
+  IntentExpired: "Signed intent has expired",
+  InvalidAccountNonce: "Signed intent uses a stale or future nonce",
+  InvalidDeadlineSignature: "Deadline signature was not made by a market admin",
+  InvalidIntentSignature: "Intent signature does not match the staker or holder it names",
+  InvalidReveal: "Side or salt does not match the commitment",
+  InvalidSchedule: "Commit deadline must be in the future, before the reveal deadline, and the market deadline not before the reveal deadline",
+  InvalidOutcome: "Outcome index is out of range for this market",
+  InvalidOutcomeCount: "A categorical market needs between 2 and 16 outcomes",
+  InvalidModule: "A module was not deployed for this ClawStake address (deploy with deployClawStake)",
+  InvalidSlug: "Invalid slug: use lowercase a-z, 0-9 and '-', at most 128 characters",
+  InvalidYesBps: "Fractional outcome must be between 0 and 10000 bps",
+  MarketAlreadyExists: "Market is already registered",
+  MarketAlreadyResolved: "Market is already resolved",
+  MarketDoesNotExist: "Market does not exist (nobody has staked on it yet)",
+  MarketExpired: "Market deadline has passed; staking is closed",
+  MarketAlreadyStaked: "Commit–reveal can only be enabled before anyone stakes on the market",
+  MarketIsCancelled: "Market is cancelled; use refund instead",
+  MarketIsSealed: "This market uses commit–reveal: commit a hidden stake instead",
+  MarketNotRegistered: "Market is not registered; in registry mode markets must be created by a market creator first",
+  MarketNotResolved: "Market is not resolved yet",
+  NotBinaryMarket: "This is a categorical market: stake and resolve by outcome index",
+  NotCategoricalMarket: "This is a YES/NO market: stake and resolve by side",
+  NotAStaker: "Only stakers in this market can dispute its resolution",
+  NotDisputed: "No open dispute on this market",
+  NotEscalated: "Market is not escalated; resolvers must vote on it",
+  NoCommitment: "No open commitment in this market",
+  NotCommitReveal: "Only the commit–reveal module can call this",
+  NotModule: "Only the commit–reveal or intents module can call this",
+  NotMarketAdmin: "Caller does not have MARKET_ADMIN_ROLE",
+  NotTreasury: "Caller does not have TREASURY_ROLE",
+  NothingToClaim: "No winning position in this market",
+  NotMarketCreator: "Caller does not have MARKET_CREATOR_ROLE or MARKET_ADMIN_ROLE",
+  NothingToRefund: "No refundable position in this market",
+  PenaltyTooHigh: "Exit penalty exceeds the 20% (2000 bps) maximum",
+  PermitFailed: "USDC permit was rejected (bad signature, expired or wrong amount) and the allowance does not cover the stake",
+  QuorumModeActive: "Quorum resolution is enabled: resolvers must vote with voteOutcome; only the admin resolves or corrects directly",
+  QuorumModeDisabled: "Quorum resolution is disabled: use resolve",
+  ReentrancyGuardReentrantCall: "Reentrant call rejected",
+  RefundNotAvailable: "Refund not available: market is neither cancelled nor past deadline + grace period",
+  ResidualStakeTooSmall: "The stake left on that side would be below the 1 USDC minimum; unstake all of it or less",
+  RevealNotOpen: "Reveals are accepted only between the commit and reveal deadlines",
+  ResolutionNotFinal: "Resolution is not final yet: the dispute window is open or a dispute is pending",
+  SafeERC20FailedOperation: "USDC transfer failed",
+  StakeTooSmall: "Stake is below the 1 USDC minimum",
+  StakingPaused: "Staking is paused",
+  VotingClosed: "Resolvers disagreed on this market; it awaits the admin's resolveEscalated",
+  ERC20InsufficientAllowance: "USDC allowance too low; approve ClawStake first",
+  ERC20InsufficientBalance: "Insufficient USDC balance",
+  ERC2612ExpiredSignature: "USDC permit has expired",
+  ERC2612InvalidSigner: "USDC permit was not signed by the token owner",
+  ERC1155InsufficientBalance: "Not enough position tokens for this transfer",
+  ERC1155InvalidReceiver: "Recipient contract does not accept ERC-1155 position tokens",
+  ERC1155MissingApprovalForAll: "Operator is not approved to move these position tokens",
+  NotClawStake: "Only ClawStake can mint or burn position tokens",
+};
+
+// One interface holding every custom error the contracts can revert with
+const errorInterface = new Interface([
+  ...new Set([...CLAWSTAKE_ABI, ...COMMIT_REVEAL_ABI, ...INTENTS_ABI, ...POSITIONS_ABI, ...USDC_ABI].filter((f) => f.startsWith("error "))),
+]);
+
+/**
+ * A contract revert decoded into a readable error.
+ * `code` is the Solidity error name (e.g. "MarketExpired"), `args` its arguments.
+ */
+class ClawStakeError extends Error {
+  constructor(code, message, { args = [], cause } = {}) {
+    super(message, { cause });
+    this.name = "ClawStakeError";
+    this.code = code;
+    this.args = args;
+  }
+}
+
+function findRevertData(err) {
+  for (let e = err; e; e = e.error || e.info?.error || e.cause) {
+    if (typeof e.data === "string" && e.data.startsWith("0x")) return e.data;
+    if (typeof e.data?.data === "string") return e.data.data;
+  }
+  return null;
+}
+
+// Name the missing role so the operator knows which key to use
+function messageFor(name, args) {
+  if (name === "AccessControlUnauthorizedAccount" && args.length === 2) {
+    return `Caller ${args[0]} is missing ${roleName(args[1])} role`;
+  }
+  return ERROR_MESSAGES[name];
+}
+
+/**
+ * Translate an ethers error into a ClawStakeError when it carries a known
+ * custom error or revert reason. Anything else is returned untouched.
+ */
+function decodeError(err) {
+  if (err instanceof ClawStakeError) return err;
+
+  let name = err?.revert?.name;
+  let args = err?.revert?.args ? [...err.revert.args] : [];
+
+  if (!name || !(name in ERROR_MESSAGES)) {
+    const data = findRevertData(err);
+    if (data && data !== "0x") {
+      try {
+        const parsed = errorInterface.parseError(data);
+        if (parsed) {
+          name = parsed.name;
+          args = [...parsed.args];
+        }
+      } catch {
+        // Not one of ours
+      }
+    }
+  }
+
+  if (name && name in ERROR_MESSAGES) {
+    return new ClawStakeError(name, messageFor(name, args), { args, cause: err });
+  }
+  if (err?.reason) {
+    return new ClawStakeError("Reverted", err.reason, { cause: err });
+  }
+  return err;
+}
+
+module.exports = { ClawStakeError, ERROR_MESSAGES, decodeError };
@@ -0,0 +1,248 @@
+/**
+ * Local store of indexed ClawStake events, with the queries analytics need
+ * (positions by address, market history, volume by day).
+ *
+ * Filled by ./indexer. The whole store is one JSON file, rewritten
+ * atomically on save; amounts are kept as decimal strings and returned as
+ * bigints.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { positionId } = require("./client");
+
+const VERSION = 1;
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} txHash
+ * @property {number} logIndex
+ * @property {number} timestamp  Block time, Unix seconds
+ * @property {"ClawStake"|"Positions"} contract
+ * @property {string} name       Event name, e.g. "Staked"
+ * @property {Object} args       Named arguments; uint256 values as decimal strings
+ *
+ * @typedef {Object} IndexedPosition
+ * @property {string} slug
+ * @property {bigint} staked     USDC the account staked
+ * @property {bigint} returned   USDC returned by unstake (after penalties)
+ * @property {bigint} penalties  Exit penalties left in the pool
+ * @property {bigint} claimed    Winnings claimed (net of fees)
+ * @property {bigint} fees       Protocol fees charged on those claims
+ * @property {bigint} refunded
+ * @property {bigint} netFlow    claimed + refunded + returned - staked; the realized PnL once settled
+ * @property {bigint} amountYes  Position tokens held now
+ * @property {bigint} amountNo
+ * @property {bigint[]} amounts  Position tokens held per outcome (categorical markets)
+ * @property {number} lastActivity  Unix seconds
+ *
+ * @typedef {Object} DailyVolume
+ * @property {string} day        UTC date, YYYY-MM-DD
+ * @property {bigint} volume     USDC staked that day
+ * @property {number} stakes
+ * @property {number} stakers    Distinct staking addresses
+ */
+
+/** Path of the index for one deployment: CLAWSTAKE_INDEX_FILE, else under ~/.clawstake/index */
+function defaultIndexPath({ chainId, address }, env = process.env) {
+  return env.CLAWSTAKE_INDEX_FILE || path.join(os.homedir(), ".clawstake", "index", `${chainId}-${address.toLowerCase()}.json`);
+}
+
+const STAKE_EVENTS = new Set(["Staked", "OutcomeStaked"]);
+
+class EventStore {
+  /**
+   * Open (or start) the store for one deployment. Throws if `file` holds
+   * the index of another chain or contract.
+   * @param {string} file
+   * @param {{chainId: number, address: string, fromBlock?: number}} deployment
+   */
+  constructor(file, { chainId, address, fromBlock = 0 }) {
+    this.file = file;
+    const data = read(file);
+    if (data && (data.chainId !== Number(chainId) || data.address.toLowerCase() !== address.toLowerCase())) {
+      throw new Error(`${file} indexes ${data.address} on chain ${data.chainId}, not ${address} on chain ${chainId}`);
+    }
+    this.chainId = Number(chainId);
+    this.address = address;
+    this.fromBlock = data ? data.fromBlock : fromBlock;
+    /** Last block fully indexed */
+    this.cursor = data ? data.cursor : fromBlock - 1;
+    /** Recent {number, hash} pairs used to detect reorgs, oldest first */
+    this.checkpoints = data ? data.checkpoints : [];
+    /** @type {IndexedEvent[]} */
+    this.events = data ? data.events : [];
+  }
+
+  /** Add the events of blocks (cursor, toBlock] and move the cursor */
+  append(events, checkpoint, { maxCheckpoints = 64 } = {}) {
+    this.events.push(...events);
+    this.cursor = checkpoint.number;
+    this.checkpoints.push(checkpoint);
+    if (this.checkpoints.length > maxCheckpoints) this.checkpoints.splice(0, this.checkpoints.length - maxCheckpoints);
+  }
+
+  /**
+   * Forget everything after `blockNumber` (a reorg's common ancestor).
+   * @returns {number} Events removed
+   */
+  rollback(blockNumber) {
+    const before = this.events.length;
+    this.events = this.events.filter((e) => e.blockNumber <= blockNumber);
+    this.checkpoints = this.checkpoints.filter((c) => c.number <= blockNumber);
+    this.cursor = Math.min(this.cursor, blockNumber);
+    return before - this.events.length;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const data = {
+      version: VERSION,
+      chainId: this.chainId,
+      address: this.address,
+      fromBlock: this.fromBlock,
+      cursor: this.cursor,
+      checkpoints: this.checkpoints,
+      events: this.events,
+    };
+    // Write then rename, so a crash never leaves a half-written index
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+
+  // --- Queries ---
+
+  /**
+   * Indexed events in chain order, optionally filtered by name, market slug
+   * or block range.
+   * @returns {IndexedEvent[]}
+   */
+  query({ name, slug, fromBlock, toBlock } = {}) {
+    const names = name === undefined ? null : new Set([].concat(name));
+    return this.events.filter(
+      (e) =>
+        (!names || names.has(e.name)) &&
+        (slug === undefined || e.args.slug === slug) &&
+        (fromBlock === undefined || e.blockNumber >= fromBlock) &&
+        (toBlock === undefined || e.blockNumber <= toBlock)
+    );
+  }
+
+  /** Every ClawStake event of one market, in chain order */
+  marketHistory(slug) {
+    return this.query({ slug });
+  }
+
+  /**
+   * Per-market cash flows and current holdings of `account`, built from
+   * stake, unstake, claim and refund events and position token transfers.
+   * @returns {IndexedPosition[]}
+   */
+  positionsOf(account) {
+    account = account.toLowerCase();
+    const { ids: tokens, outcomeCounts } = this._positionTokens();
+    const bySlug = new Map();
+    const entry = (slug) => {
+      if (!bySlug.has(slug)) {
+        bySlug.set(slug, {
+          slug, staked: 0n, returned: 0n, penalties: 0n, claimed: 0n, fees: 0n, refunded: 0n,
+          netFlow: 0n, holdings: new Map(), lastActivity: 0,
+        });
+      }
+      return bySlug.get(slug);
+    };
+    const move = (e, id, value, sign) => {
+      const token = tokens.get(id);
+      if (!token) return;
+      const p = entry(token.slug);
+      p.holdings.set(token.slot, (p.holdings.get(token.slot) || 0n) + sign * BigInt(value));
+      p.lastActivity = e.timestamp;
+    };
+
+    for (const e of this.events) {
+      const { args } = e;
+      if (e.contract === "Positions") {
+        const ids = e.name === "TransferBatch" ? args.ids : [args.id];
+        const values = e.name === "TransferBatch" ? args.values : [args.value];
+        ids.forEach((id, i) => {
+          if (args.from.toLowerCase() === account) move(e, id, values[i], -1n);
+          if (args.to.toLowerCase() === account) move(e, id, values[i], 1n);
+        });
+        continue;
+      }
+      if (args.staker?.toLowerCase() !== account) continue;
+      const p = entry(args.slug);
+      p.lastActivity = e.timestamp;
+      if (STAKE_EVENTS.has(e.name)) p.staked += BigInt(args.amount);
+      else if (e.name === "Unstaked") {
+        p.returned += BigInt(args.amount) - BigInt(args.penalty);
+        p.penalties += BigInt(args.penalty);
+      } else if (e.name === "Claimed") p.claimed += BigInt(args.payout);
+      else if (e.name === "FeeCharged") p.fees += BigInt(args.fee);
+      else if (e.name === "Refunded") p.refunded += BigInt(args.amount);
+    }
+
+    return [...bySlug.values()].map(({ holdings, ...p }) => {
+      const outcomes = outcomeCounts.get(p.slug) || 0;
+      return {
+        ...p,
+        netFlow: p.claimed + p.refunded + p.returned - p.staked,
+        amountYes: outcomes ? 0n : holdings.get(1) || 0n,
+        amountNo: outcomes ? 0n : holdings.get(0) || 0n,
+        amounts: Array.from({ length: outcomes }, (_, i) => holdings.get(i) || 0n),
+      };
+    });
+  }
+
+  /**
+   * USDC staked per UTC day, across all markets or one.
+   * @returns {DailyVolume[]}
+   */
+  volumeByDay({ slug } = {}) {
+    const days = new Map();
+    for (const e of this.query({ name: [...STAKE_EVENTS], slug })) {
+      const day = new Date(e.timestamp * 1000).toISOString().slice(0, 10);
+      if (!days.has(day)) days.set(day, { day, volume: 0n, stakes: 0, stakers: new Set() });
+      const d = days.get(day);
+      d.volume += BigInt(e.args.amount);
+      d.stakes += 1;
+      d.stakers.add(e.args.staker.toLowerCase());
+    }
+    return [...days.values()]
+      .sort((a, b) => (a.day < b.day ? -1 : 1))
+      .map((d) => ({ ...d, stakers: d.stakers.size }));
+  }
+
+  /** Position token ids ({slug, slot} by id) and outcome counts of the markets created so far */
+  _positionTokens() {
+    const ids = new Map();
+    const outcomeCounts = new Map();
+    for (const e of this.query({ name: ["MarketCreated", "CategoricalMarketCreated"] })) {
+      const slots = e.name === "MarketCreated" ? 2 : Number(e.args.outcomeCount);
+      if (e.name === "CategoricalMarketCreated") outcomeCounts.set(e.args.slug, slots);
+      for (let slot = 0; slot < slots; slot++) {
+        ids.set(positionId(e.args.slug, slot).toString(), { slug: e.args.slug, slot });
+      }
+    }
+    return { ids, outcomeCounts };
+  }
+}
+
+function read(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  const data = JSON.parse(text);
+  if (data.version !== VERSION) throw new Error(`${file}: unsupported index version ${data.version}; delete it to reindex`);
+  return data;
+}
+
+module.exports = { EventStore, defaultIndexPath };
@@ -0,0 +1,119 @@
+/**
+ * ClawStake JavaScript SDK.
+ *
+ *   const { ethers } = require("ethers");
+ *   const { ClawStakeClient } = require("clawstake");
+ *
+ *   const wallet = new ethers.Wallet(key, new ethers.JsonRpcProvider(rpc));
+ *   const client = new ClawStakeClient({ address, runner: wallet });
+ *   await client.stake("will-btc-hit-100k", "yes", "5");
+ */
+
+const { CLAWSTAKE_ABI, COMMIT_REVEAL_ABI, INTENTS_ABI, POSITIONS_ABI, USDC_ABI } = require("./abi");
+const { calibrationReport, stakerLeaderboard } = require("./calibration");
+const { ClawdictClient, ClawdictError, normalizeMarket } = require("./clawdict");
+const { ClawStakeClient, commitHash, positionId } = require("./client");
+const { CommitStore, defaultStorePath } = require("./commitStore");
+const { ClawStakeError, ERROR_MESSAGES, decodeError } = require("./errors");
+const { deployClawStake } = require("./deploy");
+const { EventStore, defaultIndexPath } = require("./eventStore");
+const { Indexer, deploymentBlock } = require("./indexer");
+const { INTENT_TYPES, parseIntent, intentToJSON, recoverIntentSigner } = require("./intents");
+const {
+  REFUND_GRACE_PERIOD,
+  MIN_STAKE,
+  MAX_SLUG_LENGTH,
+  MAX_FEE_BPS,
+  MAX_EXIT_PENALTY_BPS,
+  MAX_COMMIT_PENALTY_BPS,
+  isValidSlug,
+  marketStatus,
+  computePayout,
+  computeFee,
+  computeRefund,
+  computeRealizedPnl,
+  stakedAmount,
+  impliedOdds,
+  summarizePosition,
+  summarizePortfolio,
+} = require("./market");
+const { FileSink, Notifier, ScriptSink, WebhookSink, verifyWebhookSignature, webhookSignature } = require("./notifier");
+const { PredictionLog, defaultPredictionsPath } = require("./predictions");
+const { Relayer } = require("./relayer");
+const { ROLES, roleId, roleName, rolesFromEnv, assignRoles } = require("./roles");
+const { DEFAULT_KELLY_FRACTION, stakePayout, expectedValue, kellyStake, gatherCandidates, planStakes, toBatchStakes } = require("./strategy");
+const { MarketWatcher } = require("./watcher");
+const { USDC_DECIMALS, parseUsdc, formatUsdc, parseSide, sideName } = require("./units");
+
+module.exports = {
+  ClawStakeClient,
+  ClawStakeError,
+  ClawdictClient,
+  ClawdictError,
+  CommitStore,
+  EventStore,
+  Indexer,
+  MarketWatcher,
+  Notifier,
+  WebhookSink,
+  ScriptSink,
+  FileSink,
+  PredictionLog,
+  Relayer,
+  CLAWSTAKE_ABI,
+  COMMIT_REVEAL_ABI,
+  INTENTS_ABI,
+  POSITIONS_ABI,
+  USDC_ABI,
+  ERROR_MESSAGES,
+  INTENT_TYPES,
+  ROLES,
+  REFUND_GRACE_PERIOD,
+  MIN_STAKE,
+  MAX_SLUG_LENGTH,
+  MAX_FEE_BPS,
+  MAX_EXIT_PENALTY_BPS,
+  MAX_COMMIT_PENALTY_BPS,
+  DEFAULT_KELLY_FRACTION,
+  USDC_DECIMALS,
+  decodeError,
+  deployClawStake,
+  commitHash,
+  defaultStorePath,
+  defaultIndexPath,
+  defaultPredictionsPath,
+  deploymentBlock,
+  parseIntent,
+  intentToJSON,
+  recoverIntentSigner,
+  roleId,
+  roleName,
+  rolesFromEnv,
+  assignRoles,
+  isValidSlug,
+  marketStatus,
+  computePayout,
+  computeFee,
+  computeRefund,
+  computeRealizedPnl,
+  stakedAmount,
+  positionId,
+  impliedOdds,
+  summarizePosition,
+  summarizePortfolio,
+  stakePayout,
+  expectedValue,
+  kellyStake,
+  gatherCandidates,
+  planStakes,
+  toBatchStakes,
+  calibrationReport,
+  stakerLeaderboard,
+  webhookSignature,
+  verifyWebhookSignature,
+  normalizeMarket,
+  parseUsdc,
+  formatUsdc,
+  parseSide,
+  sideName,
+};
@@ -0,0 +1,157 @@
+/**
+ * Follows ClawStake (and position token) events into an EventStore.
+ *
+ * Each sync fetches logs from the block after the store's cursor up to the
+ * chain head minus `confirmations`, in `batchSize` block ranges. Before
+ * that it checks the hashes of recently indexed blocks: if the chain
+ * reorganized, events after the last block still on the canonical chain are
+ * dropped and indexed again.
+ */
+
+const { Interface } = require("ethers");
+const { CLAWSTAKE_ABI, POSITIONS_ABI } = require("./abi");
+
+const clawStakeInterface = new Interface(CLAWSTAKE_ABI);
+const positionsInterface = new Interface(POSITIONS_ABI);
+
+/**
+ * @typedef {Object} SyncReport
+ * @property {number} fromBlock  First block fetched (cursor + 1 after any rollback)
+ * @property {number} toBlock    Store cursor after the sync
+ * @property {number} added      Events indexed
+ * @property {{ancestor: number, removed: number}|null} reorg  Rollback done before indexing
+ */
+
+/** JSON-friendly event arguments: bigints as decimal strings */
+function argsToJSON(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    const value = parsed.args[i];
+    args[input.name] = Array.isArray(value)
+      ? [...value].map((v) => (typeof v === "bigint" ? v.toString() : v))
+      : typeof value === "bigint" ? value.toString() : value;
+  });
+  return args;
+}
+
+/**
+ * Block the contract was deployed in, from a deployment.json record:
+ * its `deployBlock`, else the block of its `txHash`. null if neither is known.
+ * @param {import("ethers").Provider} provider
+ * @param {{deployBlock?: number, txHash?: string}|null} deployment
+ */
+async function deploymentBlock(provider, deployment) {
+  if (!deployment) return null;
+  if (Number.isInteger(deployment.deployBlock)) return deployment.deployBlock;
+  if (deployment.txHash) {
+    const receipt = await provider.getTransactionReceipt(deployment.txHash);
+    if (receipt) return receipt.blockNumber;
+  }
+  return null;
+}
+
+class Indexer {
+  /**
+   * @param {import("./client").ClawStakeClient} client
+   * @param {import("./eventStore").EventStore} store
+   * @param {Object} [opts]
+   * @param {number} [opts.confirmations=0]  Blocks to stay behind the head
+   * @param {number} [opts.batchSize=2000]   Blocks per getLogs request
+   */
+  constructor(client, store, { confirmations = 0, batchSize = 2000 } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new TypeError("batchSize must be a positive integer");
+    this.client = client;
+    this.store = store;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this._positions = null;
+  }
+
+  get provider() {
+    return this.client.provider;
+  }
+
+  /**
+   * Bring the store up to the chain head (less confirmations) and save it.
+   * @returns {Promise<SyncReport>}
+   */
+  async sync() {
+    const reorg = await this._checkReorg();
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const fromBlock = this.store.cursor + 1;
+    let added = 0;
+
+    for (let start = fromBlock; start <= head; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, head);
+      const block = await this.provider.getBlock(end);
+      const events = await this._fetch(start, end);
+      // The chain moved under us: stop here and let the next sync roll back
+      if (events === null || (await this.provider.getBlock(end))?.hash !== block.hash) break;
+      this.store.append(events, { number: end, hash: block.hash });
+      added += events.length;
+    }
+
+    if (reorg || this.store.cursor >= fromBlock) this.store.save();
+    return { fromBlock, toBlock: this.store.cursor, added, reorg };
+  }
+
+  /**
+   * Compare recent checkpoints with the chain and roll the store back to the
+   * newest one still canonical (or to the start if none is).
+   */
+  async _checkReorg() {
+    const { checkpoints } = this.store;
+    if (checkpoints.length === 0) return null;
+
+    for (let i = checkpoints.length - 1; i >= 0; i--) {
+      const block = await this.provider.getBlock(checkpoints[i].number);
+      if (block && block.hash === checkpoints[i].hash) {
+        if (i === checkpoints.length - 1) return null;
+        const ancestor = checkpoints[i].number;
+        return { ancestor, removed: this.store.rollback(ancestor) };
+      }
+    }
+    // Deeper than the checkpoints reach: index again from the start
+    const ancestor = this.store.fromBlock - 1;
+    return { ancestor, removed: this.store.rollback(ancestor) };
+  }
+
+  /**
+   * Decoded events of blocks [start, end], or null when a log's block hash
+   * no longer matches the block (a reorg happened while fetching).
+   */
+  async _fetch(start, end) {
+    if (!this._positions) this._positions = await (await this.client.positions()).getAddress();
+    const logs = await this.provider.getLogs({
+      address: [this.client.address, this._positions],
+      fromBlock: start,
+      toBlock: end,
+    });
+
+    const blocks = new Map();
+    const events = [];
+    for (const log of logs) {
+      const fromClawStake = log.address.toLowerCase() === this.client.address.toLowerCase();
+      const parsed = (fromClawStake ? clawStakeInterface : positionsInterface).parseLog(log);
+      if (!parsed) continue;
+
+      if (!blocks.has(log.blockNumber)) blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber));
+      const block = blocks.get(log.blockNumber);
+      if (!block || block.hash !== log.blockHash) return null;
+
+      events.push({
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: block.timestamp,
+        contract: fromClawStake ? "ClawStake" : "Positions",
+        name: parsed.name,
+        args: argsToJSON(parsed),
+      });
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+}
+
+module.exports = { Indexer, deploymentBlock };
@@ -0,0 +1,163 @@
+/**
+ * EIP-712 stake/claim/refund intents.
+ *
+ * An intent is a stake, claim or refund signed off-chain by the staker (or
+ * position holder) and submitted on-chain by anyone, typically a relayer
+ * paying the gas (see ./relayer). The ClawStakeIntents module checks the
+ * signature, the expiry and the signer's sequential nonce (stakeBySig,
+ * claimBySig, refundBySig) before calling into ClawStake.
+ */
+
+const { getAddress, verifyTypedData } = require("ethers");
+
+/** EIP-712 struct of each intent type; must match the contract's *_INTENT_TYPEHASH */
+const INTENT_TYPES = {
+  stake: {
+    StakeIntent: [
+      { name: "staker", type: "address" },
+      { name: "marketSlug", type: "string" },
+      { name: "isYes", type: "bool" },
+      { name: "amount", type: "uint256" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  },
+  claim: {
+    ClaimIntent: [
+      { name: "holder", type: "address" },
+      { name: "marketSlug", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  },
+  refund: {
+    RefundIntent: [
+      { name: "holder", type: "address" },
+      { name: "marketSlug", type: "string" },
+      { name: "nonce", type: "uint256" },
+      { name: "expiry", type: "uint256" },
+    ],
+  },
+};
+
+/**
+ * @typedef {Object} Intent
+ * @property {"stake"|"claim"|"refund"} type
+ * @property {string} signer     Staker (stake) or position holder (claim, refund)
+ * @property {string} slug
+ * @property {boolean} [isYes]   stake only
+ * @property {bigint} [amount]   stake only, USDC base units
+ * @property {bigint} nonce      The signer's ClawStake nonce
+ * @property {number} expiry     Unix seconds
+ * @property {string} signature
+ * @property {{value: bigint, deadline: number, v: number, r: string, s: string}} [permit]
+ *   Optional USDC permit (stake only) the relayer batches ahead of the
+ *   stake, so the signer needs neither an approval nor ETH
+ */
+
+/** Address field naming the signer in each struct */
+function signerField(type) {
+  return type === "stake" ? "staker" : "holder";
+}
+
+/** The EIP-712 message of an intent */
+function intentMessage(intent) {
+  const message = { [signerField(intent.type)]: intent.signer, marketSlug: intent.slug };
+  if (intent.type === "stake") {
+    message.isYes = intent.isYes;
+    message.amount = intent.amount;
+  }
+  message.nonce = intent.nonce;
+  message.expiry = intent.expiry;
+  return message;
+}
+
+/** Address that signed the intent for `domain` (the intents module's EIP-712 domain) */
+function recoverIntentSigner(domain, intent) {
+  return verifyTypedData(domain, INTENT_TYPES[intent.type], intentMessage(intent), intent.signature);
+}
+
+/** [method, args] of the intents module call that executes an intent */
+function intentCall(intent) {
+  const { signer, slug, nonce, expiry, signature } = intent;
+  if (intent.type === "stake") {
+    return ["stakeBySig", [signer, slug, intent.isYes, intent.amount, nonce, expiry, signature]];
+  }
+  return [`${intent.type}BySig`, [signer, slug, nonce, expiry, signature]];
+}
+
+/** [method, args] of the intents module call that applies a stake intent's USDC permit */
+function permitCall(intent) {
+  const { value, deadline, v, r, s } = intent.permit;
+  return ["permit", [intent.signer, value, deadline, v, r, s]];
+}
+
+function toBigInt(value, field) {
+  try {
+    if (typeof value === "number" && !Number.isSafeInteger(value)) throw new Error();
+    const n = BigInt(value);
+    if (n < 0n) throw new Error();
+    return n;
+  } catch {
+    throw new TypeError(`Intent ${field} must be a non-negative integer`);
+  }
+}
+
+/**
+ * Validate an intent received as JSON (amounts as base-unit strings) and
+ * convert it to an {@link Intent}. Throws TypeError on malformed input;
+ * the signature itself is checked with recoverIntentSigner().
+ */
+function parseIntent(body) {
+  if (!body || typeof body !== "object") throw new TypeError("Intent must be a JSON object");
+  const { type } = body;
+  if (!(type in INTENT_TYPES)) throw new TypeError(`Intent type must be one of ${Object.keys(INTENT_TYPES).join(", ")}`);
+  if (typeof body.slug !== "string" || body.slug.length === 0) throw new TypeError("Intent slug must not be empty");
+  if (typeof body.signature !== "string" || !/^0x[0-9a-fA-F]+$/.test(body.signature)) {
+    throw new TypeError("Intent signature must be a hex string");
+  }
+
+  let signer;
+  try {
+    signer = getAddress(body.signer);
+  } catch {
+    throw new TypeError("Intent signer must be an address");
+  }
+
+  const intent = {
+    type,
+    signer,
+    slug: body.slug,
+    nonce: toBigInt(body.nonce, "nonce"),
+    expiry: Number(toBigInt(body.expiry, "expiry")),
+    signature: body.signature,
+  };
+  if (type === "stake") {
+    if (typeof body.isYes !== "boolean") throw new TypeError("Stake intent isYes must be a boolean");
+    intent.isYes = body.isYes;
+    intent.amount = toBigInt(body.amount, "amount");
+    if (body.permit) {
+      const { value, deadline, v, r, s } = body.permit;
+      intent.permit = {
+        value: toBigInt(value, "permit.value"),
+        deadline: Number(toBigInt(deadline, "permit.deadline")),
+        v: Number(v),
+        r,
+        s,
+      };
+    }
+  } else if (body.permit) {
+    throw new TypeError("Only stake intents can carry a permit");
+  }
+  return intent;
+}
+
+/** JSON-friendly copy of an intent (bigints as decimal strings); parseIntent() reverses it */
+function intentToJSON(intent) {
+  const json = { ...intent, nonce: intent.nonce.toString() };
+  if (intent.amount !== undefined) json.amount = intent.amount.toString();
+  if (intent.permit) json.permit = { ...intent.permit, value: intent.permit.value.toString() };
+  return json;
+}
+
+module.exports = { INTENT_TYPES, intentMessage, recoverIntentSigner, intentCall, permitCall, parseIntent, intentToJSON };
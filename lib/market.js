@@ -0,0 +1,210 @@
+/**
+ * Pure helpers over Market / Position objects returned by ClawStakeClient.
+ * Mirrors the contract's arithmetic so payouts can be previewed off-chain.
+ */
+
+const REFUND_GRACE_PERIOD = 30 * 24 * 60 * 60;
+const MIN_STAKE = 1_000_000n; // 1 USDC, the contract's MIN_STAKE
+const MAX_FEE_BPS = 1000;
+const MAX_EXIT_PENALTY_BPS = 2000;
+const MAX_COMMIT_PENALTY_BPS = 5000;
+const BPS = 10_000n;
+const MAX_SLUG_LENGTH = 128;
+
+/** Same rule createMarket enforces on-chain: lowercase a-z, 0-9 and '-' */
+function isValidSlug(slug) {
+  return typeof slug === "string" && slug.length > 0 && slug.length <= MAX_SLUG_LENGTH && /^[a-z0-9-]+$/.test(slug);
+}
+
+/**
+ * Derive the lifecycle status of a market at time `now` (Unix seconds).
+ * "closed" means past the deadline but still awaiting resolution;
+ * "refundable" means the grace period ran out and refund() will succeed.
+ * A resolved market is "finalizing" during its dispute window and
+ * "disputed" while a dispute is open (until the resolver settles it or the
+ * dispute timeout passes); only "resolved" can be claimed.
+ */
+function marketStatus(market, now) {
+  if (market.cancelled) return "cancelled";
+  if (market.resolved) {
+    if (market.disputed) return "disputed";
+    if (now < market.finalizesAt) return "finalizing";
+    return "resolved";
+  }
+  if (market.deadline > 0 && now > market.deadline) {
+    return now > market.deadline + REFUND_GRACE_PERIOD ? "refundable" : "closed";
+  }
+  return "open";
+}
+
+/**
+ * Payout a position would receive from claim() on a resolved market, net of
+ * the protocol fee, using the same integer math as the contract. 0 if it has
+ * nothing to claim. Claims burn the winning tokens, so a position's amounts
+ * are always what is still claimable.
+ */
+function computePayout(market, position) {
+  if (!market.resolved || market.cancelled) return 0n;
+  return settle(market, position).payout;
+}
+
+/** Protocol fee claim() would deduct from this position's winnings */
+function computeFee(market, position) {
+  if (!market.resolved || market.cancelled) return 0n;
+  return settle(market, position).fee;
+}
+
+// Winning-side share of the pool split into net payout and fee. The fee only
+// applies to winnings.
+function settle(market, position) {
+  if (market.yesBps !== null && market.yesBps !== undefined) return settleFractional(market, position);
+  let userStake, winningPool;
+  if (market.outcomeCount > 0) {
+    userStake = position.amounts[market.winningOutcome] ?? 0n;
+    winningPool = market.outcomePools[market.winningOutcome];
+  } else {
+    const outcomeYes = market.outcome === "yes";
+    userStake = outcomeYes ? position.amountYes : position.amountNo;
+    winningPool = outcomeYes ? market.totalYes : market.totalNo;
+  }
+  if (userStake === 0n || winningPool === 0n) return { payout: 0n, fee: 0n };
+  const gross = (userStake * (market.totalPool + penaltyPool(market))) / winningPool;
+  const fee = ((gross - userStake) * BigInt(market.feeBps || 0)) / BPS;
+  return { payout: gross - fee, fee };
+}
+
+// Fractional resolution: YES stakers share yesBps of the pool and NO stakers
+// the rest; a side nobody staked on passes its share to the other side
+function settleFractional(market, position) {
+  const totalPool = market.totalPool + penaltyPool(market);
+  let yesShare = (totalPool * BigInt(market.yesBps)) / BPS;
+  if (market.totalYes === 0n) yesShare = 0n;
+  else if (market.totalNo === 0n) yesShare = totalPool;
+
+  let gross = 0n;
+  if (position.amountYes > 0n) gross += (position.amountYes * yesShare) / market.totalYes;
+  if (position.amountNo > 0n) gross += (position.amountNo * (totalPool - yesShare)) / market.totalNo;
+  const staked = position.amountYes + position.amountNo;
+  const fee = gross > staked ? ((gross - staked) * BigInt(market.feeBps || 0)) / BPS : 0n;
+  return { payout: gross - fee, fee };
+}
+
+// Exit penalties left by unstake(), paid out on top of the stakes
+const penaltyPool = (market) => market.penaltyPool ?? 0n;
+
+/** Everything a position has staked, across YES/NO or categorical outcomes */
+function stakedAmount(position) {
+  return (position.amounts || []).reduce((a, b) => a + b, position.amountYes + position.amountNo);
+}
+
+/** Amount refund() would return for a position (cancelled or refundable markets only) */
+function computeRefund(market, position) {
+  if (market.status !== "cancelled" && market.status !== "refundable") return 0n;
+  const staked = stakedAmount(position);
+  if (staked === 0n || penaltyPool(market) === 0n) return staked;
+  return staked + (staked * penaltyPool(market)) / market.totalPool;
+}
+
+const share = (pool, total) => Number((pool * 1_000_000n) / total) / 1_000_000;
+
+/**
+ * Parimutuel implied probabilities from current pools: the YES share of the
+ * total pool, and its complement. Null for an empty market. Categorical
+ * markets have null yes/no and each outcome's share in `outcomes`.
+ */
+function impliedOdds(market) {
+  if (market.outcomeCount > 0) {
+    const outcomes = market.outcomePools.map((p) => (market.totalPool === 0n ? null : share(p, market.totalPool)));
+    return { yes: null, no: null, outcomes };
+  }
+  if (market.totalPool === 0n) return { yes: null, no: null };
+  const yes = share(market.totalYes, market.totalPool);
+  return { yes, no: 1 - yes };
+}
+
+/** Stake held plus stake already settled by claims and refunds */
+function totalStaked(position) {
+  return stakedAmount(position) + (position.settledStake ?? 0n);
+}
+
+/**
+ * Profit or loss fixed by the market's outcome, whether or not it has been
+ * collected yet: payouts (claimed and still claimable) minus stake for
+ * resolved markets, 0 for cancelled ones, null while the outcome is still
+ * open or can still be disputed.
+ */
+function computeRealizedPnl(market, position) {
+  if (market.status === "cancelled") return 0n;
+  if (market.status !== "resolved") return null;
+  return settle(market, position).payout + (position.settledPayout ?? 0n) - totalStaked(position);
+}
+
+/**
+ * @typedef {Object} PortfolioEntry
+ * @property {string} slug
+ * @property {string} status       Market status (see marketStatus)
+ * @property {"yes"|"no"|"fractional"|string|null} outcome
+ * @property {number|null} yesBps  YES share of the pool for a fractional resolution
+ * @property {number} deadline
+ * @property {bigint} amountYes
+ * @property {bigint} amountNo
+ * @property {bigint[]} amounts    Per-outcome stakes (categorical markets; empty otherwise)
+ * @property {bigint} staked       Total staked across sides or outcomes, including what was already claimed or refunded
+ * @property {boolean} claimed
+ * @property {{yes: number|null, no: number|null, outcomes?: (number|null)[]}} odds
+ * @property {bigint} claimable    What claim() would pay now
+ * @property {bigint} refundable   What refund() would return now
+ * @property {bigint|null} realizedPnl
+ */
+
+/** Combine a market and a position into one portfolio row */
+function summarizePosition(market, position) {
+  return {
+    slug: market.slug,
+    status: market.status,
+    outcome: market.outcome,
+    yesBps: market.yesBps ?? null,
+    deadline: market.deadline,
+    amountYes: position.amountYes,
+    amountNo: position.amountNo,
+    amounts: position.amounts || [],
+    staked: totalStaked(position),
+    claimed: position.claimed,
+    odds: impliedOdds(market),
+    claimable: market.status === "resolved" ? computePayout(market, position) : 0n,
+    refundable: computeRefund(market, position),
+    realizedPnl: computeRealizedPnl(market, position),
+  };
+}
+
+/** Totals across portfolio rows; open markets contribute to `atRisk` */
+function summarizePortfolio(entries) {
+  const totals = { staked: 0n, atRisk: 0n, claimable: 0n, refundable: 0n, realizedPnl: 0n };
+  for (const e of entries) {
+    totals.staked += e.staked;
+    totals.claimable += e.claimable;
+    totals.refundable += e.refundable;
+    if (e.realizedPnl === null) totals.atRisk += e.staked;
+    else totals.realizedPnl += e.realizedPnl;
+  }
+  return totals;
+}
+
+module.exports = {
+  REFUND_GRACE_PERIOD,
+  MIN_STAKE,
+  MAX_SLUG_LENGTH,
+  MAX_FEE_BPS,
+  MAX_EXIT_PENALTY_BPS,
+  MAX_COMMIT_PENALTY_BPS,
+  isValidSlug,
+  marketStatus,
+  computePayout,
+  computeFee,
+  computeRefund,
+  computeRealizedPnl,
+  stakedAmount,
+  impliedOdds,
+  summarizePosition,
+  summarizePortfolio,
+};
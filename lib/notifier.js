@@ -0,0 +1,308 @@
+/**
+ * Tells agents when a market needs them: it resolved (claim), was cancelled
+ * or hit `deadline + REFUND_GRACE_PERIOD` (refund), or its deadline passed.
+ *
+ * A Notifier polls a MarketWatcher, turns the updates it cares about into
+ * JSON notifications and hands each to every sink, retrying failed
+ * deliveries with exponential backoff. With `accounts`, only markets those
+ * accounts hold a position in are reported, one notification per account,
+ * with what the account can now claim or refund.
+ *
+ * Sinks are objects with a `name` and `async send(notification)`:
+ * WebhookSink POSTs the JSON with an HMAC-SHA256 signature, ScriptSink
+ * pipes it to a local command, FileSink appends it to an NDJSON log.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { spawn } = require("child_process");
+const { computePayout, stakedAmount, summarizePosition } = require("./market");
+const { formatUsdc } = require("./units");
+const { MarketWatcher } = require("./watcher");
+
+const NOTIFY_EVENTS = ["stake", "unstake", "resolved", "cancelled", "deadline", "closing", "closed", "refundable"];
+const DEFAULT_EVENTS = ["resolved", "cancelled", "closed", "refundable"];
+
+/**
+ * @typedef {Object} Notification
+ * @property {string} id            Stable per event and account, so receivers can drop repeats
+ * @property {string} event         A WatchUpdate type, e.g. "resolved" or "refundable"
+ * @property {string} slug
+ * @property {string} at            Block time, ISO-8601
+ * @property {number} blockNumber
+ * @property {string|null} txHash   null for deadline-driven events
+ * @property {{totalYes: string, totalNo: string, impliedYes: number|null, outcomePools?: string[], impliedOutcomes?: (number|null)[]}} pools
+ *   `outcomePools` and `impliedOutcomes` for categorical markets
+ * @property {string} [outcome]      For resolved: "yes", "no", "fractional" or a categorical outcome index
+ * @property {boolean} [corrected]   For resolved: an earlier outcome was corrected, so claims change
+ * @property {string|null} [account]  Set when the notifier filters by account
+ * @property {{staked: string, claimable: string, refundable: string, status: string, action: "claim"|"refund"|null, claimableAt: string|null}} [position]
+ *   `claimable` includes winnings still in the dispute window, claimable from `claimableAt`
+ *
+ * @typedef {Object} Delivery
+ * @property {string} sink
+ * @property {boolean} ok
+ * @property {number} attempts
+ * @property {string|null} error
+ */
+
+const isoDate = (seconds) => (seconds > 0 ? new Date(seconds * 1000).toISOString() : null);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Hex HMAC-SHA256 of `<timestamp>.<body>`, as sent in X-ClawStake-Signature (after "sha256=") */
+function webhookSignature(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+/**
+ * Check a webhook delivery on the receiving side
+ * @param {string} secret
+ * @param {{signature: string, timestamp: string|number, body: string}} delivery  Header values and raw body
+ */
+function verifyWebhookSignature(secret, { signature, timestamp, body }) {
+  const expected = Buffer.from(`sha256=${webhookSignature(secret, timestamp, body)}`);
+  const actual = Buffer.from(String(signature || ""));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+class WebhookSink {
+  /**
+   * @param {{url: string, secret?: string, timeout?: number, fetch?: typeof fetch}} opts
+   *   Without `secret` deliveries are sent unsigned
+   */
+  constructor({ url, secret, timeout = 10_000, fetch: fetchImpl = globalThis.fetch }) {
+    this.name = `webhook ${url}`;
+    this.url = url;
+    this.secret = secret || null;
+    this.timeout = timeout;
+    this._fetch = fetchImpl;
+  }
+
+  async send(notification) {
+    const body = JSON.stringify(notification);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      "Content-Type": "application/json",
+      "X-ClawStake-Event": notification.event,
+      "X-ClawStake-Delivery": notification.id,
+      "X-ClawStake-Timestamp": timestamp,
+    };
+    if (this.secret) headers["X-ClawStake-Signature"] = `sha256=${webhookSignature(this.secret, timestamp, body)}`;
+
+    const res = await this._fetch(this.url, { method: "POST", headers, body, signal: AbortSignal.timeout(this.timeout) });
+    if (!res.ok) throw new Error(`${this.url} answered ${res.status} ${res.statusText}`);
+  }
+}
+
+class ScriptSink {
+  /**
+   * Runs `command` through the shell with the notification as JSON on stdin
+   * and CLAWSTAKE_EVENT, CLAWSTAKE_SLUG and CLAWSTAKE_ACCOUNT set. A non-zero
+   * exit counts as a failed delivery.
+   * @param {{command: string, timeout?: number, env?: Object}} opts
+   */
+  constructor({ command, timeout = 30_000, env = process.env }) {
+    this.name = `script ${command}`;
+    this.command = command;
+    this.timeout = timeout;
+    this.env = env;
+  }
+
+  send(notification) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(this.command, {
+        shell: true,
+        stdio: ["pipe", "ignore", "pipe"],
+        env: {
+          ...this.env,
+          CLAWSTAKE_EVENT: notification.event,
+          CLAWSTAKE_SLUG: notification.slug,
+          CLAWSTAKE_ACCOUNT: notification.account || "",
+        },
+      });
+      let stderr = "";
+      const timer = setTimeout(() => child.kill(), this.timeout);
+      child.stderr.on("data", (chunk) => (stderr = (stderr + chunk).slice(-500)));
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(err);
+      });
+      child.on("close", (code, signal) => {
+        clearTimeout(timer);
+        if (code === 0) resolve();
+        else reject(new Error(`${this.command} ${signal ? `killed by ${signal}` : `exited with ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ""}`));
+      });
+      // The script may exit without reading its input
+      child.stdin.on("error", () => {});
+      child.stdin.end(JSON.stringify(notification));
+    });
+  }
+}
+
+class FileSink {
+  /** Appends one JSON line per notification to `file` */
+  constructor({ file }) {
+    this.name = `file ${file}`;
+    this.file = file;
+  }
+
+  async send(notification) {
+    fs.mkdirSync(path.dirname(path.resolve(this.file)), { recursive: true });
+    fs.appendFileSync(this.file, `${JSON.stringify(notification)}\n`);
+  }
+}
+
+class Notifier {
+  /**
+   * @param {import("./client").ClawStakeClient} client
+   * @param {Object} opts
+   * @param {{name: string, send: (n: Notification) => Promise<void>}[]} opts.sinks
+   * @param {string[]} [opts.accounts]  Only markets these accounts hold positions in (default: every market)
+   * @param {string[]} [opts.events]    Update types to send (default: resolved, cancelled, closed, refundable)
+   * @param {string[]} [opts.slugs]     Only these markets
+   * @param {number} [opts.retries=3]   Retries per sink after the first attempt
+   * @param {number} [opts.retryDelay=1000]  First backoff in ms, doubled on each retry
+   * @param {number} [opts.maxRetryDelay=30000]
+   * @param {number} [opts.deadlineWarning]  Seconds before a deadline that count as "closing"
+   */
+  constructor(client, {
+    sinks,
+    accounts = [],
+    events = DEFAULT_EVENTS,
+    slugs,
+    retries = 3,
+    retryDelay = 1000,
+    maxRetryDelay = 30_000,
+    deadlineWarning,
+  }) {
+    if (!sinks || sinks.length === 0) throw new TypeError("Notifier needs at least one sink");
+    const unknown = events.filter((e) => !NOTIFY_EVENTS.includes(e));
+    if (unknown.length > 0) throw new TypeError(`Unknown event(s): ${unknown.join(", ")} (expected ${NOTIFY_EVENTS.join(", ")})`);
+    this.client = client;
+    this.sinks = sinks;
+    this.accounts = accounts;
+    this.events = new Set(events);
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.watcher = new MarketWatcher(client, { slugs, deadlineWarning });
+  }
+
+  /** Snapshot the markets; only later changes are notified */
+  start() {
+    return this.watcher.start();
+  }
+
+  /**
+   * Notify everything that happened since the last poll
+   * @returns {Promise<{notification: Notification, deliveries: Delivery[]}[]>}
+   */
+  async poll() {
+    const reports = [];
+    const markets = new Map();
+    for (const update of await this.watcher.poll()) {
+      if (!this.events.has(update.type)) continue;
+      for (const notification of await this._notifications(update, markets)) {
+        reports.push({ notification, deliveries: await this.notify(notification) });
+      }
+    }
+    return reports;
+  }
+
+  /**
+   * Send one notification to every sink, retrying each failed one
+   * @param {Notification} notification
+   * @returns {Promise<Delivery[]>}
+   */
+  notify(notification) {
+    return Promise.all(this.sinks.map((sink) => this._deliver(sink, notification)));
+  }
+
+  async _deliver(sink, notification) {
+    let error = null;
+    for (let attempt = 1; attempt <= this.retries + 1; attempt++) {
+      if (attempt > 1) await sleep(Math.min(this.retryDelay * 2 ** (attempt - 2), this.maxRetryDelay));
+      try {
+        await sink.send(notification);
+        return { sink: sink.name, ok: true, attempts: attempt, error: null };
+      } catch (err) {
+        error = err.message;
+      }
+    }
+    return { sink: sink.name, ok: false, attempts: this.retries + 1, error };
+  }
+
+  /** One notification, or one per watched account with a position in the market */
+  async _notifications(update, markets) {
+    const base = notificationOf(update);
+    if (this.accounts.length === 0) return [{ id: notificationId(update, null), ...base }];
+
+    if (!markets.has(update.slug)) markets.set(update.slug, await this.client.getMarket(update.slug));
+    const market = markets.get(update.slug);
+    const notifications = [];
+    for (const account of this.accounts) {
+      const position = await this.client.getStake(update.slug, account);
+      const isStaker = update.staker !== undefined && update.staker.toLowerCase() === account.toLowerCase();
+      if (stakedAmount(position) === 0n && !isStaker) continue;
+
+      const summary = summarizePosition(market, position);
+      const claimable = market.resolved && !market.cancelled ? computePayout(market, position) : 0n;
+      notifications.push({
+        id: notificationId(update, account),
+        ...base,
+        account,
+        position: {
+          staked: formatUsdc(summary.staked),
+          claimable: formatUsdc(claimable),
+          refundable: formatUsdc(summary.refundable),
+          status: summary.status,
+          action: claimable > 0n ? "claim" : summary.refundable > 0n ? "refund" : null,
+          claimableAt: claimable > 0n && summary.status === "finalizing" ? isoDate(market.finalizesAt) : null,
+        },
+      });
+    }
+    return notifications;
+  }
+}
+
+function notificationId(update, account) {
+  const key = [update.type, update.slug, update.txHash ?? update.deadline, account ?? ""].join(":").toLowerCase();
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 32);
+}
+
+/** JSON-friendly notification body of a watcher update */
+function notificationOf(update) {
+  const { type, slug, blockNumber, txHash, timestamp, totalYes, totalNo, impliedYes, outcomePools, impliedOutcomes, ...rest } = update;
+  const details = {};
+  for (const [key, value] of Object.entries(rest)) {
+    if (typeof value === "bigint") details[key] = formatUsdc(value);
+    else if (key === "deadline") details[key] = isoDate(value);
+    else details[key] = value;
+  }
+  return {
+    event: type,
+    slug,
+    at: isoDate(timestamp),
+    blockNumber,
+    txHash,
+    pools: {
+      totalYes: formatUsdc(totalYes),
+      totalNo: formatUsdc(totalNo),
+      impliedYes,
+      ...(outcomePools ? { outcomePools: outcomePools.map(formatUsdc), impliedOutcomes } : {}),
+    },
+    ...details,
+  };
+}
+
+module.exports = {
+  NOTIFY_EVENTS,
+  DEFAULT_EVENTS,
+  Notifier,
+  WebhookSink,
+  ScriptSink,
+  FileSink,
+  webhookSignature,
+  verifyWebhookSignature,
+};
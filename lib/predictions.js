@@ -0,0 +1,100 @@
+/**
+ * Local journal of the probabilities an agent staked on.
+ *
+ * The chain records sides and amounts but not what the agent believed, so
+ * `clawstake stake --probability` and `clawstake strategy --execute` append
+ * one entry per stake here. The calibration report scores these forecasts
+ * once their markets resolve. The journal is one JSON file
+ * (CLAWSTAKE_PREDICTIONS_FILE, default ~/.clawstake/predictions.json).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * @typedef {Object} Prediction
+ * @property {number} chainId
+ * @property {string} contract     ClawStake address
+ * @property {string} account      Staker
+ * @property {string} slug
+ * @property {number} probability  The agent's probability of YES when it staked
+ * @property {"yes"|"no"} side
+ * @property {bigint} amount       USDC base units staked
+ * @property {string|null} category
+ * @property {string|null} txHash
+ * @property {number} at           Unix seconds
+ */
+
+/** Path of the predictions journal for `env` */
+function defaultPredictionsPath(env = process.env) {
+  return env.CLAWSTAKE_PREDICTIONS_FILE || path.join(os.homedir(), ".clawstake", "predictions.json");
+}
+
+const lower = (s) => s.toLowerCase();
+
+class PredictionLog {
+  /** @param {string} [file]  Defaults to defaultPredictionsPath() */
+  constructor(file = defaultPredictionsPath()) {
+    this.file = file;
+  }
+
+  /**
+   * Recorded predictions in the order they were made, optionally filtered.
+   * @returns {Prediction[]}
+   */
+  list({ chainId, contract, account, slug } = {}) {
+    return this._read()
+      .filter((r) => chainId === undefined || r.chainId === Number(chainId))
+      .filter((r) => contract === undefined || lower(r.contract) === lower(contract))
+      .filter((r) => account === undefined || lower(r.account) === lower(account))
+      .filter((r) => slug === undefined || r.slug === slug)
+      .map((r) => ({ ...r, amount: BigInt(r.amount) }));
+  }
+
+  /** Append predictions, e.g. right after their stakes are mined */
+  record(...predictions) {
+    const records = this._read();
+    for (const p of predictions) {
+      if (!(p.probability >= 0 && p.probability <= 1)) throw new RangeError(`${p.slug}: probability must be between 0 and 1`);
+      records.push({
+        chainId: Number(p.chainId),
+        contract: p.contract,
+        account: p.account,
+        slug: p.slug,
+        probability: p.probability,
+        side: p.side,
+        amount: p.amount.toString(),
+        category: p.category ?? null,
+        txHash: p.txHash ?? null,
+        at: p.at ?? Math.floor(Date.now() / 1000),
+      });
+    }
+    this._write(records);
+  }
+
+  _read() {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Predictions file ${this.file} is not valid JSON: ${err.message}`);
+    }
+  }
+
+  _write(records) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write then rename, so a crash never leaves a half-written file
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { PredictionLog, defaultPredictionsPath };
@@ -0,0 +1,79 @@
+/**
+ * Bulk registration of Clawdict markets for registry mode.
+ * Same plan/apply split as lib/resolver.js.
+ */
+
+const { fetchMarkets, normalizeMarket } = require("./clawdict");
+const { isValidSlug } = require("./market");
+
+const CLAWDICT_MARKET_URL = "https://www.clawdict.com/markets/";
+
+/**
+ * @typedef {Object} RegistrationStep
+ * @property {string} slug
+ * @property {"create"|"skip"} action
+ * @property {number} deadline     Unix seconds from the Clawdict close date, 0 if none
+ * @property {string} metadataURI
+ * @property {string} reason
+ */
+
+/**
+ * Decide which Clawdict markets to register on-chain.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {Object} [opts]
+ * @param {Object[]} [opts.markets]  Raw Clawdict markets; fetched from the top list if omitted
+ * @param {number} [opts.limit]      Only consider the first N markets
+ * @param {string} [opts.token]
+ * @param {string} [opts.baseUrl]
+ * @returns {Promise<RegistrationStep[]>}
+ */
+async function planRegistrations(client, { markets, limit, token, baseUrl } = {}) {
+  markets = markets || (await fetchMarkets({ token, baseUrl }));
+  if (limit) markets = markets.slice(0, limit);
+
+  const seen = new Set();
+  const steps = [];
+  for (const raw of markets) {
+    const m = normalizeMarket(raw);
+    const base = {
+      slug: m.slug,
+      deadline: m.closeTime || 0,
+      metadataURI: CLAWDICT_MARKET_URL + encodeURIComponent(m.slug),
+    };
+
+    if (!isValidSlug(m.slug)) {
+      steps.push({ ...base, action: "skip", reason: "invalid slug (lowercase a-z, 0-9, '-' only)" });
+    } else if (seen.has(m.slug)) {
+      steps.push({ ...base, action: "skip", reason: "duplicate in Clawdict list" });
+    } else if (m.status !== "open") {
+      steps.push({ ...base, action: "skip", reason: `already ${m.status} on Clawdict` });
+    } else if (await client.marketExists(m.slug)) {
+      steps.push({ ...base, action: "skip", reason: "already registered" });
+    } else {
+      steps.push({ ...base, action: "create", reason: "new market" });
+    }
+    seen.add(m.slug);
+  }
+  return steps;
+}
+
+/**
+ * Send createMarket for every "create" step. Failures are recorded per step.
+ * @returns {Promise<(RegistrationStep & {hash: string|null, error: Error|null})[]>}
+ */
+async function applyRegistrations(client, plan) {
+  const results = [];
+  for (const step of plan) {
+    if (step.action !== "create") continue;
+    try {
+      const tx = await client.createMarket(step.slug, { deadline: step.deadline, metadataURI: step.metadataURI });
+      results.push({ ...step, hash: tx.hash, error: null });
+    } catch (err) {
+      results.push({ ...step, hash: null, error: err });
+    }
+  }
+  return results;
+}
+
+module.exports = { CLAWDICT_MARKET_URL, planRegistrations, applyRegistrations };
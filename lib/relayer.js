@@ -0,0 +1,294 @@
+/**
+ * Local relayer for signed stake/claim/refund intents.
+ *
+ * Agents that hold USDC but no ETH sign intents (ClawStakeClient#signIntent)
+ * and POST them here; the relayer checks each one, queues it and submits
+ * the queue in batches (one multicall per flush), paying the gas from its
+ * own key. Stake intents may carry a USDC permit, which goes into the batch
+ * just ahead of the stake, so a permit is only paid for along with a stake
+ * that passed simulation. Submitted and failed records are forgotten after
+ * `recordTtl` seconds.
+ *
+ *   POST /intents      queue a signed intent       -> 202 {ok, result: record}
+ *   GET  /intents/:id  status of a queued intent   -> {ok, result: record}
+ *   POST /flush        submit the queue now        -> {ok, result: batch}
+ *   GET  /health       relayer address, queue size
+ */
+
+const http = require("http");
+const { randomUUID } = require("crypto");
+const { ClawStakeError } = require("./errors");
+const { intentToJSON, parseIntent, recoverIntentSigner } = require("./intents");
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @typedef {Object} IntentRecord
+ * @property {string} id
+ * @property {"queued"|"submitted"|"failed"} status
+ * @property {Object} intent       The intent as JSON
+ * @property {string|null} hash    Transaction that executed it
+ * @property {{code: string, message: string}|null} error
+ *
+ * @typedef {Object} BatchReport
+ * @property {string|null} hash    null when nothing was submitted
+ * @property {string[]} submitted  Record ids executed by the batch
+ * @property {{id: string, code: string, message: string}[]} failed
+ */
+
+function errorView(err) {
+  return { code: err.code || err.name || "Error", message: err.message };
+}
+
+/** A simulated call reverted, as opposed to the node being unreachable */
+function isRevert(err) {
+  return err instanceof ClawStakeError || err.code === "CALL_EXCEPTION";
+}
+
+class Relayer {
+  /**
+   * @param {import("./client").ClawStakeClient} client  Signing client paying the gas
+   * @param {Object} [opts]
+   * @param {number} [opts.maxBatch=20]  Intents per transaction; a full queue is flushed right away
+   * @param {number} [opts.interval=5]   Seconds between automatic flushes once listening, 0 = manual only
+   * @param {number} [opts.recordTtl=3600]  Seconds a submitted or failed record stays queryable
+   * @param {(report: BatchReport) => void} [opts.onBatch]
+   * @param {(err: Error) => void} [opts.onError]  Errors from automatic flushes
+   */
+  constructor(client, { maxBatch = 20, interval = 5, recordTtl = 3600, onBatch, onError } = {}) {
+    if (!Number.isInteger(maxBatch) || maxBatch < 1) throw new TypeError("maxBatch must be a positive integer");
+    this.client = client;
+    this.maxBatch = maxBatch;
+    this.interval = interval;
+    this.recordTtl = recordTtl;
+    this.onBatch = onBatch || (() => {});
+    this.onError = onError || (() => {});
+    this.records = new Map();
+    // Record id => when to forget it (ms), in the order records settled
+    this._expiries = new Map();
+    this.queue = [];
+    this.server = null;
+    this._timer = null;
+    this._flushing = null;
+  }
+
+  /**
+   * Check a signed intent (shape, expiry, signature) and queue it.
+   * Throws TypeError for malformed input and ClawStakeError for an expired
+   * or wrongly signed intent.
+   * @param {Object} body  Intent as JSON (see intentToJSON)
+   * @returns {Promise<IntentRecord>}
+   */
+  async submit(body) {
+    const intent = parseIntent(body);
+    if (intent.expiry <= (await this.client.now())) {
+      throw new ClawStakeError("IntentExpired", "Signed intent has expired");
+    }
+    const recovered = recoverIntentSigner(await this.client.intentDomain(), intent);
+    if (recovered !== intent.signer) {
+      throw new ClawStakeError("InvalidIntentSignature", "Intent signature does not match the staker or holder it names");
+    }
+
+    const record = { id: randomUUID(), status: "queued", intent: intentToJSON(intent), hash: null, error: null };
+    this._expireRecords();
+    this.records.set(record.id, record);
+    this.queue.push({ record, intent });
+
+    if (this.queue.length >= this.maxBatch) this.flush().catch((err) => this.onError(err));
+    return record;
+  }
+
+  /** @returns {IntentRecord|null} */
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  /**
+   * Submit up to maxBatch queued intents in one transaction. Intents that
+   * would revert are dropped as failed, except ones signed with a future
+   * nonce, which wait for the intents before them. If the node cannot be
+   * reached while simulating, the intents not yet settled go back to the
+   * queue and the error is thrown.
+   * @returns {Promise<BatchReport>}
+   */
+  async flush() {
+    // One flush at a time; callers during a flush wait for it
+    while (this._flushing) await this._flushing;
+    this._flushing = this._flush();
+    try {
+      return await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  async _flush() {
+    this._expireRecords();
+    const report = { hash: null, submitted: [], failed: [] };
+    const fail = (entry, err) => {
+      entry.record.status = "failed";
+      entry.record.error = errorView(err);
+      report.failed.push({ id: entry.record.id, ...entry.record.error });
+      this._settle(entry.record);
+    };
+
+    // Per signer, intents must run in nonce order
+    const pending = this.queue.splice(0).sort((a, b) => (a.intent.nonce < b.intent.nonce ? -1 : a.intent.nonce > b.intent.nonce ? 1 : 0));
+    // Entries that passed simulation, with the intent as submitted (permit only where needed)
+    const batch = [];
+    const waiting = [];
+    try {
+      while (pending.length > 0 && batch.length < this.maxBatch) {
+        const entry = pending[0];
+        const intent = await this._withPermit(entry.intent);
+        try {
+          await this.client.checkIntents([...batch.map((b) => b.intent), intent]);
+          batch.push({ entry, intent });
+        } catch (err) {
+          if (!isRevert(err)) throw err;
+          if (err.code === "InvalidAccountNonce" && entry.intent.nonce > err.args[1]) waiting.push(entry);
+          else fail(entry, err);
+        }
+        pending.shift();
+      }
+    } catch (err) {
+      // Nothing was sent: put back everything not yet settled, in order
+      this.queue.unshift(...batch.map((b) => b.entry), ...waiting, ...pending);
+      throw err;
+    }
+    this.queue.unshift(...waiting, ...pending);
+
+    if (batch.length > 0) {
+      try {
+        const result = await this.client.submitIntents(batch.map((b) => b.intent));
+        report.hash = result.hash;
+        for (const { entry } of batch) {
+          entry.record.status = "submitted";
+          entry.record.hash = result.hash;
+          report.submitted.push(entry.record.id);
+          this._settle(entry.record);
+        }
+      } catch (err) {
+        for (const { entry } of batch) fail(entry, err);
+      }
+    }
+
+    if (report.submitted.length > 0 || report.failed.length > 0) this.onBatch(report);
+    return report;
+  }
+
+  /** A stake intent without its permit when the allowance already covers the stake, so a larger approval is kept */
+  async _withPermit(intent) {
+    if (!intent.permit || (await this.client.allowance(intent.signer)) < intent.amount) return intent;
+    const rest = { ...intent };
+    delete rest.permit;
+    return rest;
+  }
+
+  _settle(record) {
+    this._expiries.set(record.id, Date.now() + this.recordTtl * 1000);
+  }
+
+  /** Forget records that settled more than recordTtl ago */
+  _expireRecords() {
+    const now = Date.now();
+    for (const [id, expiresAt] of this._expiries) {
+      if (expiresAt > now) break;
+      this._expiries.delete(id);
+      this.records.delete(id);
+    }
+  }
+
+  /**
+   * Serve the HTTP API and start automatic flushes.
+   * @returns {Promise<{host: string, port: number}>}
+   */
+  listen(port = 8547, host = "127.0.0.1") {
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch((err) => send(res, 500, { ok: false, error: errorView(err) }));
+    });
+    if (this.interval > 0) {
+      this._timer = setInterval(() => {
+        if (this.queue.length > 0) this.flush().catch((err) => this.onError(err));
+      }, this.interval * 1000);
+    }
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        const addr = this.server.address();
+        resolve({ host: addr.address, port: addr.port });
+      });
+    });
+  }
+
+  /** Stop the timer and the HTTP server; queued intents are not submitted */
+  async close() {
+    clearInterval(this._timer);
+    this._timer = null;
+    if (this._flushing) await this._flushing.catch(() => {});
+    if (!this.server) return;
+    await new Promise((resolve) => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://relayer");
+    const match = /^\/intents\/([\w-]+)$/.exec(url.pathname);
+
+    if (req.method === "POST" && url.pathname === "/intents") {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (err) {
+        return send(res, 400, { ok: false, error: { code: "InvalidIntent", message: err.message } });
+      }
+      try {
+        return send(res, 202, { ok: true, result: await this.submit(body) });
+      } catch (err) {
+        if (err instanceof TypeError) {
+          return send(res, 400, { ok: false, error: { code: "InvalidIntent", message: err.message } });
+        }
+        if (err instanceof ClawStakeError) return send(res, 400, { ok: false, error: errorView(err) });
+        throw err;
+      }
+    }
+    if (req.method === "GET" && match) {
+      const record = this.get(match[1]);
+      if (!record) return send(res, 404, { ok: false, error: { code: "NotFound", message: "Unknown intent id" } });
+      return send(res, 200, { ok: true, result: record });
+    }
+    if (req.method === "POST" && url.pathname === "/flush") {
+      return send(res, 200, { ok: true, result: await this.flush() });
+    }
+    if (req.method === "GET" && url.pathname === "/health") {
+      return send(res, 200, {
+        ok: true,
+        result: { relayer: await this.client.signerAddress(), contract: this.client.address, queued: this.queue.length },
+      });
+    }
+    return send(res, 404, { ok: false, error: { code: "NotFound", message: `${req.method} ${url.pathname}` } });
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+module.exports = { Relayer };
@@ -0,0 +1,147 @@
+/**
+ * Settles on-chain ClawStake markets from official Clawdict outcomes.
+ *
+ * planResolutions() is read-only and returns one step per unsettled or
+ * disputed market; executePlan() sends the resolve/vote/correct/cancel transactions. Splitting the two
+ * lets callers log or review the plan (dry run) before anything is sent.
+ */
+
+const { fetchMarket, resolutionOf } = require("./clawdict");
+
+/**
+ * @typedef {Object} ResolutionStep
+ * @property {string} slug
+ * @property {"resolve"|"vote"|"correct"|"cancel"|"skip"} action
+ * @property {"yes"|"no"|"fractional"|null} outcome  Set when action is "resolve", "vote" or "correct"
+ * @property {number} [yesBps]  YES share of the pool when outcome is "fractional"
+ * @property {string} reason
+ */
+
+/**
+ * Build a resolution plan for every on-chain market that is not resolved
+ * yet, plus every disputed resolution: those are settled with
+ * correctResolution() using the Clawdict outcome. In quorum mode the
+ * resolver votes instead of resolving, skipping markets it already voted on
+ * or that were escalated to the admin.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {Object} [opts]
+ * @param {(slug: string) => Promise<Object|null>} [opts.lookup]  Clawdict market by slug
+ * @param {string} [opts.token]    Clawdict X-Agent-Token, for the default lookup
+ * @param {string} [opts.baseUrl]  Clawdict API base, for the default lookup
+ * @returns {Promise<ResolutionStep[]>}
+ */
+async function planResolutions(client, { lookup, token, baseUrl } = {}) {
+  lookup = lookup || ((slug) => fetchMarket(slug, { token, baseUrl }));
+
+  const { quorum } = await client.quorumParams();
+  // A read-only client (dry run) cannot tell which markets it voted on
+  const voter = quorum > 0 ? await client.signerAddress().catch(() => null) : null;
+  const markets = await client.listMarkets();
+  const pending = markets.filter((m) => !["resolved", "finalizing", "cancelled"].includes(m.status));
+
+  const steps = [];
+  for (const market of pending) {
+    if (market.outcomeCount > 0) {
+      // Clawdict reports YES/NO outcomes only; categorical markets are resolved by hand
+      steps.push({ slug: market.slug, action: "skip", outcome: null, reason: "categorical market; resolve with --index" });
+      continue;
+    }
+
+    let remote;
+    try {
+      remote = await lookup(market.slug);
+    } catch (err) {
+      steps.push({ slug: market.slug, action: "skip", outcome: null, reason: `Clawdict lookup failed: ${err.message}` });
+      continue;
+    }
+
+    if (!remote) {
+      steps.push({ slug: market.slug, action: "skip", outcome: null, reason: "not found on Clawdict" });
+      continue;
+    }
+
+    const { status, outcome, yesBps } = resolutionOf(remote);
+    if (outcome === "fractional") {
+      const pct = `${yesBps / 100}% YES`;
+      if (market.status === "disputed") {
+        steps.push({ slug: market.slug, action: "skip", outcome: null, reason: `disputed; Clawdict resolved ${pct}, settle by hand` });
+      } else if (quorum > 0) {
+        steps.push({ slug: market.slug, action: "skip", outcome: null, reason: `Clawdict resolved ${pct}; the admin resolves fractional outcomes in quorum mode` });
+      } else {
+        steps.push({ slug: market.slug, action: "resolve", outcome, yesBps, reason: `Clawdict resolved ${pct}` });
+      }
+    } else if (market.status === "disputed") {
+      if (status === "resolved") {
+        const reason = outcome === market.outcome
+          ? `disputed; Clawdict confirms ${outcome.toUpperCase()}, bond forfeited`
+          : `disputed; Clawdict says ${outcome.toUpperCase()}, correcting`;
+        steps.push({ slug: market.slug, action: "correct", outcome, reason });
+      } else if (status === "voided") {
+        steps.push({ slug: market.slug, action: "cancel", outcome: null, reason: "disputed; voided on Clawdict" });
+      } else {
+        steps.push({ slug: market.slug, action: "skip", outcome: null, reason: "disputed; Clawdict has no outcome yet" });
+      }
+    } else if (status === "resolved" && quorum > 0) {
+      const tally = await client.getTally(market.slug);
+      const voted = voter ? await client.getVote(market.slug, voter) : null;
+      if (tally.escalated) {
+        steps.push({ slug: market.slug, action: "skip", outcome: null, reason: "resolvers disagreed; escalated to the admin" });
+      } else if (voted) {
+        steps.push({ slug: market.slug, action: "skip", outcome: null, reason: `already voted ${voted.toUpperCase()} (${tally.yes} YES / ${tally.no} NO of ${quorum})` });
+      } else {
+        const reason = `Clawdict resolved ${outcome.toUpperCase()}; voting (${tally.yes} YES / ${tally.no} NO of ${quorum})`;
+        steps.push({ slug: market.slug, action: "vote", outcome, reason });
+      }
+    } else if (status === "resolved") {
+      const winningPool = outcome === "yes" ? market.totalYes : market.totalNo;
+      const reason = winningPool === 0n
+        ? `Clawdict resolved ${outcome.toUpperCase()}; no winning stakes, market will auto-cancel`
+        : `Clawdict resolved ${outcome.toUpperCase()}`;
+      steps.push({ slug: market.slug, action: "resolve", outcome, reason });
+    } else if (status === "voided") {
+      steps.push({ slug: market.slug, action: "cancel", outcome: null, reason: "voided on Clawdict" });
+    } else {
+      steps.push({ slug: market.slug, action: "skip", outcome: null, reason: "still open on Clawdict" });
+    }
+  }
+  return steps;
+}
+
+/**
+ * Send the transactions for every resolve/vote/correct/cancel step. A failing step is
+ * recorded and does not stop the rest.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {ResolutionStep[]} plan
+ * @param {Object} [opts]
+ * @param {(step: ResolutionStep & {hash?: string, error?: Error}) => void} [opts.onStep]
+ * @returns {Promise<(ResolutionStep & {hash: string|null, error: Error|null})[]>}
+ */
+async function executePlan(client, plan, { onStep } = {}) {
+  const results = [];
+  for (const step of plan) {
+    if (step.action === "skip") continue;
+
+    let hash = null;
+    let error = null;
+    try {
+      let tx;
+      if (step.action === "resolve" && step.outcome === "fractional") tx = await client.resolveFractional(step.slug, step.yesBps);
+      else if (step.action === "resolve") tx = await client.resolve(step.slug, step.outcome);
+      else if (step.action === "vote") tx = await client.voteOutcome(step.slug, step.outcome);
+      else if (step.action === "correct") tx = await client.correctResolution(step.slug, step.outcome);
+      else tx = await client.cancelMarket(step.slug);
+      hash = tx.hash;
+    } catch (err) {
+      error = err;
+    }
+
+    const result = { ...step, hash, error };
+    results.push(result);
+    if (onStep) onStep(result);
+  }
+  return results;
+}
+
+module.exports = { planResolutions, executePlan };
@@ -0,0 +1,86 @@
+/**
+ * ClawStake access-control roles and deploy-time role assignment.
+ *
+ * Role ids match the contract's `keccak256("<NAME>_ROLE")` constants;
+ * DEFAULT_ADMIN manages every role and the protocol fee.
+ */
+
+const { ZeroHash, id, isAddress } = require("ethers");
+
+const ROLES = {
+  DEFAULT_ADMIN: ZeroHash,
+  RESOLVER: id("RESOLVER_ROLE"),
+  MARKET_ADMIN: id("MARKET_ADMIN_ROLE"),
+  MARKET_CREATOR: id("MARKET_CREATOR_ROLE"),
+  TREASURY: id("TREASURY_ROLE"),
+  PAUSER: id("PAUSER_ROLE"),
+};
+
+/** Environment variable naming the dedicated holder of each operational role */
+const ROLE_ENV = {
+  RESOLVER: "RESOLVER_ADDRESS",
+  MARKET_ADMIN: "MARKET_ADMIN_ADDRESS",
+  MARKET_CREATOR: "MARKET_CREATOR_ADDRESS",
+  TREASURY: "TREASURY_ADDRESS",
+  PAUSER: "PAUSER_ADDRESS",
+};
+
+/**
+ * Resolve a role name ("resolver", "MARKET_ADMIN", "treasury_role",
+ * "market-admin") or a 32-byte role id to its id. Throws on anything else.
+ */
+function roleId(role) {
+  if (typeof role === "string" && /^0x[0-9a-fA-F]{64}$/.test(role)) return role.toLowerCase();
+  const name = String(role).toUpperCase().replace(/-/g, "_").replace(/_ROLE$/, "");
+  if (!(name in ROLES)) {
+    throw new TypeError(`Unknown role "${role}"; expected one of ${Object.keys(ROLES).join(", ")}`);
+  }
+  return ROLES[name];
+}
+
+/** Name of a role id, or the id itself if it is not a ClawStake role */
+function roleName(roleHash) {
+  const hash = String(roleHash).toLowerCase();
+  const name = Object.keys(ROLES).find((n) => ROLES[n] === hash);
+  return name || roleHash;
+}
+
+/**
+ * Role assignments requested through the environment, e.g.
+ * RESOLVER_ADDRESS=0x... gives RESOLVER to that account.
+ * @returns {{role: string, account: string}[]}
+ */
+function rolesFromEnv(env = process.env) {
+  const assignments = [];
+  for (const [role, key] of Object.entries(ROLE_ENV)) {
+    const account = env[key];
+    if (!account) continue;
+    if (!isAddress(account)) throw new TypeError(`${key} is not a valid address: ${account}`);
+    assignments.push({ role, account });
+  }
+  return assignments;
+}
+
+/**
+ * Hand operational roles to dedicated accounts after deployment. Each role
+ * given to another account is then revoked from the deployer, so e.g. the
+ * resolver bot's key and the deployer's key stay separate.
+ * @returns {Promise<{role: string, account: string, action: "grant"|"revoke", hash: string}[]>}
+ */
+async function assignRoles(client, assignments, { deployer } = {}) {
+  deployer = deployer || (await client.signerAddress());
+  const steps = [];
+  for (const { role, account } of assignments) {
+    const granted = await client.grantRole(role, account);
+    steps.push({ role, account, action: "grant", hash: granted.hash });
+  }
+  for (const role of new Set(assignments.map((a) => a.role))) {
+    const handedOff = assignments.some((a) => a.role === role && a.account.toLowerCase() !== deployer.toLowerCase());
+    if (!handedOff || !(await client.hasRole(role, deployer))) continue;
+    const revoked = await client.revokeRole(role, deployer);
+    steps.push({ role, account: deployer, action: "revoke", hash: revoked.hash });
+  }
+  return steps;
+}
+
+module.exports = { ROLES, ROLE_ENV, roleId, roleName, rolesFromEnv, assignRoles };
@@ -0,0 +1,231 @@
+/**
+ * Edge-based stake sizing for agents.
+ *
+ * An agent supplies its own probability for each YES/NO market. Each market
+ * is priced with the contract's parimutuel payout, including how the agent's
+ * own stake dilutes its side of the pool, and sized with fractional Kelly
+ * against a shared bankroll. The result is a plan for `batchStake`.
+ *
+ * gatherCandidates() reads the chain and Clawdict; planStakes() is pure, so
+ * a plan can be reviewed (dry run) before anything is sent.
+ */
+
+const { fetchMarket, normalizeMarket } = require("./clawdict");
+const { MIN_STAKE } = require("./market");
+
+const BPS = 10_000n;
+const DEFAULT_KELLY_FRACTION = 0.25;
+
+/**
+ * @typedef {Object} Candidate
+ * @property {string} slug
+ * @property {number} probability  The agent's probability that the market resolves YES, in (0, 1)
+ * @property {import("./client").Market} market  Current on-chain state
+ * @property {number|null} [pYes]  Clawdict's probability, for comparison only
+ * @property {string|null} [category]  Clawdict's category
+ * @property {boolean} [sealed]    The market takes stakes through commit–reveal only
+ *
+ * @typedef {Object} PlannedStake
+ * @property {string} slug
+ * @property {"yes"|"no"} side
+ * @property {bigint} amount       USDC base units
+ * @property {number} probability  The agent's probability of `side` winning
+ * @property {number|null} pYes    Clawdict's YES probability
+ * @property {string|null} category
+ * @property {number|null} impliedYes  YES share of the pool before the stake
+ * @property {number} breakEven    Probability at which this stake has zero expected value
+ * @property {number} edge         probability - breakEven
+ * @property {bigint} payout       What the stake would pay if `side` wins, net of the fee
+ * @property {bigint} expectedValue  Expected profit in USDC base units
+ *
+ * @typedef {Object} StakePlan
+ * @property {bigint} bankroll
+ * @property {number} kellyFraction
+ * @property {bigint} total
+ * @property {PlannedStake[]} stakes
+ * @property {{slug: string, reason: string}[]} skipped
+ */
+
+// Pools seen by a stake on one side: the side's own pool and everything it
+// would win (the other side plus exit penalties)
+function pools(market, isYes) {
+  const own = isYes ? market.totalYes : market.totalNo;
+  const other = (isYes ? market.totalNo : market.totalYes) + (market.penaltyPool ?? 0n);
+  return { own, other };
+}
+
+/**
+ * Net payout of a new `amount` stake on one side if that side wins, with
+ * claim()'s integer math: the stake joins its side's pool before the split.
+ */
+function stakePayout(market, isYes, amount) {
+  if (amount === 0n) return 0n;
+  const { own, other } = pools(market, isYes);
+  const gross = (amount * (own + other + amount)) / (own + amount);
+  return gross - ((gross - amount) * BigInt(market.feeBps || 0)) / BPS;
+}
+
+/** Expected profit of staking `amount` on a side the agent gives `probability` of winning */
+function expectedValue(market, isYes, amount, probability) {
+  const profit = Number(stakePayout(market, isYes, amount) - amount);
+  return BigInt(Math.round(probability * profit - (1 - probability) * Number(amount)));
+}
+
+/**
+ * Stake that maximizes expected log bankroll on one side (full Kelly), in
+ * base units. The payout ratio falls as the stake grows, so the optimum is
+ * found numerically; log growth is concave in the stake.
+ */
+function kellyStake(market, isYes, probability, bankroll) {
+  const { own, other } = pools(market, isYes);
+  const W = Number(own);
+  const L = Number(other) * (1 - (market.feeBps || 0) / 10_000);
+  const B = Number(bankroll);
+  if (L === 0 || B === 0) return 0n;
+  const growth = (x) => probability * Math.log(B + (L * x) / (W + x)) + (1 - probability) * Math.log(B - x);
+
+  // Golden-section search over [0, B)
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let lo = 0;
+  let hi = B * (1 - 1e-9);
+  for (let i = 0; i < 200 && hi - lo > 1; i++) {
+    const a = hi - ratio * (hi - lo);
+    const b = lo + ratio * (hi - lo);
+    if (growth(a) < growth(b)) lo = a;
+    else hi = b;
+  }
+  const best = Math.floor((lo + hi) / 2);
+  // With nobody on this side yet, any stake wins the whole other pool, so
+  // the smallest allowed stake is best if it beats not staking at all
+  if (best < Number(MIN_STAKE) && Number(MIN_STAKE) < B && growth(Number(MIN_STAKE)) > Math.log(B)) return MIN_STAKE;
+  return BigInt(best);
+}
+
+function describe(market, isYes, amount, probability, pYes, category) {
+  const payout = stakePayout(market, isYes, amount);
+  return {
+    slug: market.slug,
+    side: isYes ? "yes" : "no",
+    amount,
+    probability,
+    pYes: pYes ?? null,
+    category: category ?? null,
+    impliedYes: market.totalPool === 0n ? null : Number((market.totalYes * 1_000_000n) / market.totalPool) / 1_000_000,
+    breakEven: Number(amount) / Number(payout),
+    edge: probability - Number(amount) / Number(payout),
+    payout,
+    expectedValue: expectedValue(market, isYes, amount, probability),
+  };
+}
+
+/**
+ * On-chain state and Clawdict probability for each market the agent has a
+ * view on. A failed Clawdict lookup leaves `pYes` null: it is only reported.
+ *
+ * @param {import("./client").ClawStakeClient} client
+ * @param {Object<string, number>} beliefs  The agent's YES probability by slug
+ * @param {Object} [opts]
+ * @param {(slug: string) => Promise<Object|null>} [opts.lookup]  Clawdict market by slug
+ * @param {string} [opts.token]    Clawdict X-Agent-Token, for the default lookup
+ * @param {string} [opts.baseUrl]  Clawdict API base, for the default lookup
+ * @returns {Promise<Candidate[]>}
+ */
+async function gatherCandidates(client, beliefs, { lookup, token, baseUrl } = {}) {
+  lookup = lookup || ((slug) => fetchMarket(slug, { token, baseUrl }));
+  const now = await client.now();
+  return Promise.all(
+    Object.entries(beliefs).map(async ([slug, probability]) => {
+      const [market, schedule, remote] = await Promise.all([
+        client.getMarket(slug, { now }),
+        client.getCommitSchedule(slug, { now }),
+        lookup(slug).catch(() => null),
+      ]);
+      const { pYes, category } = remote ? normalizeMarket(remote) : { pYes: null, category: null };
+      return { slug, probability, market, pYes, category, sealed: schedule.enabled };
+    })
+  );
+}
+
+/**
+ * Size stakes for a set of markets. Each market gets fractional Kelly on its
+ * better side against the whole bankroll, capped at `maxPerMarket`; if the
+ * stakes add up to more than the bankroll they are scaled down together.
+ * Stakes the agent already holds are not taken into account.
+ *
+ * @param {Candidate[]} candidates
+ * @param {Object} opts
+ * @param {bigint} opts.bankroll          USDC base units available to stake
+ * @param {number} [opts.kellyFraction=0.25]  Share of the full Kelly stake, in (0, 1]
+ * @param {bigint} [opts.maxPerMarket]    Cap per market, base units
+ * @param {number} [opts.minEdge=0]       Skip stakes whose edge over break-even is smaller
+ * @returns {StakePlan}
+ */
+function planStakes(candidates, { bankroll, kellyFraction = DEFAULT_KELLY_FRACTION, maxPerMarket, minEdge = 0 }) {
+  if (typeof bankroll !== "bigint" || bankroll < 0n) throw new TypeError("bankroll must be a non-negative bigint");
+  if (!(kellyFraction > 0 && kellyFraction <= 1)) throw new RangeError("kellyFraction must be in (0, 1]");
+  const cap = maxPerMarket ?? bankroll;
+  const skipped = [];
+  let sized = [];
+
+  for (const { slug, probability, market, pYes, category, sealed } of candidates) {
+    if (!(probability > 0 && probability < 1)) throw new RangeError(`${slug}: probability must be between 0 and 1`);
+    const skip = (reason) => skipped.push({ slug, reason });
+    if (market.outcomeCount > 0) { skip("categorical market"); continue; }
+    if (market.status !== "open") { skip(`market is ${market.status}`); continue; }
+    if (sealed) { skip("commit–reveal market"); continue; }
+
+    const sides = [true, false].map((isYes) => {
+      const p = isYes ? probability : 1 - probability;
+      const full = kellyStake(market, isYes, p, bankroll);
+      let amount = BigInt(Math.floor(Number(full) * kellyFraction));
+      if (full === MIN_STAKE || (amount < MIN_STAKE && full >= MIN_STAKE)) amount = MIN_STAKE;
+      if (amount > cap) amount = cap;
+      return { isYes, p, amount };
+    });
+    const best = sides.reduce((a, b) => (b.amount > a.amount ? b : a));
+    if (best.amount < MIN_STAKE) { skip("no positive edge at the current pools"); continue; }
+    sized.push({ market, pYes, category, ...best });
+  }
+
+  const wanted = sized.reduce((sum, s) => sum + s.amount, 0n);
+  if (wanted > bankroll) {
+    sized = sized.map((s) => ({ ...s, amount: (s.amount * bankroll) / wanted }));
+  }
+
+  const stakes = [];
+  for (const { market, pYes, category, isYes, p, amount } of sized) {
+    if (amount < MIN_STAKE) {
+      skipped.push({ slug: market.slug, reason: "stake below the minimum after fitting the bankroll" });
+      continue;
+    }
+    const stake = describe(market, isYes, amount, p, pYes, category);
+    if (stake.edge < minEdge) {
+      skipped.push({ slug: market.slug, reason: `edge ${stake.edge.toFixed(3)} below ${minEdge}` });
+      continue;
+    }
+    stakes.push(stake);
+  }
+
+  return {
+    bankroll,
+    kellyFraction,
+    total: stakes.reduce((sum, s) => sum + s.amount, 0n),
+    stakes,
+    skipped,
+  };
+}
+
+/** The plan's stakes in the shape batchStake (and `clawstake batch --file`) takes */
+function toBatchStakes(plan) {
+  return plan.stakes.map(({ slug, side, amount }) => ({ slug, side, amount }));
+}
+
+module.exports = {
+  DEFAULT_KELLY_FRACTION,
+  stakePayout,
+  expectedValue,
+  kellyStake,
+  gatherCandidates,
+  planStakes,
+  toBatchStakes,
+};
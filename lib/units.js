@@ -0,0 +1,42 @@
+const { parseUnits, formatUnits } = require("ethers");
+
+const USDC_DECIMALS = 6;
+
+/**
+ * Parse a human USDC amount ("5", "2.5", 5) into 6-decimal base units.
+ * Bigints are taken to already be base units.
+ */
+function parseUsdc(amount) {
+  if (typeof amount === "bigint") return amount;
+  if (typeof amount === "number") {
+    if (!Number.isFinite(amount)) throw new TypeError(`Invalid USDC amount: ${amount}`);
+    amount = String(amount);
+  }
+  if (typeof amount !== "string" || !/^\d+(\.\d+)?$/.test(amount.trim())) {
+    throw new TypeError(`Invalid USDC amount: ${amount}`);
+  }
+  return parseUnits(amount.trim(), USDC_DECIMALS);
+}
+
+/** Format 6-decimal base units as a USDC string, e.g. 2500000n -> "2.5" */
+function formatUsdc(units) {
+  return formatUnits(units, USDC_DECIMALS);
+}
+
+/**
+ * Normalize a side to a boolean (true = YES). Accepts booleans and
+ * "yes"/"no" in any case; anything else throws instead of defaulting to NO.
+ */
+function parseSide(side) {
+  if (typeof side === "boolean") return side;
+  const s = String(side).trim().toLowerCase();
+  if (s === "yes") return true;
+  if (s === "no") return false;
+  throw new TypeError(`Invalid side "${side}": expected "yes" or "no"`);
+}
+
+function sideName(isYes) {
+  return isYes ? "YES" : "NO";
+}
+
+module.exports = { USDC_DECIMALS, parseUsdc, formatUsdc, parseSide, sideName };
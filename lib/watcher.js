@@ -0,0 +1,270 @@
+/**
+ * Live view of ClawStake markets for `clawstake watch`.
+ *
+ * start() snapshots every market (or the given slugs) at the chain head.
+ * Each poll() then reads the Staked, OutcomeStaked, Unstaked,
+ * CategoricalMarketCreated, MarketResolved, MarketResolvedFractional,
+ * OutcomeResolved, ResolutionCorrected, MarketCancelled and DeadlineSet logs
+ * of the new blocks in `batchSize` block ranges, applies them to the snapshot
+ * so pools and implied odds stay current without re-reading every market,
+ * and returns one update per event. A poll reads everything before it
+ * applies anything, so one that fails leaves the snapshot and cursor as they
+ * were and the next poll reads the same blocks again.
+ * It also reports, once per deadline, markets about to close, markets
+ * whose deadline has passed and unresolved markets whose refund window has
+ * opened (by block time).
+ */
+
+const { Interface } = require("ethers");
+const { CLAWSTAKE_ABI } = require("./abi");
+const { REFUND_GRACE_PERIOD, impliedOdds } = require("./market");
+
+const clawStakeInterface = new Interface(CLAWSTAKE_ABI);
+const WATCHED_EVENTS = [
+  "Staked", "OutcomeStaked", "Unstaked", "CategoricalMarketCreated", "MarketResolved", "MarketResolvedFractional", "OutcomeResolved", "ResolutionCorrected",
+  "MarketCancelled", "DeadlineSet",
+];
+const WATCHED_TOPICS = WATCHED_EVENTS.map((name) => clawStakeInterface.getEvent(name).topicHash);
+
+const DEFAULT_LARGE_STAKE = 100_000_000n; // 100 USDC
+const DEFAULT_DEADLINE_WARNING = 60 * 60;
+
+/**
+ * @typedef {Object} WatchedMarket
+ * @property {string} slug
+ * @property {bigint} totalYes
+ * @property {bigint} totalNo
+ * @property {number|null} impliedYes  Share of the pool on YES; null while it is empty or categorical
+ * @property {bigint[]} outcomePools    USDC staked per outcome (categorical markets; empty otherwise)
+ * @property {number} deadline         Unix seconds, 0 if none
+ * @property {"open"|"closed"|"resolved"|"cancelled"} status
+ * @property {string|null} outcome     "yes", "no", "fractional" or a categorical outcome index
+ * @property {number|null} yesBps
+ * @property {boolean} categorical
+ *
+ * @typedef {Object} WatchUpdate
+ * @property {"stake"|"unstake"|"resolved"|"cancelled"|"deadline"|"closing"|"closed"|"refundable"} type
+ * @property {string} slug
+ * @property {number} blockNumber      For time-based updates, the head the poll saw
+ * @property {string|null} txHash      null for time-based updates
+ * @property {number} timestamp        Block time, Unix seconds
+ * @property {bigint} totalYes         Pools after the update
+ * @property {bigint} totalNo
+ * @property {number|null} impliedYes
+ * @property {bigint[]} [outcomePools]  Outcome pools after the update (categorical markets)
+ * @property {(number|null)[]} [impliedOutcomes]  Share of the pool on each outcome (categorical markets)
+ * @property {number|null} [previousYes]  Implied YES odds before a stake or unstake
+ * @property {string} [staker]
+ * @property {"yes"|"no"} [side]      For YES/NO stakes and unstakes
+ * @property {bigint} [amount]
+ * @property {bigint} [penalty]        Exit penalty of an unstake
+ * @property {boolean} [large]         Stake of at least `largeStake`
+ * @property {string} [outcome]        "yes", "no", "fractional" or a categorical outcome index for resolved;
+ *                                     the outcome index for a categorical stake
+ * @property {number} [yesBps]
+ * @property {boolean} [corrected]     For resolved: an earlier outcome was corrected
+ * @property {number} [deadline]       For deadline, closing, closed and refundable
+ * @property {number} [secondsLeft]    For closing
+ */
+
+function oddsOf(market) {
+  const totalPool = market.totalYes + market.totalNo;
+  return impliedOdds({ outcomeCount: 0, totalYes: market.totalYes, totalPool }).yes;
+}
+
+function outcomeOddsOf(market) {
+  const totalPool = market.outcomePools.reduce((a, b) => a + b, 0n);
+  return impliedOdds({ outcomeCount: market.outcomePools.length, outcomePools: market.outcomePools, totalPool }).outcomes;
+}
+
+class MarketWatcher {
+  /**
+   * @param {import("./client").ClawStakeClient} client
+   * @param {Object} [opts]
+   * @param {string[]} [opts.slugs]   Only these markets (default: all, including ones created while watching)
+   * @param {bigint} [opts.largeStake=100 USDC]  Flag stakes of at least this amount
+   * @param {number} [opts.deadlineWarning=3600]  Seconds before a deadline to report it as closing
+   * @param {number} [opts.batchSize=2000]   Blocks per getLogs request
+   */
+  constructor(client, { slugs, largeStake = DEFAULT_LARGE_STAKE, deadlineWarning = DEFAULT_DEADLINE_WARNING, batchSize = 2000 } = {}) {
+    if (!Number.isInteger(batchSize) || batchSize < 1) throw new TypeError("batchSize must be a positive integer");
+    this.client = client;
+    this.slugs = slugs && slugs.length > 0 ? new Set(slugs) : null;
+    this.largeStake = largeStake;
+    this.deadlineWarning = deadlineWarning;
+    this.batchSize = batchSize;
+    /** @type {Map<string, WatchedMarket>} */
+    this.markets = new Map();
+    this.cursor = null;
+    // Deadlines already reported as closing / closed / refundable, by slug
+    this._warned = new Map();
+    this._passed = new Map();
+    this._refundable = new Map();
+  }
+
+  /**
+   * Snapshot the watched markets at the chain head; later polls start from the next block.
+   * @returns {Promise<{blockNumber: number, markets: WatchedMarket[]}>}
+   */
+  async start() {
+    const blockNumber = await this.client.provider.getBlockNumber();
+    const markets = this.slugs
+      ? await Promise.all([...this.slugs].map((slug) => this.client.getMarket(slug)))
+      : await this.client.listMarkets();
+    for (const m of markets) {
+      this.markets.set(m.slug, {
+        slug: m.slug,
+        totalYes: m.totalYes,
+        totalNo: m.totalNo,
+        impliedYes: m.outcomeCount > 0 ? null : oddsOf(m),
+        outcomePools: m.outcomePools,
+        deadline: m.deadline,
+        status: m.status === "cancelled" ? "cancelled" : m.resolved ? "resolved" : m.status === "open" ? "open" : "closed",
+        outcome: m.outcome,
+        yesBps: m.yesBps,
+        categorical: m.outcomeCount > 0,
+      });
+      // Already past its deadline: nothing new to report
+      if (this.markets.get(m.slug).status === "closed") this._passed.set(m.slug, m.deadline);
+      if (m.status === "refundable") this._refundable.set(m.slug, m.deadline);
+    }
+    this.cursor = blockNumber;
+    return { blockNumber, markets: [...this.markets.values()] };
+  }
+
+  /**
+   * Apply the events of the blocks since the last poll, then check deadlines.
+   * @returns {Promise<WatchUpdate[]>}
+   */
+  async poll() {
+    if (this.cursor === null) await this.start();
+    const provider = this.client.provider;
+    const head = await provider.getBlockNumber();
+
+    // Read the logs and their block times first; nothing is applied until all reads succeed
+    const events = [];
+    const timestamps = new Map();
+    for (let start = this.cursor + 1; start <= head; start += this.batchSize) {
+      const logs = await provider.getLogs({
+        address: this.client.address,
+        topics: [WATCHED_TOPICS],
+        fromBlock: start,
+        toBlock: Math.min(start + this.batchSize - 1, head),
+      });
+      for (const log of logs) {
+        const parsed = clawStakeInterface.parseLog(log);
+        if (!parsed || (this.slugs && !this.slugs.has(parsed.args.slug))) continue;
+        if (!timestamps.has(log.blockNumber)) timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+        events.push({ parsed, log });
+      }
+    }
+    const { timestamp } = await provider.getBlock(head);
+
+    const updates = [];
+    for (const { parsed, log } of events) {
+      const update = this._apply(parsed, log, timestamps.get(log.blockNumber));
+      if (update) updates.push(update);
+    }
+    if (head > this.cursor) this.cursor = head;
+    updates.push(...this._checkDeadlines(head, timestamp));
+    return updates;
+  }
+
+  _market(slug) {
+    if (!this.markets.has(slug)) {
+      // Created while watching: it starts empty
+      this.markets.set(slug, {
+        slug, totalYes: 0n, totalNo: 0n, impliedYes: null, outcomePools: [], deadline: 0,
+        status: "open", outcome: null, yesBps: null, categorical: false,
+      });
+    }
+    return this.markets.get(slug);
+  }
+
+  _apply(parsed, log, timestamp) {
+    const { args, name } = parsed;
+    const market = this._market(args.slug);
+    const base = { slug: args.slug, blockNumber: log.blockNumber, txHash: log.transactionHash, timestamp };
+    const previousYes = market.impliedYes;
+
+    switch (name) {
+      case "Staked":
+      case "Unstaked": {
+        const delta = name === "Staked" ? args.amount : -args.amount;
+        if (args.isYes) market.totalYes += delta;
+        else market.totalNo += delta;
+        market.impliedYes = oddsOf(market);
+        const update = { type: name === "Staked" ? "stake" : "unstake", ...base, staker: args.staker, side: args.isYes ? "yes" : "no", amount: args.amount };
+        if (name === "Unstaked") update.penalty = args.penalty;
+        else update.large = this.largeStake !== null && args.amount >= this.largeStake;
+        return { ...update, ...this._pools(market), previousYes };
+      }
+      case "CategoricalMarketCreated":
+        Object.assign(market, { categorical: true, outcomePools: Array(Number(args.outcomeCount)).fill(0n) });
+        return null;
+      case "OutcomeStaked": {
+        const index = Number(args.outcomeIndex);
+        market.categorical = true;
+        market.outcomePools = market.outcomePools.map((pool, i) => (i === index ? pool + args.amount : pool));
+        return {
+          type: "stake", ...base, staker: args.staker, outcome: String(index), amount: args.amount,
+          large: this.largeStake !== null && args.amount >= this.largeStake, ...this._pools(market),
+        };
+      }
+      case "MarketResolved":
+      case "ResolutionCorrected":
+        Object.assign(market, { status: "resolved", outcome: args.outcomeYes ? "yes" : "no", yesBps: null });
+        return { type: "resolved", ...base, outcome: market.outcome, corrected: name === "ResolutionCorrected", ...this._pools(market) };
+      case "MarketResolvedFractional":
+        Object.assign(market, { status: "resolved", outcome: "fractional", yesBps: Number(args.yesBps) });
+        return { type: "resolved", ...base, outcome: "fractional", yesBps: market.yesBps, corrected: false, ...this._pools(market) };
+      case "OutcomeResolved": {
+        // correctOutcome emits it again for the new outcome
+        const corrected = market.status === "resolved";
+        Object.assign(market, { status: "resolved", outcome: String(args.outcomeIndex), yesBps: null, categorical: true });
+        return { type: "resolved", ...base, outcome: market.outcome, corrected, ...this._pools(market) };
+      }
+      case "MarketCancelled":
+        market.status = "cancelled";
+        return { type: "cancelled", ...base, ...this._pools(market) };
+      case "DeadlineSet":
+        market.deadline = Number(args.deadline);
+        if (market.status === "closed" && (market.deadline === 0 || market.deadline >= timestamp)) market.status = "open";
+        return { type: "deadline", ...base, deadline: market.deadline, ...this._pools(market) };
+      default:
+        return null;
+    }
+  }
+
+  _pools(market) {
+    const pools = { totalYes: market.totalYes, totalNo: market.totalNo, impliedYes: market.impliedYes };
+    if (market.categorical) Object.assign(pools, { outcomePools: market.outcomePools, impliedOutcomes: outcomeOddsOf(market) });
+    return pools;
+  }
+
+  _checkDeadlines(blockNumber, now) {
+    const updates = [];
+    for (const market of this.markets.values()) {
+      if (market.deadline === 0 || market.status === "resolved" || market.status === "cancelled") continue;
+      const base = { slug: market.slug, blockNumber, txHash: null, timestamp: now, deadline: market.deadline, ...this._pools(market) };
+      const secondsLeft = market.deadline - now;
+
+      if (secondsLeft < 0 && this._passed.get(market.slug) !== market.deadline) {
+        this._passed.set(market.slug, market.deadline);
+        market.status = "closed";
+        updates.push({ type: "closed", ...base });
+      }
+      if (secondsLeft < -REFUND_GRACE_PERIOD && this._refundable.get(market.slug) !== market.deadline) {
+        this._refundable.set(market.slug, market.deadline);
+        updates.push({ type: "refundable", ...base });
+      }
+      if (secondsLeft >= 0 && secondsLeft <= this.deadlineWarning && this._warned.get(market.slug) !== market.deadline) {
+        this._warned.set(market.slug, market.deadline);
+        updates.push({ type: "closing", ...base, secondsLeft });
+      }
+    }
+    return updates;
+  }
+}
+
+module.exports = { MarketWatcher, DEFAULT_LARGE_STAKE, DEFAULT_DEADLINE_WARNING };
@@ -1,31 +1,23 @@
 const hre = require("hardhat");
 require("dotenv").config();
-
-const CLAWSTAKE_ABI = [
-  "function claim(string calldata marketSlug) external",
-  "function refund(string calldata marketSlug) external",
-  "function getMarketInfo(string calldata marketSlug) external view returns (uint256 totalYes, uint256 totalNo, bool resolved, bool outcomeYes, uint256 deadline, bool cancelled)",
-  "function getStake(string calldata marketSlug, address staker) external view returns (uint256 amountYes, uint256 amountNo, bool claimed)",
-];
-
-const USDC_ABI = [
-  "function balanceOf(address account) external view returns (uint256)",
-];
+const { ClawStakeClient, computeFee, computePayout, formatUsdc, stakedAmount } = require("../lib");
 
 async function main() {
   const args = process.argv.slice(2);
 
-  let slug, doRefund = false;
+  let slug, doRefund = false, doAll = false;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--slug" && args[i + 1]) slug = args[++i];
     if (args[i] === "--refund") doRefund = true;
+    if (args[i] === "--all") doAll = true;
   }
 
-  if (!slug) {
-    console.log("Usage: npx hardhat run scripts/claim.js --network sepolia -- --slug <market-slug> [--refund]");
+  if (!slug && !doAll) {
+    console.log("Usage: npx hardhat run scripts/claim.js --network sepolia -- (--slug <market-slug> [--refund] | --all)");
     console.log("\nExamples:");
     console.log('  npx hardhat run scripts/claim.js --network sepolia -- --slug "will-btc-hit-100k"');
     console.log('  npx hardhat run scripts/claim.js --network sepolia -- --slug "will-btc-hit-100k" --refund');
+    console.log("  npx hardhat run scripts/claim.js --network sepolia -- --all");
     process.exit(1);
   }
 
@@ -38,22 +30,24 @@ async function main() {
   }
 
   const [signer] = await hre.ethers.getSigners();
-  const clawstake = new hre.ethers.Contract(clawstakeAddr, CLAWSTAKE_ABI, signer);
-  const usdc = new hre.ethers.Contract(usdcAddr, USDC_ABI, signer);
+  const client = new ClawStakeClient({ address: clawstakeAddr, runner: signer, usdcAddress: usdcAddr });
+
+  if (doAll) return collectAll(client, signer.address);
 
   // Check market state
-  const info = await clawstake.getMarketInfo(slug);
+  const market = await client.getMarket(slug);
   console.log(`ClawStake - ${doRefund ? "Refunding" : "Claiming winnings"}`);
   console.log(`   Market: ${slug}`);
 
-  if (info.cancelled) {
+  if (market.cancelled) {
     console.log(`   Status: CANCELLED`);
     if (!doRefund) {
       console.log(`\n   Market is cancelled. Use --refund to get your stake back.`);
       process.exit(1);
     }
-  } else if (info.resolved) {
-    console.log(`   Resolved: ${info.outcomeYes ? "YES" : "NO"}`);
+  } else if (market.resolved) {
+    if (market.yesBps !== null) console.log(`   Resolved: ${market.yesBps / 100}% of the pool to YES, the rest to NO`);
+    else console.log(`   Resolved: ${market.outcomeCount > 0 ? `outcome #${market.outcome}` : market.outcome.toUpperCase()}`);
   } else {
     console.log(`   Status: Not yet resolved`);
     if (!doRefund) {
@@ -63,47 +57,72 @@ async function main() {
   }
 
   // Check user's stake
-  const stake = await clawstake.getStake(slug, signer.address);
-  console.log(`   Your YES stake: ${Number(stake.amountYes) / 1e6} USDC`);
-  console.log(`   Your NO stake:  ${Number(stake.amountNo) / 1e6} USDC`);
+  const position = await client.getStake(slug);
+  if (market.outcomeCount > 0) {
+    position.amounts.forEach((amount, i) => console.log(`   Your stake on #${i}: ${formatUsdc(amount)} USDC`));
+  } else {
+    console.log(`   Your YES stake: ${formatUsdc(position.amountYes)} USDC`);
+    console.log(`   Your NO stake:  ${formatUsdc(position.amountNo)} USDC`);
+  }
 
-  if (stake.claimed) {
+  if (position.claimed && stakedAmount(position) === 0n) {
     console.log(`\n   Already claimed/refunded!`);
     process.exit(1);
   }
 
-  const balanceBefore = await usdc.balanceOf(signer.address);
-
   if (doRefund) {
     // Refund
-    const totalStake = (Number(stake.amountYes) + Number(stake.amountNo)) / 1e6;
-    console.log(`\n   Expected refund: ${totalStake.toFixed(2)} USDC`);
+    const totalStake = stakedAmount(position);
+    console.log(`\n   Expected refund: ${formatUsdc(totalStake)} USDC`);
     console.log(`   Refunding...`);
-    const tx = await clawstake.refund(slug);
-    const receipt = await tx.wait();
-    console.log(`   Refunded! Tx: ${receipt.hash}`);
+    const result = await client.refund(slug);
+    console.log(`   Refunded! Tx: ${result.hash}`);
+    console.log(`   Received: ${formatUsdc(result.amount)} USDC`);
   } else {
     // Claim
-    const userWinning = info.outcomeYes ? Number(stake.amountYes) : Number(stake.amountNo);
-    if (userWinning === 0) {
+    const expectedPayout = computePayout(market, position);
+    if (expectedPayout === 0n) {
       console.log(`\n   You don't have a winning position in this market.`);
       process.exit(1);
     }
-
-    const winningPool = info.outcomeYes ? Number(info.totalYes) : Number(info.totalNo);
-    const totalPool = Number(info.totalYes) + Number(info.totalNo);
-    const expectedPayout = (userWinning * totalPool) / winningPool;
-    console.log(`\n   Expected payout: ${(expectedPayout / 1e6).toFixed(2)} USDC`);
+    console.log(`\n   Expected payout: ${formatUsdc(expectedPayout)} USDC`);
+    const fee = computeFee(market, position);
+    if (fee > 0n) console.log(`   Protocol fee:    ${formatUsdc(fee)} USDC (${market.feeBps / 100}% of winnings)`);
 
     console.log(`   Claiming...`);
-    const tx = await clawstake.claim(slug);
-    const receipt = await tx.wait();
-    console.log(`   Claimed! Tx: ${receipt.hash}`);
+    const result = await client.claim(slug);
+    console.log(`   Claimed! Tx: ${result.hash}`);
+    console.log(`   Received: ${formatUsdc(result.payout)} USDC`);
+  }
+}
+
+async function collectAll(client, account) {
+  console.log(`ClawStake - Collecting all winnings and refunds`);
+  console.log(`   Staker: ${account}`);
+
+  const positions = await client.getPositions(account);
+  const claimable = positions.filter((p) => p.claimable > 0n);
+  const refundable = positions.filter((p) => p.refundable > 0n);
+
+  if (claimable.length === 0 && refundable.length === 0) {
+    console.log(`\n   Nothing to claim or refund.`);
+    return;
   }
 
-  const balanceAfter = await usdc.balanceOf(signer.address);
-  const received = Number(balanceAfter - balanceBefore) / 1e6;
-  console.log(`   Received: ${received.toFixed(2)} USDC`);
+  for (const p of claimable) console.log(`   Claim:  ${p.slug} (${formatUsdc(p.claimable)} USDC)`);
+  for (const p of refundable) console.log(`   Refund: ${p.slug} (${formatUsdc(p.refundable)} USDC)`);
+
+  if (claimable.length > 0) {
+    console.log(`\n   Claiming ${claimable.length} market(s)...`);
+    const result = await client.batchClaim(claimable.map((p) => p.slug));
+    console.log(`   Claimed ${formatUsdc(result.payout)} USDC. Tx: ${result.hash}`);
+  }
+
+  if (refundable.length > 0) {
+    console.log(`\n   Refunding ${refundable.length} market(s)...`);
+    const result = await client.batchRefund(refundable.map((p) => p.slug));
+    console.log(`   Refunded ${formatUsdc(result.amount)} USDC. Tx: ${result.hash}`);
+  }
 }
 
 main()
@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 require('dotenv').config();
+const { ClawStakeClient, assignRoles, deployClawStake, rolesFromEnv } = require('../lib');
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const RPC_URL = process.env.SEPOLIA_RPC || 'https://ethereum-sepolia-rpc.publicnode.com';
@@ -10,42 +11,51 @@ const USDC_ADDRESS = process.env.USDC_ADDRESS || '0x1c7D4B196Cb0C7B01d743Fbc6116
 
 async function main() {
   if (!PRIVATE_KEY) { console.error('Missing PRIVATE_KEY in .env'); process.exit(1); }
-
-  const buildDir = path.join(__dirname, '..', 'build');
-  const abiFile = fs.readdirSync(buildDir).find(f => f.endsWith('_ClawStake.abi'));
-  const binFile = fs.readdirSync(buildDir).find(f => f.endsWith('_ClawStake.bin'));
-
-  const abi = JSON.parse(fs.readFileSync(path.join(buildDir, abiFile), 'utf8'));
-  const bytecode = '0x' + fs.readFileSync(path.join(buildDir, binFile), 'utf8').trim();
-
-  // Encode constructor args manually and append to bytecode
-  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-  const encodedArgs = abiCoder.encode(['address'], [USDC_ADDRESS]);
-  const deployData = bytecode + encodedArgs.slice(2); // remove 0x from args
+  const roleAssignments = rolesFromEnv();
 
   const provider = new ethers.JsonRpcProvider(RPC_URL);
   const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
   const balance = await provider.getBalance(wallet.address);
 
+  // ClawStake and its modules, from the solc output in build/
+  const buildDir = path.join(__dirname, '..', 'build');
+  const files = fs.readdirSync(buildDir);
+  const getFactory = async (name) => {
+    const abiFile = files.find(f => f.endsWith(`_${name}.abi`));
+    const binFile = files.find(f => f.endsWith(`_${name}.bin`));
+    const abi = JSON.parse(fs.readFileSync(path.join(buildDir, abiFile), 'utf8'));
+    const bytecode = '0x' + fs.readFileSync(path.join(buildDir, binFile), 'utf8').trim();
+    return new ethers.ContractFactory(abi, bytecode, wallet);
+  };
+
   console.log(`Deployer: ${wallet.address}`);
   console.log(`Balance: ${ethers.formatEther(balance)} ETH`);
-  console.log(`Deploying ClawStake (USDC: ${USDC_ADDRESS})...`);
-
-  const tx = await wallet.sendTransaction({ data: deployData });
-  console.log(`TX: ${tx.hash}`);
-  console.log('Waiting for confirmation...');
+  console.log(`Deploying ClawStake and its modules (USDC: ${USDC_ADDRESS})...`);
 
+  const deployed = await deployClawStake(getFactory, USDC_ADDRESS);
+  const address = await deployed.clawStake.getAddress();
+  const tx = deployed.clawStake.deploymentTransaction();
   const receipt = await tx.wait();
-  const address = receipt.contractAddress;
 
   console.log(`\nClawStake deployed!`);
   console.log(`Contract: ${address}`);
   console.log(`Explorer: https://sepolia.etherscan.io/address/${address}`);
 
+  const client = new ClawStakeClient({ address, runner: wallet, usdcAddress: USDC_ADDRESS });
+  const positions = await (await client.positions()).getAddress();
+  console.log(`Position tokens (ERC-1155): ${positions}`);
+  const commitReveal = await (await client.commitReveal()).getAddress();
+  console.log(`Commit–reveal module: ${commitReveal}`);
+  const intents = await (await client.intents()).getAddress();
+  console.log(`Intents module: ${intents}`);
+  const roleSteps = await assignRoles(client, roleAssignments, { deployer: wallet.address });
+  for (const step of roleSteps) console.log(`${step.action === 'grant' ? 'Granted' : 'Revoked'} ${step.role}: ${step.account}`);
+
   fs.writeFileSync(path.join(__dirname, '..', 'deployment.json'), JSON.stringify({
-    address, network: 'ethereum-sepolia',
+    address, positions, commitReveal, intents, network: 'ethereum-sepolia',
     usdc: USDC_ADDRESS, deployer: wallet.address,
-    txHash: tx.hash, deployedAt: new Date().toISOString()
+    roles: roleAssignments,
+    txHash: tx.hash, deployBlock: receipt.blockNumber, deployedAt: new Date().toISOString()
   }, null, 2));
   console.log('Saved deployment.json');
 }
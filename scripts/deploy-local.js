@@ -0,0 +1,36 @@
+const hre = require("hardhat");
+const { deployClawStake } = require("../lib");
+
+/**
+ * Deploy MockUSDC and ClawStake to a local Hardhat node and fund the first
+ * accounts, for trying the CLI and the relayer end to end:
+ *
+ *   npx hardhat node
+ *   npx hardhat run scripts/deploy-local.js --network localhost
+ */
+async function main() {
+  if (hre.network.name !== "localhost" && hre.network.name !== "hardhat") {
+    throw new Error(`deploy-local deploys a mock USDC; refusing to run on ${hre.network.name}`);
+  }
+
+  const signers = await hre.ethers.getSigners();
+  const usdc = await (await hre.ethers.getContractFactory("MockUSDC")).deploy();
+  await usdc.waitForDeployment();
+  const { clawStake } = await deployClawStake((name) => hre.ethers.getContractFactory(name), await usdc.getAddress());
+
+  const amount = hre.ethers.parseUnits("1000", 6);
+  for (const signer of signers.slice(0, 5)) await usdc.mint(signer.address, amount);
+
+  const address = await clawStake.getAddress();
+  console.log(`ClawStake: ${address}`);
+  console.log(`MockUSDC:  ${await usdc.getAddress()}`);
+  console.log(`Funded the first 5 accounts with 1000 USDC each; account #0 holds every role.`);
+  console.log(`\nexport CLAWSTAKE_ADDRESS=${address} USDC_ADDRESS=${await usdc.getAddress()}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Error:", error.message);
+    process.exit(1);
+  });
@@ -1,7 +1,10 @@
 const hre = require("hardhat");
+require("dotenv").config();
+const { ClawStakeClient, assignRoles, deployClawStake, rolesFromEnv } = require("../lib");
 
 async function main() {
   const USDC_ADDRESS = process.env.USDC_ADDRESS || "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
+  const roleAssignments = rolesFromEnv();
 
   console.log("🦀 Deploying ClawStake...");
   console.log(`   Network: ${hre.network.name}`);
@@ -13,18 +16,46 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log(`   Balance: ${hre.ethers.formatEther(balance)} ETH`);
 
-  const ClawStake = await hre.ethers.getContractFactory("ClawStake");
-  const clawStake = await ClawStake.deploy(USDC_ADDRESS);
-  await clawStake.waitForDeployment();
+  const { clawStake, positions, commitReveal, intents } = await deployClawStake(
+    (name) => hre.ethers.getContractFactory(name),
+    USDC_ADDRESS
+  );
 
   const address = await clawStake.getAddress();
+  const modules = [positions, commitReveal, intents];
+  const [positionsAddress, commitRevealAddress, intentsAddress] = await Promise.all(modules.map((c) => c.getAddress()));
   console.log(`\n✅ ClawStake deployed to: ${address}`);
+  console.log(`   Deploy block: ${(await clawStake.deploymentTransaction().wait()).blockNumber}   (clawstake index --from-block)`);
+  console.log(`   Position tokens (ERC-1155): ${positionsAddress}`);
+  console.log(`   Commit–reveal module: ${commitRevealAddress}`);
+  console.log(`   Intents module: ${intentsAddress}`);
+
+  if (process.env.DISPUTE_WINDOW || process.env.DISPUTE_BOND) {
+    const client = new ClawStakeClient({ address, runner: deployer, usdcAddress: USDC_ADDRESS });
+    const window = Number(process.env.DISPUTE_WINDOW || 0);
+    await client.setDisputeParams({ window, bond: process.env.DISPUTE_BOND || "0" });
+    console.log(`   Dispute window: ${window}s, bond: ${process.env.DISPUTE_BOND || "0"} USDC`);
+  }
+
+  // Deployer starts with every role; hand operational ones to dedicated keys
+  if (roleAssignments.length > 0) {
+    console.log(`\n   Assigning roles...`);
+    const client = new ClawStakeClient({ address, runner: deployer, usdcAddress: USDC_ADDRESS });
+    for (const step of await assignRoles(client, roleAssignments, { deployer: deployer.address })) {
+      console.log(`   ${step.action === "grant" ? "Granted" : "Revoked"} ${step.role} ${step.action === "grant" ? "to" : "from"} ${step.account}`);
+    }
+  } else {
+    console.log(`\n   All roles held by the deployer. Set RESOLVER_ADDRESS, MARKET_ADMIN_ADDRESS, TREASURY_ADDRESS or PAUSER_ADDRESS to split them.`);
+  }
   console.log(`\nNext steps:`);
   console.log(`  1. Update .env with CLAWSTAKE_ADDRESS=${address}`);
   console.log(`  2. Approve USDC spending: usdc.approve("${address}", amount)`);
   console.log(`  3. Start staking: npm run stake`);
   console.log(`\nVerify on Etherscan:`);
-  console.log(`  npx hardhat verify --network sepolia ${address} ${USDC_ADDRESS}`);
+  console.log(`  npx hardhat verify --network sepolia ${positionsAddress} ${address}`);
+  console.log(`  npx hardhat verify --network sepolia ${commitRevealAddress} ${address} ${USDC_ADDRESS}`);
+  console.log(`  npx hardhat verify --network sepolia ${intentsAddress} ${address}`);
+  console.log(`  npx hardhat verify --network sepolia ${address} ${USDC_ADDRESS} ${positionsAddress} ${commitRevealAddress} ${intentsAddress}`);
 }
 
 main()
@@ -2,97 +2,74 @@
 
 /**
  * Fetch Clawdict markets and display staking opportunities.
- * Usage: node scripts/markets.js [--token <CLAWDICT_TOKEN>]
+ * Usage: node scripts/markets.js [--token <CLAWDICT_TOKEN>] [--limit <n>]
+ *
+ * Point CLAWDICT_API at `npm run mock:clawdict` to try it offline.
  */
 
 require("dotenv").config();
-
-const API_BASE = "https://www.clawdict.com/api";
-
-async function fetchMarkets(token) {
-  const headers = {};
-  if (token) headers["X-Agent-Token"] = token;
-
-  const res = await fetch(`${API_BASE}/markets/top`, { headers });
-  if (!res.ok) throw new Error(`API error: ${res.status} ${res.statusText}`);
-  return res.json();
-}
-
-async function fetchLeaderboard() {
-  const res = await fetch(`${API_BASE}/leaderboard`);
-  if (!res.ok) return null;
-  return res.json();
-}
+const { ClawdictClient } = require("../lib/clawdict");
 
 function displayMarket(market, index) {
-  const slug = market.slug || market.id || "unknown";
-  const title = market.title || market.question || slug;
-  const pYes = market.probability ?? market.pYes ?? market.p_yes ?? null;
-  const volume = market.volume ?? market.totalVolume ?? null;
-  const closeDate = market.closeDate || market.close_date || market.endDate || null;
+  const { slug, title, pYes, volume, closeDate } = market;
 
   console.log(`\n  ${index + 1}. ${title}`);
   console.log(`     Slug: ${slug}`);
   if (pYes !== null) console.log(`     Current pYes: ${(pYes * 100).toFixed(1)}%`);
   if (volume !== null) console.log(`     Volume: ${volume}`);
   if (closeDate) console.log(`     Closes: ${closeDate}`);
-  console.log(`     Stake: npx hardhat run scripts/stake.js --network baseSepolia -- --slug "${slug}" --side yes --amount 5`);
+  console.log(`     Size a stake: clawstake strategy --belief "${slug}:<your probability>"`);
 }
 
 async function main() {
   const args = process.argv.slice(2);
   let token = process.env.CLAWDICT_TOKEN;
+  let limit = 20;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--token" && args[i + 1]) token = args[++i];
+    else if (args[i] === "--limit" && args[i + 1]) limit = Number(args[++i]);
   }
 
+  const clawdict = new ClawdictClient({ token });
   console.log("🦀 ClawStake — Clawdict Market Explorer\n");
-  console.log("Fetching markets from Clawdict API...");
+  console.log(`Fetching markets from ${clawdict.baseUrl}...`);
 
   try {
-    const data = await fetchMarkets(token);
-    const markets = Array.isArray(data) ? data : data.markets || data.data || [];
+    const markets = (await clawdict.listMarkets({ limit })).filter((m) => m.status === "open");
 
     if (markets.length === 0) {
-      console.log("\n  No markets found. The API may require an X-Agent-Token.");
-      console.log("  Set CLAWDICT_TOKEN in .env or pass --token <token>");
-      return;
-    }
-
-    console.log(`\n📊 Top ${markets.length} Markets:\n`);
-    console.log("─".repeat(60));
+      console.log("\n  No open markets found.");
+    } else {
+      console.log(`\n📊 Top ${markets.length} Markets:\n`);
+      console.log("─".repeat(60));
 
-    markets.forEach((market, i) => displayMarket(market, i));
+      markets.forEach((market, i) => displayMarket(market, i));
 
-    console.log("\n" + "─".repeat(60));
-    console.log("\n💡 Staking Tips:");
-    console.log("  • Research each market before staking");
-    console.log("  • Stake on markets where you have high confidence");
-    console.log("  • Diversify across multiple markets");
-    console.log("  • This is TESTNET — experiment freely!\n");
+      console.log("\n" + "─".repeat(60));
+      console.log("\n💡 Staking Tips:");
+      console.log("  • Research each market before staking");
+      console.log("  • Stake on markets where you have high confidence");
+      console.log("  • Diversify across multiple markets");
+      console.log("  • This is TESTNET — experiment freely!\n");
+    }
   } catch (err) {
     console.error(`\n❌ Failed to fetch markets: ${err.message}`);
-    console.log("\nMake sure you have a valid CLAWDICT_TOKEN set in .env");
+    if (err.status === 401 || err.status === 403) {
+      console.error("\nThe API rejected the X-Agent-Token: set CLAWDICT_TOKEN in .env or pass --token <token>");
+    }
+    process.exitCode = 1;
   }
 
-  // Also show leaderboard
+  console.log("\n🏆 Clawdict Leaderboard (top forecasters):\n");
   try {
-    console.log("\n🏆 Clawdict Leaderboard (top forecasters):\n");
-    const lb = await fetchLeaderboard();
-    const entries = Array.isArray(lb) ? lb : lb?.leaderboard || lb?.data || [];
-
-    if (entries.length > 0) {
-      entries.slice(0, 10).forEach((entry, i) => {
-        const name = entry.name || entry.username || entry.agent || "?";
-        const score = entry.score ?? entry.brierScore ?? entry.accuracy ?? "?";
-        console.log(`  ${i + 1}. ${name} — Score: ${score}`);
-      });
-    } else {
-      console.log("  No leaderboard data available.");
-    }
-  } catch {
-    console.log("  Could not fetch leaderboard.");
+    const entries = await clawdict.leaderboard();
+    if (entries.length === 0) console.log("  No leaderboard data available.");
+    entries.slice(0, 10).forEach(({ name, score }, i) => {
+      console.log(`  ${i + 1}. ${name} — Score: ${score ?? "?"}`);
+    });
+  } catch (err) {
+    console.log(`  Could not fetch leaderboard: ${err.message}`);
   }
 }
 
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Serve a local mock of the Clawdict API from a fixtures file, so the CLI
+ * and scripts can run offline (e.g. against `--network localhost`).
+ * Usage: node scripts/mock-clawdict.js [--port 8787] [--fixtures <file>] [--token <required-token>]
+ *
+ * The fixtures file holds `{ "markets": { <slug>: {...} }, "leaderboard": [...] }`;
+ * see scripts/fixtures/clawdict.json.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { startMockClawdict } = require("../lib/clawdictMock");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "fixtures", "clawdict.json");
+
+async function main() {
+  const args = process.argv.slice(2);
+  let port = 8787;
+  let file = DEFAULT_FIXTURES;
+  let token;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--port" && args[i + 1]) port = Number(args[++i]);
+    else if (args[i] === "--fixtures" && args[i + 1]) file = args[++i];
+    else if (args[i] === "--token" && args[i + 1]) token = args[++i];
+  }
+
+  const { markets = {}, leaderboard } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const mock = await startMockClawdict(markets, { leaderboard, token, port });
+
+  console.log(`Mock Clawdict API serving ${Object.keys(markets).length} market(s) from ${file}`);
+  console.log(`  export CLAWDICT_API=${mock.baseUrl}`);
+  console.log("Press Ctrl+C to stop.");
+}
+
+main().catch((err) => {
+  console.error(`Failed to start the mock: ${err.message}`);
+  process.exit(1);
+});
@@ -1,10 +1,6 @@
 const hre = require("hardhat");
 require("dotenv").config();
-
-const CLAWSTAKE_ABI = [
-  "function resolve(string calldata marketSlug, bool outcomeYes) external",
-  "function getMarketInfo(string calldata marketSlug) external view returns (uint256 totalYes, uint256 totalNo, bool resolved, bool outcomeYes, uint256 deadline, bool cancelled)",
-];
+const { ClawStakeClient, formatUsdc, parseSide, sideName } = require("../lib");
 
 async function main() {
   const args = process.argv.slice(2);
@@ -12,7 +8,7 @@ async function main() {
   let slug, outcome;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--slug" && args[i + 1]) slug = args[++i];
-    if (args[i] === "--outcome" && args[i + 1]) outcome = args[++i].toLowerCase();
+    if (args[i] === "--outcome" && args[i + 1]) outcome = args[++i];
   }
 
   if (!slug || !outcome) {
@@ -22,7 +18,7 @@ async function main() {
     process.exit(1);
   }
 
-  const outcomeYes = outcome === "yes";
+  const outcomeYes = parseSide(outcome);
   const clawstakeAddr = process.env.CLAWSTAKE_ADDRESS;
 
   if (!clawstakeAddr) {
@@ -31,47 +27,92 @@ async function main() {
   }
 
   const [signer] = await hre.ethers.getSigners();
-  const clawstake = new hre.ethers.Contract(clawstakeAddr, CLAWSTAKE_ABI, signer);
+  const client = new ClawStakeClient({ address: clawstakeAddr, runner: signer });
+
+  if (!(await client.hasRole("RESOLVER"))) {
+    console.error(`${signer.address} does not have RESOLVER_ROLE. Grant it with: clawstake roles --account ${signer.address} --grant resolver`);
+    process.exit(1);
+  }
 
   // Show current state
-  const info = await clawstake.getMarketInfo(slug);
+  const market = await client.getMarket(slug);
   console.log(`ClawStake - Resolving market`);
   console.log(`   Market: ${slug}`);
-  console.log(`   YES pool: ${Number(info.totalYes) / 1e6} USDC`);
-  console.log(`   NO pool:  ${Number(info.totalNo) / 1e6} USDC`);
-  console.log(`   Outcome: ${outcomeYes ? "YES" : "NO"}`);
+  console.log(`   YES pool: ${formatUsdc(market.totalYes)} USDC`);
+  console.log(`   NO pool:  ${formatUsdc(market.totalNo)} USDC`);
+  console.log(`   Outcome: ${sideName(outcomeYes)}`);
 
-  if (info.resolved) {
+  if (market.resolved) {
     console.log(`\n   Market already resolved!`);
     process.exit(1);
   }
 
-  if (info.cancelled) {
+  if (market.cancelled) {
     console.log(`\n   Market is cancelled!`);
     process.exit(1);
   }
 
   // Check if winning pool is empty
-  const winningPool = outcomeYes ? Number(info.totalYes) : Number(info.totalNo);
-  if (winningPool === 0) {
+  const winningPool = outcomeYes ? market.totalYes : market.totalNo;
+  if (winningPool === 0n) {
     console.log(`\n   Warning: No one staked on the winning side. Market will be auto-cancelled for refunds.`);
   }
 
+  const { quorum, cancelOnConflict } = await client.quorumParams();
+  if (quorum > 0) {
+    await vote(client, slug, outcomeYes, { quorum, cancelOnConflict, signer: signer.address });
+    return;
+  }
+
   // Resolve
   console.log(`\n   Resolving...`);
-  const tx = await clawstake.resolve(slug, outcomeYes);
-  const receipt = await tx.wait();
-  console.log(`   Resolved! Tx: ${receipt.hash}`);
+  const result = await client.resolve(slug, outcomeYes);
+  console.log(`   Resolved! Tx: ${result.hash}`);
 
-  const totalPool = Number(info.totalYes) + Number(info.totalNo);
-  if (winningPool > 0) {
-    const multiplier = totalPool / winningPool;
+  if (!result.autoCancelled) {
+    const multiplier = Number(market.totalPool) / Number(winningPool);
     console.log(`\n   Winners get ${multiplier.toFixed(2)}x their stake`);
+
+    const { finalizesAt } = await client.getDispute(slug);
+    if (finalizesAt > (await client.now())) {
+      console.log(`   Claims open ${new Date(finalizesAt * 1000).toISOString()} unless disputed.`);
+      console.log(`   Wrong outcome? Fix it before then: clawstake resolve --slug "${slug}" --outcome <yes|no> --correct`);
+    }
   } else {
     console.log(`\n   Market auto-cancelled. Stakers can refund via: npm run claim -- --slug "${slug}" --refund`);
   }
 }
 
+// Quorum mode: submit this resolver's vote and show the tally before and after
+async function vote(client, slug, outcomeYes, { quorum, cancelOnConflict, signer }) {
+  const printTally = (t) =>
+    console.log(`   Votes: ${t.yes} YES / ${t.no} NO (quorum ${quorum}${t.escalated ? ", escalated" : ""})`);
+
+  console.log(`\n   Quorum mode: ${quorum} matching votes resolve the market; conflicts ${cancelOnConflict ? "cancel it" : "escalate to the admin"}`);
+  const before = await client.getTally(slug);
+  printTally(before);
+
+  const existing = await client.getVote(slug, signer);
+  if (existing) {
+    console.log(`\n   ${signer} already voted ${existing.toUpperCase()}`);
+    process.exit(1);
+  }
+  if (before.escalated) {
+    console.log(`\n   Voting is closed; the admin settles it with: clawstake resolve --slug "${slug}" --outcome <yes|no> --escalated`);
+    process.exit(1);
+  }
+
+  console.log(`\n   Voting ${sideName(outcomeYes)}...`);
+  const result = await client.voteOutcome(slug, outcomeYes);
+  console.log(`   Voted! Tx: ${result.hash}`);
+  printTally(await client.getTally(slug));
+
+  if (result.resolved) console.log(`\n   Quorum reached: market resolved as ${sideName(outcomeYes)}`);
+  else if (result.cancelled) console.log(`\n   Resolvers disagree: market cancelled for refunds`);
+  else if (result.escalated) console.log(`\n   Resolvers disagree: escalated to the admin`);
+  else console.log(`\n   Waiting for more resolver votes`);
+}
+
 main()
   .then(() => process.exit(0))
   .catch((error) => {
@@ -1,41 +1,33 @@
 const hre = require("hardhat");
 require("dotenv").config();
-
-const CLAWSTAKE_ABI = [
-  "function stake(string calldata marketSlug, bool isYes, uint256 amount) external",
-  "function batchStake(string[] calldata slugs, bool[] calldata sides, uint256[] calldata amounts) external",
-  "function getMarketInfo(string calldata marketSlug) external view returns (uint256 totalYes, uint256 totalNo, bool resolved, bool outcomeYes, uint256 deadline, bool cancelled)",
-  "function getStake(string calldata marketSlug, address staker) external view returns (uint256 amountYes, uint256 amountNo, bool claimed)",
-];
-
-const USDC_ABI = [
-  "function approve(address spender, uint256 amount) external returns (bool)",
-  "function allowance(address owner, address spender) external view returns (uint256)",
-  "function balanceOf(address account) external view returns (uint256)",
-];
+const { ClawStakeClient, formatUsdc, parseSide, parseUsdc, sideName } = require("../lib");
 
 async function main() {
   const args = process.argv.slice(2);
 
-  // Parse args: --slug <slug> --side <yes|no> --amount <usdc>
+  // Parse args: --slug <slug> --side <yes|no> --amount <usdc> [--permit | --infinite-approval]
   let slug, side, amount;
+  let permit = false;
+  let infinite = false;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === "--slug" && args[i + 1]) slug = args[++i];
-    if (args[i] === "--side" && args[i + 1]) side = args[++i].toLowerCase();
+    if (args[i] === "--side" && args[i + 1]) side = args[++i];
     if (args[i] === "--amount" && args[i + 1]) amount = args[++i];
+    if (args[i] === "--permit") permit = true;
+    if (args[i] === "--infinite-approval") infinite = true;
   }
 
   if (!slug || !side || !amount) {
-    console.log("Usage: npx hardhat run scripts/stake.js --network sepolia -- --slug <market-slug> --side <yes|no> --amount <usdc>");
+    console.log("Usage: npx hardhat run scripts/stake.js --network sepolia -- --slug <market-slug> --side <yes|no> --amount <usdc> [--permit | --infinite-approval]");
+    console.log("\n  Approves exactly <amount> by default. --permit signs an EIP-2612 permit instead (one tx, no approval);");
+    console.log("  --infinite-approval approves unlimited USDC so later stakes skip the approval.");
     console.log("\nExample:");
     console.log('  npx hardhat run scripts/stake.js --network sepolia -- --slug "will-btc-hit-100k" --side yes --amount 5');
     process.exit(1);
   }
 
-  const isYes = side === "yes";
-  // Use ethers.parseUnits for precise decimal handling (avoids floating-point errors)
-  const amountWei = hre.ethers.parseUnits(amount, 6);
-  const amountUsdc = Number(amountWei) / 1e6;
+  const isYes = parseSide(side);
+  const amountWei = parseUsdc(amount);
 
   const clawstakeAddr = process.env.CLAWSTAKE_ADDRESS;
   const usdcAddr = process.env.USDC_ADDRESS || "0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238";
@@ -49,44 +41,39 @@ async function main() {
   console.log(`ClawStake - Staking on market`);
   console.log(`   Staker: ${signer.address}`);
   console.log(`   Market: ${slug}`);
-  console.log(`   Side: ${isYes ? "YES" : "NO"}`);
-  console.log(`   Amount: ${amountUsdc} USDC`);
+  console.log(`   Side: ${sideName(isYes)}`);
+  console.log(`   Amount: ${formatUsdc(amountWei)} USDC`);
 
-  const usdc = new hre.ethers.Contract(usdcAddr, USDC_ABI, signer);
-  const clawstake = new hre.ethers.Contract(clawstakeAddr, CLAWSTAKE_ABI, signer);
+  const client = new ClawStakeClient({ address: clawstakeAddr, runner: signer, usdcAddress: usdcAddr });
 
   // Check USDC balance
-  const balance = await usdc.balanceOf(signer.address);
-  console.log(`   USDC Balance: ${Number(balance) / 1e6} USDC`);
+  const balance = await client.balanceOf();
+  console.log(`   USDC Balance: ${formatUsdc(balance)} USDC`);
 
   if (balance < amountWei) {
-    console.error(`Insufficient USDC balance. Need ${amountUsdc}, have ${Number(balance) / 1e6}`);
+    console.error(`Insufficient USDC balance. Need ${formatUsdc(amountWei)}, have ${formatUsdc(balance)}`);
     process.exit(1);
   }
 
-  // Check and set allowance
-  const allowance = await usdc.allowance(signer.address, clawstakeAddr);
-  if (allowance < amountWei) {
-    console.log(`\n   Approving USDC spend...`);
-    const approveTx = await usdc.approve(clawstakeAddr, hre.ethers.MaxUint256);
-    await approveTx.wait();
-    console.log(`   Approved`);
+  // Approve exactly this stake unless told otherwise; a permit needs no approval tx
+  if (!permit) {
+    const approval = await client.ensureAllowance(amountWei, { infinite });
+    if (approval) console.log(`\n   Approved ${infinite ? "unlimited" : formatUsdc(amountWei)} USDC spend. Tx: ${approval.hash}`);
   }
 
   // Stake
-  console.log(`\n   Staking...`);
-  const tx = await clawstake.stake(slug, isYes, amountWei);
-  const receipt = await tx.wait();
-  console.log(`   Staked! Tx: ${receipt.hash}`);
+  console.log(`\n   Staking${permit ? " with permit" : ""}...`);
+  const result = await client.stake(slug, isYes, amountWei, { approve: false, permit });
+  console.log(`   Staked! Tx: ${result.hash}`);
 
   // Show market state
-  const info = await clawstake.getMarketInfo(slug);
+  const market = await client.getMarket(slug);
   console.log(`\n   Market State:`);
-  console.log(`   YES pool: ${Number(info.totalYes) / 1e6} USDC`);
-  console.log(`   NO pool:  ${Number(info.totalNo) / 1e6} USDC`);
-  console.log(`   Total:    ${(Number(info.totalYes) + Number(info.totalNo)) / 1e6} USDC`);
-  if (info.deadline > 0n) {
-    console.log(`   Deadline: ${new Date(Number(info.deadline) * 1000).toISOString()}`);
+  console.log(`   YES pool: ${formatUsdc(market.totalYes)} USDC`);
+  console.log(`   NO pool:  ${formatUsdc(market.totalNo)} USDC`);
+  console.log(`   Total:    ${formatUsdc(market.totalPool)} USDC`);
+  if (market.deadline > 0) {
+    console.log(`   Deadline: ${new Date(market.deadline * 1000).toISOString()}`);
   }
 }
 
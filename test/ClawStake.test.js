@@ -1,6 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployClawStake } = require("./helpers/deploy");
 
 describe("ClawStake", function () {
   let clawStake, usdc, owner, alice, bob;
@@ -14,8 +15,7 @@ describe("ClawStake", function () {
     const MockUSDC = await ethers.getContractFactory("MockUSDC");
     usdc = await MockUSDC.deploy();
 
-    const ClawStake = await ethers.getContractFactory("ClawStake");
-    clawStake = await ClawStake.deploy(await usdc.getAddress());
+    clawStake = await deployClawStake(await usdc.getAddress());
 
     await usdc.mint(alice.address, USDC_AMOUNT);
     await usdc.mint(bob.address, USDC_AMOUNT);
@@ -32,8 +32,11 @@ describe("ClawStake", function () {
       expect(await clawStake.usdc()).to.equal(await usdc.getAddress());
     });
 
-    it("should set the deployer as owner", async function () {
-      expect(await clawStake.owner()).to.equal(owner.address);
+    it("should give the deployer every role", async function () {
+      for (const role of ["DEFAULT_ADMIN_ROLE", "RESOLVER_ROLE", "MARKET_ADMIN_ROLE", "TREASURY_ROLE", "PAUSER_ROLE"]) {
+        expect(await clawStake.hasRole(await clawStake[role](), owner.address)).to.be.true;
+      }
+      expect(await clawStake.hasRole(await clawStake.MARKET_CREATOR_ROLE(), owner.address)).to.be.false;
     });
 
     it("should start with zero markets", async function () {
@@ -44,6 +47,23 @@ describe("ClawStake", function () {
       expect(await clawStake.MIN_STAKE()).to.equal(MIN_STAKE);
       expect(await clawStake.REFUND_GRACE_PERIOD()).to.equal(30 * 24 * 60 * 60);
     });
+
+    it("should stay under the EIP-170 contract size limit", async function () {
+      for (const name of ["ClawStake", "ClawStakePositions", "ClawStakeCommitReveal", "ClawStakeIntents"]) {
+        const { deployedBytecode } = await artifacts.readArtifact(name);
+        expect((deployedBytecode.length - 2) / 2, name).to.be.at.most(24576);
+      }
+    });
+
+    it("should only accept modules deployed for it", async function () {
+      const usdcAddr = await usdc.getAddress();
+      const positions = await clawStake.positions();
+      const commitReveal = await clawStake.commitReveal();
+      const intents = await clawStake.intents();
+      const ClawStake = await ethers.getContractFactory("ClawStake");
+      await expect(ClawStake.deploy(usdcAddr, positions, commitReveal, intents))
+        .to.be.revertedWithCustomError(clawStake, "InvalidModule");
+    });
   });
 
   // ===== Staking =====
@@ -224,283 +244,2055 @@ describe("ClawStake", function () {
     });
   });
 
-  // ===== Resolution =====
+  // ===== Permit Staking =====
+
+  describe("Permit Staking", function () {
+    let carol;
 
-  describe("Resolution", function () {
     beforeEach(async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      [, , , carol] = await ethers.getSigners();
+      await usdc.mint(carol.address, USDC_AMOUNT);
     });
 
-    it("should resolve market correctly", async function () {
-      await expect(clawStake.resolve("test-market", true))
-        .to.emit(clawStake, "MarketResolved");
+    async function signPermit(signer, value, deadline) {
+      const domain = {
+        name: "USD Coin",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await usdc.getAddress(),
+      };
+      const types = {
+        Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" },
+        ],
+      };
+      const message = {
+        owner: signer.address,
+        spender: await clawStake.getAddress(),
+        value,
+        nonce: await usdc.nonces(signer.address),
+        deadline,
+      };
+      return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+    }
+
+    it("should stake without a prior approval", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(carol, STAKE_AMOUNT, deadline);
 
-      const info = await clawStake.getMarketInfo("test-market");
-      expect(info.resolved).to.be.true;
-      expect(info.outcomeYes).to.be.true;
-      expect(info.cancelled).to.be.false;
+      await expect(clawStake.connect(carol).stakeWithPermit("market-1", true, STAKE_AMOUNT, deadline, sig.v, sig.r, sig.s))
+        .to.emit(clawStake, "Staked")
+        .withArgs("market-1", carol.address, true, STAKE_AMOUNT);
+
+      expect(await usdc.balanceOf(carol.address)).to.equal(USDC_AMOUNT - STAKE_AMOUNT);
+      // The permit was for exactly the stake, so nothing is left approved
+      expect(await usdc.allowance(carol.address, await clawStake.getAddress())).to.equal(0);
     });
 
-    it("should reject non-owner resolution", async function () {
-      await expect(
-        clawStake.connect(alice).resolve("test-market", true)
-      ).to.be.revertedWithCustomError(clawStake, "OwnableUnauthorizedAccount");
+    it("should batch stake with one permit for the total", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(carol, STAKE_AMOUNT * 2n, deadline);
+
+      await clawStake.connect(carol).batchStakeWithPermit(
+        ["market-1", "market-2"],
+        [true, false],
+        [STAKE_AMOUNT, STAKE_AMOUNT],
+        deadline, sig.v, sig.r, sig.s
+      );
+
+      expect((await clawStake.getMarketInfo("market-1")).totalYes).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getMarketInfo("market-2")).totalNo).to.equal(STAKE_AMOUNT);
+      expect(await usdc.allowance(carol.address, await clawStake.getAddress())).to.equal(0);
     });
 
-    it("should reject double resolution", async function () {
-      await clawStake.resolve("test-market", true);
+    it("should still stake if the permit was front-run", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(carol, STAKE_AMOUNT, deadline);
+      // Someone submits the signed permit first; the allowance it set still covers the stake
+      await usdc.connect(bob).permit(carol.address, await clawStake.getAddress(), STAKE_AMOUNT, deadline, sig.v, sig.r, sig.s);
 
-      await expect(
-        clawStake.resolve("test-market", false)
-      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+      await expect(clawStake.connect(carol).stakeWithPermit("market-1", true, STAKE_AMOUNT, deadline, sig.v, sig.r, sig.s))
+        .to.emit(clawStake, "Staked");
     });
 
-    it("should reject resolution of non-existent market", async function () {
+    it("should reject an invalid permit without an allowance", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(carol, STAKE_AMOUNT, deadline);
+
+      // Signed for 10 USDC, used for 20
       await expect(
-        clawStake.resolve("not-real", true)
-      ).to.be.revertedWithCustomError(clawStake, "MarketDoesNotExist");
+        clawStake.connect(carol).stakeWithPermit("market-1", true, STAKE_AMOUNT * 2n, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(clawStake, "PermitFailed");
     });
 
-    it("should reject resolution of cancelled market", async function () {
-      await clawStake.cancelMarket("test-market");
+    it("should reject an expired permit", async function () {
+      const deadline = (await time.latest()) + 60;
+      const sig = await signPermit(carol, STAKE_AMOUNT, deadline);
+      await time.increase(120);
 
       await expect(
-        clawStake.resolve("test-market", true)
-      ).to.be.revertedWithCustomError(clawStake, "MarketIsCancelled");
+        clawStake.connect(carol).stakeWithPermit("market-1", true, STAKE_AMOUNT, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(clawStake, "PermitFailed");
     });
 
-    it("should auto-cancel when winning pool is zero", async function () {
-      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
-
-      await expect(clawStake.resolve("one-sided", false))
-        .to.emit(clawStake, "MarketResolved")
-        .to.emit(clawStake, "MarketCancelled");
+    it("should reject stakes below the minimum before using the permit", async function () {
+      const deadline = (await time.latest()) + 3600;
+      const sig = await signPermit(carol, 100n, deadline);
 
-      const info = await clawStake.getMarketInfo("one-sided");
-      expect(info.resolved).to.be.true;
-      expect(info.cancelled).to.be.true;
+      await expect(
+        clawStake.connect(carol).stakeWithPermit("market-1", true, 100, deadline, sig.v, sig.r, sig.s)
+      ).to.be.revertedWithCustomError(clawStake, "StakeTooSmall");
     });
   });
 
-  // ===== Claiming =====
+  // ===== Early Exit =====
 
-  describe("Claiming", function () {
-    beforeEach(async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
-      await clawStake.resolve("test-market", true);
+  describe("Early Exit", function () {
+    // The exit penalty is fixed when a market is created, so tests that set
+    // one open their market afterwards
+    async function openMarket(slug) {
+      await clawStake.connect(alice).stake(slug, true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake(slug, false, STAKE_AMOUNT);
+    }
+
+    it("should return the full amount with no exit penalty", async function () {
+      await openMarket("test-market");
+      const before = await usdc.balanceOf(alice.address);
+      await expect(clawStake.connect(alice).unstake("test-market", true, MIN_STAKE * 4n))
+        .to.emit(clawStake, "Unstaked")
+        .withArgs("test-market", alice.address, true, MIN_STAKE * 4n, 0);
+
+      expect(await usdc.balanceOf(alice.address) - before).to.equal(MIN_STAKE * 4n);
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.totalYes).to.equal(MIN_STAKE * 6n);
+      expect((await clawStake.getStake("test-market", alice.address)).amountYes).to.equal(MIN_STAKE * 6n);
+      expect(await clawStake.totalLiabilities()).to.equal(MIN_STAKE * 16n);
     });
 
-    it("should pay winner the full pool (1v1)", async function () {
-      const balanceBefore = await usdc.balanceOf(alice.address);
+    it("should keep the exit penalty in the pool for the winners", async function () {
+      await expect(clawStake.setExitPenaltyBps(1000))
+        .to.emit(clawStake, "ExitPenaltySet")
+        .withArgs(1000);
+      await openMarket("test-market");
+      await clawStake.connect(bob).stake("test-market", true, STAKE_AMOUNT);
+
+      // bob leaves NO entirely: 1 USDC penalty stays, NO pool empties
+      await expect(clawStake.connect(bob).unstake("test-market", false, STAKE_AMOUNT))
+        .to.emit(clawStake, "Unstaked")
+        .withArgs("test-market", bob.address, false, STAKE_AMOUNT, MIN_STAKE);
+      expect(await clawStake.penaltyPoolOf(ethers.id("test-market"))).to.equal(MIN_STAKE);
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.totalYes).to.equal(STAKE_AMOUNT * 2n);
+      expect(info.totalNo).to.equal(0);
 
+      await clawStake.resolve("test-market", true);
       await expect(clawStake.connect(alice).claim("test-market"))
-        .to.emit(clawStake, "Claimed");
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, ethers.parseUnits("10.5", 6));
+      await clawStake.connect(bob).claim("test-market");
+      const s = await clawStake.solvency();
+      expect(s.liabilities).to.equal(0);
+      expect(s.balance).to.equal(0);
+    });
 
-      const balanceAfter = await usdc.balanceOf(alice.address);
-      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT * 2n);
+    it("should share exit penalties pro rata on refund", async function () {
+      await clawStake.setExitPenaltyBps(2000);
+      await openMarket("test-market");
+      await clawStake.connect(bob).unstake("test-market", false, MIN_STAKE * 5n);
+      await clawStake.cancelMarket("test-market");
+
+      // 1 USDC penalty over the 15 USDC left: alice 10 + 2/3, bob 5 + 1/3
+      await expect(clawStake.connect(alice).refund("test-market"))
+        .to.emit(clawStake, "Refunded")
+        .withArgs("test-market", alice.address, 10_666_666n);
+      await expect(clawStake.connect(bob).refund("test-market"))
+        .to.emit(clawStake, "Refunded")
+        .withArgs("test-market", bob.address, 5_333_333n);
     });
 
-    it("should reject loser claim", async function () {
-      await expect(
-        clawStake.connect(bob).claim("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+    it("should send penalties to fees when the last stake leaves", async function () {
+      await clawStake.setExitPenaltyBps(1000);
+      await openMarket("test-market");
+      await clawStake.connect(alice).unstake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).unstake("test-market", false, STAKE_AMOUNT);
+
+      expect(await clawStake.penaltyPoolOf(ethers.id("test-market"))).to.equal(0);
+      expect(await clawStake.feesAccrued()).to.equal(MIN_STAKE * 2n);
+      expect(await clawStake.totalLiabilities()).to.equal(0);
     });
 
-    it("should reject double claim", async function () {
-      await clawStake.connect(alice).claim("test-market");
+    it("should keep the exit penalty a market was created with", async function () {
+      await clawStake.setExitPenaltyBps(1000);
+      await openMarket("test-market");
+      expect(await clawStake.exitPenaltyBpsOf(ethers.id("test-market"))).to.equal(1000);
+
+      await clawStake.setExitPenaltyBps(2000);
+      await openMarket("other-market");
+      expect(await clawStake.exitPenaltyBpsOf(ethers.id("test-market"))).to.equal(1000);
+      expect(await clawStake.exitPenaltyBpsOf(ethers.id("other-market"))).to.equal(2000);
+
+      await expect(clawStake.connect(alice).unstake("test-market", true, MIN_STAKE * 5n))
+        .to.emit(clawStake, "Unstaked")
+        .withArgs("test-market", alice.address, true, MIN_STAKE * 5n, MIN_STAKE / 2n);
+      await expect(clawStake.connect(alice).unstake("other-market", true, MIN_STAKE * 5n))
+        .to.emit(clawStake, "Unstaked")
+        .withArgs("other-market", alice.address, true, MIN_STAKE * 5n, MIN_STAKE);
+
+      // Lowering it later does not let existing stakers out cheaper either
+      await clawStake.setExitPenaltyBps(0);
+      await expect(clawStake.connect(bob).unstake("other-market", false, MIN_STAKE * 5n))
+        .to.emit(clawStake, "Unstaked")
+        .withArgs("other-market", bob.address, false, MIN_STAKE * 5n, MIN_STAKE);
+    });
 
+    it("should reject leaving less than the minimum stake", async function () {
+      await openMarket("test-market");
       await expect(
-        clawStake.connect(alice).claim("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "AlreadyClaimed");
+        clawStake.connect(alice).unstake("test-market", true, STAKE_AMOUNT - MIN_STAKE / 2n)
+      ).to.be.revertedWithCustomError(clawStake, "ResidualStakeTooSmall");
     });
 
-    it("should reject claim on unresolved market", async function () {
-      await clawStake.connect(alice).stake("unresolved", true, STAKE_AMOUNT);
-
+    it("should reject zero or more than the stake on that side", async function () {
+      await openMarket("test-market");
       await expect(
-        clawStake.connect(alice).claim("unresolved")
-      ).to.be.revertedWithCustomError(clawStake, "MarketNotResolved");
+        clawStake.connect(alice).unstake("test-market", true, 0)
+      ).to.be.revertedWithCustomError(clawStake, "InsufficientStake");
+      await expect(
+        clawStake.connect(alice).unstake("test-market", false, MIN_STAKE)
+      ).to.be.revertedWithCustomError(clawStake, "InsufficientStake");
+      await expect(
+        clawStake.connect(alice).unstake("test-market", true, STAKE_AMOUNT + 1n)
+      ).to.be.revertedWithCustomError(clawStake, "InsufficientStake");
     });
 
-    it("should reject claim on cancelled market", async function () {
-      // Market auto-cancelled due to no winning pool
-      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
-      await clawStake.resolve("one-sided", false);
+    it("should only allow exits while the market is open", async function () {
+      await openMarket("test-market");
+      const deadline = (await time.latest()) + 3600;
+      await clawStake.setDeadline("test-market", deadline);
+      await time.increaseTo(deadline + 1);
+      await expect(
+        clawStake.connect(alice).unstake("test-market", true, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "MarketExpired");
 
+      await clawStake.connect(alice).stake("other-market", true, STAKE_AMOUNT);
+      await clawStake.resolve("other-market", true);
       await expect(
-        clawStake.connect(alice).claim("one-sided")
-      ).to.be.revertedWithCustomError(clawStake, "MarketIsCancelled");
+        clawStake.connect(alice).unstake("other-market", true, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
     });
 
-    it("should distribute proportionally among multiple winners", async function () {
-      const stakeAlice = ethers.parseUnits("30", 6);
-      const stakeBob = ethers.parseUnits("10", 6);
+    it("should allow exits while staking is paused", async function () {
+      await openMarket("test-market");
+      await clawStake.pause();
+      await expect(clawStake.connect(alice).unstake("test-market", true, STAKE_AMOUNT))
+        .to.emit(clawStake, "Unstaked");
+    });
 
-      await clawStake.connect(alice).stake("proportional", true, stakeAlice);
-      await clawStake.connect(bob).stake("proportional", true, stakeBob);
+    it("should cap the exit penalty and restrict it to the admin", async function () {
+      await expect(clawStake.setExitPenaltyBps(2001))
+        .to.be.revertedWithCustomError(clawStake, "PenaltyTooHigh");
+      await expect(clawStake.connect(alice).setExitPenaltyBps(100))
+        .to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+  });
 
-      // Owner stakes on NO side
-      await usdc.mint(owner.address, ethers.parseUnits("40", 6));
-      await usdc.connect(owner).approve(await clawStake.getAddress(), ethers.MaxUint256);
-      await clawStake.connect(owner).stake("proportional", false, ethers.parseUnits("40", 6));
+  // ===== Position Tokens =====
 
-      // Total pool = 80 USDC, YES pool = 40
-      await clawStake.resolve("proportional", true);
+  describe("Position Tokens", function () {
+    let positions;
+    const yesId = (slug) => clawStake.positionId(slug, 1);
 
-      // Alice: 30/40 * 80 = 60 USDC
-      const aliceBefore = await usdc.balanceOf(alice.address);
-      await clawStake.connect(alice).claim("proportional");
-      const aliceAfter = await usdc.balanceOf(alice.address);
-      expect(aliceAfter - aliceBefore).to.equal(ethers.parseUnits("60", 6));
+    beforeEach(async function () {
+      positions = await ethers.getContractAt("ClawStakePositions", await clawStake.positions());
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+    });
 
-      // Bob: 10/40 * 80 = 20 USDC
-      const bobBefore = await usdc.balanceOf(bob.address);
-      await clawStake.connect(bob).claim("proportional");
-      const bobAfter = await usdc.balanceOf(bob.address);
-      expect(bobAfter - bobBefore).to.equal(ethers.parseUnits("20", 6));
+    it("should mint ERC-1155 tokens on stake", async function () {
+      const id = await yesId("test-market");
+      expect(id).to.equal(BigInt(ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "uint256"], [ethers.id("test-market"), 1])
+      )));
+      expect(await positions.balanceOf(alice.address, id)).to.equal(STAKE_AMOUNT);
+      expect(await positions.clawStake()).to.equal(await clawStake.getAddress());
     });
-  });
 
-  // ===== Refund =====
+    it("should let a contract wallet without receiver hooks stake and claim", async function () {
+      const wallet = await (await ethers.getContractFactory("MockWallet")).connect(alice).deploy();
+      const walletAddr = await wallet.getAddress();
+      const addr = await clawStake.getAddress();
+      await usdc.mint(walletAddr, STAKE_AMOUNT);
+      await wallet.connect(alice).execute(await usdc.getAddress(), usdc.interface.encodeFunctionData("approve", [addr, STAKE_AMOUNT]));
 
-  describe("Refund", function () {
-    it("should refund when market is cancelled by owner", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.cancelMarket("test-market");
+      await expect(wallet.connect(alice).execute(addr, clawStake.interface.encodeFunctionData("stake", ["test-market", true, STAKE_AMOUNT])))
+        .to.emit(clawStake, "Staked")
+        .withArgs("test-market", walletAddr, true, STAKE_AMOUNT);
+      expect(await positions.balanceOf(walletAddr, await yesId("test-market"))).to.equal(STAKE_AMOUNT);
 
-      const balanceBefore = await usdc.balanceOf(alice.address);
+      // Transfers to it still check for the hook
+      await expect(positions.connect(alice).safeTransferFrom(alice.address, walletAddr, await yesId("test-market"), MIN_STAKE, "0x"))
+        .to.be.revertedWithCustomError(positions, "ERC1155InvalidReceiver")
+        .withArgs(walletAddr);
 
-      await expect(clawStake.connect(alice).refund("test-market"))
-        .to.emit(clawStake, "Refunded");
+      // 20 YES against 10 NO: the wallet's half of the pool
+      await clawStake.resolve("test-market", true);
+      await wallet.connect(alice).execute(addr, clawStake.interface.encodeFunctionData("claim", ["test-market"]));
+      expect(await usdc.balanceOf(walletAddr)).to.equal(ethers.parseUnits("15", 6));
+    });
 
-      const balanceAfter = await usdc.balanceOf(alice.address);
-      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+    it("should let the current holder claim a transferred position", async function () {
+      await positions.connect(alice).safeTransferFrom(alice.address, owner.address, await yesId("test-market"), STAKE_AMOUNT, "0x");
+
+      const s = await clawStake.getStake("test-market", owner.address);
+      expect(s.amountYes).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getStake("test-market", alice.address)).amountYes).to.equal(0);
+
+      await clawStake.resolve("test-market", true);
+      await expect(
+        clawStake.connect(alice).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+      await expect(clawStake.claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", owner.address, STAKE_AMOUNT * 2n);
     });
 
-    it("should refund both YES and NO stakes", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.connect(alice).stake("test-market", false, STAKE_AMOUNT);
-      await clawStake.cancelMarket("test-market");
+    it("should burn winning tokens on claim and record the settlement", async function () {
+      await clawStake.connect(bob).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(bob).claim("test-market");
+
+      // bob's losing NO tokens stay; his YES tokens were paid 15 USDC
+      const s = await clawStake.getStake("test-market", bob.address);
+      expect(s.amountYes).to.equal(0);
+      expect(s.amountNo).to.equal(STAKE_AMOUNT);
+      expect(s.claimed).to.be.true;
+      const settled = await clawStake.settlements(ethers.id("test-market"), bob.address);
+      expect(settled.staked).to.equal(STAKE_AMOUNT);
+      expect(settled.paid).to.equal(ethers.parseUnits("15", 6));
+    });
 
-      const balanceBefore = await usdc.balanceOf(alice.address);
+    it("should burn every token on refund", async function () {
+      await clawStake.cancelMarket("test-market");
       await clawStake.connect(alice).refund("test-market");
-      const balanceAfter = await usdc.balanceOf(alice.address);
 
-      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT * 2n);
+      expect(await positions.balanceOf(alice.address, await yesId("test-market"))).to.equal(0);
+      await expect(
+        clawStake.connect(alice).refund("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
     });
 
-    it("should refund when no-winner auto-cancel", async function () {
-      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
-      await clawStake.resolve("one-sided", false); // No one bet NO
-
-      const balanceBefore = await usdc.balanceOf(alice.address);
-      await clawStake.connect(alice).refund("one-sided");
-      const balanceAfter = await usdc.balanceOf(alice.address);
+    it("should track categorical outcomes as separate tokens", async function () {
+      await clawStake.createCategoricalMarket("three-way", 3, 0, "");
+      await clawStake.connect(alice).stakeOutcome("three-way", 2, STAKE_AMOUNT);
+      const id = await clawStake.positionId("three-way", 2);
+      await positions.connect(alice).safeTransferFrom(alice.address, bob.address, id, MIN_STAKE * 4n, "0x");
 
-      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+      expect(await clawStake.getOutcomeStakes("three-way", bob.address)).to.deep.equal([0n, 0n, MIN_STAKE * 4n]);
+      const s = await clawStake.getStake("three-way", bob.address);
+      expect(s.amountYes).to.equal(0);
+      expect(s.amountNo).to.equal(0);
     });
 
-    it("should refund after deadline + grace period", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+    it("should only let ClawStake mint and burn", async function () {
+      const id = await yesId("test-market");
+      await expect(
+        positions.connect(alice).mint(alice.address, id, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(positions, "NotClawStake");
+      await expect(
+        positions.connect(bob).burn(alice.address, id, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(positions, "NotClawStake");
+    });
+  });
 
-      const deadline = (await time.latest()) + 3600;
-      await clawStake.setDeadline("test-market", deadline);
+  // ===== Signed Deadlines =====
 
-      // Move past deadline + grace period (30 days)
-      await time.increaseTo(deadline + 30 * 24 * 60 * 60 + 1);
+  describe("Signed Deadlines", function () {
+    let deadline;
 
-      const balanceBefore = await usdc.balanceOf(alice.address);
-      await clawStake.connect(alice).refund("test-market");
-      const balanceAfter = await usdc.balanceOf(alice.address);
+    async function signDeadline(signer, slug, ts) {
+      const digest = await clawStake.deadlineDigest(slug, ts);
+      return signer.signMessage(ethers.getBytes(digest));
+    }
 
-      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+    beforeEach(async function () {
+      deadline = (await time.latest()) + 86400;
     });
 
-    it("should auto-cancel market on first expired refund", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+    it("should create market with admin-signed deadline", async function () {
+      const sig = await signDeadline(owner, "test-market", deadline);
 
-      const deadline = (await time.latest()) + 3600;
-      await clawStake.setDeadline("test-market", deadline);
+      await expect(clawStake.connect(alice).stakeWithDeadline("test-market", true, STAKE_AMOUNT, deadline, sig))
+        .to.emit(clawStake, "MarketCreated")
+        .to.emit(clawStake, "DeadlineSet")
+        .withArgs("test-market", ethers.id("test-market"), deadline)
+        .to.emit(clawStake, "Staked");
 
-      await time.increaseTo(deadline + 30 * 24 * 60 * 60 + 1);
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.deadline).to.equal(deadline);
+      expect(info.totalYes).to.equal(STAKE_AMOUNT);
+    });
 
-      await expect(clawStake.connect(alice).refund("test-market"))
-        .to.emit(clawStake, "MarketCancelled");
+    it("should keep existing deadline when market exists", async function () {
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      const sig = await signDeadline(owner, "test-market", deadline);
+
+      await expect(clawStake.connect(alice).stakeWithDeadline("test-market", true, STAKE_AMOUNT, deadline, sig))
+        .to.emit(clawStake, "Staked")
+        .and.not.to.emit(clawStake, "DeadlineSet");
 
       const info = await clawStake.getMarketInfo("test-market");
-      expect(info.cancelled).to.be.true;
+      expect(info.deadline).to.equal(0);
     });
 
-    it("should reject refund for active market", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+    it("should reject signature from a non-admin", async function () {
+      const sig = await signDeadline(alice, "test-market", deadline);
 
       await expect(
-        clawStake.connect(alice).refund("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "RefundNotAvailable");
+        clawStake.connect(alice).stakeWithDeadline("test-market", true, STAKE_AMOUNT, deadline, sig)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidDeadlineSignature");
     });
 
-    it("should reject refund before grace period ends", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-
-      const deadline = (await time.latest()) + 3600;
-      await clawStake.setDeadline("test-market", deadline);
-
-      // Past deadline but within grace period
-      await time.increaseTo(deadline + 3600);
+    it("should reject signature for another slug or deadline", async function () {
+      const sig = await signDeadline(owner, "other-market", deadline);
 
       await expect(
-        clawStake.connect(alice).refund("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "RefundNotAvailable");
-    });
-
-    it("should reject double refund", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.cancelMarket("test-market");
-      await clawStake.connect(alice).refund("test-market");
+        clawStake.connect(alice).stakeWithDeadline("test-market", true, STAKE_AMOUNT, deadline, sig)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidDeadlineSignature");
 
       await expect(
-        clawStake.connect(alice).refund("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
+        clawStake.connect(alice).stakeWithDeadline("other-market", true, STAKE_AMOUNT, deadline + 1, sig)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidDeadlineSignature");
     });
 
-    it("should reject refund for non-staker", async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
-      await clawStake.cancelMarket("test-market");
+    it("should reject stake when signed deadline already passed", async function () {
+      const past = (await time.latest()) - 1;
+      const sig = await signDeadline(owner, "test-market", past);
 
       await expect(
-        clawStake.connect(bob).refund("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
+        clawStake.connect(alice).stakeWithDeadline("test-market", true, STAKE_AMOUNT, past, sig)
+      ).to.be.revertedWithCustomError(clawStake, "MarketExpired");
     });
   });
 
-  // ===== Admin =====
+  // ===== Signed Intents =====
+
+  describe("Signed Intents", function () {
+    const TYPES = {
+      StakeIntent: [
+        { name: "staker", type: "address" },
+        { name: "marketSlug", type: "string" },
+        { name: "isYes", type: "bool" },
+        { name: "amount", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+      ],
+      ClaimIntent: [
+        { name: "holder", type: "address" },
+        { name: "marketSlug", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+      ],
+    };
+    let intents, expiry;
+
+    async function sign(signer, primaryType, message) {
+      const domain = {
+        name: "ClawStake",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await intents.getAddress(),
+      };
+      return signer.signTypedData(domain, { [primaryType]: TYPES[primaryType] }, message);
+    }
+
+    async function signStake(signer, slug, isYes, amount, opts = {}) {
+      const nonce = opts.nonce ?? (await intents.nonces(signer.address));
+      const exp = opts.expiry ?? expiry;
+      const sig = await sign(signer, "StakeIntent", {
+        staker: signer.address, marketSlug: slug, isYes, amount, nonce, expiry: exp,
+      });
+      return [signer.address, slug, isYes, amount, nonce, exp, sig];
+    }
 
-  describe("Admin Functions", function () {
     beforeEach(async function () {
-      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      intents = await ethers.getContractAt("ClawStakeIntents", await clawStake.intents());
+      expiry = (await time.latest()) + 3600;
     });
 
-    it("should set deadline", async function () {
-      const deadline = (await time.latest()) + 86400;
-      await expect(clawStake.setDeadline("test-market", deadline))
-        .to.emit(clawStake, "DeadlineSet");
+    it("should stake for the signer when someone else submits", async function () {
+      const args = await signStake(alice, "test-market", true, STAKE_AMOUNT);
 
-      const info = await clawStake.getMarketInfo("test-market");
-      expect(info.deadline).to.equal(deadline);
+      await expect(intents.connect(bob).stakeBySig(...args))
+        .to.emit(clawStake, "Staked")
+        .withArgs("test-market", alice.address, true, STAKE_AMOUNT);
+
+      expect((await clawStake.getStake("test-market", alice.address)).amountYes).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getStake("test-market", bob.address)).amountYes).to.equal(0);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT - STAKE_AMOUNT);
+      expect(await usdc.balanceOf(bob.address)).to.equal(USDC_AMOUNT);
+      expect(await intents.nonces(alice.address)).to.equal(1);
     });
 
-    it("should remove deadline by setting to 0", async function () {
-      await clawStake.setDeadline("test-market", 1000);
-      await clawStake.setDeadline("test-market", 0);
+    it("should reject a replayed intent", async function () {
+      const args = await signStake(alice, "test-market", true, STAKE_AMOUNT);
+      await intents.connect(bob).stakeBySig(...args);
 
-      const info = await clawStake.getMarketInfo("test-market");
-      expect(info.deadline).to.equal(0);
+      await expect(intents.connect(bob).stakeBySig(...args))
+        .to.be.revertedWithCustomError(intents, "InvalidAccountNonce")
+        .withArgs(alice.address, 1);
     });
 
-    it("should cancel market", async function () {
-      await expect(clawStake.cancelMarket("test-market"))
+    it("should reject an expired intent", async function () {
+      const args = await signStake(alice, "test-market", true, STAKE_AMOUNT, { expiry: (await time.latest()) + 60 });
+      await time.increase(120);
+
+      await expect(intents.connect(bob).stakeBySig(...args))
+        .to.be.revertedWithCustomError(intents, "IntentExpired");
+    });
+
+    it("should reject an intent signed by someone else or altered", async function () {
+      const forged = await signStake(bob, "test-market", true, STAKE_AMOUNT);
+      forged[0] = alice.address;
+      await expect(intents.connect(bob).stakeBySig(...forged))
+        .to.be.revertedWithCustomError(intents, "InvalidIntentSignature");
+
+      const altered = await signStake(alice, "test-market", true, STAKE_AMOUNT);
+      altered[3] = STAKE_AMOUNT * 2n;
+      await expect(intents.connect(bob).stakeBySig(...altered))
+        .to.be.revertedWithCustomError(intents, "InvalidIntentSignature");
+    });
+
+    it("should not stake by signature while paused", async function () {
+      await clawStake.pause();
+      const args = await signStake(alice, "test-market", true, STAKE_AMOUNT);
+
+      await expect(intents.connect(bob).stakeBySig(...args))
+        .to.be.revertedWithCustomError(clawStake, "EnforcedPause");
+    });
+
+    it("should pay a signed claim to the holder", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+
+      const nonce = await intents.nonces(alice.address);
+      const sig = await sign(alice, "ClaimIntent", { holder: alice.address, marketSlug: "test-market", nonce, expiry });
+
+      await expect(intents.connect(bob).claimBySig(alice.address, "test-market", nonce, expiry, sig))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, STAKE_AMOUNT * 2n);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT + STAKE_AMOUNT);
+    });
+
+    it("should not accept a claim signature as a refund", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      const nonce = await intents.nonces(alice.address);
+      const sig = await sign(alice, "ClaimIntent", { holder: alice.address, marketSlug: "test-market", nonce, expiry });
+
+      await expect(intents.connect(bob).refundBySig(alice.address, "test-market", nonce, expiry, sig))
+        .to.be.revertedWithCustomError(intents, "InvalidIntentSignature");
+    });
+
+    it("should only let the modules stake, claim and refund for others", async function () {
+      await expect(clawStake.connect(bob).stakeFor(alice.address, "test-market", true, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(clawStake, "NotModule");
+      await expect(clawStake.connect(bob).claimFor(alice.address, "test-market"))
+        .to.be.revertedWithCustomError(clawStake, "NotModule");
+      await expect(clawStake.connect(bob).refundFor(alice.address, "test-market"))
+        .to.be.revertedWithCustomError(clawStake, "NotModule");
+    });
+
+    it("should batch intents from several signers with multicall", async function () {
+      const iface = intents.interface;
+      const calls = [
+        iface.encodeFunctionData("stakeBySig", await signStake(alice, "market-1", true, STAKE_AMOUNT)),
+        iface.encodeFunctionData("stakeBySig", await signStake(alice, "market-2", false, STAKE_AMOUNT, { nonce: 1 })),
+        iface.encodeFunctionData("stakeBySig", await signStake(bob, "market-1", false, STAKE_AMOUNT)),
+      ];
+
+      await intents.connect(owner).multicall(calls);
+
+      expect((await clawStake.getMarketInfo("market-1")).totalYes).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getMarketInfo("market-1")).totalNo).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getStake("market-2", alice.address)).amountNo).to.equal(STAKE_AMOUNT);
+      expect(await intents.nonces(alice.address)).to.equal(2);
+    });
+  });
+
+  // ===== Commit–Reveal =====
+
+  describe("Commit–Reveal", function () {
+    const YES_SALT = ethers.id("alice-salt");
+    const NO_SALT = ethers.id("bob-salt");
+    let commitReveal, commitDeadline, revealDeadline;
+
+    async function commitFor(signer, isYes, salt, amount = STAKE_AMOUNT) {
+      const hash = await commitReveal.commitHash(signer.address, "sealed", isYes, salt);
+      return commitReveal.connect(signer).commit("sealed", hash, amount);
+    }
+
+    beforeEach(async function () {
+      commitReveal = await ethers.getContractAt("ClawStakeCommitReveal", await clawStake.commitReveal());
+      const moduleAddr = await commitReveal.getAddress();
+      await usdc.connect(alice).approve(moduleAddr, ethers.MaxUint256);
+      await usdc.connect(bob).approve(moduleAddr, ethers.MaxUint256);
+
+      commitDeadline = (await time.latest()) + 3600;
+      revealDeadline = commitDeadline + 3600;
+      await clawStake.createMarket("sealed", 0, "");
+      await commitReveal.enable("sealed", commitDeadline, revealDeadline, 1000);
+    });
+
+    it("should be wired to ClawStake", async function () {
+      expect(await commitReveal.clawStake()).to.equal(await clawStake.getAddress());
+      expect(await commitReveal.usdc()).to.equal(await usdc.getAddress());
+      expect(await clawStake.sealedMarkets(ethers.id("sealed"))).to.be.true;
+    });
+
+    it("should only be enabled by a market admin on a fresh YES/NO market", async function () {
+      const start = (await time.latest()) + 100;
+      await clawStake.createMarket("other", 0, "");
+      await expect(commitReveal.connect(alice).enable("other", start, start + 100, 0))
+        .to.be.revertedWithCustomError(commitReveal, "NotMarketAdmin");
+      await expect(commitReveal.enable("sealed", start, start + 100, 0))
+        .to.be.revertedWithCustomError(commitReveal, "CommitRevealActive");
+      await expect(commitReveal.enable("missing", start, start + 100, 0))
+        .to.be.revertedWithCustomError(commitReveal, "MarketDoesNotExist");
+      await expect(commitReveal.enable("other", start, start, 0))
+        .to.be.revertedWithCustomError(commitReveal, "InvalidSchedule");
+      await expect(commitReveal.enable("other", start, start + 100, 5001))
+        .to.be.revertedWithCustomError(commitReveal, "CommitPenaltyTooHigh");
+
+      await clawStake.createMarket("short", start + 50, "");
+      await expect(commitReveal.enable("short", start, start + 100, 0))
+        .to.be.revertedWithCustomError(commitReveal, "InvalidSchedule");
+
+      await clawStake.connect(alice).stake("other", true, STAKE_AMOUNT);
+      await expect(commitReveal.enable("other", start, start + 100, 0))
+        .to.be.revertedWithCustomError(commitReveal, "MarketAlreadyStaked");
+    });
+
+    it("should reject open stakes on a sealed market", async function () {
+      await expect(clawStake.connect(alice).stake("sealed", true, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(clawStake, "MarketIsSealed");
+      await expect(clawStake.connect(alice).batchStake(["sealed"], [true], [STAKE_AMOUNT]))
+        .to.be.revertedWithCustomError(clawStake, "MarketIsSealed");
+    });
+
+    it("should only let the module seal markets and stake for others", async function () {
+      await expect(clawStake.sealMarket(ethers.id("other")))
+        .to.be.revertedWithCustomError(clawStake, "NotCommitReveal");
+      await expect(clawStake.stakeFor(alice.address, "sealed", true, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(clawStake, "NotModule");
+    });
+
+    it("should escrow commitments without publishing the side", async function () {
+      const tx = await commitFor(alice, true, YES_SALT);
+      const receipt = await tx.wait();
+      const parsed = receipt.logs
+        .map((log) => commitReveal.interface.parseLog(log))
+        .filter(Boolean);
+      expect(parsed.map((e) => e.name)).to.deep.equal(["StakeCommitted"]);
+      expect(parsed[0].args.toObject()).to.not.have.property("isYes");
+
+      expect(await usdc.balanceOf(await commitReveal.getAddress())).to.equal(STAKE_AMOUNT);
+      expect(await commitReveal.totalEscrowed()).to.equal(STAKE_AMOUNT);
+      const info = await clawStake.getMarketInfo("sealed");
+      expect(info.totalYes + info.totalNo).to.equal(0n);
+    });
+
+    it("should validate commitments", async function () {
+      await expect(commitFor(alice, true, YES_SALT, MIN_STAKE - 1n))
+        .to.be.revertedWithCustomError(commitReveal, "StakeTooSmall");
+      await expect(commitReveal.connect(alice).commit("sealed", ethers.ZeroHash, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(commitReveal, "EmptyCommitment");
+      await expect(commitReveal.connect(alice).commit("open", YES_SALT, STAKE_AMOUNT))
+        .to.be.revertedWithCustomError(commitReveal, "CommitRevealNotEnabled");
+
+      await commitFor(alice, true, YES_SALT);
+      await expect(commitFor(alice, false, NO_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "AlreadyCommitted");
+
+      await clawStake.pause();
+      await expect(commitFor(bob, false, NO_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "StakingPaused");
+      await clawStake.unpause();
+
+      await time.increaseTo(commitDeadline + 1);
+      await expect(commitFor(bob, false, NO_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "CommitClosed");
+    });
+
+    it("should accept reveals while staking is paused", async function () {
+      await commitFor(alice, true, YES_SALT);
+      await time.increaseTo(commitDeadline + 1);
+      await clawStake.pause();
+
+      await expect(commitReveal.reveal(alice.address, "sealed", true, YES_SALT))
+        .to.emit(clawStake, "Staked")
+        .withArgs("sealed", alice.address, true, STAKE_AMOUNT);
+      expect((await clawStake.getStake("sealed", alice.address)).amountYes).to.equal(STAKE_AMOUNT);
+
+      // Nothing left to refund, so no penalty for the pause
+      await time.increaseTo(revealDeadline + 1);
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.be.revertedWithCustomError(commitReveal, "NoCommitment");
+    });
+
+    it("should stake revealed commitments for the staker", async function () {
+      await commitFor(alice, true, YES_SALT);
+      await commitFor(bob, false, NO_SALT);
+
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", true, YES_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "RevealNotOpen");
+      await time.increaseTo(commitDeadline + 1);
+
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", false, YES_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "InvalidReveal");
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", true, YES_SALT))
+        .to.emit(commitReveal, "StakeRevealed")
+        .withArgs("sealed", alice.address, true, STAKE_AMOUNT)
+        .and.to.emit(clawStake, "Staked")
+        .withArgs("sealed", alice.address, true, STAKE_AMOUNT);
+
+      // Anyone holding the salt can reveal; the stake is still bob's
+      await commitReveal.connect(owner).reveal(bob.address, "sealed", false, NO_SALT);
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", true, YES_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "NoCommitment");
+
+      const info = await clawStake.getMarketInfo("sealed");
+      expect(info.totalYes).to.equal(STAKE_AMOUNT);
+      expect(info.totalNo).to.equal(STAKE_AMOUNT);
+      expect((await clawStake.getStake("sealed", bob.address)).amountNo).to.equal(STAKE_AMOUNT);
+      expect(await commitReveal.totalEscrowed()).to.equal(0n);
+      expect(await usdc.balanceOf(await commitReveal.getAddress())).to.equal(0n);
+
+      // Revealed stakes settle like any other
+      await time.increaseTo(revealDeadline + 1);
+      await clawStake.resolve("sealed", true);
+      expect(await clawStake.resolvedAt(ethers.id("sealed"))).to.equal(await time.latest());
+      await clawStake.connect(alice).claim("sealed");
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT + STAKE_AMOUNT);
+    });
+
+    it("should refund unrevealed commitments minus the penalty after the reveal deadline", async function () {
+      await commitFor(alice, true, YES_SALT);
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.be.revertedWithCustomError(commitReveal, "CommitmentLocked");
+
+      await time.increaseTo(revealDeadline + 1);
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", true, YES_SALT))
+        .to.be.revertedWithCustomError(commitReveal, "RevealNotOpen");
+
+      const penalty = STAKE_AMOUNT / 10n;
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.emit(commitReveal, "CommitmentRefunded")
+        .withArgs("sealed", alice.address, STAKE_AMOUNT - penalty, penalty);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT - penalty);
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.be.revertedWithCustomError(commitReveal, "NoCommitment");
+
+      await expect(commitReveal.connect(alice).withdrawPenalties(alice.address, penalty))
+        .to.be.revertedWithCustomError(commitReveal, "NotTreasury");
+      await expect(commitReveal.withdrawPenalties(owner.address, penalty + 1n))
+        .to.be.revertedWithCustomError(commitReveal, "InsufficientPenalties");
+      await expect(commitReveal.withdrawPenalties(owner.address, penalty))
+        .to.emit(commitReveal, "PenaltiesWithdrawn")
+        .withArgs(owner.address, penalty);
+      expect(await usdc.balanceOf(owner.address)).to.equal(penalty);
+    });
+
+    it("should refund in full when the market is cancelled or resolved before the reveals", async function () {
+      await commitFor(alice, true, YES_SALT);
+      await clawStake.cancelMarket("sealed");
+      await commitReveal.connect(alice).refundCommitment("sealed");
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT);
+
+      await clawStake.createMarket("early", 0, "");
+      await commitReveal.enable("early", commitDeadline, revealDeadline, 1000);
+      for (const [signer, isYes, salt] of [[alice, true, YES_SALT], [bob, false, NO_SALT]]) {
+        const hash = await commitReveal.commitHash(signer.address, "early", isYes, salt);
+        await commitReveal.connect(signer).commit("early", hash, STAKE_AMOUNT);
+      }
+      await clawStake.resolve("early", true);
+      await commitReveal.connect(alice).refundCommitment("early");
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT);
+
+      // Still no penalty when refunding after the reveal deadline: the resolution came first
+      await time.increaseTo(revealDeadline + 1);
+      await commitReveal.connect(bob).refundCommitment("early");
+      expect(await usdc.balanceOf(bob.address)).to.equal(USDC_AMOUNT);
+      expect(await commitReveal.penaltiesAccrued()).to.equal(0n);
+    });
+
+    it("should refund in full once a deadline moved before the reveal deadline has passed", async function () {
+      await commitFor(alice, true, YES_SALT);
+      await commitFor(bob, false, NO_SALT);
+      const deadline = commitDeadline + 600;
+      await clawStake.setDeadline("sealed", deadline);
+
+      await time.increaseTo(commitDeadline + 1);
+      await commitReveal.connect(bob).reveal(bob.address, "sealed", false, NO_SALT);
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.be.revertedWithCustomError(commitReveal, "CommitmentLocked");
+
+      // The market closed with reveals still scheduled: alice could not reveal
+      await time.increaseTo(deadline + 1);
+      await expect(commitReveal.connect(alice).reveal(alice.address, "sealed", true, YES_SALT))
+        .to.be.revertedWithCustomError(clawStake, "MarketExpired");
+      await expect(commitReveal.connect(alice).refundCommitment("sealed"))
+        .to.emit(commitReveal, "CommitmentRefunded")
+        .withArgs("sealed", alice.address, STAKE_AMOUNT, 0);
+      expect(await commitReveal.penaltiesAccrued()).to.equal(0n);
+    });
+  });
+
+  // ===== Market Registry =====
+
+  describe("Market Registry", function () {
+    it("should let owner create a market with deadline and metadata", async function () {
+      const deadline = (await time.latest()) + 86400;
+
+      await expect(clawStake.createMarket("test-market", deadline, "https://www.clawdict.com/markets/test-market"))
+        .to.emit(clawStake, "MarketCreated")
+        .to.emit(clawStake, "DeadlineSet")
+        .to.emit(clawStake, "MarketMetadataSet");
+
+      expect(await clawStake.marketCount()).to.equal(1);
+      expect((await clawStake.getMarketInfo("test-market")).deadline).to.equal(deadline);
+      expect(await clawStake.metadataURIOf(ethers.id("test-market")))
+        .to.equal("https://www.clawdict.com/markets/test-market");
+    });
+
+    it("should reject duplicate registration", async function () {
+      await clawStake.createMarket("test-market", 0, "");
+
+      await expect(
+        clawStake.createMarket("test-market", 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyExists");
+    });
+
+    it("should validate slugs", async function () {
+      for (const slug of ["Will-BTC", "will-btc-hit-100k ", "will_btc", "btc/eth", "x".repeat(129)]) {
+        await expect(
+          clawStake.createMarket(slug, 0, "")
+        ).to.be.revertedWithCustomError(clawStake, "InvalidSlug");
+      }
+      await expect(
+        clawStake.createMarket("", 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "EmptySlug");
+
+      await expect(clawStake.createMarket("x".repeat(128), 0, "")).to.not.be.reverted;
+    });
+
+    it("should require registration in registry mode", async function () {
+      await expect(clawStake.setRegistryMode(true))
+        .to.emit(clawStake, "RegistryModeSet")
+        .withArgs(true);
+
+      await expect(
+        clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "MarketNotRegistered");
+
+      await expect(
+        clawStake.connect(alice).batchStake(["test-market"], [true], [STAKE_AMOUNT])
+      ).to.be.revertedWithCustomError(clawStake, "MarketNotRegistered");
+
+      await clawStake.createMarket("test-market", 0, "");
+      await expect(clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT))
+        .to.emit(clawStake, "Staked")
+        .and.not.to.emit(clawStake, "MarketCreated");
+    });
+
+    it("should keep existing markets stakeable when registry mode is enabled", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.setRegistryMode(true);
+
+      await expect(clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT)).to.not.be.reverted;
+    });
+
+    it("should let market creators register markets", async function () {
+      await expect(
+        clawStake.connect(alice).createMarket("test-market", 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "NotMarketCreator");
+
+      const role = await clawStake.MARKET_CREATOR_ROLE();
+      await expect(clawStake.grantRole(role, alice.address))
+        .to.emit(clawStake, "RoleGranted")
+        .withArgs(role, alice.address, owner.address);
+      await clawStake.connect(alice).createMarket("test-market", 0, "");
+
+      await clawStake.revokeRole(role, alice.address);
+      await expect(
+        clawStake.connect(alice).createMarket("other-market", 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "NotMarketCreator");
+    });
+
+    it("should reject registry configuration without the right role", async function () {
+      await expect(
+        clawStake.connect(alice).setRegistryMode(true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+
+      await expect(
+        clawStake.connect(alice).grantRole(await clawStake.MARKET_CREATOR_ROLE(), alice.address)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ===== Resolution =====
+
+  describe("Resolution", function () {
+    beforeEach(async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+    });
+
+    it("should resolve market correctly", async function () {
+      await expect(clawStake.resolve("test-market", true))
+        .to.emit(clawStake, "MarketResolved");
+
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.resolved).to.be.true;
+      expect(info.outcomeYes).to.be.true;
+      expect(info.cancelled).to.be.false;
+    });
+
+    it("should reject resolution without RESOLVER_ROLE", async function () {
+      await expect(
+        clawStake.connect(alice).resolve("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should reject double resolution", async function () {
+      await clawStake.resolve("test-market", true);
+
+      await expect(
+        clawStake.resolve("test-market", false)
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+    });
+
+    it("should reject resolution of non-existent market", async function () {
+      await expect(
+        clawStake.resolve("not-real", true)
+      ).to.be.revertedWithCustomError(clawStake, "MarketDoesNotExist");
+    });
+
+    it("should reject resolution of cancelled market", async function () {
+      await clawStake.cancelMarket("test-market");
+
+      await expect(
+        clawStake.resolve("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "MarketIsCancelled");
+    });
+
+    it("should auto-cancel when winning pool is zero", async function () {
+      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
+
+      await expect(clawStake.resolve("one-sided", false))
+        .to.emit(clawStake, "MarketResolved")
+        .to.emit(clawStake, "MarketCancelled");
+
+      const info = await clawStake.getMarketInfo("one-sided");
+      expect(info.resolved).to.be.true;
+      expect(info.cancelled).to.be.true;
+    });
+  });
+
+  // ===== Disputes =====
+
+  describe("Disputes", function () {
+    const WINDOW = 24 * 60 * 60;
+    const BOND = ethers.parseUnits("5", 6);
+
+    beforeEach(async function () {
+      await clawStake.setDisputeParams(WINDOW, BOND);
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+    });
+
+    it("should block claims until the dispute window closes", async function () {
+      await clawStake.resolve("test-market", true);
+
+      const dispute = await clawStake.getDispute("test-market");
+      expect(dispute.finalizesAt).to.equal(BigInt(await time.latest()) + BigInt(WINDOW));
+      expect(dispute.isFinal).to.be.false;
+
+      await expect(
+        clawStake.connect(alice).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "ResolutionNotFinal");
+
+      await time.increase(WINDOW);
+      expect((await clawStake.getDispute("test-market")).isFinal).to.be.true;
+      await expect(clawStake.connect(alice).claim("test-market")).to.emit(clawStake, "Claimed");
+    });
+
+    it("should let stakers dispute within the window", async function () {
+      await clawStake.resolve("test-market", true);
+
+      await expect(clawStake.connect(bob).dispute("test-market"))
+        .to.emit(clawStake, "MarketDisputed")
+        .withArgs("test-market", ethers.id("test-market"), bob.address, BOND);
+
+      const dispute = await clawStake.getDispute("test-market");
+      expect(dispute.disputer).to.equal(bob.address);
+      expect(dispute.bond).to.equal(BOND);
+      expect((await clawStake.solvency()).liabilities).to.equal(STAKE_AMOUNT * 2n + BOND);
+
+      // Still blocked after the window while the dispute is open
+      await time.increase(WINDOW);
+      await expect(
+        clawStake.connect(alice).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "ResolutionNotFinal");
+    });
+
+    it("should let an abandoned dispute lapse so the resolution stands", async function () {
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(bob).dispute("test-market");
+      const timeout = Number(await clawStake.DISPUTE_TIMEOUT());
+      expect((await clawStake.getDispute("test-market")).finalizesAt).to.equal((await time.latest()) + timeout);
+
+      await expect(clawStake.expireDispute("test-market"))
+        .to.be.revertedWithCustomError(clawStake, "ResolutionNotFinal");
+
+      await time.increase(timeout);
+      await expect(clawStake.correctResolution("test-market", false))
+        .to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+      await expect(clawStake.connect(alice).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, STAKE_AMOUNT * 2n);
+
+      // Anyone can send the unjudged bond back to the disputer
+      const bobBalance = await usdc.balanceOf(bob.address);
+      await expect(clawStake.connect(alice).expireDispute("test-market"))
+        .to.emit(clawStake, "DisputeSettled")
+        .withArgs("test-market", ethers.id("test-market"), bob.address, false);
+      expect(await usdc.balanceOf(bob.address)).to.equal(bobBalance + BOND);
+      expect((await clawStake.solvency()).liabilities).to.equal(0);
+      await expect(clawStake.expireDispute("test-market"))
+        .to.be.revertedWithCustomError(clawStake, "NotDisputed");
+    });
+
+    it("should reject disputes from non-stakers, duplicates and late disputes", async function () {
+      await clawStake.resolve("test-market", true);
+
+      await expect(
+        clawStake.connect(owner).dispute("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NotAStaker");
+
+      await clawStake.connect(bob).dispute("test-market");
+      await expect(
+        clawStake.connect(alice).dispute("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "AlreadyDisputed");
+
+      await clawStake.connect(alice).stake("other-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("other-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("other-market", true);
+      await time.increase(WINDOW);
+      await expect(
+        clawStake.connect(bob).dispute("other-market")
+      ).to.be.revertedWithCustomError(clawStake, "DisputeWindowClosed");
+    });
+
+    it("should reject disputes on unresolved markets", async function () {
+      await expect(
+        clawStake.connect(bob).dispute("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "MarketNotResolved");
+    });
+
+    it("should return the bond and pay the corrected winners when a dispute is upheld", async function () {
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(bob).dispute("test-market");
+      const bobBalance = await usdc.balanceOf(bob.address);
+
+      await expect(clawStake.correctResolution("test-market", false))
+        .to.emit(clawStake, "ResolutionCorrected")
+        .withArgs("test-market", ethers.id("test-market"), false)
+        .to.emit(clawStake, "DisputeSettled")
+        .withArgs("test-market", ethers.id("test-market"), bob.address, true);
+
+      expect(await usdc.balanceOf(bob.address)).to.equal(bobBalance + BOND);
+      expect((await clawStake.getMarketInfo("test-market")).outcomeYes).to.be.false;
+
+      await expect(
+        clawStake.connect(alice).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+      await expect(clawStake.connect(bob).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", bob.address, STAKE_AMOUNT * 2n);
+    });
+
+    it("should forfeit the bond to fees when a dispute is rejected", async function () {
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(bob).dispute("test-market");
+
+      await expect(clawStake.correctResolution("test-market", true))
+        .to.emit(clawStake, "DisputeSettled")
+        .withArgs("test-market", ethers.id("test-market"), bob.address, false)
+        .and.not.to.emit(clawStake, "ResolutionCorrected");
+
+      expect(await clawStake.feesAccrued()).to.equal(BOND);
+      expect((await clawStake.solvency()).liabilities).to.equal(STAKE_AMOUNT * 2n);
+      await expect(clawStake.connect(alice).claim("test-market")).to.emit(clawStake, "Claimed");
+    });
+
+    it("should let the resolver correct an undisputed resolution within the window", async function () {
+      await clawStake.resolve("test-market", true);
+      await clawStake.correctResolution("test-market", false);
+
+      await expect(clawStake.connect(bob).claim("test-market")).to.emit(clawStake, "Claimed");
+      await expect(
+        clawStake.correctResolution("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+    });
+
+    it("should auto-cancel when the corrected winning side is empty", async function () {
+      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
+      await clawStake.resolve("one-sided", true);
+
+      await expect(clawStake.correctResolution("one-sided", false))
+        .to.emit(clawStake, "MarketCancelled");
+      await expect(clawStake.connect(alice).refund("one-sided")).to.emit(clawStake, "Refunded");
+    });
+
+    it("should not correct final resolutions", async function () {
+      await clawStake.resolve("test-market", true);
+      await time.increase(WINDOW);
+
+      await expect(
+        clawStake.correctResolution("test-market", false)
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+    });
+
+    it("should let a market admin escalate a disputed market to cancellation", async function () {
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(bob).dispute("test-market");
+      const bobBalance = await usdc.balanceOf(bob.address);
+
+      await expect(clawStake.cancelMarket("test-market"))
+        .to.emit(clawStake, "MarketCancelled")
+        .to.emit(clawStake, "DisputeSettled")
+        .withArgs("test-market", ethers.id("test-market"), bob.address, true);
+
+      expect(await usdc.balanceOf(bob.address)).to.equal(bobBalance + BOND);
+      await clawStake.connect(alice).refund("test-market");
+      await clawStake.connect(bob).refund("test-market");
+      expect((await clawStake.solvency()).liabilities).to.equal(0);
+    });
+
+    it("should only let the resolver correct outcomes", async function () {
+      await clawStake.resolve("test-market", true);
+      await expect(
+        clawStake.connect(alice).correctResolution("test-market", false)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should cap the dispute window", async function () {
+      await expect(
+        clawStake.setDisputeParams(7 * 24 * 60 * 60 + 1, BOND)
+      ).to.be.revertedWithCustomError(clawStake, "DisputeWindowTooLong");
+      await expect(clawStake.setDisputeParams(0, 0))
+        .to.emit(clawStake, "DisputeParamsSet")
+        .withArgs(0, 0);
+    });
+  });
+
+  // ===== Quorum Resolution =====
+
+  describe("Quorum Resolution", function () {
+    let carol, dave;
+
+    beforeEach(async function () {
+      [, , , carol, dave] = await ethers.getSigners();
+      const resolverRole = await clawStake.RESOLVER_ROLE();
+      await clawStake.grantRole(resolverRole, carol.address);
+      await clawStake.grantRole(resolverRole, dave.address);
+      await clawStake.setResolutionQuorum(2, false);
+
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+    });
+
+    it("should resolve once the quorum agrees", async function () {
+      await expect(clawStake.voteOutcome("test-market", true))
+        .to.emit(clawStake, "OutcomeVoted")
+        .withArgs("test-market", ethers.id("test-market"), owner.address, true)
+        .and.not.to.emit(clawStake, "MarketResolved");
+
+      let tally = await clawStake.getTally("test-market");
+      expect(tally.yesVotes).to.equal(1);
+      expect(tally.noVotes).to.equal(0);
+      expect((await clawStake.getMarketInfo("test-market")).resolved).to.be.false;
+
+      await expect(clawStake.connect(carol).voteOutcome("test-market", true))
+        .to.emit(clawStake, "MarketResolved")
+        .withArgs("test-market", ethers.id("test-market"), true);
+
+      tally = await clawStake.getTally("test-market");
+      expect(tally.yesVotes).to.equal(2);
+      expect(await clawStake.votes(ethers.id("test-market"), carol.address)).to.equal(1);
+      await expect(clawStake.connect(alice).claim("test-market")).to.emit(clawStake, "Claimed");
+    });
+
+    it("should disable single-resolver resolve", async function () {
+      await expect(
+        clawStake.resolve("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "QuorumModeActive");
+    });
+
+    it("should not let a single resolver correct a quorum outcome", async function () {
+      await clawStake.setDisputeParams(3600, 0);
+      await clawStake.connect(carol).voteOutcome("test-market", true);
+      await clawStake.connect(dave).voteOutcome("test-market", true);
+      expect((await clawStake.getMarketInfo("test-market")).resolved).to.be.true;
+
+      await expect(
+        clawStake.connect(carol).correctResolution("test-market", false)
+      ).to.be.revertedWithCustomError(clawStake, "QuorumModeActive");
+      await expect(clawStake.correctResolution("test-market", false))
+        .to.emit(clawStake, "ResolutionCorrected")
+        .withArgs("test-market", ethers.id("test-market"), false);
+    });
+
+    it("should reject votes outside quorum mode", async function () {
+      await clawStake.setResolutionQuorum(0, false);
+      await expect(
+        clawStake.voteOutcome("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "QuorumModeDisabled");
+    });
+
+    it("should reject double votes and non-resolvers", async function () {
+      await clawStake.voteOutcome("test-market", true);
+      await expect(
+        clawStake.voteOutcome("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AlreadyVoted");
+      await expect(
+        clawStake.connect(alice).voteOutcome("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should reject votes on settled markets", async function () {
+      await clawStake.voteOutcome("test-market", false);
+      await clawStake.connect(carol).voteOutcome("test-market", false);
+      await expect(
+        clawStake.connect(dave).voteOutcome("test-market", false)
+      ).to.be.revertedWithCustomError(clawStake, "MarketAlreadyResolved");
+    });
+
+    it("should escalate conflicting votes to the admin", async function () {
+      await clawStake.voteOutcome("test-market", true);
+      await expect(clawStake.connect(carol).voteOutcome("test-market", false))
+        .to.emit(clawStake, "ResolutionEscalated")
+        .withArgs("test-market", ethers.id("test-market"));
+
+      expect((await clawStake.getTally("test-market")).escalated).to.be.true;
+      await expect(
+        clawStake.connect(dave).voteOutcome("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "VotingClosed");
+
+      await expect(
+        clawStake.connect(carol).resolveEscalated("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+      await expect(clawStake.resolveEscalated("test-market", false))
+        .to.emit(clawStake, "MarketResolved")
+        .withArgs("test-market", ethers.id("test-market"), false);
+      await expect(clawStake.connect(bob).claim("test-market")).to.emit(clawStake, "Claimed");
+    });
+
+    it("should only resolve escalated markets through resolveEscalated", async function () {
+      await clawStake.voteOutcome("test-market", true);
+      await expect(
+        clawStake.resolveEscalated("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "NotEscalated");
+    });
+
+    it("should cancel on conflict when configured", async function () {
+      await expect(clawStake.setResolutionQuorum(2, true))
+        .to.emit(clawStake, "ResolutionQuorumSet")
+        .withArgs(2, true);
+
+      await clawStake.voteOutcome("test-market", true);
+      await expect(clawStake.connect(carol).voteOutcome("test-market", false))
+        .to.emit(clawStake, "MarketCancelled")
+        .withArgs("test-market", ethers.id("test-market"));
+
+      await expect(clawStake.connect(alice).refund("test-market")).to.emit(clawStake, "Refunded");
+    });
+
+    it("should only let the admin set the quorum", async function () {
+      await expect(
+        clawStake.connect(carol).setResolutionQuorum(1, false)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ===== Fractional Resolution =====
+
+  describe("Fractional Resolution", function () {
+    beforeEach(async function () {
+      // YES 30 (alice 10, bob 20), NO 10 (alice): pool 40
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", true, STAKE_AMOUNT * 2n);
+      await clawStake.connect(alice).stake("test-market", false, STAKE_AMOUNT);
+    });
+
+    it("should split the pool by the resolved percentage", async function () {
+      await expect(clawStake.resolveFractional("test-market", 2500))
+        .to.emit(clawStake, "MarketResolvedFractional")
+        .withArgs("test-market", ethers.id("test-market"), 2500);
+
+      const fraction = await clawStake.fractions(ethers.id("test-market"));
+      expect(fraction.fractional).to.be.true;
+      expect(fraction.yesBps).to.equal(2500);
+
+      // YES share 10: bob gets 20/30 of it; NO share 30 all to alice, plus 10/30 of YES
+      await expect(clawStake.connect(bob).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", bob.address, 6_666_666n);
+      await expect(clawStake.connect(alice).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, 33_333_333n);
+    });
+
+    it("should pay nothing to a side with no share", async function () {
+      await clawStake.resolveFractional("test-market", 0);
+      await expect(
+        clawStake.connect(bob).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+    });
+
+    it("should give an empty side's share to the other side", async function () {
+      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
+      await clawStake.resolveFractional("one-sided", 5000);
+      await expect(clawStake.connect(alice).claim("one-sided"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("one-sided", alice.address, STAKE_AMOUNT);
+    });
+
+    it("should charge the fee only on gains above the total stake", async function () {
+      await clawStake.setFeeBps(1000);
+      await clawStake.connect(alice).stake("fee-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("fee-market", false, STAKE_AMOUNT);
+      await clawStake.resolveFractional("fee-market", 7500);
+
+      // alice: 15 gross, 5 gain, 0.5 fee; bob: 5 gross, a loss, no fee
+      await expect(clawStake.connect(alice).claim("fee-market"))
+        .to.emit(clawStake, "FeeCharged")
+        .withArgs("fee-market", alice.address, ethers.parseUnits("0.5", 6));
+      await expect(clawStake.connect(bob).claim("fee-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("fee-market", bob.address, ethers.parseUnits("5", 6))
+        .and.not.to.emit(clawStake, "FeeCharged");
+    });
+
+    it("should reject shares above 100%", async function () {
+      await expect(
+        clawStake.resolveFractional("test-market", 10_001)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidYesBps");
+    });
+
+    it("should only let the resolver resolve fractionally", async function () {
+      await expect(
+        clawStake.connect(alice).resolveFractional("test-market", 5000)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should let a correction replace a fractional resolution", async function () {
+      await clawStake.setDisputeParams(3600, 0);
+      await clawStake.resolveFractional("test-market", 5000);
+      await expect(clawStake.correctResolution("test-market", true))
+        .to.emit(clawStake, "ResolutionCorrected")
+        .withArgs("test-market", ethers.id("test-market"), true);
+
+      expect((await clawStake.fractions(ethers.id("test-market"))).fractional).to.be.false;
+      await expect(clawStake.connect(bob).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", bob.address, ethers.parseUnits("26.666666", 6));
+    });
+  });
+
+  // ===== Categorical Markets =====
+
+  describe("Categorical Markets", function () {
+    let carol;
+
+    beforeEach(async function () {
+      [, , , carol] = await ethers.getSigners();
+      await usdc.mint(carol.address, USDC_AMOUNT);
+      await usdc.connect(carol).approve(await clawStake.getAddress(), ethers.MaxUint256);
+
+      await clawStake.createCategoricalMarket("who-wins", 3, 0, "");
+      await clawStake.connect(alice).stakeOutcome("who-wins", 0, STAKE_AMOUNT);
+      await clawStake.connect(bob).stakeOutcome("who-wins", 1, STAKE_AMOUNT * 2n);
+      await clawStake.connect(carol).stakeOutcome("who-wins", 0, STAKE_AMOUNT * 3n);
+    });
+
+    it("should track pools and stakes per outcome", async function () {
+      const key = ethers.id("who-wins");
+      expect(await clawStake.outcomeCountOf(key)).to.equal(3);
+
+      const { pools } = await clawStake.getOutcomePools("who-wins");
+      expect(pools).to.deep.equal([STAKE_AMOUNT * 4n, STAKE_AMOUNT * 2n, 0n]);
+      expect(await clawStake.getOutcomeStakes("who-wins", carol.address)).to.deep.equal([STAKE_AMOUNT * 3n, 0n, 0n]);
+      expect((await clawStake.solvency()).liabilities).to.equal(STAKE_AMOUNT * 6n);
+    });
+
+    it("should emit OutcomeStaked", async function () {
+      await expect(clawStake.connect(alice).stakeOutcome("who-wins", 2, MIN_STAKE))
+        .to.emit(clawStake, "OutcomeStaked")
+        .withArgs("who-wins", alice.address, 2, MIN_STAKE);
+    });
+
+    it("should pay winners proportionally", async function () {
+      await expect(clawStake.resolveOutcome("who-wins", 0))
+        .to.emit(clawStake, "OutcomeResolved")
+        .withArgs("who-wins", ethers.id("who-wins"), 0);
+
+      // Pool 60, winning pool 40: alice 10 -> 15, carol 30 -> 45
+      await expect(clawStake.connect(alice).claim("who-wins"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("who-wins", alice.address, ethers.parseUnits("15", 6));
+      await expect(clawStake.connect(carol).claim("who-wins"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("who-wins", carol.address, ethers.parseUnits("45", 6));
+      await expect(
+        clawStake.connect(bob).claim("who-wins")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+      expect((await clawStake.solvency()).liabilities).to.equal(0);
+    });
+
+    it("should auto-cancel when the winning outcome has no stakes", async function () {
+      await expect(clawStake.resolveOutcome("who-wins", 2)).to.emit(clawStake, "MarketCancelled");
+      await expect(clawStake.connect(bob).refund("who-wins"))
+        .to.emit(clawStake, "Refunded")
+        .withArgs("who-wins", bob.address, STAKE_AMOUNT * 2n);
+    });
+
+    it("should refund every outcome after the grace period", async function () {
+      await clawStake.setDeadline("who-wins", (await time.latest()) + 100);
+      await clawStake.connect(alice).stakeOutcome("who-wins", 1, STAKE_AMOUNT);
+      await time.increase(100 + 30 * 24 * 60 * 60 + 1);
+
+      await expect(clawStake.connect(alice).refund("who-wins"))
+        .to.emit(clawStake, "Refunded")
+        .withArgs("who-wins", alice.address, STAKE_AMOUNT * 2n);
+    });
+
+    it("should reject out-of-range outcomes", async function () {
+      await expect(
+        clawStake.connect(alice).stakeOutcome("who-wins", 3, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidOutcome");
+      await expect(
+        clawStake.resolveOutcome("who-wins", 3)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidOutcome");
+    });
+
+    it("should keep binary and categorical functions apart", async function () {
+      await expect(
+        clawStake.connect(alice).stake("who-wins", true, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "NotBinaryMarket");
+      await expect(
+        clawStake.resolve("who-wins", true)
+      ).to.be.revertedWithCustomError(clawStake, "NotBinaryMarket");
+
+      await clawStake.connect(alice).stake("binary", true, STAKE_AMOUNT);
+      await expect(
+        clawStake.connect(alice).stakeOutcome("binary", 0, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "NotCategoricalMarket");
+      await expect(
+        clawStake.connect(alice).stakeOutcome("unknown", 0, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "MarketDoesNotExist");
+    });
+
+    it("should validate the outcome count and creator", async function () {
+      await expect(
+        clawStake.createCategoricalMarket("one-outcome", 1, 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "InvalidOutcomeCount");
+      await expect(
+        clawStake.createCategoricalMarket("too-many", 17, 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "InvalidOutcomeCount");
+      await expect(
+        clawStake.connect(alice).createCategoricalMarket("by-alice", 3, 0, "")
+      ).to.be.revertedWithCustomError(clawStake, "NotMarketCreator");
+      await expect(clawStake.createCategoricalMarket("four-way", 4, 0, ""))
+        .to.emit(clawStake, "CategoricalMarketCreated")
+        .withArgs("four-way", ethers.id("four-way"), 4);
+    });
+
+    it("should let stakers dispute and the resolver correct the outcome", async function () {
+      await clawStake.setDisputeParams(3600, 0);
+      await clawStake.resolveOutcome("who-wins", 1);
+      await clawStake.connect(alice).dispute("who-wins");
+
+      await expect(clawStake.correctOutcome("who-wins", 0))
+        .to.emit(clawStake, "DisputeSettled")
+        .withArgs("who-wins", ethers.id("who-wins"), alice.address, true);
+      expect((await clawStake.getOutcomePools("who-wins")).winningOutcome).to.equal(0);
+      await expect(clawStake.connect(alice).claim("who-wins")).to.emit(clawStake, "Claimed");
+    });
+
+    it("should leave categorical resolution to the admin in quorum mode", async function () {
+      await clawStake.setResolutionQuorum(2, false);
+      await clawStake.setDisputeParams(3600, 0);
+      await clawStake.grantRole(await clawStake.RESOLVER_ROLE(), carol.address);
+      await expect(
+        clawStake.connect(carol).resolveOutcome("who-wins", 0)
+      ).to.be.revertedWithCustomError(clawStake, "QuorumModeActive");
+      await expect(clawStake.resolveOutcome("who-wins", 0)).to.emit(clawStake, "OutcomeResolved");
+      await expect(
+        clawStake.connect(carol).correctOutcome("who-wins", 1)
+      ).to.be.revertedWithCustomError(clawStake, "QuorumModeActive");
+    });
+  });
+
+  // ===== Claiming =====
+
+  describe("Claiming", function () {
+    beforeEach(async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+    });
+
+    it("should pay winner the full pool (1v1)", async function () {
+      const balanceBefore = await usdc.balanceOf(alice.address);
+
+      await expect(clawStake.connect(alice).claim("test-market"))
+        .to.emit(clawStake, "Claimed");
+
+      const balanceAfter = await usdc.balanceOf(alice.address);
+      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT * 2n);
+    });
+
+    it("should reject loser claim", async function () {
+      await expect(
+        clawStake.connect(bob).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+    });
+
+    it("should reject double claim", async function () {
+      await clawStake.connect(alice).claim("test-market");
+
+      await expect(
+        clawStake.connect(alice).claim("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "AlreadyClaimed");
+    });
+
+    it("should reject claim on unresolved market", async function () {
+      await clawStake.connect(alice).stake("unresolved", true, STAKE_AMOUNT);
+
+      await expect(
+        clawStake.connect(alice).claim("unresolved")
+      ).to.be.revertedWithCustomError(clawStake, "MarketNotResolved");
+    });
+
+    it("should reject claim on cancelled market", async function () {
+      // Market auto-cancelled due to no winning pool
+      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
+      await clawStake.resolve("one-sided", false);
+
+      await expect(
+        clawStake.connect(alice).claim("one-sided")
+      ).to.be.revertedWithCustomError(clawStake, "MarketIsCancelled");
+    });
+
+    it("should distribute proportionally among multiple winners", async function () {
+      const stakeAlice = ethers.parseUnits("30", 6);
+      const stakeBob = ethers.parseUnits("10", 6);
+
+      await clawStake.connect(alice).stake("proportional", true, stakeAlice);
+      await clawStake.connect(bob).stake("proportional", true, stakeBob);
+
+      // Owner stakes on NO side
+      await usdc.mint(owner.address, ethers.parseUnits("40", 6));
+      await usdc.connect(owner).approve(await clawStake.getAddress(), ethers.MaxUint256);
+      await clawStake.connect(owner).stake("proportional", false, ethers.parseUnits("40", 6));
+
+      // Total pool = 80 USDC, YES pool = 40
+      await clawStake.resolve("proportional", true);
+
+      // Alice: 30/40 * 80 = 60 USDC
+      const aliceBefore = await usdc.balanceOf(alice.address);
+      await clawStake.connect(alice).claim("proportional");
+      const aliceAfter = await usdc.balanceOf(alice.address);
+      expect(aliceAfter - aliceBefore).to.equal(ethers.parseUnits("60", 6));
+
+      // Bob: 10/40 * 80 = 20 USDC
+      const bobBefore = await usdc.balanceOf(bob.address);
+      await clawStake.connect(bob).claim("proportional");
+      const bobAfter = await usdc.balanceOf(bob.address);
+      expect(bobAfter - bobBefore).to.equal(ethers.parseUnits("20", 6));
+    });
+  });
+
+  // ===== Refund =====
+
+  describe("Refund", function () {
+    it("should refund when market is cancelled by owner", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      const balanceBefore = await usdc.balanceOf(alice.address);
+
+      await expect(clawStake.connect(alice).refund("test-market"))
+        .to.emit(clawStake, "Refunded");
+
+      const balanceAfter = await usdc.balanceOf(alice.address);
+      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+    });
+
+    it("should refund both YES and NO stakes", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(alice).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      const balanceBefore = await usdc.balanceOf(alice.address);
+      await clawStake.connect(alice).refund("test-market");
+      const balanceAfter = await usdc.balanceOf(alice.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT * 2n);
+    });
+
+    it("should refund when no-winner auto-cancel", async function () {
+      await clawStake.connect(alice).stake("one-sided", true, STAKE_AMOUNT);
+      await clawStake.resolve("one-sided", false); // No one bet NO
+
+      const balanceBefore = await usdc.balanceOf(alice.address);
+      await clawStake.connect(alice).refund("one-sided");
+      const balanceAfter = await usdc.balanceOf(alice.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+    });
+
+    it("should refund after deadline + grace period", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+
+      const deadline = (await time.latest()) + 3600;
+      await clawStake.setDeadline("test-market", deadline);
+
+      // Move past deadline + grace period (30 days)
+      await time.increaseTo(deadline + 30 * 24 * 60 * 60 + 1);
+
+      const balanceBefore = await usdc.balanceOf(alice.address);
+      await clawStake.connect(alice).refund("test-market");
+      const balanceAfter = await usdc.balanceOf(alice.address);
+
+      expect(balanceAfter - balanceBefore).to.equal(STAKE_AMOUNT);
+    });
+
+    it("should auto-cancel market on first expired refund", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+
+      const deadline = (await time.latest()) + 3600;
+      await clawStake.setDeadline("test-market", deadline);
+
+      await time.increaseTo(deadline + 30 * 24 * 60 * 60 + 1);
+
+      await expect(clawStake.connect(alice).refund("test-market"))
+        .to.emit(clawStake, "MarketCancelled");
+
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.cancelled).to.be.true;
+    });
+
+    it("should reject refund for active market", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+
+      await expect(
+        clawStake.connect(alice).refund("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "RefundNotAvailable");
+    });
+
+    it("should reject refund before grace period ends", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+
+      const deadline = (await time.latest()) + 3600;
+      await clawStake.setDeadline("test-market", deadline);
+
+      // Past deadline but within grace period
+      await time.increaseTo(deadline + 3600);
+
+      await expect(
+        clawStake.connect(alice).refund("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "RefundNotAvailable");
+    });
+
+    it("should reject double refund", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+      await clawStake.connect(alice).refund("test-market");
+
+      await expect(
+        clawStake.connect(alice).refund("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
+    });
+
+    it("should reject refund for non-staker", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      await expect(
+        clawStake.connect(bob).refund("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
+    });
+  });
+
+  // ===== Batch Claiming =====
+
+  describe("Batch Claiming", function () {
+    beforeEach(async function () {
+      for (const slug of ["market-1", "market-2", "market-3"]) {
+        await clawStake.connect(alice).stake(slug, true, STAKE_AMOUNT);
+        await clawStake.connect(bob).stake(slug, false, STAKE_AMOUNT);
+      }
+      await clawStake.resolve("market-1", true);
+      await clawStake.resolve("market-2", true);
+      await clawStake.resolve("market-3", false);
+    });
+
+    it("should claim multiple markets in one tx", async function () {
+      await expect(clawStake.connect(alice).batchClaim(["market-1", "market-2"]))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("market-1", alice.address, STAKE_AMOUNT * 2n);
+
+      const stake1 = await clawStake.getStake("market-1", alice.address);
+      const stake2 = await clawStake.getStake("market-2", alice.address);
+      expect(stake1.claimed).to.be.true;
+      expect(stake2.claimed).to.be.true;
+    });
+
+    it("should use single USDC transfer for batch", async function () {
+      const tx = clawStake.connect(alice).batchClaim(["market-1", "market-2"]);
+      await expect(tx).to.changeTokenBalance(usdc, alice, STAKE_AMOUNT * 4n);
+
+      const receipt = await (await tx).wait();
+      const transfers = receipt.logs.filter(
+        (log) => log.address === usdc.target && usdc.interface.parseLog(log)?.name === "Transfer"
+      );
+      expect(transfers).to.have.length(1);
+    });
+
+    it("should reject if any market is not claimable", async function () {
+      await expect(
+        clawStake.connect(alice).batchClaim(["market-1", "market-3"])
+      ).to.be.revertedWithCustomError(clawStake, "NothingToClaim");
+    });
+
+    it("should reject already claimed markets", async function () {
+      await clawStake.connect(alice).claim("market-1");
+
+      await expect(
+        clawStake.connect(alice).batchClaim(["market-1", "market-2"])
+      ).to.be.revertedWithCustomError(clawStake, "AlreadyClaimed");
+    });
+
+    it("should reject duplicate slugs", async function () {
+      await expect(
+        clawStake.connect(alice).batchClaim(["market-1", "market-1"])
+      ).to.be.revertedWithCustomError(clawStake, "AlreadyClaimed");
+    });
+  });
+
+  // ===== Batch Refund =====
+
+  describe("Batch Refund", function () {
+    beforeEach(async function () {
+      await clawStake.connect(alice).stake("market-1", true, STAKE_AMOUNT);
+      await clawStake.connect(alice).stake("market-2", false, STAKE_AMOUNT);
+      await clawStake.connect(alice).stake("market-3", true, STAKE_AMOUNT);
+      await clawStake.cancelMarket("market-1");
+    });
+
+    it("should refund cancelled and expired markets in one tx", async function () {
+      const deadline = (await time.latest()) + 3600;
+      await clawStake.setDeadline("market-2", deadline);
+      await time.increaseTo(deadline + 30 * 24 * 60 * 60 + 1);
+
+      await expect(clawStake.connect(alice).batchRefund(["market-1", "market-2"]))
+        .to.emit(clawStake, "Refunded")
+        .and.to.emit(clawStake, "MarketCancelled")
+        .withArgs("market-2", ethers.id("market-2"));
+
+      const info = await clawStake.getMarketInfo("market-2");
+      expect(info.cancelled).to.be.true;
+    });
+
+    it("should use single USDC transfer for batch", async function () {
+      await clawStake.cancelMarket("market-2");
+
+      const before = await usdc.balanceOf(alice.address);
+      await clawStake.connect(alice).batchRefund(["market-1", "market-2"]);
+      const after = await usdc.balanceOf(alice.address);
+
+      expect(after - before).to.equal(STAKE_AMOUNT * 2n);
+    });
+
+    it("should reject if any market is not refundable", async function () {
+      await expect(
+        clawStake.connect(alice).batchRefund(["market-1", "market-3"])
+      ).to.be.revertedWithCustomError(clawStake, "RefundNotAvailable");
+    });
+
+    it("should reject duplicate slugs", async function () {
+      await expect(
+        clawStake.connect(alice).batchRefund(["market-1", "market-1"])
+      ).to.be.revertedWithCustomError(clawStake, "NothingToRefund");
+    });
+  });
+
+  // ===== Protocol Fee =====
+
+  describe("Protocol Fee", function () {
+    beforeEach(async function () {
+      await clawStake.setFeeBps(500); // 5%
+    });
+
+    it("should take the fee from winnings only", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+
+      // Gross 20 USDC, winnings 10 USDC, fee 5% of winnings
+      const fee = ethers.parseUnits("0.5", 6);
+      const payout = STAKE_AMOUNT * 2n - fee;
+
+      await expect(clawStake.connect(alice).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, payout)
+        .to.emit(clawStake, "FeeCharged")
+        .withArgs("test-market", alice.address, fee);
+
+      expect(await clawStake.feesAccrued()).to.equal(fee);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT - STAKE_AMOUNT + payout);
+    });
+
+    it("should charge nothing when there is no losing pool", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+
+      await expect(clawStake.connect(alice).claim("test-market"))
+        .to.emit(clawStake, "Claimed")
+        .withArgs("test-market", alice.address, STAKE_AMOUNT)
+        .and.not.to.emit(clawStake, "FeeCharged");
+      expect(await clawStake.feesAccrued()).to.equal(0);
+    });
+
+    it("should snapshot the fee when the market is created", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.setFeeBps(1000);
+
+      expect((await clawStake.getMarketInfo("test-market")).marketFeeBps).to.equal(500);
+
+      await clawStake.connect(alice).stake("new-market", true, STAKE_AMOUNT);
+      expect((await clawStake.getMarketInfo("new-market")).marketFeeBps).to.equal(1000);
+
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(alice).claim("test-market");
+      expect(await clawStake.feesAccrued()).to.equal(ethers.parseUnits("0.5", 6));
+    });
+
+    it("should not charge fees on refunds", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      await clawStake.connect(alice).refund("test-market");
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT);
+      expect(await clawStake.feesAccrued()).to.equal(0);
+    });
+
+    it("should accumulate fees across batch claims", async function () {
+      for (const slug of ["market-a", "market-b"]) {
+        await clawStake.connect(alice).stake(slug, true, STAKE_AMOUNT);
+        await clawStake.connect(bob).stake(slug, false, STAKE_AMOUNT);
+        await clawStake.resolve(slug, true);
+      }
+
+      await clawStake.connect(alice).batchClaim(["market-a", "market-b"]);
+      expect(await clawStake.feesAccrued()).to.equal(ethers.parseUnits("1", 6));
+    });
+
+    it("should cap the fee", async function () {
+      await expect(clawStake.setFeeBps(1001))
+        .to.be.revertedWithCustomError(clawStake, "FeeTooHigh");
+      await expect(clawStake.setFeeBps(1000))
+        .to.emit(clawStake, "FeeBpsSet")
+        .withArgs(1000);
+    });
+
+    it("should let only the owner withdraw accrued fees", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(alice).claim("test-market");
+
+      const fee = ethers.parseUnits("0.5", 6);
+      await expect(
+        clawStake.connect(alice).withdrawFees(alice.address, fee)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+      await expect(
+        clawStake.withdrawFees(owner.address, fee + 1n)
+      ).to.be.revertedWithCustomError(clawStake, "InsufficientFees");
+
+      await expect(clawStake.withdrawFees(owner.address, fee))
+        .to.emit(clawStake, "FeesWithdrawn")
+        .withArgs(owner.address, fee);
+      expect(await usdc.balanceOf(owner.address)).to.equal(fee);
+      expect(await clawStake.feesAccrued()).to.equal(0);
+    });
+
+    it("should reject fee changes without DEFAULT_ADMIN_ROLE", async function () {
+      await expect(
+        clawStake.connect(alice).setFeeBps(100)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ===== Solvency =====
+
+  describe("Solvency", function () {
+    async function expectSolvency(liabilities, fees, surplus) {
+      const s = await clawStake.solvency();
+      expect(s.liabilities).to.equal(liabilities);
+      expect(s.fees).to.equal(fees);
+      expect(s.surplus).to.equal(surplus);
+      expect(s.balance).to.equal(await usdc.balanceOf(await clawStake.getAddress()));
+    }
+
+    it("should track stakes as liabilities until claimed", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).batchStake(["test-market"], [false], [STAKE_AMOUNT]);
+      await expectSolvency(STAKE_AMOUNT * 2n, 0, 0);
+
+      await clawStake.resolve("test-market", true);
+      await expectSolvency(STAKE_AMOUNT * 2n, 0, 0);
+
+      await clawStake.connect(alice).claim("test-market");
+      await expectSolvency(0, 0, 0);
+    });
+
+    it("should release liabilities on refund", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.cancelMarket("test-market");
+
+      await clawStake.connect(alice).refund("test-market");
+      await expectSolvency(STAKE_AMOUNT, 0, 0);
+    });
+
+    it("should move fees out of liabilities into the fee reserve", async function () {
+      await clawStake.setFeeBps(1000);
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(alice).claim("test-market");
+
+      await expectSolvency(0, ethers.parseUnits("1", 6), 0);
+    });
+
+    it("should keep rounding dust as a liability", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", true, STAKE_AMOUNT * 2n);
+      await usdc.mint(owner.address, MIN_STAKE);
+      await usdc.approve(await clawStake.getAddress(), MIN_STAKE);
+      await clawStake.stake("test-market", false, MIN_STAKE);
+      await clawStake.resolve("test-market", true);
+
+      await clawStake.connect(alice).claim("test-market");
+      await clawStake.connect(bob).claim("test-market");
+
+      // 31 USDC split 1:2 leaves 1 base unit unpaid
+      await expectSolvency(1, 0, 0);
+    });
+
+    it("should not let the owner drain staker funds", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+
+      await expect(
+        clawStake.emergencyWithdraw(await usdc.getAddress(), 1)
+      ).to.be.revertedWithCustomError(clawStake, "ExceedsSurplus");
+
+      await clawStake.resolve("test-market", true);
+      await expect(
+        clawStake.emergencyWithdraw(await usdc.getAddress(), STAKE_AMOUNT * 2n)
+      ).to.be.revertedWithCustomError(clawStake, "ExceedsSurplus");
+
+      await clawStake.connect(alice).claim("test-market");
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT + STAKE_AMOUNT);
+    });
+
+    it("should not let the owner take accrued fees through emergencyWithdraw", async function () {
+      await clawStake.setFeeBps(1000);
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+      await clawStake.resolve("test-market", true);
+      await clawStake.connect(alice).claim("test-market");
+
+      await expect(
+        clawStake.emergencyWithdraw(await usdc.getAddress(), 1)
+      ).to.be.revertedWithCustomError(clawStake, "ExceedsSurplus");
+    });
+
+    it("should allow withdrawing only the USDC surplus", async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await usdc.mint(await clawStake.getAddress(), STAKE_AMOUNT);
+      await expectSolvency(STAKE_AMOUNT, 0, STAKE_AMOUNT);
+
+      await expect(
+        clawStake.emergencyWithdraw(await usdc.getAddress(), STAKE_AMOUNT + 1n)
+      ).to.be.revertedWithCustomError(clawStake, "ExceedsSurplus");
+
+      await clawStake.emergencyWithdraw(await usdc.getAddress(), STAKE_AMOUNT);
+      await expectSolvency(STAKE_AMOUNT, 0, 0);
+    });
+
+    it("should recover other tokens in full", async function () {
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const other = await MockUSDC.deploy();
+      await other.mint(await clawStake.getAddress(), STAKE_AMOUNT);
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+
+      await expect(clawStake.emergencyWithdraw(await other.getAddress(), STAKE_AMOUNT))
+        .to.emit(clawStake, "EmergencyWithdraw")
+        .withArgs(await other.getAddress(), owner.address, STAKE_AMOUNT);
+      expect(await other.balanceOf(owner.address)).to.equal(STAKE_AMOUNT);
+    });
+  });
+
+  // ===== Admin =====
+
+  describe("Admin Functions", function () {
+    beforeEach(async function () {
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+    });
+
+    it("should set deadline", async function () {
+      const deadline = (await time.latest()) + 86400;
+      await expect(clawStake.setDeadline("test-market", deadline))
+        .to.emit(clawStake, "DeadlineSet");
+
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.deadline).to.equal(deadline);
+    });
+
+    it("should remove deadline by setting to 0", async function () {
+      await clawStake.setDeadline("test-market", 1000);
+      await clawStake.setDeadline("test-market", 0);
+
+      const info = await clawStake.getMarketInfo("test-market");
+      expect(info.deadline).to.equal(0);
+    });
+
+    it("should cancel market", async function () {
+      await expect(clawStake.cancelMarket("test-market"))
         .to.emit(clawStake, "MarketCancelled");
 
       const info = await clawStake.getMarketInfo("test-market");
@@ -531,22 +2323,130 @@ describe("ClawStake", function () {
         .to.emit(clawStake, "EmergencyWithdraw");
     });
 
-    it("should reject non-owner admin calls", async function () {
+    it("should reject admin calls without a role", async function () {
       await expect(
         clawStake.connect(alice).setDeadline("test-market", 999)
-      ).to.be.revertedWithCustomError(clawStake, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
 
       await expect(
         clawStake.connect(alice).cancelMarket("test-market")
-      ).to.be.revertedWithCustomError(clawStake, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
 
       await expect(
         clawStake.connect(alice).emergencyWithdraw(await usdc.getAddress(), 1)
-      ).to.be.revertedWithCustomError(clawStake, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
 
       await expect(
         clawStake.connect(alice).resolve("test-market", true)
-      ).to.be.revertedWithCustomError(clawStake, "OwnableUnauthorizedAccount");
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  // ===== Access Control =====
+
+  describe("Access Control", function () {
+    let RESOLVER_ROLE, MARKET_ADMIN_ROLE, TREASURY_ROLE, PAUSER_ROLE;
+
+    beforeEach(async function () {
+      RESOLVER_ROLE = await clawStake.RESOLVER_ROLE();
+      MARKET_ADMIN_ROLE = await clawStake.MARKET_ADMIN_ROLE();
+      TREASURY_ROLE = await clawStake.TREASURY_ROLE();
+      PAUSER_ROLE = await clawStake.PAUSER_ROLE();
+      await clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake("test-market", false, STAKE_AMOUNT);
+    });
+
+    it("should let a resolver resolve but nothing else", async function () {
+      await clawStake.grantRole(RESOLVER_ROLE, bob.address);
+
+      await expect(
+        clawStake.connect(bob).cancelMarket("test-market")
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount")
+        .withArgs(bob.address, MARKET_ADMIN_ROLE);
+      await expect(
+        clawStake.connect(bob).emergencyWithdraw(await usdc.getAddress(), 0)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount")
+        .withArgs(bob.address, TREASURY_ROLE);
+      await expect(
+        clawStake.connect(bob).withdrawFees(bob.address, 0)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+
+      await expect(clawStake.connect(bob).resolve("test-market", true))
+        .to.emit(clawStake, "MarketResolved");
+    });
+
+    it("should let a market admin manage markets but not resolve", async function () {
+      await clawStake.grantRole(MARKET_ADMIN_ROLE, bob.address);
+
+      await clawStake.connect(bob).setDeadline("test-market", (await time.latest()) + 3600);
+      await clawStake.connect(bob).setRegistryMode(true);
+      await clawStake.connect(bob).createMarket("new-market", 0, "");
+      await expect(
+        clawStake.connect(bob).resolve("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount")
+        .withArgs(bob.address, RESOLVER_ROLE);
+
+      await expect(clawStake.connect(bob).cancelMarket("test-market"))
+        .to.emit(clawStake, "MarketCancelled");
+    });
+
+    it("should accept deadline signatures from any market admin", async function () {
+      await clawStake.grantRole(MARKET_ADMIN_ROLE, bob.address);
+      const deadline = (await time.latest()) + 86400;
+      const sig = await bob.signMessage(ethers.getBytes(await clawStake.deadlineDigest("new-market", deadline)));
+
+      await clawStake.connect(alice).stakeWithDeadline("new-market", true, STAKE_AMOUNT, deadline, sig);
+      expect((await clawStake.getMarketInfo("new-market")).deadline).to.equal(deadline);
+
+      await clawStake.revokeRole(MARKET_ADMIN_ROLE, bob.address);
+      const sig2 = await bob.signMessage(ethers.getBytes(await clawStake.deadlineDigest("other-market", deadline)));
+      await expect(
+        clawStake.connect(alice).stakeWithDeadline("other-market", true, STAKE_AMOUNT, deadline, sig2)
+      ).to.be.revertedWithCustomError(clawStake, "InvalidDeadlineSignature");
+    });
+
+    it("should send treasury withdrawals to the treasury", async function () {
+      await clawStake.grantRole(TREASURY_ROLE, bob.address);
+      await usdc.mint(await clawStake.getAddress(), STAKE_AMOUNT);
+      const before = await usdc.balanceOf(bob.address);
+
+      await expect(clawStake.connect(bob).emergencyWithdraw(await usdc.getAddress(), STAKE_AMOUNT))
+        .to.emit(clawStake, "EmergencyWithdraw")
+        .withArgs(await usdc.getAddress(), bob.address, STAKE_AMOUNT);
+      expect(await usdc.balanceOf(bob.address)).to.equal(before + STAKE_AMOUNT);
+    });
+
+    it("should stop all privileged calls once the deployer renounces a role", async function () {
+      await clawStake.renounceRole(RESOLVER_ROLE, owner.address);
+
+      await expect(
+        clawStake.resolve("test-market", true)
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should pause staking but keep exits open", async function () {
+      await clawStake.grantRole(PAUSER_ROLE, bob.address);
+      await expect(clawStake.connect(bob).pause()).to.emit(clawStake, "Paused");
+
+      await expect(
+        clawStake.connect(alice).stake("test-market", true, STAKE_AMOUNT)
+      ).to.be.revertedWithCustomError(clawStake, "EnforcedPause");
+      await expect(
+        clawStake.connect(alice).batchStake(["test-market"], [true], [STAKE_AMOUNT])
+      ).to.be.revertedWithCustomError(clawStake, "EnforcedPause");
+
+      await clawStake.cancelMarket("test-market");
+      await expect(clawStake.connect(alice).refund("test-market")).to.emit(clawStake, "Refunded");
+
+      await clawStake.connect(bob).unpause();
+      await expect(clawStake.connect(alice).stake("other-market", true, STAKE_AMOUNT)).to.emit(clawStake, "Staked");
+    });
+
+    it("should reject pausing without PAUSER_ROLE", async function () {
+      await expect(
+        clawStake.connect(alice).pause()
+      ).to.be.revertedWithCustomError(clawStake, "AccessControlUnauthorizedAccount")
+        .withArgs(alice.address, PAUSER_ROLE);
     });
   });
 
@@ -0,0 +1,517 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  ClawStakeClient,
+  ClawStakeError,
+  CLAWSTAKE_ABI,
+  COMMIT_REVEAL_ABI,
+  INTENTS_ABI,
+  POSITIONS_ABI,
+  computePayout,
+  computeFee,
+  impliedOdds,
+  positionId,
+  ROLES,
+  assignRoles,
+  roleId,
+  rolesFromEnv,
+  formatUsdc,
+  summarizePortfolio,
+  parseSide,
+  parseUsdc,
+} = require("../lib");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("ClawStakeClient", function () {
+  let clawStake, usdc, owner, alice, bob;
+  let ownerClient, aliceClient, bobClient;
+  const USDC_AMOUNT = ethers.parseUnits("100", 6);
+  const STAKE_AMOUNT = ethers.parseUnits("10", 6);
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+
+    clawStake = await deployClawStake(await usdc.getAddress());
+
+    await usdc.mint(alice.address, USDC_AMOUNT);
+    await usdc.mint(bob.address, USDC_AMOUNT);
+
+    const address = await clawStake.getAddress();
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+  });
+
+  // ===== ABI =====
+
+  describe("ABI", function () {
+    const format = (iface) =>
+      iface.fragments
+        .filter((f) => f.type !== "constructor")
+        .map((f) => f.format("full"))
+        .sort();
+
+    it("should match the compiled contract", async function () {
+      const { abi } = await artifacts.readArtifact("ClawStake");
+      expect(format(new ethers.Interface(CLAWSTAKE_ABI))).to.deep.equal(
+        format(new ethers.Interface(abi))
+      );
+    });
+
+    it("should match the compiled commit–reveal module", async function () {
+      const { abi } = await artifacts.readArtifact("ClawStakeCommitReveal");
+      expect(format(new ethers.Interface(COMMIT_REVEAL_ABI))).to.deep.equal(
+        format(new ethers.Interface(abi))
+      );
+    });
+
+    it("should match the compiled intents module", async function () {
+      const { abi } = await artifacts.readArtifact("ClawStakeIntents");
+      expect(format(new ethers.Interface(INTENTS_ABI))).to.deep.equal(
+        format(new ethers.Interface(abi))
+      );
+    });
+
+    it("should only use functions the positions contract has", async function () {
+      const { abi } = await artifacts.readArtifact("ClawStakePositions");
+      const compiled = new Set(new ethers.Interface(abi).fragments.map((f) => f.format("full")));
+      for (const fragment of new ethers.Interface(POSITIONS_ABI).fragments) {
+        expect(compiled).to.include(fragment.format("full"));
+      }
+    });
+  });
+
+  // ===== Units =====
+
+  describe("Units", function () {
+    it("should parse and format USDC amounts", function () {
+      expect(parseUsdc("2.5")).to.equal(2_500_000n);
+      expect(parseUsdc(5)).to.equal(5_000_000n);
+      expect(parseUsdc(7n)).to.equal(7n);
+      expect(formatUsdc(2_500_000n)).to.equal("2.5");
+    });
+
+    it("should reject malformed amounts", function () {
+      expect(() => parseUsdc("-1")).to.throw(TypeError);
+      expect(() => parseUsdc("abc")).to.throw(TypeError);
+      expect(() => parseUsdc(NaN)).to.throw(TypeError);
+    });
+
+    it("should parse sides strictly", function () {
+      expect(parseSide("YES")).to.be.true;
+      expect(parseSide("no")).to.be.false;
+      expect(parseSide(true)).to.be.true;
+      expect(() => parseSide("yse")).to.throw(TypeError);
+    });
+  });
+
+  // ===== Staking =====
+
+  describe("Staking", function () {
+    it("should approve and stake in one call", async function () {
+      const result = await aliceClient.stake("test-market", "yes", "10");
+
+      expect(result.approval).to.not.be.null;
+      expect(result.events.map((e) => e.name)).to.deep.equal(["MarketCreated", "Staked"]);
+
+      const position = await aliceClient.getStake("test-market");
+      expect(position.amountYes).to.equal(STAKE_AMOUNT);
+      expect(position.amountNo).to.equal(0n);
+    });
+
+    it("should not re-approve when allowance suffices", async function () {
+      await aliceClient.ensureAllowance("20");
+      await aliceClient.stake("test-market", "yes", "10");
+      const result = await aliceClient.stake("test-market", "no", "10");
+      expect(result.approval).to.be.null;
+    });
+
+    it("should batch stake with a single transfer", async function () {
+      const result = await aliceClient.batchStake([
+        { slug: "market-1", side: "yes", amount: "10" },
+        { slug: "market-2", side: "no", amount: "5" },
+      ]);
+
+      expect(result.events.filter((e) => e.name === "Staked")).to.have.length(2);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT - ethers.parseUnits("15", 6));
+    });
+
+    it("should stake and batch stake with a permit instead of an approval", async function () {
+      const address = await clawStake.getAddress();
+      const single = await aliceClient.stake("market-1", "yes", "10", { permit: true });
+      expect(single.approval).to.be.null;
+      expect(single.events.map((e) => e.name)).to.deep.equal(["MarketCreated", "Staked"]);
+
+      const batch = await aliceClient.batchStake([
+        { slug: "market-1", side: "no", amount: "5" },
+        { slug: "market-2", side: "yes", amount: "5" },
+      ], { permit: true });
+      expect(batch.events.filter((e) => e.name === "Staked")).to.have.length(2);
+
+      expect(await usdc.allowance(alice.address, address)).to.equal(0n);
+      expect(await usdc.nonces(alice.address)).to.equal(2n);
+      expect(await usdc.balanceOf(alice.address)).to.equal(USDC_AMOUNT - ethers.parseUnits("20", 6));
+    });
+
+    it("should approve only the staked amount unless infinite approval is asked for", async function () {
+      const first = await aliceClient.stake("market-1", "yes", "10");
+      expect(first.approval).to.not.be.null;
+      expect(await aliceClient.allowance()).to.equal(0n);
+
+      await aliceClient.batchStake([
+        { slug: "market-1", side: "no", amount: "5" },
+        { slug: "market-2", side: "yes", amount: "5" },
+      ]);
+      expect(await aliceClient.allowance()).to.equal(0n);
+
+      await aliceClient.stake("market-2", "no", "10", { infiniteApproval: true });
+      expect(await aliceClient.allowance()).to.equal(ethers.MaxUint256);
+      const later = await aliceClient.stake("market-3", "yes", "10");
+      expect(later.approval).to.be.null;
+    });
+
+    it("should fail fast on insufficient balance", async function () {
+      await expect(aliceClient.stake("test-market", "yes", "1000"))
+        .to.be.rejectedWith(ClawStakeError, "Insufficient USDC balance");
+    });
+  });
+
+  // ===== Errors =====
+
+  describe("Errors", function () {
+    it("should decode StakeTooSmall", async function () {
+      const err = await aliceClient.stake("test-market", "yes", "0.5").catch((e) => e);
+      expect(err).to.be.instanceOf(ClawStakeError);
+      expect(err.code).to.equal("StakeTooSmall");
+    });
+
+    it("should decode MarketExpired", async function () {
+      await aliceClient.stake("test-market", "yes", "10");
+      const deadline = (await time.latest()) + 3600;
+      await ownerClient.setDeadline("test-market", deadline);
+      await time.increaseTo(deadline + 1);
+
+      const err = await bobClient.stake("test-market", "no", "10").catch((e) => e);
+      expect(err).to.be.instanceOf(ClawStakeError);
+      expect(err.code).to.equal("MarketExpired");
+    });
+
+    it("should decode AccessControlUnauthorizedAccount with the role name", async function () {
+      await aliceClient.stake("test-market", "yes", "10");
+      const err = await aliceClient.resolve("test-market", "yes").catch((e) => e);
+      expect(err.code).to.equal("AccessControlUnauthorizedAccount");
+      expect(err.args[0]).to.equal(alice.address);
+      expect(err.args[1]).to.equal(ROLES.RESOLVER);
+      expect(err.message).to.include("RESOLVER");
+    });
+
+    it("should decode token errors raised inside ClawStake", async function () {
+      const err = await aliceClient.stake("test-market", "yes", "10", { approve: false }).catch((e) => e);
+      expect(err.code).to.equal("ERC20InsufficientAllowance");
+    });
+  });
+
+  // ===== Lifecycle =====
+
+  describe("Lifecycle", function () {
+    beforeEach(async function () {
+      await aliceClient.stake("test-market", "yes", "30");
+      await bobClient.stake("test-market", "no", "10");
+    });
+
+    it("should report market status", async function () {
+      let market = await aliceClient.getMarket("test-market");
+      expect(market.status).to.equal("open");
+      expect(market.totalPool).to.equal(ethers.parseUnits("40", 6));
+
+      await ownerClient.resolve("test-market", "yes");
+      market = await aliceClient.getMarket("test-market");
+      expect(market.status).to.equal("resolved");
+      expect(market.outcome).to.equal("yes");
+    });
+
+    it("should claim the previewed payout", async function () {
+      await ownerClient.resolve("test-market", "yes");
+
+      const market = await aliceClient.getMarket("test-market");
+      const position = await aliceClient.getStake("test-market");
+      const expected = computePayout(market, position);
+      expect(expected).to.equal(ethers.parseUnits("40", 6));
+
+      const result = await aliceClient.claim("test-market");
+      expect(result.payout).to.equal(expected);
+    });
+
+    it("should preview and withdraw protocol fees", async function () {
+      await ownerClient.setFeeBps(250);
+      await aliceClient.stake("fee-market", "yes", "30");
+      await bobClient.stake("fee-market", "no", "10");
+      await ownerClient.resolve("fee-market", "yes");
+
+      const market = await aliceClient.getMarket("fee-market");
+      const position = await aliceClient.getStake("fee-market");
+      expect(market.feeBps).to.equal(250);
+      expect(computeFee(market, position)).to.equal(ethers.parseUnits("0.25", 6));
+
+      const result = await aliceClient.claim("fee-market");
+      expect(result.payout).to.equal(computePayout(market, position));
+      expect(result.fee).to.equal(ethers.parseUnits("0.25", 6));
+      expect(await ownerClient.feesAccrued()).to.equal(result.fee);
+
+      const withdrawal = await ownerClient.withdrawFees();
+      expect(withdrawal.amount).to.equal(result.fee);
+      expect(await ownerClient.feesAccrued()).to.equal(0n);
+    });
+
+    it("should refund after cancellation", async function () {
+      await ownerClient.cancelMarket("test-market");
+      expect((await bobClient.getMarket("test-market")).status).to.equal("cancelled");
+
+      const result = await bobClient.refund("test-market");
+      expect(result.amount).to.equal(STAKE_AMOUNT);
+    });
+
+    it("should preview fractional payouts", async function () {
+      await aliceClient.stake("test-market", "no", "10");
+      await ownerClient.resolveFractional("test-market", 5000);
+
+      const market = await aliceClient.getMarket("test-market");
+      expect(market.outcome).to.equal("fractional");
+      expect(market.yesBps).to.equal(5000);
+
+      const position = await aliceClient.getStake("test-market");
+      const expected = computePayout(market, position);
+      expect(expected).to.equal(ethers.parseUnits("37.5", 6));
+      expect((await aliceClient.claim("test-market")).payout).to.equal(expected);
+
+      const bobExpected = computePayout(market, await bobClient.getStake("test-market"));
+      expect(bobExpected).to.equal(ethers.parseUnits("12.5", 6));
+      expect((await bobClient.claim("test-market")).payout).to.equal(bobExpected);
+    });
+
+    it("should unstake and preview payouts including exit penalties", async function () {
+      await ownerClient.setExitPenaltyBps(500);
+      expect(await ownerClient.exitPenaltyBps()).to.equal(500);
+      expect((await aliceClient.getMarket("test-market")).exitPenaltyBps).to.equal(0);
+
+      await aliceClient.stake("exit-market", "yes", "30");
+      await bobClient.stake("exit-market", "no", "10");
+      const result = await aliceClient.unstake("exit-market", "yes", "10");
+      expect(result.penalty).to.equal(ethers.parseUnits("0.5", 6));
+      expect(result.returned).to.equal(ethers.parseUnits("9.5", 6));
+
+      let market = await aliceClient.getMarket("exit-market");
+      expect(market.exitPenaltyBps).to.equal(500);
+      expect(market.totalYes).to.equal(ethers.parseUnits("20", 6));
+      expect(market.penaltyPool).to.equal(ethers.parseUnits("0.5", 6));
+
+      await ownerClient.resolve("exit-market", "yes");
+      market = await aliceClient.getMarket("exit-market");
+      const expected = computePayout(market, await aliceClient.getStake("exit-market"));
+      expect(expected).to.equal(ethers.parseUnits("30.5", 6));
+      expect((await aliceClient.claim("exit-market")).payout).to.equal(expected);
+    });
+
+    it("should flag auto-cancelled resolutions", async function () {
+      await aliceClient.stake("one-sided", "yes", "10");
+      const result = await ownerClient.resolve("one-sided", "no");
+      expect(result.autoCancelled).to.be.true;
+    });
+
+    it("should list markets in creation order", async function () {
+      await aliceClient.stake("second-market", "no", "1");
+      const markets = await aliceClient.listMarkets();
+      expect(markets.map((m) => m.slug)).to.deep.equal(["test-market", "second-market"]);
+    });
+  });
+
+  // ===== Positions =====
+
+  describe("Positions", function () {
+    beforeEach(async function () {
+      await aliceClient.stake("won", "yes", "30");
+      await bobClient.stake("won", "no", "10");
+      await aliceClient.stake("lost", "no", "5");
+      await bobClient.stake("lost", "yes", "5");
+      await aliceClient.stake("cancelled", "yes", "4");
+      await aliceClient.stake("open", "yes", "6");
+      await bobClient.stake("open", "no", "2");
+      await bobClient.stake("bob-only", "yes", "1");
+
+      await ownerClient.resolve("won", "yes");
+      await ownerClient.resolve("lost", "yes");
+      await ownerClient.cancelMarket("cancelled");
+    });
+
+    it("should list only markets the account holds", async function () {
+      const positions = await aliceClient.getPositions();
+      expect(positions.map((p) => p.slug)).to.deep.equal(["won", "lost", "cancelled", "open"]);
+    });
+
+    it("should compute claimable, refundable and realized PnL", async function () {
+      const bySlug = Object.fromEntries((await aliceClient.getPositions()).map((p) => [p.slug, p]));
+
+      expect(bySlug.won.claimable).to.equal(ethers.parseUnits("40", 6));
+      expect(bySlug.won.realizedPnl).to.equal(ethers.parseUnits("10", 6));
+      expect(bySlug.lost.claimable).to.equal(0n);
+      expect(bySlug.lost.realizedPnl).to.equal(-ethers.parseUnits("5", 6));
+      expect(bySlug.cancelled.refundable).to.equal(ethers.parseUnits("4", 6));
+      expect(bySlug.cancelled.realizedPnl).to.equal(0n);
+      expect(bySlug.open.realizedPnl).to.be.null;
+      expect(bySlug.open.odds.yes).to.equal(0.75);
+    });
+
+    it("should keep realized PnL after claiming", async function () {
+      await aliceClient.claim("won");
+      const won = (await aliceClient.getPositions()).find((p) => p.slug === "won");
+      expect(won.claimed).to.be.true;
+      expect(won.claimable).to.equal(0n);
+      expect(won.realizedPnl).to.equal(ethers.parseUnits("10", 6));
+    });
+
+    it("should transfer a position to the wallet that claims it", async function () {
+      await aliceClient.transferPosition("won", "yes", "30", owner.address);
+
+      const position = await ownerClient.getStake("won");
+      expect(position.amountYes).to.equal(ethers.parseUnits("30", 6));
+      const positions = await aliceClient.positions();
+      expect(await positions.balanceOf(owner.address, positionId("won", "yes"))).to.equal(position.amountYes);
+
+      expect((await ownerClient.claim("won")).payout).to.equal(ethers.parseUnits("40", 6));
+      expect((await aliceClient.getPositions()).map((p) => p.slug)).to.not.include("won");
+    });
+
+    it("should total the portfolio", async function () {
+      const totals = summarizePortfolio(await aliceClient.getPositions(alice.address));
+      expect(totals.staked).to.equal(ethers.parseUnits("45", 6));
+      expect(totals.atRisk).to.equal(ethers.parseUnits("6", 6));
+      expect(totals.realizedPnl).to.equal(ethers.parseUnits("5", 6));
+    });
+
+    it("should collect everything claimable and refundable", async function () {
+      const { claim, refund } = await aliceClient.collectAll();
+
+      expect(claim.slugs).to.deep.equal(["won"]);
+      expect(claim.payout).to.equal(ethers.parseUnits("40", 6));
+      expect(refund.slugs).to.deep.equal(["cancelled"]);
+      expect(refund.amount).to.equal(ethers.parseUnits("4", 6));
+
+      const again = await aliceClient.collectAll();
+      expect(again.claim).to.be.null;
+      expect(again.refund).to.be.null;
+    });
+  });
+
+  // ===== Categorical Markets =====
+
+  describe("Categorical Markets", function () {
+    beforeEach(async function () {
+      await ownerClient.createCategoricalMarket("who-wins", { outcomes: 3 });
+      await aliceClient.stakeOutcome("who-wins", 2, "30");
+      await bobClient.stakeOutcome("who-wins", 0, "10");
+    });
+
+    it("should report per-outcome pools, odds and positions", async function () {
+      const market = await aliceClient.getMarket("who-wins");
+      expect(market.outcomeCount).to.equal(3);
+      expect(market.outcomePools).to.deep.equal([STAKE_AMOUNT, 0n, STAKE_AMOUNT * 3n]);
+      expect(market.totalPool).to.equal(STAKE_AMOUNT * 4n);
+      expect(impliedOdds(market).outcomes).to.deep.equal([0.25, 0, 0.75]);
+
+      const [position] = await aliceClient.getPositions();
+      expect(position.amounts).to.deep.equal([0n, 0n, STAKE_AMOUNT * 3n]);
+      expect(position.staked).to.equal(STAKE_AMOUNT * 3n);
+    });
+
+    it("should preview and claim the winning outcome", async function () {
+      await ownerClient.resolveOutcome("who-wins", 2);
+
+      const market = await aliceClient.getMarket("who-wins");
+      expect(market.outcome).to.equal("2");
+      expect(market.winningOutcome).to.equal(2);
+
+      const position = await aliceClient.getStake("who-wins");
+      expect(computePayout(market, position)).to.equal(STAKE_AMOUNT * 4n);
+      expect(computePayout(market, await bobClient.getStake("who-wins"))).to.equal(0n);
+
+      const result = await aliceClient.claim("who-wins");
+      expect(result.payout).to.equal(STAKE_AMOUNT * 4n);
+    });
+
+    it("should keep binary positions free of outcome amounts", async function () {
+      await aliceClient.stake("binary", "yes", "1");
+      const market = await aliceClient.getMarket("binary");
+      expect(market.outcomeCount).to.equal(0);
+      expect((await aliceClient.getStake("binary")).amounts).to.deep.equal([]);
+    });
+  });
+
+  // ===== Roles =====
+
+  describe("Roles", function () {
+    it("should match the contract's role ids", async function () {
+      expect(await clawStake.DEFAULT_ADMIN_ROLE()).to.equal(ROLES.DEFAULT_ADMIN);
+      expect(await clawStake.RESOLVER_ROLE()).to.equal(ROLES.RESOLVER);
+      expect(await clawStake.MARKET_ADMIN_ROLE()).to.equal(ROLES.MARKET_ADMIN);
+      expect(await clawStake.MARKET_CREATOR_ROLE()).to.equal(ROLES.MARKET_CREATOR);
+      expect(await clawStake.TREASURY_ROLE()).to.equal(ROLES.TREASURY);
+      expect(await clawStake.PAUSER_ROLE()).to.equal(ROLES.PAUSER);
+    });
+
+    it("should accept role names in several spellings", function () {
+      expect(roleId("resolver")).to.equal(ROLES.RESOLVER);
+      expect(roleId("MARKET_ADMIN_ROLE")).to.equal(ROLES.MARKET_ADMIN);
+      expect(roleId("market-creator")).to.equal(ROLES.MARKET_CREATOR);
+      expect(roleId(ROLES.TREASURY)).to.equal(ROLES.TREASURY);
+      expect(() => roleId("superuser")).to.throw(/Unknown role/);
+    });
+
+    it("should grant, list and revoke roles", async function () {
+      await ownerClient.grantRole("resolver", alice.address);
+      expect(await ownerClient.rolesOf(alice.address)).to.deep.equal(["RESOLVER"]);
+      expect(await aliceClient.hasRole("RESOLVER")).to.be.true;
+
+      await ownerClient.revokeRole("resolver", alice.address);
+      expect(await ownerClient.rolesOf(alice.address)).to.deep.equal([]);
+    });
+
+    it("should read role assignments from the environment", function () {
+      expect(rolesFromEnv({ RESOLVER_ADDRESS: alice.address, TREASURY_ADDRESS: bob.address })).to.deep.equal([
+        { role: "RESOLVER", account: alice.address },
+        { role: "TREASURY", account: bob.address },
+      ]);
+      expect(() => rolesFromEnv({ PAUSER_ADDRESS: "0x1234" })).to.throw(/PAUSER_ADDRESS/);
+    });
+
+    it("should hand roles off from the deployer", async function () {
+      const steps = await assignRoles(ownerClient, [
+        { role: "RESOLVER", account: alice.address },
+        { role: "TREASURY", account: bob.address },
+      ]);
+
+      expect(steps.map((s) => `${s.action} ${s.role}`)).to.deep.equal([
+        "grant RESOLVER",
+        "grant TREASURY",
+        "revoke RESOLVER",
+        "revoke TREASURY",
+      ]);
+      expect(await ownerClient.rolesOf(owner.address)).to.deep.equal(["DEFAULT_ADMIN", "MARKET_ADMIN", "PAUSER"]);
+      expect(await ownerClient.rolesOf(alice.address)).to.deep.equal(["RESOLVER"]);
+    });
+
+    it("should pause and resume staking", async function () {
+      await ownerClient.pause();
+      expect(await aliceClient.paused()).to.be.true;
+
+      const err = await aliceClient.stake("test-market", "yes", "1").catch((e) => e);
+      expect(err.code).to.equal("EnforcedPause");
+
+      await ownerClient.unpause();
+      await aliceClient.stake("test-market", "yes", "1");
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { PredictionLog, calibrationReport } = require("../lib");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Calibration report", function () {
+  const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+  describe("Scoring", function () {
+    const entry = (slug, outcome, staked, realizedPnl, extra = {}) => ({
+      slug, status: "resolved", outcome, yesBps: null, staked: usdc(staked), realizedPnl: usdc(realizedPnl), ...extra,
+    });
+
+    it("should compute Brier score, log loss, buckets and PnL by market and category", function () {
+      const predictions = [
+        { slug: "btc", probability: 0.8, category: "crypto" },
+        { slug: "btc", probability: 0.9, category: "crypto" },
+        { slug: "rain", probability: 0.3, category: "weather" },
+        { slug: "split", probability: 0.5, category: null },
+        { slug: "pending", probability: 0.6, category: "crypto" },
+      ];
+      const portfolio = [
+        entry("btc", "yes", 10, 30),
+        entry("rain", "yes", 10, -10),
+        entry("split", "fractional", 20, -5, { yesBps: 2500 }),
+        entry("pending", null, 5, 0, { status: "open", realizedPnl: null }),
+        entry("no-forecast", "no", 4, 4),
+      ];
+      const report = calibrationReport(predictions, portfolio);
+
+      const briers = [0.2 ** 2, 0.1 ** 2, 0.7 ** 2, 0.25 ** 2];
+      expect(report.summary.forecasts).to.equal(4);
+      expect(report.summary.markets).to.equal(4);
+      expect(report.summary.brier).to.be.closeTo(briers.reduce((a, b) => a + b) / 4, 1e-12);
+      const logLoss = -(Math.log(0.8) + Math.log(0.9) + Math.log(0.3) + (0.25 * Math.log(0.5) + 0.75 * Math.log(0.5))) / 4;
+      expect(report.summary.logLoss).to.be.closeTo(logLoss, 1e-12);
+      expect(report.summary).to.include({ staked: usdc(44), pnl: usdc(19) });
+      expect(report.summary.roi).to.be.closeTo(19 / 44, 1e-6);
+
+      expect(report.buckets.map((b) => [b.from, b.forecasts, b.observed])).to.deep.equal([
+        [0.3, 1, 1], [0.5, 1, 0.25], [0.8, 1, 1], [0.9, 1, 1],
+      ]);
+
+      const btc = report.markets.find((m) => m.slug === "btc");
+      expect(btc).to.include({ category: "crypto", forecasts: 2, outcome: 1, roi: 3 });
+      expect(btc.probability).to.be.closeTo(0.85, 1e-12);
+      expect(report.markets.find((m) => m.slug === "no-forecast")).to.include({ forecasts: 0, brier: null, category: "uncategorized" });
+      expect(report.markets.map((m) => m.slug)).to.not.include("pending");
+
+      const categories = Object.fromEntries(report.categories.map((c) => [c.category, c]));
+      expect(categories.crypto).to.include({ markets: 1, forecasts: 2, pnl: usdc(30) });
+      expect(categories.uncategorized).to.include({ markets: 2, forecasts: 1, pnl: usdc(-1) });
+    });
+
+    it("should report nulls when nothing is resolved", function () {
+      const report = calibrationReport([{ slug: "x", probability: 0.5 }], []);
+      expect(report.summary).to.deep.equal({ forecasts: 0, markets: 0, brier: null, logLoss: null, staked: 0n, pnl: 0n, roi: null });
+      expect(report.buckets).to.be.empty;
+    });
+  });
+
+  describe("CLI", function () {
+    let clawStake, owner, alice, bob, address, mock, dir, env;
+
+    async function run(argv, runner = alice, { json = true } = {}) {
+      const stdout = { text: "", write(chunk) { this.text += chunk; } };
+      const stderr = { text: "", write(chunk) { this.text += chunk; } };
+      const code = await main(json ? [...argv, "--json"] : argv, { stdout, stderr, env, runner, address });
+      return { code, body: json ? JSON.parse(stdout.text) : stdout.text };
+    }
+
+    before(async function () {
+      mock = await startMockClawdict({}, { leaderboard: [{ name: "oracle-bot", brierScore: 0.12 }, { username: "second" }] });
+    });
+
+    after(function () {
+      mock.server.close();
+    });
+
+    beforeEach(async function () {
+      [owner, alice, bob] = await ethers.getSigners();
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      const mockUsdc = await MockUSDC.deploy();
+      clawStake = await deployClawStake(await mockUsdc.getAddress());
+      address = await clawStake.getAddress();
+      for (const signer of [alice, bob]) {
+        await mockUsdc.mint(signer.address, usdc(100));
+        await mockUsdc.connect(signer).approve(address, ethers.MaxUint256);
+      }
+
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawstake-"));
+      env = {
+        CLAWSTAKE_PREDICTIONS_FILE: path.join(dir, "predictions.json"),
+        CLAWSTAKE_INDEX_FILE: path.join(dir, "index.json"),
+        CLAWDICT_API: mock.baseUrl,
+      };
+
+      // Alice: right on btc (+30), wrong on rain (-10); Bob the reverse
+      expect((await run(["stake", "--slug", "btc", "--side", "yes", "--amount", "10", "--probability", "0.8", "--category", "crypto"])).code).to.equal(0);
+      expect((await run(["stake", "--slug", "rain", "--side", "no", "--amount", "10", "--probability", "0.3"])).code).to.equal(0);
+      expect((await run(["stake", "--slug", "later", "--side", "yes", "--amount", "5", "--probability", "0.6"])).code).to.equal(0);
+      await clawStake.connect(bob).stake("btc", false, usdc(30));
+      await clawStake.connect(bob).stake("rain", true, usdc(10));
+      await clawStake.resolve("btc", true);
+      await clawStake.resolve("rain", true);
+      await clawStake.connect(alice).claim("btc");
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should record probabilities when staking", function () {
+      const recorded = new PredictionLog(env.CLAWSTAKE_PREDICTIONS_FILE).list({ account: alice.address });
+      expect(recorded.map((p) => [p.slug, p.probability, p.side, p.amount, p.category])).to.deep.equal([
+        ["btc", 0.8, "yes", usdc(10), "crypto"],
+        ["rain", 0.3, "no", usdc(10), null],
+        ["later", 0.6, "yes", usdc(5), null],
+      ]);
+      expect(recorded[0].contract).to.equal(address);
+      expect(recorded[0].chainId).to.equal(31337);
+      expect(recorded[0].txHash).to.match(/^0x[0-9a-f]{64}$/);
+    });
+
+    it("should report the account's calibration as JSON, text and CSV", async function () {
+      const { code, body } = await run(["report"]);
+      expect(code).to.equal(0);
+      const { summary, markets, categories } = body.result;
+      expect(summary).to.include({ forecasts: 2, markets: 2, staked: "20.0", pnl: "20.0", roi: 1 });
+      expect(summary.brier).to.be.closeTo((0.04 + 0.49) / 2, 1e-12);
+      expect(markets.map((m) => [m.slug, m.category, m.pnl])).to.deep.equal([
+        ["btc", "crypto", "30.0"],
+        ["rain", "uncategorized", "-10.0"],
+      ]);
+      expect(categories.map((c) => c.category)).to.deep.equal(["crypto", "uncategorized"]);
+
+      const text = (await run(["report"], alice, { json: false })).body;
+      expect(text).to.include("2 resolved market(s), 2 recorded forecast(s)");
+      expect(text).to.include("Brier 0.2650");
+
+      const csv = (await run(["report", "--csv", "--account", bob.address], alice, { json: false })).body.trim().split("\n");
+      expect(csv[0]).to.equal("slug,category,forecasts,probability,outcome,brier,logLoss,staked,pnl,roi");
+      expect(csv.slice(1)).to.deep.equal(["btc,uncategorized,0,,1,,,30.0,-30.0,-1", "rain,uncategorized,0,,1,,,10.0,10.0,1"]);
+    });
+
+    it("should rank stakers by realized PnL next to the Clawdict leaderboard", async function () {
+      const { code, body } = await run(["report", "--leaderboard"]);
+      expect(code).to.equal(0);
+      expect(body.result.stakers).to.deep.equal([
+        { rank: 1, account: alice.address, markets: 2, wins: 1, staked: "20.0", pnl: "20.0", roi: 1 },
+        { rank: 2, account: bob.address, markets: 2, wins: 1, staked: "40.0", pnl: "-20.0", roi: -0.5 },
+      ]);
+      expect(body.result.clawdict).to.deep.equal([
+        { rank: 1, name: "oracle-bot", score: 0.12 },
+        { rank: 2, name: "second", score: null },
+      ]);
+
+      const csv = (await run(["report", "--leaderboard", "--cached", "--csv", "--limit", "1"], alice, { json: false })).body.trim().split("\n");
+      expect(csv).to.deep.equal(["rank,account,markets,wins,staked,pnl,roi", `1,${alice.address},2,1,20.0,20.0,1`]);
+
+      expect((await run(["report", "--leaderboard", "--account", bob.address])).code).to.equal(2);
+      expect((await run(["stake", "--slug", "btc", "--side", "yes", "--amount", "1", "--category", "x"])).code).to.equal(2);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ClawdictClient, ClawdictError, normalizeMarket } = require("../lib");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+
+describe("Clawdict client", function () {
+  const FIXTURES = Object.fromEntries(
+    ["a", "b", "c", "d", "e"].map((slug, i) => [slug, { slug, status: "open", probability: (i + 1) / 10 }])
+  );
+  let mock, dir;
+
+  // Short delays keep retries fast
+  const client = (opts = {}) => new ClawdictClient({ baseUrl: mock.baseUrl, retryDelay: 5, ...opts });
+
+  beforeEach(async function () {
+    mock = await startMockClawdict(FIXTURES, { leaderboard: [{ username: "crab", brierScore: "0.2" }], pageSize: 2 });
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawdict-"));
+  });
+
+  afterEach(async function () {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should normalize the API's field names into one schema", function () {
+    expect(normalizeMarket({ id: "x", question: "X?", p_yes: "62%", totalVolume: "1200", topic: "crypto", close_date: 1_800_000_000_000 }))
+      .to.deep.equal({
+        slug: "x", title: "X?", pYes: 0.62, volume: 1200, closeDate: 1_800_000_000_000, closeTime: 1_800_000_000,
+        category: "crypto", status: "open", outcome: null, yesBps: null,
+      });
+    expect(normalizeMarket({ slug: "y", pYes: 48, status: "resolved", resolution: "25%" }))
+      .to.include({ pYes: 0.48, status: "resolved", outcome: "fractional", yesBps: 2500, volume: null, category: null });
+    expect(normalizeMarket({ slug: "z", probability: "n/a", status: "cancelled" })).to.include({ pYes: null, status: "voided" });
+  });
+
+  it("should follow pagination and stop at the limit", async function () {
+    const all = await client().listMarkets();
+    expect(all.map((m) => m.slug)).to.deep.equal(["a", "b", "c", "d", "e"]);
+    expect(all[2]).to.include({ pYes: 0.3, status: "open" });
+    expect(mock.requests.map((r) => r.url)).to.deep.equal(["/markets/top", "/markets/top?cursor=2", "/markets/top?cursor=4"]);
+
+    mock.requests.length = 0;
+    const some = await client().listMarkets({ limit: 3 });
+    expect(some.map((m) => m.slug)).to.deep.equal(["a", "b", "c"]);
+    expect(mock.requests).to.have.length(2);
+
+    expect(await client().getMarket("missing")).to.be.null;
+    expect(await client().leaderboard()).to.deep.equal([{ name: "crab", score: 0.2 }]);
+  });
+
+  it("should retry transient failures with backoff and honor Retry-After", async function () {
+    mock.failNext(2, 503);
+    expect((await client().getMarket("a")).slug).to.equal("a");
+    expect(mock.requests).to.have.length(3);
+
+    mock.failNext(1, 429, { retryAfter: 0.2 });
+    const started = Date.now();
+    expect((await client().getMarket("b")).slug).to.equal("b");
+    expect(Date.now() - started).to.be.at.least(190);
+
+    mock.failNext(3, 503);
+    const err = await client({ retries: 2 }).getMarket("c").catch((e) => e);
+    expect(err).to.be.instanceOf(ClawdictError);
+    expect(err).to.include({ code: "HttpError", status: 503 });
+
+    // A plain server error is not retried
+    mock.requests.length = 0;
+    mock.failNext(1, 500);
+    const failed = await client().getMarket("c").catch((e) => e);
+    expect(failed.status).to.equal(500);
+    expect(mock.requests).to.have.length(1);
+  });
+
+  it("should send the agent token and report a rejected one", async function () {
+    await mock.close();
+    mock = await startMockClawdict(FIXTURES, { token: "secret" });
+
+    const err = await client().listMarkets().catch((e) => e);
+    expect(err).to.include({ name: "ClawdictError", status: 401 });
+    expect((await client({ token: "secret" }).listMarkets()).map((m) => m.slug)).to.have.length(5);
+    expect(mock.requests.at(-1).token).to.equal("secret");
+  });
+
+  it("should serve fresh responses from the disk cache and stale ones when the API is down", async function () {
+    const cached = client({ cacheDir: dir, cacheTtl: 60, retries: 0 });
+    await cached.getMarket("a");
+    FIXTURES.a.probability = 0.9;
+    expect((await cached.getMarket("a")).pYes).to.equal(0.1);
+    expect(mock.requests).to.have.length(1);
+
+    // Expired: asks again, and falls back to the cached copy on failure
+    const stale = client({ cacheDir: dir, cacheTtl: 0, retries: 0 });
+    mock.failNext(1, 503);
+    expect((await stale.getMarket("a")).pYes).to.equal(0.1);
+    expect((await stale.getMarket("a")).pYes).to.equal(0.9);
+    FIXTURES.a.probability = 0.1;
+
+    // Entries are kept per token
+    expect(fs.readdirSync(dir)).to.have.length(1);
+    await client({ cacheDir: dir, token: "other" }).getMarket("a");
+    expect(fs.readdirSync(dir)).to.have.length(2);
+  });
+
+  it("should list markets from the CLI and surface API errors", async function () {
+    async function run(argv, env = {}) {
+      const stdout = { text: "", write(chunk) { this.text += chunk; } };
+      const stderr = { text: "", write(chunk) { this.text += chunk; } };
+      const code = await main([...argv, "--json"], { stdout, stderr, env: { CLAWDICT_API: mock.baseUrl, ...env } });
+      return { code, body: JSON.parse(stdout.text) };
+    }
+
+    let { code, body } = await run(["markets", "--limit", "3"]);
+    expect(code).to.equal(0);
+    expect(body.result.markets.map((m) => [m.slug, m.pYes])).to.deep.equal([["a", 0.1], ["b", 0.2], ["c", 0.3]]);
+
+    mock.failNext(1, 500);
+    ({ code, body } = await run(["markets"]));
+    expect(code).to.equal(1);
+    expect(body.error.code).to.equal("HttpError");
+
+    expect((await run(["markets"], { CLAWDICT_CACHE_TTL: "soon" })).code).to.equal(2);
+  });
+});
@@ -0,0 +1,371 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+function capture() {
+  const stream = { text: "", write: (chunk) => { stream.text += chunk; } };
+  return stream;
+}
+
+describe("clawstake CLI", function () {
+  let clawStake, usdc, owner, alice, address;
+
+  async function run(argv, runner = alice) {
+    const stdout = capture();
+    const stderr = capture();
+    const code = await main(argv, { stdout, stderr, env: {}, runner, address });
+    return { code, stdout: stdout.text, stderr: stderr.text };
+  }
+
+  async function runJson(argv, runner) {
+    const res = await run([...argv, "--json"], runner);
+    return { code: res.code, body: JSON.parse(res.stdout) };
+  }
+
+  beforeEach(async function () {
+    [owner, alice] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+
+    clawStake = await deployClawStake(await usdc.getAddress());
+    address = await clawStake.getAddress();
+
+    await usdc.mint(alice.address, ethers.parseUnits("100", 6));
+  });
+
+  // ===== Validation =====
+
+  describe("Validation", function () {
+    it("should reject unknown commands", async function () {
+      const { code, stderr } = await run(["stak"]);
+      expect(code).to.equal(2);
+      expect(stderr).to.include('Unknown command "stak"');
+    });
+
+    it("should reject unknown options", async function () {
+      const { code, body } = await runJson(["stake", "--slug", "m", "--sid", "yes"]);
+      expect(code).to.equal(2);
+      expect(body.ok).to.be.false;
+      expect(body.error.code).to.equal("UsageError");
+    });
+
+    it("should reject sides other than yes/no", async function () {
+      const { code, stderr } = await run(["stake", "--slug", "m", "--side", "yess", "--amount", "5"]);
+      expect(code).to.equal(2);
+      expect(stderr).to.include("--side");
+      expect(await clawStake.marketCount()).to.equal(0);
+    });
+
+    it("should reject malformed amounts", async function () {
+      const { code } = await run(["stake", "--slug", "m", "--side", "yes", "--amount", "5usdc"]);
+      expect(code).to.equal(2);
+    });
+
+    it("should reject missing options", async function () {
+      const { code, stderr } = await run(["resolve", "--slug", "m"]);
+      expect(code).to.equal(2);
+      expect(stderr).to.include("--outcome");
+    });
+  });
+
+  // ===== Commands =====
+
+  describe("Commands", function () {
+    it("should stake and report JSON", async function () {
+      const { code, body } = await runJson(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+
+      expect(code).to.equal(0);
+      expect(body.ok).to.be.true;
+      expect(body.command).to.equal("stake");
+      expect(body.result.side).to.equal("yes");
+      expect(body.result.market.totalYes).to.equal("10.0");
+    });
+
+    it("should batch stake from --stake specs", async function () {
+      const { code, body } = await runJson([
+        "batch",
+        "--stake", "market-1:yes:5",
+        "--stake", "market-2:no:2.5",
+      ]);
+
+      expect(code).to.equal(0);
+      expect(body.result.total).to.equal("7.5");
+      expect(await clawStake.marketCount()).to.equal(2);
+    });
+
+    it("should stake with --permit and leave no allowance", async function () {
+      let res = await runJson(["stake", "--slug", "market-1", "--side", "yes", "--amount", "10", "--permit"]);
+      expect(res.code).to.equal(0);
+      expect(res.body.result.approval).to.be.null;
+
+      res = await runJson(["batch", "--stake", "market-1:no:5", "--stake", "market-2:yes:5", "--permit"]);
+      expect(res.code).to.equal(0);
+      expect(res.body.result.approval).to.be.null;
+      expect(await usdc.allowance(alice.address, address)).to.equal(0n);
+    });
+
+    it("should approve the exact stake unless --infinite-approval is given", async function () {
+      let res = await runJson(["stake", "--slug", "market-1", "--side", "yes", "--amount", "10"]);
+      expect(res.body.result.approval).to.not.be.null;
+      expect(await usdc.allowance(alice.address, address)).to.equal(0n);
+
+      res = await runJson(["batch", "--stake", "market-1:no:5", "--infinite-approval"]);
+      expect(res.code).to.equal(0);
+      expect(await usdc.allowance(alice.address, address)).to.equal(ethers.MaxUint256);
+
+      res = await runJson(["stake", "--slug", "market-1", "--side", "yes", "--amount", "10", "--permit", "--infinite-approval"]);
+      expect(res.code).to.equal(2);
+    });
+
+    it("should run a full lifecycle", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+
+      let res = await runJson(["resolve", "--slug", "test-market", "--outcome", "no"], owner);
+      expect(res.body.result.autoCancelled).to.be.true;
+
+      res = await runJson(["refund", "--slug", "test-market"]);
+      expect(res.body.result.amount).to.equal("10.0");
+    });
+
+    it("should surface contract errors by name", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+
+      const { code, body } = await runJson(["cancel", "--slug", "test-market"]);
+      expect(code).to.equal(1);
+      expect(body.error.code).to.equal("AccessControlUnauthorizedAccount");
+    });
+
+    it("should set and clear deadlines", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+
+      let res = await runJson(["deadline", "--slug", "test-market", "--at", "2030-01-01T00:00:00Z"], owner);
+      expect(res.body.result.deadline).to.equal("2030-01-01T00:00:00.000Z");
+
+      res = await runJson(["deadline", "--slug", "test-market", "--clear"], owner);
+      expect(res.body.result.deadline).to.be.null;
+    });
+
+    it("should show info and positions", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "no", "--amount", "3"]);
+
+      const info = await runJson(["info", "--slug", "test-market"]);
+      expect(info.body.result.market.status).to.equal("open");
+      expect(info.body.result.position.amountNo).to.equal("3.0");
+
+      const positions = await runJson(["positions", "--account", alice.address], owner);
+      expect(positions.body.result.positions).to.have.length(1);
+      expect(positions.body.result.positions[0].slug).to.equal("test-market");
+    });
+
+    it("should filter positions to actionable ones", async function () {
+      await run(["stake", "--slug", "open-market", "--side", "yes", "--amount", "2"]);
+      await run(["stake", "--slug", "cancelled-market", "--side", "yes", "--amount", "3"]);
+      await run(["cancel", "--slug", "cancelled-market"], owner);
+
+      const { body } = await runJson(["positions", "--actionable"]);
+      expect(body.result.positions.map((p) => p.slug)).to.deep.equal(["cancelled-market"]);
+      expect(body.result.totals.refundable).to.equal("3.0");
+    });
+
+    it("should claim all resolved markets at once", async function () {
+      await run(["batch", "--stake", "market-1:yes:5", "--stake", "market-2:no:5"]);
+      await run(["resolve", "--slug", "market-1", "--outcome", "yes"], owner);
+      await run(["resolve", "--slug", "market-2", "--outcome", "no"], owner);
+
+      const { code, body } = await runJson(["claim", "--all"]);
+      expect(code).to.equal(0);
+      expect(body.result.slugs).to.deep.equal(["market-1", "market-2"]);
+      expect(body.result.payout).to.equal("10.0");
+    });
+
+    it("should set, report and withdraw protocol fees", async function () {
+      let res = await runJson(["fees", "--set", "1001"], owner);
+      expect(res.code).to.equal(2);
+
+      res = await runJson(["fees", "--set", "1000"], owner);
+      expect(res.body.result.feeBps).to.equal(1000);
+
+      await usdc.mint(owner.address, ethers.parseUnits("10", 6));
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+      await run(["stake", "--slug", "test-market", "--side", "no", "--amount", "10"], owner);
+      await run(["resolve", "--slug", "test-market", "--outcome", "yes"], owner);
+
+      res = await runJson(["info", "--slug", "test-market"]);
+      expect(res.body.result.market.feeBps).to.equal(1000);
+      expect(res.body.result.position.fee).to.equal("1.0");
+
+      res = await runJson(["claim", "--slug", "test-market"]);
+      expect(res.body.result).to.include({ payout: "19.0", fee: "1.0" });
+
+      res = await runJson(["fees", "--withdraw", "--to", alice.address], owner);
+      expect(res.body.result.feesAccrued).to.equal("0.0");
+      expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("110", 6));
+    });
+
+    it("should grant roles and pause staking", async function () {
+      let res = await runJson(["roles", "--account", alice.address, "--grant", "pauser"], owner);
+      expect(res.body.result.roles).to.deep.equal(["PAUSER"]);
+
+      res = await runJson(["roles", "--grant", "superuser", "--account", alice.address], owner);
+      expect(res.code).to.equal(2);
+
+      res = await runJson(["pause"]);
+      expect(res.body.result.paused).to.be.true;
+
+      res = await runJson(["stake", "--slug", "test-market", "--side", "yes", "--amount", "1"]);
+      expect(res.body.error.code).to.equal("EnforcedPause");
+
+      res = await runJson(["pause", "--resume"]);
+      expect(res.body.result.paused).to.be.false;
+    });
+
+    it("should dispute and correct a resolution", async function () {
+      let res = await runJson(["dispute", "--window", "3600", "--bond", "2"], owner);
+      expect(res.body.result).to.include({ window: 3600, bond: "2.0" });
+
+      await usdc.mint(owner.address, ethers.parseUnits("10", 6));
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+      await run(["stake", "--slug", "test-market", "--side", "no", "--amount", "10"], owner);
+      await run(["resolve", "--slug", "test-market", "--outcome", "no"], owner);
+
+      res = await runJson(["info", "--slug", "test-market"]);
+      expect(res.body.result.market.status).to.equal("finalizing");
+
+      res = await runJson(["dispute", "--slug", "test-market"]);
+      expect(res.body.result.bond).to.equal("2.0");
+      res = await runJson(["claim", "--slug", "test-market"], owner);
+      expect(res.body.error.code).to.equal("ResolutionNotFinal");
+
+      res = await runJson(["resolve", "--slug", "test-market", "--outcome", "yes", "--correct"], owner);
+      expect(res.body.result.changed).to.be.true;
+
+      res = await runJson(["claim", "--slug", "test-market"]);
+      expect(res.body.result.payout).to.equal("20.0");
+      expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("110", 6));
+    });
+
+    it("should return the bond of a lapsed dispute", async function () {
+      await run(["dispute", "--window", "3600", "--bond", "2"], owner);
+      await usdc.mint(owner.address, ethers.parseUnits("10", 6));
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+      await run(["stake", "--slug", "test-market", "--side", "no", "--amount", "10"], owner);
+      await run(["resolve", "--slug", "test-market", "--outcome", "no"], owner);
+      await run(["dispute", "--slug", "test-market"]);
+
+      let res = await runJson(["info", "--slug", "test-market"]);
+      expect(res.body.result.market.status).to.equal("disputed");
+
+      await time.increase(Number(await clawStake.DISPUTE_TIMEOUT()));
+      res = await runJson(["info", "--slug", "test-market"]);
+      expect(res.body.result.market.status).to.equal("resolved");
+
+      res = await runJson(["dispute", "--slug", "test-market", "--expire"], owner);
+      expect(res.body.result).to.include({ disputer: alice.address, bond: "2.0" });
+      expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("90", 6));
+    });
+
+    it("should vote in quorum mode and escalate conflicts", async function () {
+      let res = await runJson(["quorum", "--set", "2"], owner);
+      expect(res.body.result).to.include({ quorum: 2, cancelOnConflict: false });
+      await run(["roles", "--account", alice.address, "--grant", "resolver"], owner);
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+
+      res = await runJson(["resolve", "--slug", "test-market", "--outcome", "yes"], owner);
+      expect(res.body.result.tally).to.include({ yes: 1, no: 0, quorum: 2 });
+      expect(res.body.result.resolved).to.be.false;
+
+      res = await runJson(["resolve", "--slug", "test-market", "--outcome", "no"]);
+      expect(res.body.result.escalated).to.be.true;
+
+      res = await runJson(["quorum", "--slug", "test-market"]);
+      expect(res.body.result).to.include({ yes: 1, no: 1, escalated: true });
+
+      res = await runJson(["resolve", "--slug", "test-market", "--outcome", "yes", "--escalated"], owner);
+      expect(res.body.result.autoCancelled).to.be.false;
+      expect((await clawStake.getMarketInfo("test-market")).resolved).to.be.true;
+    });
+
+    it("should register, stake on and resolve a categorical market", async function () {
+      let res = await runJson(["register", "--slug", "who-wins", "--outcomes", "3"], owner);
+      expect(res.body.result.outcomes).to.equal(3);
+
+      res = await runJson(["stake", "--slug", "who-wins", "--index", "1", "--amount", "5"]);
+      expect(res.body.result.market.outcomePools).to.deep.equal(["0.0", "5.0", "0.0"]);
+
+      res = await runJson(["stake", "--slug", "who-wins", "--side", "yes", "--index", "1", "--amount", "5"]);
+      expect(res.code).to.equal(2);
+
+      res = await run(["info", "--slug", "who-wins"]);
+      expect(res.stdout).to.include("#1 pool:  5.0 USDC  (100.0%)");
+
+      res = await runJson(["resolve", "--slug", "who-wins", "--index", "1"], owner);
+      expect(res.body.result.autoCancelled).to.be.false;
+
+      res = await runJson(["positions"]);
+      expect(res.body.result.positions[0]).to.include({ outcome: "1", claimable: "5.0" });
+    });
+
+    it("should resolve a market fractionally", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+      let res = await runJson(["resolve", "--slug", "test-market", "--yes-bps", "10001"], owner);
+      expect(res.code).to.equal(2);
+
+      res = await run(["resolve", "--slug", "test-market", "--yes-bps", "6250"], owner);
+      expect(res.stdout).to.include("62.5% of the pool to YES");
+
+      res = await runJson(["info", "--slug", "test-market"]);
+      expect(res.body.result.market).to.include({ outcome: "fractional", yesBps: 6250 });
+      expect(res.body.result.position.claimable).to.equal("10.0");
+    });
+
+    it("should unstake with the exit penalty", async function () {
+      let res = await runJson(["fees", "--exit-penalty", "2001"], owner);
+      expect(res.code).to.equal(2);
+      res = await runJson(["fees", "--exit-penalty", "1000"], owner);
+      expect(res.body.result.exitPenaltyBps).to.equal(1000);
+
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "10"]);
+      res = await runJson(["unstake", "--slug", "test-market", "--side", "yes", "--amount", "9.5"]);
+      expect(res.code).to.equal(1);
+      expect(res.body.error.code).to.equal("ResidualStakeTooSmall");
+
+      res = await runJson(["unstake", "--slug", "test-market", "--side", "yes", "--amount", "4"]);
+      expect(res.body.result).to.include({ returned: "3.6", penalty: "0.4" });
+      expect(res.body.result.market).to.include({ totalYes: "6.0", penaltyPool: "0.4", exitPenaltyBps: 1000 });
+
+      res = await runJson(["unstake", "--slug", "test-market", "--side", "yes", "--all"]);
+      expect(res.body.result).to.include({ amount: "6.0", returned: "5.4" });
+      expect(res.body.result.market.penaltyPool).to.equal("0.0");
+      expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("99", 6));
+    });
+
+    it("should transfer a position", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "no", "--amount", "10"]);
+      let res = await runJson(["transfer", "--slug", "test-market", "--side", "yes", "--all", "--to", owner.address]);
+      expect(res.code).to.equal(2);
+
+      res = await runJson(["transfer", "--slug", "test-market", "--side", "no", "--amount", "4", "--to", owner.address]);
+      expect(res.body.result.position.amountNo).to.equal("6.0");
+
+      res = await runJson(["info", "--slug", "test-market"], owner);
+      expect(res.body.result.position.amountNo).to.equal("4.0");
+    });
+
+    it("should report solvency", async function () {
+      await run(["stake", "--slug", "test-market", "--side", "yes", "--amount", "4"]);
+      await usdc.mint(address, ethers.parseUnits("1", 6));
+
+      const { body } = await runJson(["solvency"]);
+      expect(body.result).to.deep.equal({
+        balance: "5.0",
+        liabilities: "4.0",
+        fees: "0.0",
+        surplus: "1.0",
+        solvent: true,
+      });
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient, CommitStore, commitHash } = require("../lib");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Commit–reveal staking", function () {
+  let clawStake, usdc, owner, alice, bob, address;
+  let ownerClient, aliceClient, bobClient;
+  let dir, saltFile, commitDeadline, revealDeadline;
+  const STAKE_AMOUNT = ethers.parseUnits("10", 6);
+
+  async function run(argv, runner = alice) {
+    const stdout = { text: "", write(chunk) { this.text += chunk; } };
+    const stderr = { text: "", write(chunk) { this.text += chunk; } };
+    const code = await main([...argv, "--json"], { stdout, stderr, env: { CLAWSTAKE_SALT_FILE: saltFile }, runner, address });
+    return { code, body: JSON.parse(stdout.text) };
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    clawStake = await deployClawStake(await usdc.getAddress());
+    address = await clawStake.getAddress();
+
+    await usdc.mint(alice.address, ethers.parseUnits("100", 6));
+    await usdc.mint(bob.address, ethers.parseUnits("100", 6));
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawstake-"));
+    saltFile = path.join(dir, "nested", "commitments.json");
+
+    commitDeadline = (await time.latest()) + 3600;
+    revealDeadline = commitDeadline + 3600;
+    await ownerClient.createMarket("sealed");
+    await ownerClient.enableCommitReveal("sealed", { commitDeadline, revealDeadline, penaltyBps: 500 });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should compute the contract's commit hash locally", async function () {
+    const commitment = await aliceClient.prepareCommitment("sealed", "no", "10");
+    expect(commitment.salt).to.match(/^0x[0-9a-f]{64}$/);
+    const module = await aliceClient.commitReveal();
+    expect(commitment.hash).to.equal(
+      await module.commitHash(alice.address, "sealed", false, commitment.salt)
+    );
+    expect(commitHash({ ...commitment, isYes: true })).to.not.equal(commitment.hash);
+  });
+
+  it("should report the schedule and commit, reveal and refund through the client", async function () {
+    let schedule = await aliceClient.getCommitSchedule("sealed");
+    expect(schedule).to.deep.equal({ enabled: true, commitDeadline, revealDeadline, penaltyBps: 500, phase: "commit" });
+    expect((await aliceClient.getCommitSchedule("open")).phase).to.be.null;
+
+    const aliceCommit = await aliceClient.prepareCommitment("sealed", "yes", "10");
+    const result = await aliceClient.commitStake(aliceCommit);
+    expect(result.approval).to.not.be.null;
+    expect(result.events.map((e) => e.name)).to.deep.equal(["StakeCommitted"]);
+    expect(await aliceClient.getCommitment("sealed")).to.deep.equal({ hash: aliceCommit.hash, amount: STAKE_AMOUNT });
+
+    const bobCommit = await bobClient.prepareCommitment("sealed", "no", "10");
+    await bobClient.commitStake(bobCommit);
+
+    await time.increaseTo(commitDeadline + 1);
+    schedule = await aliceClient.getCommitSchedule("sealed");
+    expect(schedule.phase).to.equal("reveal");
+    const revealed = await aliceClient.revealStake(aliceCommit);
+    expect(revealed.events.map((e) => e.name)).to.deep.equal(["Staked", "StakeRevealed"]);
+    expect((await aliceClient.getStake("sealed")).amountYes).to.equal(STAKE_AMOUNT);
+    expect(await aliceClient.getCommitment("sealed")).to.be.null;
+
+    // bob never reveals
+    await time.increaseTo(revealDeadline + 1);
+    const refund = await bobClient.refundCommitment("sealed");
+    expect(refund.amount).to.equal(ethers.parseUnits("9.5", 6));
+    expect(refund.penalty).to.equal(ethers.parseUnits("0.5", 6));
+
+    expect(await ownerClient.commitPenaltiesAccrued()).to.equal(refund.penalty);
+    const withdrawal = await ownerClient.withdrawCommitPenalties();
+    expect(withdrawal.amount).to.equal(refund.penalty);
+    expect(await usdc.balanceOf(owner.address)).to.equal(refund.penalty);
+  });
+
+  it("should keep stored salts private and survive reloads", function () {
+    const store = new CommitStore(saltFile);
+    const commitment = {
+      chainId: 31337,
+      module: ethers.ZeroAddress,
+      slug: "sealed",
+      staker: alice.address,
+      isYes: true,
+      amount: STAKE_AMOUNT,
+      salt: ethers.id("salt"),
+      hash: ethers.id("hash"),
+    };
+    store.save(commitment);
+    expect(fs.statSync(saltFile).mode & 0o777).to.equal(0o600);
+
+    const reloaded = new CommitStore(saltFile);
+    expect(reloaded.get({ ...commitment, staker: alice.address.toLowerCase() })).to.deep.equal(commitment);
+    expect(reloaded.list({ chainId: 1 })).to.deep.equal([]);
+    expect(reloaded.remove(commitment)).to.be.true;
+    expect(reloaded.remove(commitment)).to.be.false;
+
+    fs.writeFileSync(saltFile, "{oops");
+    expect(() => reloaded.save(commitment)).to.throw(/not valid JSON/);
+  });
+
+  it("should commit from the CLI, save the salt and reveal automatically", async function () {
+    let res = await run(["commit", "--slug", "open", "--side", "yes", "--amount", "10"]);
+    expect(res.code).to.equal(2);
+
+    res = await run(["commit", "--slug", "sealed", "--side", "yes", "--amount", "10"]);
+    expect(res.code).to.equal(0);
+    expect(res.body.result.saltFile).to.equal(saltFile);
+    const [stored] = new CommitStore(saltFile).list();
+    expect(stored).to.include({ slug: "sealed", staker: alice.address, isYes: true, hash: res.body.result.hash });
+
+    res = await run(["commit", "--slug", "sealed", "--side", "no", "--amount", "5"]);
+    expect(res.code).to.equal(2);
+    expect(new CommitStore(saltFile).list()[0].salt).to.equal(stored.salt);
+
+    // Still in the commit phase: nothing to reveal yet
+    res = await run(["reveal", "--all"], bob);
+    expect(res.body.result.steps.map((s) => s.action)).to.deep.equal(["waiting"]);
+
+    await time.increaseTo(commitDeadline + 1);
+    res = await run(["reveal", "--all"], bob);
+    expect(res.code).to.equal(0);
+    expect(res.body.result.steps.map((s) => s.action)).to.deep.equal(["revealed"]);
+    expect((await aliceClient.getStake("sealed")).amountYes).to.equal(STAKE_AMOUNT);
+    expect(new CommitStore(saltFile).list()).to.deep.equal([]);
+  });
+
+  it("should enable commit–reveal and refund an unrevealed commitment from the CLI", async function () {
+    await ownerClient.createMarket("cli-sealed");
+    let res = await run(
+      ["commit-reveal", "--slug", "cli-sealed", "--commit-by", String(commitDeadline), "--reveal-by", String(commitDeadline - 1)],
+      owner
+    );
+    expect(res.code).to.equal(2);
+
+    res = await run(
+      ["commit-reveal", "--slug", "cli-sealed", "--commit-by", String(commitDeadline), "--reveal-by", String(revealDeadline), "--penalty", "1000"],
+      owner
+    );
+    expect(res.code).to.equal(0);
+    expect(res.body.result.schedule).to.include({ enabled: true, phase: "commit", penaltyBps: 1000 });
+
+    res = await run(["stake", "--slug", "cli-sealed", "--side", "yes", "--amount", "10"]);
+    expect(res.body.error.code).to.equal("MarketIsSealed");
+
+    await run(["commit", "--slug", "cli-sealed", "--side", "no", "--amount", "10"]);
+    res = await run(["refund", "--slug", "cli-sealed", "--commitment"]);
+    expect(res.body.error.code).to.equal("CommitmentLocked");
+
+    await time.increaseTo(revealDeadline + 1);
+    res = await run(["reveal", "--slug", "cli-sealed"]);
+    expect(res.body.result.steps.map((s) => s.action)).to.deep.equal(["expired"]);
+
+    res = await run(["refund", "--slug", "cli-sealed", "--commitment"]);
+    expect(res.body.result).to.include({ amount: "9.0", penalty: "1.0" });
+    expect(new CommitStore(saltFile).list()).to.deep.equal([]);
+  });
+});
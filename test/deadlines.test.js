@@ -0,0 +1,120 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient } = require("../lib");
+const { applyDeadlineSync, planDeadlineSync } = require("../lib/deadlines");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Deadline sync", function () {
+  let clawStake, owner, alice, ownerClient, aliceClient, mock, fixtures, now;
+  const STAKE_AMOUNT = ethers.parseUnits("10", 6);
+
+  before(async function () {
+    fixtures = {};
+    mock = await startMockClawdict(fixtures);
+  });
+
+  after(function () {
+    mock.server.close();
+  });
+
+  beforeEach(async function () {
+    [owner, alice] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+
+    clawStake = await deployClawStake(await usdc.getAddress());
+    const address = await clawStake.getAddress();
+
+    await usdc.mint(alice.address, ethers.parseUnits("100", 6));
+    await usdc.connect(alice).approve(address, ethers.MaxUint256);
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+
+    now = await time.latest();
+    for (const key of Object.keys(fixtures)) delete fixtures[key];
+    Object.assign(fixtures, {
+      "no-deadline": { slug: "no-deadline", closeDate: new Date((now + 86400) * 1000).toISOString() },
+      "wrong-deadline": { slug: "wrong-deadline", endDate: (now + 7200) * 1000 },
+      "in-sync": { slug: "in-sync", close_date: now + 3600 },
+      "no-close": { slug: "no-close" },
+    });
+
+    for (const slug of ["no-deadline", "wrong-deadline", "in-sync", "no-close", "unknown", "resolved"]) {
+      await clawStake.connect(alice).stake(slug, true, STAKE_AMOUNT);
+    }
+    await clawStake.setDeadline("wrong-deadline", now + 999999);
+    await clawStake.setDeadline("in-sync", now + 3600);
+    await clawStake.resolve("resolved", true);
+  });
+
+  it("should report missing and mismatching deadlines", async function () {
+    const plan = await planDeadlineSync(ownerClient, { baseUrl: mock.baseUrl });
+    const bySlug = Object.fromEntries(plan.map((s) => [s.slug, s]));
+
+    expect(bySlug["no-deadline"]).to.include({ action: "set", current: 0, target: now + 86400 });
+    expect(bySlug["wrong-deadline"]).to.include({ action: "set", target: now + 7200 });
+    expect(bySlug["in-sync"]).to.include({ action: "skip", reason: "deadline matches" });
+    expect(bySlug["no-close"].reason).to.equal("no close date on Clawdict");
+    expect(bySlug["unknown"].reason).to.equal("not found on Clawdict");
+    expect(bySlug).to.not.have.property("resolved");
+  });
+
+  it("should leave out resolutions still in their dispute window", async function () {
+    await clawStake.setDisputeParams(3600, 0);
+    await clawStake.connect(alice).stake("finalizing", true, STAKE_AMOUNT);
+    await clawStake.resolve("finalizing", true);
+    fixtures.finalizing = { slug: "finalizing", closeDate: new Date((now + 86400) * 1000).toISOString() };
+    expect((await ownerClient.getMarket("finalizing")).status).to.equal("finalizing");
+
+    const plan = await planDeadlineSync(ownerClient, { baseUrl: mock.baseUrl });
+    expect(plan.map((s) => s.slug)).to.not.include("finalizing");
+    await applyDeadlineSync(ownerClient, plan);
+  });
+
+  it("should accept drift within tolerance", async function () {
+    await clawStake.setDeadline("wrong-deadline", now + 7230);
+    const plan = await planDeadlineSync(ownerClient, { baseUrl: mock.baseUrl, tolerance: 60 });
+    expect(plan.find((s) => s.slug === "wrong-deadline").action).to.equal("skip");
+  });
+
+  it("should apply the changes", async function () {
+    const plan = await planDeadlineSync(ownerClient, { baseUrl: mock.baseUrl });
+    const applied = await applyDeadlineSync(ownerClient, plan);
+
+    expect(applied.map((r) => r.slug)).to.deep.equal(["no-deadline", "wrong-deadline"]);
+    expect((await clawStake.getMarketInfo("no-deadline")).deadline).to.equal(now + 86400);
+    expect((await clawStake.getMarketInfo("wrong-deadline")).deadline).to.equal(now + 7200);
+
+    const again = await planDeadlineSync(ownerClient, { baseUrl: mock.baseUrl });
+    expect(again.filter((s) => s.action === "set")).to.be.empty;
+  });
+
+  it("should run from the CLI", async function () {
+    let stdout = "";
+    const code = await main(["sync-deadlines", "--api", mock.baseUrl, "--json"], {
+      stdout: { write: (chunk) => { stdout += chunk; } },
+      stderr: { write: () => {} },
+      env: {},
+      runner: owner,
+      address: ownerClient.address,
+    });
+
+    expect(code).to.equal(0);
+    const body = JSON.parse(stdout);
+    expect(body.result.applied).to.have.length(2);
+    expect(body.result.applied.every((r) => r.hash && !r.error)).to.be.true;
+  });
+
+  it("should create a market with an owner-signed deadline", async function () {
+    const auth = await ownerClient.signDeadline("signed-market", now + 5000);
+    await aliceClient.stake("signed-market", "yes", "5", { deadlineAuth: auth });
+
+    const market = await aliceClient.getMarket("signed-market");
+    expect(market.deadline).to.equal(now + 5000);
+  });
+});
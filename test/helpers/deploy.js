@@ -0,0 +1,10 @@
+const { ethers } = require("hardhat");
+const lib = require("../../lib/deploy");
+
+// ClawStake and its modules, deployed by the first signer (who holds every role)
+async function deployClawStake(usdcAddress) {
+  const { clawStake } = await lib.deployClawStake((name) => ethers.getContractFactory(name), usdcAddress);
+  return clawStake;
+}
+
+module.exports = { deployClawStake };
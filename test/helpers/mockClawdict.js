@@ -0,0 +1,2 @@
+// The mock now ships with the library so offline runs can use it too
+module.exports = require("../../lib/clawdictMock");
@@ -0,0 +1,194 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { ClawStakeClient, EventStore, Indexer } = require("../lib");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Event indexer", function () {
+  let usdc, owner, alice, bob, address, deployBlock;
+  let ownerClient, aliceClient, bobClient;
+  let dir, file;
+
+  const usdcUnits = (n) => ethers.parseUnits(String(n), 6);
+
+  function openIndex(client = ownerClient, opts) {
+    const store = new EventStore(file, { chainId: 31337, address, fromBlock: deployBlock });
+    return { store, indexer: new Indexer(client, store, opts) };
+  }
+
+  async function run(argv) {
+    const stdout = { text: "", write(chunk) { this.text += chunk; } };
+    const stderr = { text: "", write(chunk) { this.text += chunk; } };
+    const code = await main([...argv, "--json"], { stdout, stderr, env: { CLAWSTAKE_INDEX_FILE: file }, runner: owner, address });
+    return { code, body: JSON.parse(stdout.text) };
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    const clawStake = await deployClawStake(await usdc.getAddress());
+    address = await clawStake.getAddress();
+    deployBlock = (await clawStake.deploymentTransaction().wait()).blockNumber;
+
+    await usdc.mint(alice.address, usdcUnits(100));
+    await usdc.mint(bob.address, usdcUnits(100));
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawstake-"));
+    file = path.join(dir, "index", "events.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should index stakes, transfers, claims and refunds into positions, history and volume", async function () {
+    await ownerClient.createMarket("won");
+    await ownerClient.createMarket("called-off");
+    await aliceClient.stake("won", "yes", "10");
+    await bobClient.stake("won", "no", "30");
+    await aliceClient.transferPosition("won", "yes", "4", bob.address);
+    await aliceClient.stake("called-off", "no", "5");
+    await ownerClient.resolve("won", "yes");
+    await ownerClient.cancelMarket("called-off");
+    await aliceClient.claim("won");
+    await bobClient.claim("won");
+    await aliceClient.refund("called-off");
+
+    // Small batches exercise the chunking and checkpoints
+    const { store, indexer } = openIndex(ownerClient, { batchSize: 3 });
+    const report = await indexer.sync();
+    expect(report.fromBlock).to.equal(deployBlock);
+    expect(report.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(report.reorg).to.be.null;
+    expect(report.added).to.equal(store.events.length);
+    expect(store.checkpoints.length).to.be.greaterThan(1);
+
+    const positions = Object.fromEntries(store.positionsOf(alice.address).map((p) => [p.slug, p]));
+    // Alice kept 6 of her 10 YES and claims 6/10 of the 40 USDC pool
+    expect(positions.won).to.include({ staked: usdcUnits(10), claimed: usdcUnits(24), refunded: 0n, amountYes: 0n, amountNo: 0n });
+    expect(positions.won.netFlow).to.equal(usdcUnits(14));
+    expect(positions["called-off"]).to.include({ staked: usdcUnits(5), refunded: usdcUnits(5), netFlow: 0n });
+
+    const [bobWon] = store.positionsOf(bob.address);
+    expect(bobWon).to.include({ slug: "won", staked: usdcUnits(30), claimed: usdcUnits(16) });
+    expect(bobWon.netFlow).to.equal(-usdcUnits(14));
+
+    expect(store.marketHistory("won").map((e) => e.name)).to.deep.equal([
+      "MarketCreated", "Staked", "Staked", "MarketResolved", "Claimed", "Claimed",
+    ]);
+
+    const days = store.volumeByDay();
+    expect(days).to.have.length(1);
+    expect(days[0]).to.include({ volume: usdcUnits(45), stakes: 3, stakers: 2 });
+    expect(store.volumeByDay({ slug: "called-off" })[0].volume).to.equal(usdcUnits(5));
+  });
+
+  it("should track position tokens held after transfers", async function () {
+    await ownerClient.createMarket("open");
+    await aliceClient.stake("open", "yes", "10");
+    await aliceClient.transferPosition("open", "yes", "4", bob.address);
+
+    const { store, indexer } = openIndex();
+    await indexer.sync();
+    expect(store.positionsOf(alice.address)[0]).to.include({ staked: usdcUnits(10), amountYes: usdcUnits(6) });
+    // Bob never staked but holds the transferred tokens
+    expect(store.positionsOf(bob.address)[0]).to.include({ staked: 0n, amountYes: usdcUnits(4), amountNo: 0n });
+  });
+
+  it("should roll back events from blocks that were reorganized away", async function () {
+    await ownerClient.createMarket("fork");
+    await aliceClient.stake("fork", "yes", "10");
+    const { store, indexer } = openIndex(ownerClient, { batchSize: 1 });
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await bobClient.stake("fork", "no", "20");
+    expect((await indexer.sync()).added).to.equal(2); // Staked and the position mint
+    const forkedAt = store.cursor;
+
+    // Replace the indexed blocks with a longer chain in which Bob staked differently
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("hardhat_mine", ["0x2"]);
+    await bobClient.stake("fork", "yes", "7");
+
+    const report = await indexer.sync();
+    expect(report.reorg.ancestor).to.be.lessThan(forkedAt);
+    expect(report.reorg.removed).to.be.at.least(1);
+    const stakes = store.query({ name: "Staked", slug: "fork" }).map((e) => [e.args.staker, e.args.isYes, e.args.amount]);
+    expect(stakes).to.deep.equal([
+      [alice.address, true, usdcUnits(10).toString()],
+      [bob.address, true, usdcUnits(7).toString()],
+    ]);
+    expect(store.cursor).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("should persist the index and resume from its cursor", async function () {
+    await ownerClient.createMarket("resume");
+    await aliceClient.stake("resume", "no", "10");
+    await openIndex().indexer.sync();
+
+    await bobClient.stake("resume", "yes", "5");
+    const { store, indexer } = openIndex();
+    const before = store.events.length;
+    const report = await indexer.sync();
+    expect(report.fromBlock).to.be.greaterThan(deployBlock);
+    expect(report.added).to.equal(store.events.length - before);
+    expect(store.volumeByDay()[0].volume).to.equal(usdcUnits(15));
+
+    // Nothing new: no blocks fetched
+    const idle = await openIndex().indexer.sync();
+    expect(idle).to.include({ added: 0, reorg: null });
+    expect(idle.toBlock).to.be.lessThan(idle.fromBlock);
+
+    expect(() => new EventStore(file, { chainId: 1, address })).to.throw(/chain 31337/);
+    expect(() => new EventStore(file, { chainId: 31337, address: bob.address })).to.throw(/not 0x/);
+  });
+
+  it("should stay behind the head by the configured confirmations", async function () {
+    await ownerClient.createMarket("late");
+    await aliceClient.stake("late", "yes", "10");
+    const { store, indexer } = openIndex(ownerClient, { confirmations: 2 });
+    await indexer.sync();
+    expect(store.cursor).to.equal((await ethers.provider.getBlockNumber()) - 2);
+    expect(store.query({ name: "Staked" })).to.be.empty;
+  });
+
+  it("should index and query from the CLI", async function () {
+    await ownerClient.createMarket("cli");
+    await aliceClient.stake("cli", "yes", "10");
+
+    let { code, body } = await run(["index", "--from-block", String(deployBlock)]);
+    expect(code).to.equal(0);
+    expect(body.result).to.include({ reorg: null, store: file });
+    expect(body.result.events).to.equal(body.result.added);
+
+    await bobClient.stake("cli", "no", "5");
+    ({ code, body } = await run(["history", "--account", bob.address]));
+    expect(code).to.equal(0);
+    expect(body.result.positions).to.deep.equal([
+      {
+        slug: "cli", staked: "5.0", returned: "0.0", penalties: "0.0", claimed: "0.0", fees: "0.0",
+        refunded: "0.0", netFlow: "-5.0", amountYes: "0.0", amountNo: "5.0", amounts: [],
+        lastActivity: body.result.positions[0].lastActivity,
+      },
+    ]);
+
+    ({ body } = await run(["history", "--slug", "cli", "--cached"]));
+    expect(body.result.events.map((e) => e.name)).to.deep.equal(["MarketCreated", "Staked", "Staked"]);
+
+    ({ body } = await run(["history", "--volume"]));
+    expect(body.result.days[0]).to.include({ volume: "15.0", stakes: 2, stakers: 2 });
+
+    ({ code } = await run(["history", "--account", bob.address, "--volume"]));
+    expect(code).to.equal(2);
+  });
+});
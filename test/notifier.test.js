@@ -0,0 +1,224 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  ClawStakeClient, FileSink, Notifier, REFUND_GRACE_PERIOD, ScriptSink, WebhookSink, verifyWebhookSignature,
+} = require("../lib");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+/** Records POSTs; answers `failures` 503s first */
+function startReceiver() {
+  const receiver = { requests: [], failures: 0 };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body });
+      if (receiver.failures > 0) {
+        receiver.failures -= 1;
+        res.writeHead(503).end();
+      } else {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+      resolve(receiver);
+    });
+  });
+}
+
+describe("Notifier", function () {
+  let owner, alice, bob, carol, address, ownerClient, aliceClient, bobClient;
+  let receiver, dir;
+
+  const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const mockUsdc = await MockUSDC.deploy();
+    const clawStake = await deployClawStake(await mockUsdc.getAddress());
+    address = await clawStake.getAddress();
+    await mockUsdc.mint(alice.address, usdc(100));
+    await mockUsdc.mint(bob.address, usdc(100));
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+    await aliceClient.stake("won", "yes", "10");
+    await bobClient.stake("won", "no", "30");
+    await bobClient.stake("stalled", "yes", "5");
+    await ownerClient.setDeadline("stalled", (await ownerClient.now()) + 3600);
+
+    receiver = await startReceiver();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawstake-"));
+  });
+
+  afterEach(function () {
+    receiver.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should send signed webhooks, retry failures and report only the accounts' markets", async function () {
+    const secret = "hook-secret";
+    const log = path.join(dir, "log", "notifications.ndjson");
+    const notifier = new Notifier(ownerClient, {
+      sinks: [new WebhookSink({ url: receiver.url, secret }), new FileSink({ file: log })],
+      accounts: [alice.address, carol.address],
+      retryDelay: 5,
+    });
+    await notifier.start();
+
+    // Winnings stay in a dispute window for an hour
+    await ownerClient.setDisputeParams({ window: 3600, bond: "1" });
+    await ownerClient.resolve("won", "yes");
+    receiver.failures = 2;
+    const [report, ...rest] = await notifier.poll();
+    expect(rest).to.be.empty;
+
+    const { notification, deliveries } = report;
+    expect(notification).to.include({ event: "resolved", slug: "won", outcome: "yes", account: alice.address });
+    expect(notification.position).to.include({ staked: "10.0", action: "claim", status: "finalizing" });
+    expect(notification.position.claimable).to.equal("40.0");
+    expect(notification.position.claimableAt).to.match(/^\d{4}-/);
+    expect(deliveries).to.deep.equal([
+      { sink: `webhook ${receiver.url}`, ok: true, attempts: 3, error: null },
+      { sink: `file ${log}`, ok: true, attempts: 1, error: null },
+    ]);
+
+    expect(receiver.requests).to.have.length(3);
+    const { headers, body } = receiver.requests[2];
+    expect(JSON.parse(body)).to.deep.equal(notification);
+    expect(headers["x-clawstake-event"]).to.equal("resolved");
+    expect(headers["x-clawstake-delivery"]).to.equal(notification.id);
+    const signed = { signature: headers["x-clawstake-signature"], timestamp: headers["x-clawstake-timestamp"], body };
+    expect(verifyWebhookSignature(secret, signed)).to.be.true;
+    expect(verifyWebhookSignature("wrong", signed)).to.be.false;
+    expect(verifyWebhookSignature(secret, { ...signed, body: body.replace("won", "lost") })).to.be.false;
+
+    expect(fs.readFileSync(log, "utf8").trim().split("\n").map((l) => JSON.parse(l))).to.deep.equal([notification]);
+
+    // Gives up after the retries and says so
+    receiver.failures = 10;
+    await ownerClient.cancelMarket("stalled");
+    expect(await notifier.poll()).to.be.empty; // none of the accounts holds a position
+    await aliceClient.stake("stalled-2", "no", "5");
+    await ownerClient.cancelMarket("stalled-2");
+    const [failed] = await notifier.poll();
+    expect(failed.notification).to.include({ event: "cancelled", account: alice.address });
+    expect(failed.notification.position).to.include({ action: "refund", refundable: "5.0" });
+    expect(failed.deliveries[0]).to.include({ ok: false, attempts: 4 });
+    expect(failed.deliveries[0].error).to.match(/503/);
+  });
+
+  it("should report passed deadlines and opened refund windows to a script", async function () {
+    const out = path.join(dir, "hook.out");
+    const script = `node -e "process.stdin.pipe(require('fs').createWriteStream(process.env.OUT, { flags: 'a' }))" && echo >> "$OUT"`;
+    const notifier = new Notifier(ownerClient, {
+      sinks: [new ScriptSink({ command: script, env: { ...process.env, OUT: out } })],
+      accounts: [bob.address],
+    });
+    await notifier.start();
+
+    const { deadline } = await ownerClient.getMarket("stalled");
+    await time.increaseTo(deadline + 1);
+    let reports = await notifier.poll();
+    expect(reports.map((r) => [r.notification.event, r.notification.slug, r.deliveries[0].ok])).to.deep.equal([["closed", "stalled", true]]);
+    expect(reports[0].notification.position.action).to.be.null;
+
+    await time.increaseTo(deadline + REFUND_GRACE_PERIOD + 1);
+    reports = await notifier.poll();
+    expect(reports.map((r) => r.notification.event)).to.deep.equal(["refundable"]);
+    expect(reports[0].notification.position).to.include({ action: "refund", refundable: "5.0" });
+    expect(await notifier.poll()).to.be.empty;
+
+    const written = fs.readFileSync(out, "utf8").trim().split("\n").map((l) => JSON.parse(l));
+    expect(written.map((n) => [n.event, n.account])).to.deep.equal([["closed", bob.address], ["refundable", bob.address]]);
+
+    const failing = new Notifier(ownerClient, { sinks: [new ScriptSink({ command: "echo nope >&2; exit 3" })], retries: 0 });
+    const [delivery] = await failing.notify({ id: "x", event: "closed", slug: "stalled" });
+    expect(delivery).to.include({ ok: false, attempts: 1 });
+    expect(delivery.error).to.match(/exited with 3: nope/);
+  });
+
+  it("should notify categorical resolutions and corrected outcomes without a false refund window", async function () {
+    await ownerClient.setDisputeParams({ window: 3600, bond: "1" });
+    const deadline = (await ownerClient.now()) + 3600;
+    await ownerClient.createCategoricalMarket("who", { outcomes: 3, deadline });
+    await aliceClient.stakeOutcome("who", 1, "5");
+    await bobClient.stakeOutcome("who", 2, "15");
+    const notifier = new Notifier(ownerClient, {
+      sinks: [new FileSink({ file: path.join(dir, "log.ndjson") })],
+      accounts: [alice.address, bob.address],
+      slugs: ["who"],
+      events: ["resolved", "closed", "refundable"],
+    });
+    await notifier.start();
+
+    // Resolved just before the refund window; the poll comes after it opened
+    await time.increaseTo(deadline + REFUND_GRACE_PERIOD - 60);
+    await ownerClient.resolveOutcome("who", 1);
+    await time.increaseTo(deadline + REFUND_GRACE_PERIOD + 1);
+    let reports = await notifier.poll();
+    expect(reports.map((r) => [r.notification.event, r.notification.slug, r.notification.account])).to.deep.equal([
+      ["resolved", "who", alice.address],
+      ["resolved", "who", bob.address],
+    ]);
+    expect(reports[0].notification).to.include({ outcome: "1", corrected: false });
+    expect(reports[0].notification.position).to.include({ action: "claim", claimable: "20.0" });
+    expect(reports[1].notification.position.action).to.be.null;
+
+    await ownerClient.correctOutcome("who", 2);
+    reports = await notifier.poll();
+    expect(reports.map((r) => [r.notification.event, r.notification.account])).to.deep.equal([
+      ["resolved", alice.address],
+      ["resolved", bob.address],
+    ]);
+    expect(reports[1].notification).to.include({ outcome: "2", corrected: true });
+    expect(reports[0].notification.position.action).to.be.null;
+    expect(reports[1].notification.position).to.include({ action: "claim", claimable: "20.0" });
+    expect(await notifier.poll()).to.be.empty;
+  });
+
+  it("should run from the CLI with every market and reject a missing sink", async function () {
+    const log = path.join(dir, "notifications.ndjson");
+    async function run(argv) {
+      const stdout = { text: "", write(chunk) { this.text += chunk; } };
+      const stderr = { text: "", write(chunk) { this.text += chunk; } };
+      const running = main([...argv, "--json"], { stdout, stderr, env: {}, runner: owner, address });
+      return { stdout, running };
+    }
+
+    const { stdout, running } = await run(["notify", "--log", log, "--webhook", receiver.url, "--events", "resolved,stake", "--interval", "1", "--count", "2"]);
+    // Let the notifier snapshot before anything happens
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    await ownerClient.resolve("won", "no");
+    await bobClient.claim("won");
+    await bobClient.stake("next", "yes", "2");
+    expect(await running).to.equal(0);
+
+    const lines = stdout.text.trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines.slice(0, 2).map((l) => [l.result.notification.event, l.result.notification.slug])).to.deep.equal([
+      ["resolved", "won"],
+      ["stake", "next"],
+    ]);
+    expect(lines[0].result.notification).to.not.have.property("account");
+    expect(lines[2].result).to.include({ notifications: 2 });
+    expect(receiver.requests).to.have.length(2);
+    expect(receiver.requests[0].headers).to.not.have.property("x-clawstake-signature");
+    expect(fs.readFileSync(log, "utf8").trim().split("\n")).to.have.length(2);
+
+    for (const argv of [["notify"], ["notify", "--log", log, "--events", "claimed"], ["notify", "--log", log, "--account", "0x12"], ["notify", "--log", log, "--interval", "0"]]) {
+      const { running: bad } = await run(argv);
+      expect(await bad, argv.join(" ")).to.equal(2);
+    }
+  });
+});
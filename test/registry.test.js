@@ -0,0 +1,94 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient } = require("../lib");
+const { applyRegistrations, planRegistrations } = require("../lib/registry");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Market registration", function () {
+  let clawStake, owner, alice, ownerClient, mock, fixtures, now;
+
+  before(async function () {
+    fixtures = {};
+    mock = await startMockClawdict(fixtures);
+  });
+
+  after(function () {
+    mock.server.close();
+  });
+
+  beforeEach(async function () {
+    [owner, alice] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+
+    clawStake = await deployClawStake(await usdc.getAddress());
+    ownerClient = new ClawStakeClient({ address: await clawStake.getAddress(), runner: owner });
+
+    now = await time.latest();
+    for (const key of Object.keys(fixtures)) delete fixtures[key];
+    Object.assign(fixtures, {
+      "btc-100k": { slug: "btc-100k", closeDate: new Date((now + 86400) * 1000).toISOString() },
+      "eth-flip": { slug: "eth-flip" },
+      "Bad Slug": { slug: "Bad Slug" },
+      "done": { slug: "done", status: "resolved", resolution: "YES" },
+      "existing": { slug: "existing" },
+    });
+    await clawStake.createMarket("existing", 0, "");
+  });
+
+  it("should plan registrations from the Clawdict top list", async function () {
+    const plan = await planRegistrations(ownerClient, { baseUrl: mock.baseUrl });
+    const bySlug = Object.fromEntries(plan.map((s) => [s.slug, s]));
+
+    expect(bySlug["btc-100k"]).to.include({ action: "create", deadline: now + 86400 });
+    expect(bySlug["btc-100k"].metadataURI).to.equal("https://www.clawdict.com/markets/btc-100k");
+    expect(bySlug["eth-flip"]).to.include({ action: "create", deadline: 0 });
+    expect(bySlug["Bad Slug"].reason).to.match(/invalid slug/);
+    expect(bySlug["done"].reason).to.equal("already resolved on Clawdict");
+    expect(bySlug["existing"].reason).to.equal("already registered");
+  });
+
+  it("should register planned markets", async function () {
+    const plan = await planRegistrations(ownerClient, { baseUrl: mock.baseUrl });
+    const results = await applyRegistrations(ownerClient, plan);
+
+    expect(results.map((r) => r.slug)).to.deep.equal(["btc-100k", "eth-flip"]);
+    expect((await clawStake.getMarketInfo("btc-100k")).deadline).to.equal(now + 86400);
+    expect(await ownerClient.metadataURI("btc-100k")).to.equal("https://www.clawdict.com/markets/btc-100k");
+  });
+
+  it("should bulk register from the CLI and enable registry mode", async function () {
+    const io = (stdout) => ({
+      stdout: { write: (chunk) => stdout.push(chunk) },
+      stderr: { write: () => {} },
+      env: {},
+      runner: owner,
+      address: ownerClient.address,
+    });
+
+    const out1 = [];
+    expect(await main(["register", "--from-clawdict", "--api", mock.baseUrl, "--json"], io(out1))).to.equal(0);
+    expect(JSON.parse(out1.join("")).result.registered).to.have.length(2);
+
+    const out2 = [];
+    expect(await main(["registry", "--mode", "on", "--json"], io(out2))).to.equal(0);
+    expect(JSON.parse(out2.join("")).result.registryMode).to.be.true;
+  });
+
+  it("should reject invalid slugs before sending", async function () {
+    const stderr = [];
+    const code = await main(["register", "--slug", "Will-BTC"], {
+      stdout: { write: () => {} },
+      stderr: { write: (chunk) => stderr.push(chunk) },
+      env: {},
+      runner: alice,
+      address: ownerClient.address,
+    });
+    expect(code).to.equal(2);
+    expect(stderr.join("")).to.include("lowercase");
+  });
+});
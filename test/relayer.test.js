@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient, Relayer, intentToJSON } = require("../lib");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Relayer", function () {
+  let clawStake, usdc, owner, alice, bob, address;
+  let relayer, url, aliceClient, bobClient;
+  const STAKE_AMOUNT = ethers.parseUnits("10", 6);
+
+  async function post(path, body) {
+    const res = await fetch(`${url}${path}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function get(path) {
+    const res = await fetch(`${url}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    clawStake = await deployClawStake(await usdc.getAddress());
+    address = await clawStake.getAddress();
+
+    await usdc.mint(alice.address, ethers.parseUnits("100", 6));
+    await usdc.mint(bob.address, ethers.parseUnits("100", 6));
+
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+
+    // The owner runs the relayer and pays the gas; flushes are manual here
+    relayer = new Relayer(new ClawStakeClient({ address, runner: owner }), { interval: 0 });
+    const { port } = await relayer.listen(0);
+    url = `http://127.0.0.1:${port}`;
+  });
+
+  afterEach(async function () {
+    await relayer.close();
+  });
+
+  it("should stake gaslessly with a permit-backed intent over HTTP", async function () {
+    const ethBefore = await ethers.provider.getBalance(alice.address);
+    const intent = await aliceClient.signIntent("stake", { slug: "test-market", side: "yes", amount: "10" }, { permit: true });
+
+    const queued = await post("/intents", intentToJSON(intent));
+    expect(queued.status).to.equal(202);
+    expect(queued.body.result.status).to.equal("queued");
+
+    const flushed = await post("/flush");
+    expect(flushed.body.result.submitted).to.deep.equal([queued.body.result.id]);
+
+    const record = await get(`/intents/${queued.body.result.id}`);
+    expect(record.body.result.status).to.equal("submitted");
+    expect(record.body.result.hash).to.equal(flushed.body.result.hash);
+
+    expect((await aliceClient.getStake("test-market")).amountYes).to.equal(STAKE_AMOUNT);
+    expect(await ethers.provider.getBalance(alice.address)).to.equal(ethBefore);
+    expect(await usdc.allowance(alice.address, address)).to.equal(0n);
+  });
+
+  it("should batch intents from several signers into one transaction", async function () {
+    await usdc.connect(bob).approve(address, ethers.MaxUint256);
+    const first = await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "10" }, { permit: true });
+    const second = await bobClient.signIntent("stake", { slug: "market-1", side: "no", amount: "5" });
+    // Signed ahead with the next nonce and submitted first: the relayer orders by nonce
+    const third = await bobClient.signIntent("stake", { slug: "market-2", side: "yes", amount: "5" }, { nonce: 1 });
+
+    for (const intent of [third, first, second]) await relayer.submit(intentToJSON(intent));
+    const report = await relayer.flush();
+
+    expect(report.submitted).to.have.length(3);
+    expect(report.failed).to.deep.equal([]);
+    const receipt = await ethers.provider.getTransactionReceipt(report.hash);
+    expect(receipt.from).to.equal(owner.address);
+    expect(await bobClient.intentNonce()).to.equal(2n);
+    expect((await clawStake.getMarketInfo("market-1")).totalNo).to.equal(ethers.parseUnits("5", 6));
+  });
+
+  it("should claim and refund for the holder", async function () {
+    await usdc.connect(alice).approve(address, ethers.MaxUint256);
+    await usdc.connect(bob).approve(address, ethers.MaxUint256);
+    await aliceClient.stake("won", "yes", "10");
+    await bobClient.stake("won", "no", "10");
+    await aliceClient.stake("cancelled", "yes", "10");
+    await clawStake.resolve("won", true);
+    await clawStake.cancelMarket("cancelled");
+
+    const claim = await aliceClient.signIntent("claim", { slug: "won" });
+    const refund = await aliceClient.signIntent("refund", { slug: "cancelled" }, { nonce: claim.nonce + 1n });
+    await relayer.submit(intentToJSON(claim));
+    await relayer.submit(intentToJSON(refund));
+    await relayer.flush();
+
+    expect(await usdc.balanceOf(alice.address)).to.equal(ethers.parseUnits("110", 6));
+  });
+
+  it("should reject bad intents at submission", async function () {
+    let res = await post("/intents", "{not json");
+    expect(res.status).to.equal(400);
+    expect(res.body.error.code).to.equal("InvalidIntent");
+
+    res = await post("/intents", { type: "swap", slug: "m" });
+    expect(res.status).to.equal(400);
+    expect(res.body.error.code).to.equal("InvalidIntent");
+
+    const forged = intentToJSON(await aliceClient.signIntent("stake", { slug: "m", side: "yes", amount: "10" }));
+    res = await post("/intents", { ...forged, amount: "20000000" });
+    expect(res.body.error.code).to.equal("InvalidIntentSignature");
+
+    const stale = await aliceClient.signIntent("stake", { slug: "m", side: "yes", amount: "10" }, { expiry: (await time.latest()) + 5 });
+    await time.increase(10);
+    res = await post("/intents", intentToJSON(stale));
+    expect(res.body.error.code).to.equal("IntentExpired");
+
+    expect(relayer.queue).to.have.length(0);
+  });
+
+  it("should drop an intent that would revert without blocking the batch", async function () {
+    await usdc.connect(bob).approve(address, ethers.MaxUint256);
+    // No allowance and no permit: the transfer from alice would fail
+    const unfunded = await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "10" });
+    const funded = await bobClient.signIntent("stake", { slug: "market-1", side: "no", amount: "10" });
+    const unfundedRecord = await relayer.submit(intentToJSON(unfunded));
+    await relayer.submit(intentToJSON(funded));
+
+    const report = await relayer.flush();
+    expect(report.submitted).to.have.length(1);
+    expect(report.failed).to.have.length(1);
+    expect(report.failed[0].code).to.equal("ERC20InsufficientAllowance");
+    expect(relayer.get(unfundedRecord.id).status).to.equal("failed");
+    expect((await clawStake.getMarketInfo("market-1")).totalNo).to.equal(STAKE_AMOUNT);
+  });
+
+  it("should only pay for a permit along with a stake that passes simulation", async function () {
+    // Below the minimum stake: the stake would revert, so its permit is never sent
+    const tooSmall = await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "0.5" }, { permit: true });
+    await relayer.submit(intentToJSON(tooSmall));
+    const relayerNonce = await ethers.provider.getTransactionCount(owner.address);
+
+    const report = await relayer.flush();
+    expect(report.hash).to.be.null;
+    expect(report.failed.map((f) => f.code)).to.deep.equal(["StakeTooSmall"]);
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(relayerNonce);
+    expect(await usdc.nonces(alice.address)).to.equal(0n);
+
+    // A permit already used (e.g. front-run) does not make its batch revert
+    const intent = await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "10" }, { permit: true });
+    await aliceClient.submitPermit(alice.address, intent.permit);
+    await relayer.client.submitIntents([intent]);
+    expect((await aliceClient.getStake("market-1")).amountYes).to.equal(STAKE_AMOUNT);
+  });
+
+  it("should put the queue back when the node fails mid-flush", async function () {
+    await usdc.connect(alice).approve(address, ethers.MaxUint256);
+    const records = [];
+    for (const nonce of [0n, 1n, 2n]) {
+      const intent = await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "1" }, { nonce });
+      records.push(await relayer.submit(intentToJSON(intent)));
+    }
+
+    const client = relayer.client;
+    let calls = 0;
+    client.checkIntents = function (intents) {
+      if (++calls === 2) return Promise.reject(new Error("socket hang up"));
+      return ClawStakeClient.prototype.checkIntents.call(this, intents);
+    };
+    try {
+      await expect(relayer.flush()).to.be.rejectedWith("socket hang up");
+    } finally {
+      delete client.checkIntents;
+    }
+    expect(relayer.queue.map((e) => e.record.id)).to.deep.equal(records.map((r) => r.id));
+    expect(records.map((r) => relayer.get(r.id).status)).to.deep.equal(["queued", "queued", "queued"]);
+
+    expect((await relayer.flush()).submitted).to.have.length(3);
+    expect((await aliceClient.getStake("market-1")).amountYes).to.equal(ethers.parseUnits("3", 6));
+  });
+
+  it("should forget settled records after recordTtl", async function () {
+    relayer.recordTtl = 0;
+    await usdc.connect(alice).approve(address, ethers.MaxUint256);
+    const submitted = await relayer.submit(intentToJSON(await aliceClient.signIntent("stake", { slug: "market-1", side: "yes", amount: "1" })));
+    await relayer.flush();
+    expect(relayer.get(submitted.id).status).to.equal("submitted");
+
+    const queued = await relayer.submit(intentToJSON(await aliceClient.signIntent("claim", { slug: "market-1" })));
+    expect((await get(`/intents/${submitted.id}`)).status).to.equal(404);
+    expect(relayer.get(queued.id).status).to.equal("queued");
+  });
+
+  it("should sign and send an intent from the CLI", async function () {
+    const stdout = { text: "", write(chunk) { this.text += chunk; } };
+    const stderr = { text: "", write(chunk) { this.text += chunk; } };
+    const code = await main(
+      ["intent", "--type", "stake", "--slug", "cli-market", "--side", "no", "--amount", "5", "--permit", "--relayer", url, "--json"],
+      { stdout, stderr, env: {}, runner: alice, address }
+    );
+    expect(code).to.equal(0);
+    const body = JSON.parse(stdout.text);
+    expect(body.result.relayed.status).to.equal("queued");
+
+    await relayer.flush();
+    expect((await aliceClient.getStake("cli-market")).amountNo).to.equal(ethers.parseUnits("5", 6));
+  });
+});
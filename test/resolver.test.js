@@ -0,0 +1,187 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ClawStakeClient } = require("../lib");
+const { planResolutions, executePlan } = require("../lib/resolver");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Resolver", function () {
+  let clawStake, owner, alice, bob, ownerClient, mock;
+  const STAKE_AMOUNT = ethers.parseUnits("10", 6);
+
+  const FIXTURES = {
+    "btc-yes": { slug: "btc-yes", status: "resolved", resolution: "YES" },
+    "eth-no": { slug: "eth-no", status: "resolved", resolution: "NO" },
+    "voided": { slug: "voided", status: "resolved", resolution: "N/A" },
+    "still-open": { slug: "still-open", status: "open", probability: 0.4 },
+    "split": { slug: "split", status: "resolved", resolution: "40%" },
+    "flaky": { fail: true },
+  };
+
+  before(async function () {
+    mock = await startMockClawdict(FIXTURES);
+  });
+
+  after(function () {
+    mock.server.close();
+  });
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+
+    clawStake = await deployClawStake(await usdc.getAddress());
+    const address = await clawStake.getAddress();
+
+    for (const signer of [alice, bob]) {
+      await usdc.mint(signer.address, ethers.parseUnits("100", 6));
+      await usdc.connect(signer).approve(address, ethers.MaxUint256);
+    }
+
+    for (const slug of ["btc-yes", "eth-no", "voided", "still-open", "unknown", "flaky"]) {
+      await clawStake.connect(alice).stake(slug, true, STAKE_AMOUNT);
+      await clawStake.connect(bob).stake(slug, false, STAKE_AMOUNT);
+    }
+    await clawStake.connect(alice).stake("already-done", true, STAKE_AMOUNT);
+    await clawStake.resolve("already-done", true);
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+  });
+
+  it("should plan resolutions from Clawdict outcomes", async function () {
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const bySlug = Object.fromEntries(plan.map((s) => [s.slug, s]));
+
+    expect(bySlug["btc-yes"]).to.include({ action: "resolve", outcome: "yes" });
+    expect(bySlug["eth-no"]).to.include({ action: "resolve", outcome: "no" });
+    expect(bySlug["voided"].action).to.equal("cancel");
+    expect(bySlug["still-open"].action).to.equal("skip");
+    expect(bySlug["unknown"].reason).to.equal("not found on Clawdict");
+    expect(bySlug["flaky"].reason).to.match(/lookup failed/);
+    expect(bySlug).to.not.have.property("already-done");
+  });
+
+  it("should not send anything while planning", async function () {
+    await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const info = await clawStake.getMarketInfo("btc-yes");
+    expect(info.resolved).to.be.false;
+  });
+
+  it("should execute the plan", async function () {
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const results = await executePlan(ownerClient, plan);
+
+    expect(results.map((r) => r.slug)).to.deep.equal(["btc-yes", "eth-no", "voided"]);
+    expect(results.every((r) => r.hash && !r.error)).to.be.true;
+
+    const btc = await clawStake.getMarketInfo("btc-yes");
+    expect(btc.resolved).to.be.true;
+    expect(btc.outcomeYes).to.be.true;
+
+    const eth = await clawStake.getMarketInfo("eth-no");
+    expect(eth.outcomeYes).to.be.false;
+
+    const voided = await clawStake.getMarketInfo("voided");
+    expect(voided.cancelled).to.be.true;
+
+    // Nothing left to do on a second pass
+    const again = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    expect(again.filter((s) => s.action !== "skip")).to.be.empty;
+  });
+
+  it("should settle disputed resolutions from Clawdict", async function () {
+    await clawStake.setDisputeParams(3600, 0);
+    await clawStake.resolve("btc-yes", false); // wrong outcome
+    await clawStake.resolve("eth-no", false);
+    await clawStake.connect(alice).dispute("btc-yes");
+    await clawStake.connect(alice).dispute("eth-no");
+
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const bySlug = Object.fromEntries(plan.map((s) => [s.slug, s]));
+    expect(bySlug["btc-yes"]).to.include({ action: "correct", outcome: "yes" });
+    expect(bySlug["eth-no"]).to.include({ action: "correct", outcome: "no" });
+    expect(bySlug["eth-no"].reason).to.match(/bond forfeited/);
+
+    await executePlan(ownerClient, plan.filter((s) => s.action === "correct"));
+    expect((await clawStake.getMarketInfo("btc-yes")).outcomeYes).to.be.true;
+    expect((await ownerClient.getMarket("btc-yes")).status).to.equal("resolved");
+    expect((await ownerClient.getMarket("eth-no")).status).to.equal("resolved");
+  });
+
+  it("should leave resolutions inside their dispute window alone", async function () {
+    await clawStake.setDisputeParams(3600, 0);
+    await clawStake.resolve("btc-yes", true);
+    expect((await ownerClient.getMarket("btc-yes")).status).to.equal("finalizing");
+
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    expect(plan.map((s) => s.slug)).to.not.include("btc-yes");
+  });
+
+  it("should vote instead of resolving in quorum mode", async function () {
+    await clawStake.setResolutionQuorum(2, false);
+    await clawStake.grantRole(await clawStake.RESOLVER_ROLE(), alice.address);
+    await clawStake.connect(alice).voteOutcome("eth-no", true); // contradicts Clawdict
+
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const bySlug = Object.fromEntries(plan.map((s) => [s.slug, s]));
+    expect(bySlug["btc-yes"]).to.include({ action: "vote", outcome: "yes" });
+    expect(bySlug["btc-yes"].reason).to.match(/0 YES \/ 0 NO of 2/);
+
+    await executePlan(ownerClient, plan);
+    expect((await ownerClient.getTally("btc-yes")).yes).to.equal(1);
+    expect(await ownerClient.getVote("btc-yes")).to.equal("yes");
+    expect((await ownerClient.getTally("eth-no")).escalated).to.be.true;
+
+    const again = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const next = Object.fromEntries(again.map((s) => [s.slug, s]));
+    expect(next["btc-yes"]).to.include({ action: "skip" });
+    expect(next["btc-yes"].reason).to.match(/already voted YES/);
+    expect(next["eth-no"].reason).to.match(/escalated/);
+
+    const aliceClient = new ClawStakeClient({ address: ownerClient.address, runner: alice });
+    const result = await aliceClient.voteOutcome("btc-yes", "yes");
+    expect(result.resolved).to.be.true;
+  });
+
+  it("should resolve percentage outcomes fractionally", async function () {
+    await clawStake.connect(alice).stake("split", true, STAKE_AMOUNT);
+    await clawStake.connect(bob).stake("split", false, STAKE_AMOUNT);
+
+    const plan = await planResolutions(ownerClient, { baseUrl: mock.baseUrl });
+    const step = plan.find((s) => s.slug === "split");
+    expect(step).to.include({ action: "resolve", outcome: "fractional", yesBps: 4000 });
+
+    await executePlan(ownerClient, [step]);
+    expect((await ownerClient.getMarket("split")).yesBps).to.equal(4000);
+  });
+
+  it("should record failures without stopping", async function () {
+    const aliceClient = new ClawStakeClient({ address: ownerClient.address, runner: alice });
+    const plan = await planResolutions(aliceClient, { baseUrl: mock.baseUrl });
+    const results = await executePlan(aliceClient, plan);
+
+    expect(results).to.have.length(3);
+    expect(results.every((r) => r.error?.code === "AccessControlUnauthorizedAccount")).to.be.true;
+  });
+
+  it("should support a dry run from the CLI", async function () {
+    let stdout = "";
+    const code = await main(["auto-resolve", "--dry-run", "--api", mock.baseUrl, "--json"], {
+      stdout: { write: (chunk) => { stdout += chunk; } },
+      stderr: { write: () => {} },
+      env: {},
+      runner: owner,
+      address: ownerClient.address,
+    });
+
+    expect(code).to.equal(0);
+    const body = JSON.parse(stdout);
+    expect(body.result.dryRun).to.be.true;
+    expect(body.result.executed).to.be.empty;
+    expect(body.result.plan.filter((s) => s.action !== "skip")).to.have.length(3);
+    expect((await clawStake.getMarketInfo("btc-yes")).resolved).to.be.false;
+  });
+});
@@ -0,0 +1,201 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient, MIN_STAKE, PredictionLog, kellyStake, planStakes, stakePayout, toBatchStakes } = require("../lib");
+const { main } = require("../cli");
+const { startMockClawdict } = require("./helpers/mockClawdict");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Strategy", function () {
+  const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+  // Market objects as ClawStakeClient.getMarket returns them
+  function market(slug, yes, no, extra = {}) {
+    return {
+      slug, totalYes: usdc(yes), totalNo: usdc(no), totalPool: usdc(yes) + usdc(no), penaltyPool: 0n,
+      feeBps: 0, outcomeCount: 0, outcomePools: [], status: "open", ...extra,
+    };
+  }
+
+  describe("Sizing", function () {
+    it("should match classic Kelly when the stake barely moves the pools", function () {
+      // Even odds, p = 0.6: bet 20% of the bankroll
+      const m = market("deep", 1_000_000, 1_000_000);
+      const stake = kellyStake(m, true, 0.6, usdc(100));
+      expect(Number(stake) / 1e6).to.be.closeTo(20, 0.01);
+      expect(kellyStake(m, false, 0.4, usdc(100))).to.equal(0n);
+    });
+
+    it("should stake less when its own stake dilutes the payout", function () {
+      const deep = kellyStake(market("deep", 1_000_000, 1_000_000), true, 0.6, usdc(100));
+      const shallow = kellyStake(market("shallow", 50, 50), true, 0.6, usdc(100));
+      expect(shallow).to.be.lessThan(deep);
+      expect(shallow).to.be.greaterThan(0n);
+    });
+
+    it("should stake the minimum on an empty side that wins the whole pool", function () {
+      expect(kellyStake(market("lonely", 0, 30), true, 0.5, usdc(100))).to.equal(MIN_STAKE);
+      expect(kellyStake(market("empty", 0, 0), true, 0.9, usdc(100))).to.equal(0n);
+    });
+
+    it("should plan the better side per market, apply the Kelly fraction and skip what cannot be staked", function () {
+      const candidates = [
+        { slug: "yes-edge", probability: 0.7, market: market("yes-edge", 50, 50), pYes: 0.65 },
+        { slug: "no-edge", probability: 0.2, market: market("no-edge", 80, 20) },
+        { slug: "fair", probability: 0.5, market: market("fair", 50, 50) },
+        { slug: "closed", probability: 0.9, market: market("closed", 10, 90, { status: "closed" }) },
+        { slug: "multi", probability: 0.9, market: market("multi", 0, 0, { outcomeCount: 3 }) },
+        { slug: "sealed", probability: 0.9, market: market("sealed", 10, 90), sealed: true },
+      ];
+      const full = planStakes(candidates, { bankroll: usdc(100), kellyFraction: 1 });
+      const quarter = planStakes(candidates, { bankroll: usdc(100) });
+
+      expect(quarter.stakes.map((s) => [s.slug, s.side])).to.deep.equal([["yes-edge", "yes"], ["no-edge", "no"]]);
+      expect(quarter.skipped).to.deep.equal([
+        { slug: "fair", reason: "no positive edge at the current pools" },
+        { slug: "closed", reason: "market is closed" },
+        { slug: "multi", reason: "categorical market" },
+        { slug: "sealed", reason: "commit–reveal market" },
+      ]);
+      const [yesEdge] = quarter.stakes;
+      expect(Number(yesEdge.amount)).to.be.closeTo(Number(full.stakes[0].amount) / 4, 1);
+      expect(yesEdge).to.include({ probability: 0.7, pYes: 0.65, impliedYes: 0.5 });
+      expect(yesEdge.edge).to.be.closeTo(0.7 - yesEdge.breakEven, 1e-12);
+      expect(yesEdge.payout).to.equal(stakePayout(candidates[0].market, true, yesEdge.amount));
+      expect(yesEdge.expectedValue > 0n).to.be.true;
+      expect(quarter.total).to.equal(quarter.stakes.reduce((sum, s) => sum + s.amount, 0n));
+      expect(toBatchStakes(quarter)[1]).to.deep.equal({ slug: "no-edge", side: "no", amount: quarter.stakes[1].amount });
+    });
+
+    it("should respect the per-market cap, the bankroll and the minimum edge", function () {
+      const candidates = ["a", "b", "c"].map((slug) => ({ slug, probability: 0.8, market: market(slug, 1000, 1000) }));
+
+      const capped = planStakes(candidates, { bankroll: usdc(100), maxPerMarket: usdc(5) });
+      expect(capped.stakes.map((s) => s.amount)).to.deep.equal([usdc(5), usdc(5), usdc(5)]);
+
+      // Full Kelly on each market alone would want 60 USDC
+      const scaled = planStakes(candidates, { bankroll: usdc(100), kellyFraction: 1 });
+      expect(scaled.total <= usdc(100)).to.be.true;
+      expect(scaled.stakes).to.have.length(3);
+
+      const picky = planStakes(candidates, { bankroll: usdc(100), minEdge: 0.5 });
+      expect(picky.stakes).to.be.empty;
+      expect(picky.skipped[0].reason).to.match(/^edge 0\.\d+ below 0\.5$/);
+
+      expect(() => planStakes(candidates, { bankroll: usdc(1), kellyFraction: 0 })).to.throw(RangeError);
+      expect(() => planStakes([{ ...candidates[0], probability: 1 }], { bankroll: usdc(1) })).to.throw(/probability/);
+    });
+  });
+
+  describe("On-chain", function () {
+    let clawStake, mockUsdc, owner, alice, bob, address, mock, dir, predictions;
+
+    const FIXTURES = {
+      "btc-100k": { slug: "btc-100k", status: "open", probability: 0.55 },
+      "eth-flip": { slug: "eth-flip", status: "open", probability: 0.3 },
+    };
+
+    async function run(argv) {
+      const stdout = { text: "", write(chunk) { this.text += chunk; } };
+      const stderr = { text: "", write(chunk) { this.text += chunk; } };
+      const code = await main([...argv, "--json"], { stdout, stderr, env: { CLAWDICT_API: mock.baseUrl, CLAWSTAKE_PREDICTIONS_FILE: predictions }, runner: alice, address });
+      return { code, body: JSON.parse(stdout.text) };
+    }
+
+    before(async function () {
+      mock = await startMockClawdict(FIXTURES);
+    });
+
+    after(function () {
+      mock.server.close();
+    });
+
+    beforeEach(async function () {
+      [owner, alice, bob] = await ethers.getSigners();
+      const MockUSDC = await ethers.getContractFactory("MockUSDC");
+      mockUsdc = await MockUSDC.deploy();
+      clawStake = await deployClawStake(await mockUsdc.getAddress());
+      address = await clawStake.getAddress();
+      await clawStake.setFeeBps(250);
+
+      for (const signer of [alice, bob]) {
+        await mockUsdc.mint(signer.address, usdc(100));
+        await mockUsdc.connect(signer).approve(address, ethers.MaxUint256);
+      }
+      await clawStake.connect(bob).stake("btc-100k", true, usdc(20));
+      await clawStake.connect(bob).stake("btc-100k", false, usdc(30));
+      await clawStake.connect(bob).stake("eth-flip", true, usdc(10));
+      await clawStake.connect(bob).stake("eth-flip", false, usdc(10));
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "clawstake-"));
+      predictions = path.join(dir, "predictions.json");
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("should preview the payout claim() pays, including dilution and the fee", async function () {
+      const client = new ClawStakeClient({ address, runner: alice });
+      const before = await client.getMarket("btc-100k");
+      const amount = usdc(25);
+      const preview = stakePayout(before, true, amount);
+
+      await client.stake("btc-100k", "yes", amount);
+      await clawStake.resolve("btc-100k", true);
+      await time.increase(1);
+      const { payout } = await client.claim("btc-100k");
+      expect(payout).to.equal(preview);
+    });
+
+    it("should show a plan on a dry run and stake it with --execute", async function () {
+      const out = path.join(dir, "plan.json");
+      const beliefs = ["--belief", "btc-100k:0.75", "--belief", "eth-flip:0.5", "--bankroll", "50"];
+
+      let { code, body } = await run(["strategy", ...beliefs, "--dry-run", "--out", out]);
+      expect(code).to.equal(0);
+      const plan = body.result;
+      expect(plan).to.include({ executed: false, bankroll: "50.0", kellyFraction: 0.25, tx: null });
+      expect(plan.stakes).to.have.length(1);
+      expect(plan.stakes[0]).to.include({ slug: "btc-100k", side: "yes", probability: 0.75, pYes: 0.55, impliedYes: 0.4 });
+      expect(plan.skipped).to.deep.equal([{ slug: "eth-flip", reason: "no positive edge at the current pools" }]);
+      expect(JSON.parse(fs.readFileSync(out, "utf8"))).to.deep.equal({
+        stakes: [{ slug: "btc-100k", side: "yes", amount: plan.stakes[0].amount }],
+      });
+      expect((await clawStake.getStake("btc-100k", alice.address)).amountYes).to.equal(0n);
+
+      ({ code, body } = await run(["strategy", ...beliefs, "--execute"]));
+      expect(code).to.equal(0);
+      expect(body.result.executed).to.be.true;
+      expect(body.result.tx.hash).to.match(/^0x/);
+      const staked = (await clawStake.getStake("btc-100k", alice.address)).amountYes;
+      expect(staked).to.equal(ethers.parseUnits(plan.stakes[0].amount, 6));
+      // The YES probability is kept for the calibration report
+      const recorded = new PredictionLog(predictions).list({ account: alice.address });
+      expect(recorded.map((p) => [p.slug, p.probability, p.side, p.txHash])).to.deep.equal([
+        ["btc-100k", 0.75, "yes", body.result.tx.hash],
+      ]);
+    });
+
+    it("should default the bankroll to the wallet balance and reject bad options", async function () {
+      let { code, body } = await run(["strategy", "--belief", "btc-100k:0.75"]);
+      expect(code).to.equal(0);
+      expect(body.result.bankroll).to.equal("100.0");
+
+      for (const argv of [
+        ["strategy"],
+        ["strategy", "--belief", "btc-100k:1.2"],
+        ["strategy", "--belief", "btc-100k"],
+        ["strategy", "--belief", "btc-100k:0.7", "--kelly", "2"],
+        ["strategy", "--belief", "btc-100k:0.7", "--dry-run", "--execute"],
+        ["strategy", "--belief", "btc-100k:0.7", "--permit"],
+      ]) {
+        ({ code, body } = await run(argv));
+        expect(code, argv.join(" ")).to.equal(2);
+        expect(body.ok).to.be.false;
+      }
+    });
+  });
+});
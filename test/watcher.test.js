@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { ClawStakeClient, MarketWatcher } = require("../lib");
+const { main } = require("../cli");
+const { deployClawStake } = require("./helpers/deploy");
+
+describe("Market watcher", function () {
+  let owner, alice, bob, address, ownerClient, aliceClient, bobClient;
+
+  const usdc = (n) => ethers.parseUnits(String(n), 6);
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const mockUsdc = await MockUSDC.deploy();
+    const clawStake = await deployClawStake(await mockUsdc.getAddress());
+    address = await clawStake.getAddress();
+    await mockUsdc.mint(alice.address, usdc(500));
+    await mockUsdc.mint(bob.address, usdc(500));
+
+    ownerClient = new ClawStakeClient({ address, runner: owner });
+    aliceClient = new ClawStakeClient({ address, runner: alice });
+    bobClient = new ClawStakeClient({ address, runner: bob });
+    await aliceClient.stake("btc", "yes", "10");
+  });
+
+  it("should keep pools and odds current from stake and unstake events and flag large stakes", async function () {
+    const watcher = new MarketWatcher(ownerClient, { largeStake: usdc(100) });
+    const { markets } = await watcher.start();
+    expect(markets).to.have.length(1);
+    expect(markets[0]).to.include({ slug: "btc", totalYes: usdc(10), totalNo: 0n, impliedYes: 1, status: "open" });
+    expect(await watcher.poll()).to.be.empty;
+
+    await bobClient.stake("btc", "no", "30");
+    await bobClient.stake("eth", "yes", "150");
+    await aliceClient.unstake("btc", "yes", "5");
+    const updates = await watcher.poll();
+
+    expect(updates.map((u) => [u.type, u.slug, u.side, u.amount])).to.deep.equal([
+      ["stake", "btc", "no", usdc(30)],
+      ["stake", "eth", "yes", usdc(150)],
+      ["unstake", "btc", "yes", usdc(5)],
+    ]);
+    expect(updates[0]).to.include({ staker: bob.address, previousYes: 1, impliedYes: 0.25, large: false });
+    expect(updates[1]).to.include({ large: true, previousYes: null, impliedYes: 1 });
+    expect(updates[2]).to.include({ totalYes: usdc(5), totalNo: usdc(30) });
+    expect(updates[2].txHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    // The maintained pools match the chain
+    const onChain = await ownerClient.getMarket("btc");
+    expect(watcher.markets.get("btc")).to.include({ totalYes: onChain.totalYes, totalNo: onChain.totalNo });
+  });
+
+  it("should report deadlines, closing and closed markets, resolutions and cancellations", async function () {
+    await bobClient.stake("rain", "no", "5");
+    const watcher = new MarketWatcher(ownerClient, { slugs: ["btc", "rain"], deadlineWarning: 3600 });
+    await watcher.start();
+
+    const deadline = (await ownerClient.now()) + 1800;
+    await ownerClient.setDeadline("btc", deadline);
+    await bobClient.stake("ignored", "yes", "5");
+    let updates = await watcher.poll();
+    expect(updates.map((u) => [u.type, u.slug])).to.deep.equal([["deadline", "btc"], ["closing", "btc"]]);
+    expect(updates[0].deadline).to.equal(deadline);
+    expect(updates[1].secondsLeft).to.be.within(1700, 1800);
+    expect(updates[1].txHash).to.be.null;
+
+    // Reported once per deadline
+    expect(await watcher.poll()).to.be.empty;
+    await time.increaseTo(deadline + 1);
+    await ownerClient.cancelMarket("rain");
+    updates = await watcher.poll();
+    expect(updates.map((u) => [u.type, u.slug])).to.deep.equal([["cancelled", "rain"], ["closed", "btc"]]);
+    expect(watcher.markets.get("btc").status).to.equal("closed");
+
+    await ownerClient.resolve("btc", "yes");
+    updates = await watcher.poll();
+    expect(updates).to.have.length(1);
+    expect(updates[0]).to.include({ type: "resolved", slug: "btc", outcome: "yes", impliedYes: 1 });
+  });
+
+  it("should report categorical resolutions and corrected outcomes", async function () {
+    await ownerClient.setDisputeParams({ window: 3600, bond: "1" });
+    await bobClient.stake("btc", "no", "10");
+    await ownerClient.createCategoricalMarket("who", { outcomes: 3 });
+    await aliceClient.stakeOutcome("who", 1, "5");
+    await bobClient.stakeOutcome("who", 2, "5");
+    const watcher = new MarketWatcher(ownerClient);
+    await watcher.start();
+
+    await ownerClient.resolveOutcome("who", 1);
+    await ownerClient.resolve("btc", "yes");
+    let updates = await watcher.poll();
+    expect(updates.map((u) => [u.type, u.slug, u.outcome, u.corrected])).to.deep.equal([
+      ["resolved", "who", "1", false],
+      ["resolved", "btc", "yes", false],
+    ]);
+    expect(watcher.markets.get("who")).to.include({ status: "resolved", outcome: "1" });
+
+    await ownerClient.correctOutcome("who", 2);
+    await ownerClient.correctResolution("btc", "no");
+    updates = await watcher.poll();
+    expect(updates.map((u) => [u.type, u.slug, u.outcome, u.corrected])).to.deep.equal([
+      ["resolved", "who", "2", true],
+      ["resolved", "btc", "no", true],
+    ]);
+    expect(watcher.markets.get("btc")).to.include({ status: "resolved", outcome: "no" });
+  });
+
+  it("should keep categorical outcome pools current, including markets created while watching", async function () {
+    await ownerClient.createCategoricalMarket("who", { outcomes: 3 });
+    await aliceClient.stakeOutcome("who", 0, "10");
+    const watcher = new MarketWatcher(ownerClient, { largeStake: usdc(100) });
+    const { markets } = await watcher.start();
+    expect(markets.find((m) => m.slug === "who").outcomePools).to.deep.equal([usdc(10), 0n, 0n]);
+
+    await bobClient.stakeOutcome("who", 2, "30");
+    await ownerClient.createCategoricalMarket("pick", { outcomes: 2 });
+    await bobClient.stakeOutcome("pick", 1, "150");
+    const updates = await watcher.poll();
+
+    expect(updates.map((u) => [u.type, u.slug, u.outcome, u.amount])).to.deep.equal([
+      ["stake", "who", "2", usdc(30)],
+      ["stake", "pick", "1", usdc(150)],
+    ]);
+    expect(updates[0]).to.deep.include({ staker: bob.address, outcomePools: [usdc(10), 0n, usdc(30)], impliedOutcomes: [0.25, 0, 0.75], large: false });
+    expect(updates[1]).to.deep.include({ outcomePools: [0n, usdc(150)], impliedOutcomes: [0, 1], large: true, impliedYes: null });
+
+    // The maintained pools match the chain
+    for (const slug of ["who", "pick"]) {
+      expect(watcher.markets.get(slug).outcomePools).to.deep.equal((await ownerClient.getMarket(slug)).outcomePools);
+    }
+  });
+
+  it("should read logs in batches and leave the snapshot untouched when a poll fails", async function () {
+    expect(() => new MarketWatcher(ownerClient, { batchSize: 0 })).to.throw(TypeError);
+    const watcher = new MarketWatcher(ownerClient, { batchSize: 2 });
+    const { blockNumber } = await watcher.start();
+    await bobClient.stake("btc", "no", "30");
+    await aliceClient.stake("btc", "yes", "5");
+    await bobClient.stake("btc", "no", "10");
+
+    // The second block read fails, after the first stake's block was read
+    const provider = ownerClient.provider;
+    const getLogs = provider.getLogs.bind(provider);
+    const getBlock = provider.getBlock.bind(provider);
+    const ranges = [];
+    let reads = 0;
+    provider.getLogs = (filter) => {
+      ranges.push([filter.fromBlock, filter.toBlock]);
+      return getLogs(filter);
+    };
+    provider.getBlock = (block) => (++reads === 2 ? Promise.reject(new Error("rpc down")) : getBlock(block));
+    try {
+      await expect(watcher.poll()).to.be.rejectedWith("rpc down");
+      expect(watcher.cursor).to.equal(blockNumber);
+      expect(watcher.markets.get("btc")).to.include({ totalYes: usdc(10), totalNo: 0n });
+
+      const updates = await watcher.poll();
+      expect(updates.map((u) => [u.side, u.amount])).to.deep.equal([["no", usdc(30)], ["yes", usdc(5)], ["no", usdc(10)]]);
+      expect(watcher.markets.get("btc")).to.include({ totalYes: usdc(15), totalNo: usdc(40) });
+    } finally {
+      delete provider.getLogs;
+      delete provider.getBlock;
+    }
+    for (const [from, to] of ranges) expect(to - from).to.be.below(2);
+  });
+
+  it("should stream a snapshot and updates as NDJSON from the CLI", async function () {
+    const stdout = { text: "", write(chunk) { this.text += chunk; } };
+    const stderr = { text: "", write(chunk) { this.text += chunk; } };
+    const running = main(["watch", "--interval", "1", "--count", "2", "--large", "20", "--json"], { stdout, stderr, env: {}, runner: owner, address });
+
+    // Stake only once the snapshot is out
+    while (!stdout.text) await new Promise((resolve) => setTimeout(resolve, 10));
+    await bobClient.stake("btc", "no", "30");
+    await aliceClient.stake("btc", "yes", "5");
+    expect(await running).to.equal(0);
+
+    const lines = stdout.text.trim().split("\n").map((line) => JSON.parse(line));
+    expect(lines.map((l) => l.result.type)).to.deep.equal(["snapshot", "stake", "stake", "done"]);
+    expect(lines[0].result.markets).to.deep.equal([
+      { slug: "btc", status: "open", outcome: null, totalYes: "10.0", totalNo: "0.0", impliedYes: 1, deadline: null },
+    ]);
+    expect(lines[1].result).to.include({ slug: "btc", side: "no", amount: "30.0", totalNo: "30.0", impliedYes: 0.25, large: true });
+    expect(lines[2].result).to.include({ side: "yes", amount: "5.0", totalYes: "15.0", large: false });
+    expect(lines[2].result.at).to.match(/^\d{4}-\d\d-\d\dT/);
+
+    const text = { text: "", write(chunk) { this.text += chunk; } };
+    for (const argv of [["watch", "--large", "lots"], ["watch", "--interval", "0"]]) {
+      expect(await main(argv, { stdout: text, stderr: text, env: {}, runner: owner, address }), argv.join(" ")).to.equal(2);
+    }
+  });
+});